@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -44,6 +45,13 @@ const config = {
       }
       return process.env.JWT_REFRESH_SECRET || 'dev-only-refresh-secret-change-in-prod';
     })(),
+    // Signs rescue price quotes; derived from JWT_SECRET when unset so it never equals it
+    quoteSecret:
+      process.env.JWT_QUOTE_SECRET ||
+      crypto
+        .createHmac('sha256', process.env.JWT_SECRET || 'dev-only-jwt-secret-change-in-prod')
+        .update('rescue-quote')
+        .digest('hex'),
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   },
@@ -82,6 +90,9 @@ const config = {
     user: process.env.EMAIL_USER,
     password: process.env.EMAIL_PASSWORD,
     from: process.env.EMAIL_FROM || 'SupportCarr <noreply@supportcarr.com>',
+    // Email templates use the frontend's translations
+    localesDir:
+      process.env.EMAIL_LOCALES_DIR || path.join(__dirname, '../../../frontend/src/i18n/locales'),
   },
   sentry: {
     dsn: process.env.SENTRY_DSN,
@@ -97,6 +108,34 @@ const config = {
   fcm: {
     serverKey: process.env.FCM_SERVER_KEY,
     projectId: process.env.FCM_PROJECT_ID,
+    // Service account used to authorize the HTTP v1 API
+    clientEmail: process.env.FCM_CLIENT_EMAIL,
+    privateKey: process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  },
+  apns: {
+    keyId: process.env.APNS_KEY_ID,
+    teamId: process.env.APNS_TEAM_ID,
+    privateKey: process.env.APNS_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    bundleId: process.env.APNS_BUNDLE_ID,
+    production: process.env.APNS_PRODUCTION === 'true',
+  },
+  push: {
+    // 'fake' keeps pushes in memory instead of sending them (local development and tests)
+    provider: process.env.PUSH_PROVIDER || 'live',
+  },
+  notifications: {
+    // A repeated dedupe key is dropped for this long after the first send
+    dedupeWindowMinutes: parseInt(process.env.NOTIFICATION_DEDUPE_WINDOW_MINUTES, 10) || 60,
+    // Sends per user per channel in each window; the overflow goes out as one summary
+    rateLimitWindowMinutes: parseInt(process.env.NOTIFICATION_RATE_LIMIT_WINDOW_MINUTES, 10) || 60,
+    rateLimits: {
+      push: parseInt(process.env.NOTIFICATION_PUSH_RATE_LIMIT, 10) || 20,
+      sms: parseInt(process.env.NOTIFICATION_SMS_RATE_LIMIT, 10) || 5,
+      email: parseInt(process.env.NOTIFICATION_EMAIL_RATE_LIMIT, 10) || 10,
+    },
+    // SMS spend per user per UTC day (USD)
+    smsCostPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0.0079,
+    smsDailyBudget: parseFloat(process.env.SMS_DAILY_BUDGET_PER_USER) || 0.25,
   },
   business: {
     maxDriverSearchRadiusKm: parseInt(process.env.MAX_DRIVER_SEARCH_RADIUS_KM, 10) || 50,
@@ -105,6 +144,56 @@ const config = {
     driverPayoutPercent: parseFloat(process.env.DRIVER_PAYOUT_PERCENT) || 80,
     surgePricingEnabled: process.env.SURGE_PRICING_ENABLED === 'true',
     autoAcceptTimeoutMinutes: parseInt(process.env.AUTO_ACCEPT_TIMEOUT_MINUTES, 10) || 5,
+    maxDispatchOffers: parseInt(process.env.MAX_DISPATCH_OFFERS, 10) || 10,
+    quoteTtlMinutes: parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 10,
+    ratingWindowHours: parseInt(process.env.RATING_WINDOW_HOURS, 10) || 72,
+    // Riders can add or change a tip this long after completion
+    tipWindowHours: parseInt(process.env.TIP_WINDOW_HOURS, 10) || 72,
+    maxTip: parseFloat(process.env.MAX_TIP) || 100,
+  },
+  surge: {
+    gridSizeDegrees: parseFloat(process.env.SURGE_GRID_SIZE_DEGREES) || 0.1,
+    recalculateIntervalSeconds: parseInt(process.env.SURGE_RECALCULATE_INTERVAL_SECONDS, 10) || 120,
+    smoothingFactor: parseFloat(process.env.SURGE_SMOOTHING_FACTOR) || 0.5,
+    maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 3.0,
+    zoneTtlSeconds: parseInt(process.env.SURGE_ZONE_TTL_SECONDS, 10) || 600,
+  },
+  scheduling: {
+    leadMinutes: parseInt(process.env.SCHEDULED_LEAD_MINUTES, 10) || 30,
+    minAdvanceMinutes: parseInt(process.env.SCHEDULED_MIN_ADVANCE_MINUTES, 10) || 60,
+    maxAdvanceDays: parseInt(process.env.SCHEDULED_MAX_ADVANCE_DAYS, 10) || 14,
+    reminderMinutes: parseInt(process.env.SCHEDULED_REMINDER_MINUTES, 10) || 15,
+    rescheduleCutoffMinutes: parseInt(process.env.SCHEDULED_RESCHEDULE_CUTOFF_MINUTES, 10) || 120,
+    freeCancellationMinutes: parseInt(process.env.SCHEDULED_FREE_CANCELLATION_MINUTES, 10) || 60,
+  },
+  cancellation: {
+    // Rider cancellations are free this long after a driver accepts
+    freeMinutesAfterAccept: parseInt(process.env.CANCELLATION_FREE_MINUTES, 10) || 5,
+    acceptedFee: parseFloat(process.env.CANCELLATION_ACCEPTED_FEE) || 5,
+    enrouteFee: parseFloat(process.env.CANCELLATION_ENROUTE_FEE) || 10,
+    driverSharePercent: parseFloat(process.env.CANCELLATION_DRIVER_SHARE_PERCENT) || 80,
+  },
+  referrals: {
+    // 'balance' credits User.balance; 'promo_code' issues personal fixed-amount promo codes
+    rewardType: process.env.REFERRAL_REWARD_TYPE || 'balance',
+    promoValidDays: parseInt(process.env.REFERRAL_PROMO_VALID_DAYS, 10) || 90,
+  },
+  loyalty: {
+    pointsPerDollar: parseFloat(process.env.LOYALTY_POINTS_PER_DOLLAR) || 10,
+    pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01,
+    minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS, 10) || 500,
+    maxRedeemPercent: parseFloat(process.env.LOYALTY_MAX_REDEEM_PERCENT) || 50,
+  },
+  wallet: {
+    minTopUp: parseFloat(process.env.WALLET_MIN_TOPUP) || 5,
+    maxTopUp: parseFloat(process.env.WALLET_MAX_TOPUP) || 500,
+    maxBalance: parseFloat(process.env.WALLET_MAX_BALANCE) || 1000,
+  },
+  payouts: {
+    // Instant cash-out fee: a percent of the amount, with a floor (USD)
+    instantFeePercent: parseFloat(process.env.INSTANT_PAYOUT_FEE_PERCENT) || 1.5,
+    instantMinFee: parseFloat(process.env.INSTANT_PAYOUT_MIN_FEE) || 0.5,
+    instantDailyLimit: parseFloat(process.env.INSTANT_PAYOUT_DAILY_LIMIT) || 500,
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
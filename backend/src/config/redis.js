@@ -180,6 +180,70 @@ class RedisClient {
     }
   }
 
+  /**
+   * Increment value by an integer amount (negative to decrement)
+   */
+  async incrBy(key, amount) {
+    try {
+      return await this.client.incrby(key, amount);
+    } catch (error) {
+      logger.error(`Redis INCRBY error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Set a value with a TTL only if the key doesn't exist yet.
+   * Returns true when set, false when the key was already there, null on error.
+   */
+  async setIfAbsent(key, value, ttl) {
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error(`Redis SET NX error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add or update a member of a sorted set
+   */
+  async zAdd(key, score, member) {
+    try {
+      await this.client.zadd(key, score, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis ZADD error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a sorted set
+   */
+  async zRem(key, member) {
+    try {
+      await this.client.zrem(key, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis ZREM error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Count sorted set members with a score in [min, max]
+   */
+  async zCount(key, min, max) {
+    try {
+      return await this.client.zcount(key, min, max);
+    } catch (error) {
+      logger.error(`Redis ZCOUNT error for key ${key}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Set expiration
    */
@@ -193,6 +257,71 @@ class RedisClient {
     }
   }
 
+  /**
+   * Add or move a member in a geo set
+   */
+  async geoAdd(key, { longitude, latitude, member }) {
+    try {
+      await this.client.geoadd(key, longitude, latitude, member);
+      return true;
+    } catch (error) {
+      logger.error(`Redis GEOADD error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Find geo set members within a radius, nearest first
+   * Returns null on error so callers can fall back to another source
+   */
+  async geoSearch(key, { longitude, latitude }, { radius, unit = 'km' }, options = {}) {
+    try {
+      const args = [key, 'FROMLONLAT', longitude, latitude, 'BYRADIUS', radius, unit, 'ASC'];
+      if (options.COUNT) {
+        args.push('COUNT', options.COUNT);
+      }
+      if (options.WITHDIST) {
+        args.push('WITHDIST');
+      }
+
+      const results = await this.client.geosearch(...args);
+
+      return results.map((result) =>
+        Array.isArray(result)
+          ? { member: result[0], distance: parseFloat(result[1]) }
+          : { member: result, distance: null }
+      );
+    } catch (error) {
+      logger.error(`Redis GEOSEARCH error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the position of every member in a geo set
+   */
+  async geoPositions(key) {
+    try {
+      const members = await this.client.zrange(key, 0, -1);
+      if (members.length === 0) {
+        return [];
+      }
+
+      const positions = await this.client.geopos(key, ...members);
+
+      return members
+        .map((member, index) => ({
+          member,
+          longitude: positions[index] ? parseFloat(positions[index][0]) : null,
+          latitude: positions[index] ? parseFloat(positions[index][1]) : null,
+        }))
+        .filter((position) => position.longitude !== null);
+    } catch (error) {
+      logger.error(`Redis GEOPOS error for key ${key}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Disconnect all clients
    */
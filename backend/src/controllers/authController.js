@@ -2,6 +2,7 @@ import { User, RiderProfile } from '../models/index.js';
 import { generateTokenPair, verifyRefreshToken, blacklistToken } from '../utils/jwt.js';
 import twilioService from '../services/twilioService.js';
 import stripeService from '../services/stripeService.js';
+import referralService from '../services/referralService.js';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { UnauthorizedError, ValidationError, ConflictError } from '../middleware/errorHandler.js';
@@ -11,7 +12,16 @@ import redisClient from '../config/redis.js';
  * Sign up new user
  */
 export const signup = asyncHandler(async (req, res) => {
-  const { phoneNumber, password, email, firstName, lastName, role = 'rider' } = req.body;
+  const {
+    phoneNumber,
+    password,
+    email,
+    firstName,
+    lastName,
+    role = 'rider',
+    referralCode,
+    deviceId,
+  } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({ phoneNumber });
@@ -19,6 +29,11 @@ export const signup = asyncHandler(async (req, res) => {
     throw new ConflictError('Phone number already registered');
   }
 
+  // Reject bad or abusive referral codes before creating the account
+  const referral = referralCode
+    ? await referralService.validateSignupCode(referralCode, { phoneNumber, deviceId })
+    : null;
+
   // Create user
   const user = await User.create({
     phoneNumber,
@@ -27,8 +42,17 @@ export const signup = asyncHandler(async (req, res) => {
     firstName,
     lastName,
     role,
+    signupDeviceId: deviceId,
   });
 
+  if (referral) {
+    try {
+      await referralService.attachAtSignup(user, referral, deviceId);
+    } catch (error) {
+      logger.error('Failed to record referral:', error);
+    }
+  }
+
   // Create Stripe customer
   if (stripeService.initialized) {
     try {
@@ -275,7 +299,7 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
  * Update current user
  */
 export const updateCurrentUser = asyncHandler(async (req, res) => {
-  const { firstName, lastName, email, avatar } = req.body;
+  const { firstName, lastName, email, avatar, locale } = req.body;
 
   const user = await User.findById(req.userId);
   if (!user) {
@@ -285,8 +309,13 @@ export const updateCurrentUser = asyncHandler(async (req, res) => {
   // Update allowed fields
   if (firstName !== undefined) user.firstName = firstName;
   if (lastName !== undefined) user.lastName = lastName;
-  if (email !== undefined) user.email = email;
+  if (email !== undefined && email !== user.email) {
+    user.email = email;
+    // A new address gets a fresh start after a bounce
+    user.emailBounce = undefined;
+  }
   if (avatar !== undefined) user.avatar = avatar;
+  if (locale !== undefined) user.locale = locale;
 
   await user.save();
 
@@ -1,4 +1,5 @@
 import locationService from '../services/locationService.js';
+import surgeService from '../services/surgeService.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -198,3 +199,19 @@ export const batchUpdateLocations = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get active surge zones for the map
+ */
+export const getSurgeZones = async (req, res, next) => {
+  try {
+    const zones = await surgeService.getZones();
+
+    res.status(200).json({
+      success: true,
+      data: { zones },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,25 +1,24 @@
 import { ApolloServer } from 'apollo-server-express';
+import { makeExecutableSchema } from '@graphql-tools/schema';
 import { PubSub } from 'graphql-subscriptions';
+import { WebSocketServer } from 'ws';
+import { useServer } from 'graphql-ws/lib/use/ws';
 import { typeDefs } from './schema.js';
 import { resolvers } from './resolvers.js';
 import { verifyAccessToken } from '../utils/jwt.js';
 import logger from '../utils/logger.js';
 
+const GRAPHQL_PATH = '/graphql';
+
+// Local to this pod; realtimeService feeds it events published from any pod
 const pubsub = new PubSub();
 
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
 /**
  * Create GraphQL context from request
  */
-const context = async ({ req, connection }) => {
-  // WebSocket connection (subscriptions)
-  if (connection) {
-    return {
-      ...connection.context,
-      pubsub,
-    };
-  }
-
-  // HTTP request (queries/mutations)
+const context = async ({ req }) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
 
   let user = null;
@@ -37,6 +36,68 @@ const context = async ({ req, connection }) => {
   };
 };
 
+/**
+ * Verify the token a subscription client sends in its connection_init payload
+ */
+const authenticateConnection = (connectionParams) => {
+  const token = connectionParams?.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Serve GraphQL subscriptions over WebSocket (graphql-ws protocol) at /graphql.
+ * Upgrades for other paths are left for Socket.io.
+ */
+export const createSubscriptionServer = (httpServer) => {
+  const wsServer = new WebSocketServer({ noServer: true });
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== GRAPHQL_PATH) {
+      return;
+    }
+
+    wsServer.handleUpgrade(req, socket, head, (ws) => {
+      wsServer.emit('connection', ws, req);
+    });
+  });
+
+  return useServer(
+    {
+      schema,
+      onConnect: (ctx) => {
+        const user = authenticateConnection(ctx.connectionParams);
+
+        if (!user) {
+          logger.warn('GraphQL subscription rejected: invalid or missing token');
+          return false;
+        }
+
+        ctx.extra.user = user;
+        return true;
+      },
+      context: (ctx) => ({
+        user: ctx.extra.user,
+        pubsub,
+      }),
+      onClose: () => {
+        logger.info('GraphQL subscription disconnected');
+      },
+    },
+    wsServer
+  );
+};
+
 /**
  * Initialize Apollo Server
  */
@@ -44,8 +105,7 @@ export const createApolloServer = () => {
   const isDevelopment = process.env.NODE_ENV !== 'production';
 
   return new ApolloServer({
-    typeDefs,
-    resolvers,
+    schema,
     context,
     formatError: (error) => {
       logger.error('GraphQL Error:', error);
@@ -57,26 +117,6 @@ export const createApolloServer = () => {
 
       return error;
     },
-    subscriptions: {
-      path: '/graphql',
-      onConnect: async (connectionParams) => {
-        const token = connectionParams.authorization?.replace('Bearer ', '');
-
-        if (token) {
-          try {
-            const user = verifyAccessToken(token);
-            return { user };
-          } catch (error) {
-            throw new Error('Invalid token');
-          }
-        }
-
-        throw new Error('Missing auth token');
-      },
-      onDisconnect: () => {
-        logger.info('GraphQL subscription disconnected');
-      },
-    },
     playground: isDevelopment,
     introspection: isDevelopment,
   });
@@ -1,12 +1,27 @@
 import { GraphQLScalarType, Kind } from 'graphql';
 import { GraphQLUpload } from 'graphql-upload';
 import GraphQLJSON from 'graphql-type-json';
-import { User, DriverProfile, RiderProfile, RescueRequest, PaymentRecord, Notification } from '../models/index.js';
+import {
+  User,
+  DriverProfile,
+  RiderProfile,
+  RescueRequest,
+  PaymentRecord,
+  Notification,
+  Rating,
+} from '../models/index.js';
+import { canSetStatus } from '../models/RescueRequest.js';
 import { AuthenticationError, ForbiddenError, UserInputError } from 'apollo-server-express';
 import { generateTokens } from '../utils/jwt.js';
 import bcrypt from 'bcryptjs';
 import analyticsService from '../services/analyticsService.js';
 import locationService from '../services/locationService.js';
+import dispatchService from '../services/dispatchService.js';
+import pricingService from '../services/pricingService.js';
+import schedulingService from '../services/schedulingService.js';
+import ratingService from '../services/ratingService.js';
+import promoService from '../services/promoService.js';
+import loyaltyService from '../services/loyaltyService.js';
 
 // Custom DateTime scalar
 const dateTimeScalar = new GraphQLScalarType({
@@ -281,28 +296,50 @@ export const resolvers = {
         throw new ForbiddenError('Only riders can create rescues');
       }
 
-      const rescue = await RescueRequest.create({
-        riderId: user.userId,
-        pickupLocation: {
-          address: input.pickupLocation.address,
-          location: {
-            type: 'Point',
-            coordinates: [input.pickupLocation.longitude, input.pickupLocation.latitude],
+      const pickupPoint = {
+        type: 'Point',
+        coordinates: [input.pickupLocation.longitude, input.pickupLocation.latitude],
+      };
+      const dropoffPoint = {
+        type: 'Point',
+        coordinates: [input.dropoffLocation.longitude, input.dropoffLocation.latitude],
+      };
+
+      // Store exactly the price the rider was quoted
+      const { pricing, distance, scheduledFor, release } = await pricingService.redeemQuote(
+        input.quoteId,
+        user.userId,
+        pickupPoint,
+        dropoffPoint
+      );
+
+      // A rescue that couldn't be saved doesn't use up the quote
+      let rescue;
+      try {
+        rescue = await RescueRequest.create({
+          ...schedulingService.buildInitialState(scheduledFor),
+          riderId: user.userId,
+          pickupLocation: {
+            address: input.pickupLocation.address,
+            location: pickupPoint,
+            landmark: input.pickupLocation.landmark,
           },
-          landmark: input.pickupLocation.landmark,
-        },
-        dropoffLocation: {
-          address: input.dropoffLocation.address,
-          location: {
-            type: 'Point',
-            coordinates: [input.dropoffLocation.longitude, input.dropoffLocation.latitude],
+          dropoffLocation: {
+            address: input.dropoffLocation.address,
+            location: dropoffPoint,
+            landmark: input.dropoffLocation.landmark,
           },
-          landmark: input.dropoffLocation.landmark,
-        },
-        issue: input.issue,
-        ebike: input.ebike,
-        status: 'pending',
-      });
+          issue: input.issue,
+          ebike: input.ebike,
+          pricing,
+          distance: { estimated: distance },
+        });
+      } catch (error) {
+        await release();
+        throw error;
+      }
+
+      await schedulingService.submit(rescue);
 
       return rescue;
     },
@@ -312,38 +349,8 @@ export const resolvers = {
         throw new ForbiddenError('Only drivers can accept rescues');
       }
 
-      // Use atomic findOneAndUpdate to prevent race condition where multiple drivers
-      // try to accept the same rescue simultaneously
-      const rescue = await RescueRequest.findOneAndUpdate(
-        {
-          _id: rescueId,
-          status: 'pending', // Only update if still pending
-        },
-        {
-          $set: {
-            driverId: user.userId,
-            status: 'accepted',
-            acceptedAt: new Date(),
-          },
-          $push: {
-            timeline: {
-              status: 'accepted',
-              timestamp: new Date(),
-              message: 'Driver accepted the rescue request',
-            },
-          },
-        },
-        {
-          new: true, // Return updated document
-          runValidators: true,
-        }
-      );
-
-      if (!rescue) {
-        throw new UserInputError('Rescue not found or no longer available');
-      }
-
-      return rescue;
+      // Shares the REST eligibility checks and atomic pending -> accepted update
+      return dispatchService.acceptRescue(rescueId, user.userId);
     },
 
     updateRescueStatus: async (_, { rescueId, status }, { user }) => {
@@ -357,34 +364,48 @@ export const resolvers = {
         throw new ForbiddenError('Not authorized');
       }
 
-      // Use atomic update to prevent race conditions
-      const updateFields = {
-        $set: { status },
-        $push: {
-          timeline: {
-            status,
-            timestamp: new Date(),
-          },
-        },
-      };
-
-      if (status === 'completed') {
-        updateFields.$set.completedAt = new Date();
+      if (!canSetStatus(status, user.role === 'admin' ? 'admin' : 'driver')) {
+        throw new ForbiddenError(`Not authorized to set status ${status}`);
       }
 
-      const rescue = await RescueRequest.findOneAndUpdate(
-        query,
-        updateFields,
-        {
-          new: true,
-          runValidators: true,
-        }
-      );
+      const rescue = await RescueRequest.findOne(query);
 
       if (!rescue) {
         throw new UserInputError('Rescue not found or not authorized');
       }
 
+      // The model rejects transitions that aren't allowed from the current status
+      if (!rescue.canTransitionTo(status)) {
+        throw new UserInputError(`Cannot transition from ${rescue.status} to ${status}`);
+      }
+
+      await rescue.updateStatus(status);
+
+      return rescue;
+    },
+
+    rateRescue: async (_, { rescueId, input }, { user }) => {
+      if (!user) throw new AuthenticationError('Not authenticated');
+
+      await ratingService.submitRating(rescueId, user.userId, {
+        score: input.rating,
+        feedback: input.review,
+      });
+
+      return RescueRequest.findById(rescueId);
+    },
+
+    applyPromoCode: async (_, { rescueId, code }, { user }) => {
+      if (!user) throw new AuthenticationError('Not authenticated');
+
+      const { rescue } = await promoService.apply(rescueId, user.userId, code);
+      return rescue;
+    },
+
+    redeemLoyaltyPoints: async (_, { rescueId, points }, { user }) => {
+      if (!user) throw new AuthenticationError('Not authenticated');
+
+      const { rescue } = await loyaltyService.redeemOnRescue(rescueId, user.userId, points);
       return rescue;
     },
 
@@ -498,6 +519,27 @@ export const resolvers = {
       }
       return null;
     },
+
+    ratings: async (rescue) => {
+      const ratings = await Rating.find({
+        rescueRequestId: rescue._id,
+        'flags.isHidden': false,
+      });
+
+      return ratings.map((rating) => ({
+        id: rating._id,
+        userId: rating.fromUserId,
+        rating: rating.score,
+        review: rating.feedback,
+        createdAt: rating.createdAt,
+      }));
+    },
+  },
+
+  RescueRating: {
+    user: async (rating) => {
+      return User.findById(rating.userId);
+    },
   },
 
   PaymentRecord: {
@@ -511,6 +553,10 @@ export const resolvers = {
   },
 
   Notification: {
+    message: (notification) => notification.body,
+
+    isRead: (notification) => notification.channels?.inApp?.read ?? false,
+
     user: async (notification) => {
       return User.findById(notification.userId);
     },
@@ -518,9 +564,23 @@ export const resolvers = {
 
   Subscription: {
     rescueUpdated: {
-      subscribe: (_, { rescueId }, { pubsub }) => {
+      subscribe: async (_, { rescueId }, { pubsub, user }) => {
+        if (!user) throw new AuthenticationError('Not authenticated');
+
+        const rescue = await RescueRequest.findById(rescueId).select('riderId driverId');
+        if (!rescue) throw new UserInputError('Rescue not found');
+
+        const isParticipant = [rescue.riderId, rescue.driverId].some(
+          (id) => id?.toString() === user.userId
+        );
+        if (!isParticipant && user.role !== 'admin') {
+          throw new ForbiddenError('Not authorized');
+        }
+
         return pubsub.asyncIterator([`RESCUE_UPDATED_${rescueId}`]);
       },
+      // Events arrive as JSON from Redis; rebuild the document for the field resolvers
+      resolve: ({ rescueUpdated }) => RescueRequest.hydrate(rescueUpdated),
     },
 
     driverLocationUpdated: {
@@ -534,6 +594,7 @@ export const resolvers = {
         if (!user) throw new AuthenticationError('Not authenticated');
         return pubsub.asyncIterator([`NOTIFICATION_${user.userId}`]);
       },
+      resolve: ({ notificationReceived }) => Notification.hydrate(notificationReceived),
     },
 
     rescueRequestCreated: {
@@ -541,8 +602,10 @@ export const resolvers = {
         if (!user || user.role !== 'driver') {
           throw new ForbiddenError('Only drivers can subscribe to rescue requests');
         }
-        return pubsub.asyncIterator(['RESCUE_REQUEST_CREATED']);
+        // Only the driver the rescue was offered to hears about it
+        return pubsub.asyncIterator([`RESCUE_REQUEST_CREATED_${user.userId}`]);
       },
+      resolve: ({ rescueRequestCreated }) => RescueRequest.hydrate(rescueRequestCreated),
     },
   },
 };
@@ -33,6 +33,7 @@ export const typeDefs = gql`
     preferredPaymentMethod: String
     savedLocations: [SavedLocation!]!
     stats: RiderStats!
+    loyaltyPoints: Int!
     createdAt: DateTime!
   }
 
@@ -121,9 +122,11 @@ export const typeDefs = gql`
     updatedAt: DateTime!
     completedAt: DateTime
     estimatedArrival: DateTime
+    scheduledFor: DateTime
   }
 
   enum RescueStatus {
+    scheduled
     pending
     accepted
     driver_enroute
@@ -133,6 +136,7 @@ export const typeDefs = gql`
     cancelled_by_rider
     cancelled_by_driver
     cancelled_by_system
+    failed
   }
 
   type RescueLocation {
@@ -168,6 +172,9 @@ export const typeDefs = gql`
     distance: Float!
     surgeMultiplier: Float!
     discount: Float!
+    promoCode: String
+    loyaltyDiscount: Float
+    loyaltyPointsRedeemed: Int
     tax: Float!
     total: Float!
     driverPayout: Float!
@@ -277,10 +284,22 @@ export const typeDefs = gql`
     driver_enroute
     driver_arrived
     rescue_completed
-    payment_processed
+    rescue_cancelled
+    rescue_reminder
+    payment_received
+    payment_failed
+    payout_processed
+    tip_received
     rating_received
+    message_received
+    document_verified
+    document_rejected
+    account_suspended
     promo_available
+    referral_reward
     system_announcement
+    safety_alert
+    notification_digest
   }
 
   # Inputs
@@ -289,6 +308,7 @@ export const typeDefs = gql`
     dropoffLocation: LocationInput!
     issue: IssueInput!
     ebike: EbikeInput
+    quoteId: String!
   }
 
   input LocationInput {
@@ -390,6 +410,8 @@ export const typeDefs = gql`
     updateRescueStatus(rescueId: ID!, status: RescueStatus!): RescueRequest!
     cancelRescue(rescueId: ID!, reason: String): RescueRequest!
     rateRescue(rescueId: ID!, input: RateRescueInput!): RescueRequest!
+    applyPromoCode(rescueId: ID!, code: String!): RescueRequest!
+    redeemLoyaltyPoints(rescueId: ID!, points: Int!): RescueRequest!
 
     # Driver mutations
     updateDriverLocation(input: UpdateDriverLocationInput!): DriverProfile!
@@ -59,6 +59,17 @@ export class ConflictError extends APIError {
   }
 }
 
+/**
+ * Invalid Status Transition Error
+ */
+export class InvalidStatusTransitionError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot transition from ${from} to ${to}`);
+    this.from = from;
+    this.to = to;
+  }
+}
+
 /**
  * Rate Limit Error
  */
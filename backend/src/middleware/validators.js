@@ -35,6 +35,13 @@ export const signupValidation = [
   body('email').optional().trim().isEmail().withMessage('Invalid email address'),
   body('firstName').optional().trim().isLength({ max: 50 }).withMessage('First name too long'),
   body('lastName').optional().trim().isLength({ max: 50 }).withMessage('Last name too long'),
+  body('referralCode')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .isLength({ max: 20 })
+    .withMessage('Invalid referral code'),
+  body('deviceId').optional().trim().isLength({ max: 200 }).withMessage('Invalid device ID'),
   validate,
 ];
 
@@ -96,6 +103,25 @@ export const createRescueValidation = [
   body('ebike.make').optional().trim(),
   body('ebike.model').optional().trim(),
   body('ebike.color').optional().trim(),
+  body('quoteId').trim().notEmpty().withMessage('A price quote is required'),
+  validate,
+];
+
+export const createQuoteValidation = [
+  body('pickupLocation.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid pickup latitude'),
+  body('pickupLocation.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid pickup longitude'),
+  body('dropoffLocation.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid dropoff latitude'),
+  body('dropoffLocation.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid dropoff longitude'),
+  body('urgentRequest').optional().isBoolean().withMessage('urgentRequest must be a boolean'),
+  body('scheduledFor').optional().isISO8601().withMessage('Invalid scheduled time'),
   validate,
 ];
 
@@ -119,11 +145,272 @@ export const updateRescueStatusValidation = [
   validate,
 ];
 
+export const cancelRescueValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('acceptedFee').optional().isFloat({ min: 0 }).withMessage('Invalid accepted fee'),
+  validate,
+];
+
+export const declineRescueValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  validate,
+];
+
+export const rescheduleRescueValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('scheduledFor').isISO8601().withMessage('Invalid scheduled time'),
+  validate,
+];
+
+export const sendChatMessageValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('messageType')
+    .optional()
+    .isIn(['text', 'image', 'location'])
+    .withMessage('Invalid message type'),
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Message content is required')
+    .isLength({ max: 1000 })
+    .withMessage('Message must be at most 1000 characters'),
+  body('metadata.imageUrl').optional().isURL().withMessage('Invalid image URL'),
+  validate,
+];
+
 export const rateRescueValidation = [
   param('id').isMongoId().withMessage('Invalid rescue request ID'),
   body('score').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('feedback').optional().trim().isLength({ max: 1000 }),
   body('tags').optional().isArray(),
+  body('tags.*')
+    .isIn([
+      'professional',
+      'friendly',
+      'on_time',
+      'careful',
+      'clean_vehicle',
+      'helpful',
+      'safe_driving',
+      'good_communication',
+      'polite',
+      'respectful',
+      'rude',
+      'late',
+      'unsafe',
+      'dirty_vehicle',
+      'poor_communication',
+      'damaged_property',
+    ])
+    .withMessage('Invalid rating tag'),
+  validate,
+];
+
+export const respondToRatingValidation = [
+  param('id').isMongoId().withMessage('Invalid rating ID'),
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Response text is required')
+    .isLength({ max: 1000 })
+    .withMessage('Response must be at most 1000 characters'),
+  validate,
+];
+
+export const reportRatingValidation = [
+  param('id').isMongoId().withMessage('Invalid rating ID'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Report reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  validate,
+];
+
+export const moderateRatingValidation = [
+  param('id').isMongoId().withMessage('Invalid rating ID'),
+  body('action').isIn(['hide', 'dismiss']).withMessage('Action must be hide or dismiss'),
+  validate,
+];
+
+/**
+ * Promo code validators
+ */
+export const applyPromoCodeValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required')
+    .isLength({ max: 50 })
+    .withMessage('Promo code must be at most 50 characters'),
+  validate,
+];
+
+export const createPromoCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3-50 letters, numbers, dashes or underscores'),
+  body('type')
+    .isIn(['percentage', 'fixed_amount', 'free_rescue'])
+    .withMessage('Invalid promo type'),
+  body('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be positive'),
+  body('discountValue')
+    .if(body('type').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('Percentage discount cannot exceed 100'),
+  body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Invalid max discount'),
+  body('minPurchase').optional().isFloat({ min: 0 }).withMessage('Invalid minimum purchase'),
+  body('usageLimit.total')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Total usage limit must be a positive integer'),
+  body('usageLimit.perUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be a positive integer'),
+  body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+  body('validUntil').isISO8601().withMessage('Invalid end date'),
+  body('applicableFor')
+    .optional()
+    .isIn(['all', 'first_time_only', 'returning_only'])
+    .withMessage('Invalid applicableFor value'),
+  validate,
+];
+
+export const updatePromoCodeValidation = [
+  param('id').isMongoId().withMessage('Invalid promo code ID'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be positive'),
+  body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Invalid max discount'),
+  body('minPurchase').optional().isFloat({ min: 0 }).withMessage('Invalid minimum purchase'),
+  body('usageLimit.total')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Total usage limit must be a positive integer'),
+  body('usageLimit.perUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be a positive integer'),
+  body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+  body('validUntil').optional().isISO8601().withMessage('Invalid end date'),
+  body('applicableFor')
+    .optional()
+    .isIn(['all', 'first_time_only', 'returning_only'])
+    .withMessage('Invalid applicableFor value'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  validate,
+];
+
+/**
+ * Loyalty validators
+ */
+export const redeemLoyaltyPointsValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('points').isInt({ min: 1 }).withMessage('Points must be a positive integer'),
+  validate,
+];
+
+/**
+ * Wallet validators
+ */
+export const walletTopUpValidation = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  validate,
+];
+
+export const walletAdjustmentValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .custom((value) => Number(value) !== 0)
+    .withMessage('Amount cannot be zero'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters'),
+  validate,
+];
+
+/**
+ * Stripe webhook event validators
+ */
+export const listWebhookEventsValidation = [
+  query('status')
+    .optional()
+    .isIn(['received', 'processing', 'processed', 'failed', 'ignored'])
+    .withMessage('Invalid webhook event status'),
+  query('type').optional().trim().isLength({ max: 100 }).withMessage('Invalid event type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validate,
+];
+
+export const replayWebhookEventValidation = [
+  param('eventId').matches(/^evt_\w+$/).withMessage('Invalid Stripe event ID'),
+  validate,
+];
+
+export const listDisputesValidation = [
+  query('status')
+    .optional()
+    .isIn([
+      'warning_needs_response',
+      'warning_under_review',
+      'warning_closed',
+      'needs_response',
+      'under_review',
+      'won',
+      'lost',
+    ])
+    .withMessage('Invalid dispute status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validate,
+];
+
+/**
+ * Driver earnings validators
+ */
+export const earningsStatementValidation = [
+  query('period').optional().isIn(['week', 'month']).withMessage('Period must be week or month'),
+  query('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('Format must be json, csv or pdf'),
+  validate,
+];
+
+export const driverEarningsAdjustmentValidation = [
+  param('id').isMongoId().withMessage('Invalid driver ID'),
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .custom((value) => Number(value) !== 0)
+    .withMessage('Amount cannot be zero'),
+  body('kind')
+    .optional()
+    .isIn(['bonus', 'adjustment'])
+    .withMessage('Kind must be bonus or adjustment'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters'),
   validate,
 ];
 
@@ -166,6 +453,59 @@ export const createPaymentValidation = [
   body('rescueRequestId').isMongoId().withMessage('Invalid rescue request ID'),
   body('paymentMethodId').optional().trim().notEmpty().withMessage('Payment method ID is required'),
   body('tip').optional().isFloat({ min: 0 }).withMessage('Invalid tip amount'),
+  body('useBalance').optional().isBoolean().withMessage('useBalance must be a boolean'),
+  validate,
+];
+
+export const tipRescueValidation = [
+  param('id').isMongoId().withMessage('Invalid rescue request ID'),
+  body('tip').isFloat({ min: 0 }).withMessage('Invalid tip amount'),
+  validate,
+];
+
+/**
+ * Notification validators
+ */
+export const registerDeviceTokenValidation = [
+  body('token').trim().notEmpty().withMessage('Device token is required'),
+  body('platform').isIn(['ios', 'android', 'web']).withMessage('Invalid platform'),
+  validate,
+];
+
+export const updateNotificationPreferencesValidation = [
+  body('channels').optional().isObject().withMessage('channels must be an object'),
+  body('channels.*').optional().isBoolean().withMessage('Channel switches must be booleans'),
+  body('types').optional().isObject().withMessage('types must be an object'),
+  body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('quietHours.start')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be HH:mm'),
+  body('quietHours.end')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be HH:mm'),
+  body('quietHours.timezone').optional().isString().withMessage('Invalid time zone'),
+  validate,
+];
+
+export const unregisterDeviceTokenValidation = [
+  param('token').trim().notEmpty().withMessage('Device token is required'),
+  validate,
+];
+
+/**
+ * Surge validators
+ */
+export const surgeOverrideValidation = [
+  param('cellId').matches(/^-?\d+:-?\d+$/).withMessage('Invalid surge cell ID'),
+  body('multiplier').isFloat({ min: 1, max: 5 }).withMessage('Multiplier must be between 1 and 5'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Duration must be 1-1440 minutes'),
+  body('reason').optional().trim().isLength({ max: 500 }),
   validate,
 ];
 
@@ -192,11 +532,35 @@ export default {
   signinValidation,
   verifyPhoneValidation,
   createRescueValidation,
+  createQuoteValidation,
   updateRescueStatusValidation,
+  declineRescueValidation,
+  rescheduleRescueValidation,
+  sendChatMessageValidation,
+  surgeOverrideValidation,
   rateRescueValidation,
+  respondToRatingValidation,
+  reportRatingValidation,
+  moderateRatingValidation,
+  applyPromoCodeValidation,
+  createPromoCodeValidation,
+  updatePromoCodeValidation,
+  redeemLoyaltyPointsValidation,
+  cancelRescueValidation,
+  walletTopUpValidation,
+  walletAdjustmentValidation,
+  listWebhookEventsValidation,
+  replayWebhookEventValidation,
+  listDisputesValidation,
+  earningsStatementValidation,
+  driverEarningsAdjustmentValidation,
   createDriverProfileValidation,
   updateLocationValidation,
   createPaymentValidation,
+  tipRescueValidation,
+  registerDeviceTokenValidation,
+  unregisterDeviceTokenValidation,
+  updateNotificationPreferencesValidation,
   mongoIdValidation,
   paginationValidation,
 };
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Stripe dispute statuses; the 'warning_*' ones are inquiries that don't move funds
+export const DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'warning_closed',
+  'needs_response',
+  'under_review',
+  'won',
+  'lost',
+];
+
+export const OPEN_DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'needs_response',
+  'under_review',
+];
+
+const disputeSchema = new Schema(
+  {
+    stripeDisputeId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    paymentRecordId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PaymentRecord',
+      required: true,
+      index: true,
+    },
+    rescueRequestId: {
+      type: Schema.Types.ObjectId,
+      ref: 'RescueRequest',
+      index: true,
+    },
+    riderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    stripeChargeId: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'usd',
+      uppercase: true,
+    },
+    reason: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES,
+      required: true,
+    },
+    evidenceDueBy: {
+      type: Date,
+    },
+    evidence: {
+      collectedAt: Date,
+      submittedAt: Date,
+      // Evidence fields as sent to Stripe
+      fields: Schema.Types.Mixed,
+      fileIds: [String],
+      error: String,
+    },
+    closedAt: {
+      type: Date,
+    },
+    // Driver's share of a lost dispute, recovered from their next payouts
+    clawback: {
+      amount: {
+        type: Number,
+        default: 0,
+      },
+      recovered: {
+        type: Number,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'partial', 'recovered', 'waived'],
+        default: 'none',
+      },
+      deductions: [
+        {
+          payoutBatchId: {
+            type: Schema.Types.ObjectId,
+            ref: 'PayoutBatch',
+          },
+          amount: Number,
+          deductedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ driverId: 1, 'clawback.status': 1, createdAt: 1 });
+disputeSchema.index({ 'clawback.deductions.payoutBatchId': 1 });
+
+// Virtuals
+disputeSchema.virtual('isOpen').get(function () {
+  return OPEN_DISPUTE_STATUSES.includes(this.status);
+});
+
+disputeSchema.virtual('clawbackOutstanding').get(function () {
+  return Math.round((this.clawback.amount - this.clawback.recovered) * 100) / 100;
+});
+
+// Static methods
+disputeSchema.statics.findOutstandingClawbacks = function (driverId) {
+  return this.find({
+    driverId,
+    'clawback.status': { $in: ['pending', 'partial'] },
+  }).sort({ createdAt: 1 });
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
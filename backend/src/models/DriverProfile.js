@@ -185,6 +185,10 @@ const driverProfileSchema = new Schema(
         type: Boolean,
         default: true,
       },
+      notifyByEmail: {
+        type: Boolean,
+        default: true,
+      },
       notifyByPush: {
         type: Boolean,
         default: true,
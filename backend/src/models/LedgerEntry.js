@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const ledgerEntrySchema = new Schema(
+  {
+    // Entries posted together share a transaction ID; debits and credits must balance
+    transactionId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // 'wallet:<userId>' for rider balances, 'platform:<name>' for platform accounts
+    account: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    direction: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'usd',
+      uppercase: true,
+    },
+    type: {
+      type: String,
+      enum: ['topup', 'rescue_payment', 'refund', 'reward', 'adjustment'],
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    paymentRecordId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PaymentRecord',
+      index: true,
+    },
+    rescueRequestId: {
+      type: Schema.Types.ObjectId,
+      ref: 'RescueRequest',
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    // Written before the user's stored balance moves and cleared once it has
+    balancePending: {
+      type: Boolean,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Each account appears once per transaction, which makes reposting a transaction fail
+ledgerEntrySchema.index({ transactionId: 1, account: 1 }, { unique: true });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+// Static methods
+ledgerEntrySchema.statics.postTransaction = function (transactionId, entries) {
+  const total = (direction) =>
+    entries
+      .filter((entry) => entry.direction === direction)
+      .reduce((sum, entry) => sum + Math.round(entry.amount * 100), 0);
+
+  if (entries.length < 2 || total('debit') !== total('credit')) {
+    throw new Error(`Unbalanced ledger transaction ${transactionId}`);
+  }
+
+  return this.insertMany(
+    entries.map((entry) => ({ ...entry, transactionId })),
+    { ordered: true }
+  );
+};
+
+ledgerEntrySchema.statics.getAccountBalance = async function (account) {
+  const [result] = await this.aggregate([
+    { $match: { account } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+      },
+    },
+  ]);
+
+  return result ? Math.round((result.credits - result.debits) * 100) / 100 : 0;
+};
+
+ledgerEntrySchema.statics.findByAccount = function (account, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ account }).sort({ createdAt: -1 }).skip(skip).limit(limit);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
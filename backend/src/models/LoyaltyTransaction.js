@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const loyaltyTransactionSchema = new Schema(
+  {
+    riderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ['earn', 'redeem', 'restore', 'reverse', 'adjustment'],
+      required: true,
+    },
+    // Signed change to the rider's balance
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+    },
+    rescueRequestId: {
+      type: Schema.Types.ObjectId,
+      ref: 'RescueRequest',
+      index: true,
+    },
+    paymentRecordId: {
+      type: Schema.Types.ObjectId,
+      ref: 'PaymentRecord',
+    },
+    tier: {
+      type: String,
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    // One entry per business event, so retried jobs and webhooks can't double-apply points
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+loyaltyTransactionSchema.index({ riderId: 1, createdAt: -1 });
+
+// Static methods
+loyaltyTransactionSchema.statics.findByRider = function (riderId, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ riderId }).sort({ createdAt: -1 }).skip(skip).limit(limit);
+};
+
+loyaltyTransactionSchema.statics.sumForRescue = async function (rescueRequestId, type) {
+  const [result] = await this.aggregate([
+    { $match: { rescueRequestId, type } },
+    { $group: { _id: null, points: { $sum: '$points' } } },
+  ]);
+
+  return result?.points || 0;
+};
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
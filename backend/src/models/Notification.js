@@ -2,6 +2,16 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+// Set when a send was skipped on purpose rather than attempted
+const suppressionFields = {
+  suppressed: Boolean,
+  suppressedReason: {
+    type: String,
+    enum: ['duplicate', 'rate_limited', 'sms_budget'],
+  },
+  suppressedAt: Date,
+};
+
 const notificationSchema = new Schema(
   {
     userId: {
@@ -19,16 +29,21 @@ const notificationSchema = new Schema(
         'driver_arrived',
         'rescue_completed',
         'rescue_cancelled',
+        'rescue_reminder',
         'payment_received',
         'payment_failed',
         'payout_processed',
+        'tip_received',
         'rating_received',
         'message_received',
         'document_verified',
         'document_rejected',
         'account_suspended',
         'promo_available',
+        'referral_reward',
         'system_announcement',
+        'safety_alert',
+        'notification_digest',
       ],
       required: true,
       index: true,
@@ -65,6 +80,7 @@ const notificationSchema = new Schema(
         sentAt: Date,
         messageId: String,
         error: String,
+        ...suppressionFields,
       },
       sms: {
         sent: {
@@ -74,6 +90,7 @@ const notificationSchema = new Schema(
         sentAt: Date,
         messageId: String,
         error: String,
+        ...suppressionFields,
       },
       email: {
         sent: {
@@ -83,6 +100,12 @@ const notificationSchema = new Schema(
         sentAt: Date,
         messageId: String,
         error: String,
+        // Delivery attempts made by the email queue
+        attempts: Number,
+        // The mail server rejected the address permanently
+        bounced: Boolean,
+        bouncedAt: Date,
+        ...suppressionFields,
       },
       inApp: {
         sent: {
@@ -101,6 +124,25 @@ const notificationSchema = new Schema(
       enum: ['low', 'normal', 'high', 'urgent'],
       default: 'normal',
     },
+    // Held during the user's quiet hours and delivered later as part of a digest
+    digest: {
+      // Channels it would have gone out on
+      channels: [
+        {
+          type: String,
+          enum: ['push', 'sms', 'email'],
+        },
+      ],
+      sentAt: Date,
+      digestId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Notification',
+      },
+    },
+    // Repeats of the same key for a user within the dedupe window aren't sent again
+    dedupeKey: {
+      type: String,
+    },
     expiresAt: {
       type: Date,
     },
@@ -154,6 +196,17 @@ notificationSchema.methods.markChannelAsSent = function (channel, messageId = nu
   return this.save();
 };
 
+// Records the skipped send without saving; callers save once after all channels are decided
+notificationSchema.methods.markChannelSuppressed = function (channel, reason) {
+  if (this.channels[channel]) {
+    this.channels[channel].sent = false;
+    this.channels[channel].suppressed = true;
+    this.channels[channel].suppressedReason = reason;
+    this.channels[channel].suppressedAt = new Date();
+  }
+  return this;
+};
+
 // Static methods
 notificationSchema.statics.findUnread = function (userId) {
   return this.find({
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A user's choice for one notification type; unset channels follow the type's default
+const channelChoiceSchema = new Schema(
+  {
+    push: Boolean,
+    sms: Boolean,
+    email: Boolean,
+  },
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Keyed by Notification.type
+    types: {
+      type: Map,
+      of: channelChoiceSchema,
+      default: {},
+    },
+    // Push, SMS and email wait for a digest during quiet hours unless the message is urgent
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Local wall-clock times, HH:mm; the window may wrap past midnight
+      start: {
+        type: String,
+        default: '22:00',
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+      // IANA time zone name
+      timezone: {
+        type: String,
+        default: 'UTC',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const NotificationPreference = mongoose.model(
+  'NotificationPreference',
+  notificationPreferenceSchema
+);
+
+export default NotificationPreference;
@@ -7,13 +7,19 @@ const paymentRecordSchema = new Schema(
     rescueRequestId: {
       type: Schema.Types.ObjectId,
       ref: 'RescueRequest',
-      required: true,
+      // Wallet top-ups and balance adjustments aren't tied to a rescue
+      required: function () {
+        return !['topup', 'adjustment'].includes(this.type);
+      },
       index: true,
     },
     riderId: {
       type: Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      // Driver bonuses and earnings adjustments have no rider
+      required: function () {
+        return !(this.type === 'adjustment' && this.driverId);
+      },
       index: true,
     },
     driverId: {
@@ -23,12 +29,12 @@ const paymentRecordSchema = new Schema(
     },
     type: {
       type: String,
-      enum: ['charge', 'refund', 'payout', 'adjustment'],
+      enum: ['charge', 'refund', 'payout', 'adjustment', 'topup'],
       required: true,
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'succeeded', 'failed', 'cancelled', 'refunded'],
+      enum: ['pending', 'processing', 'authorized', 'succeeded', 'failed', 'cancelled', 'refunded'],
       default: 'pending',
       index: true,
     },
@@ -63,6 +69,12 @@ const paymentRecordSchema = new Schema(
       discount: Number,
       total: Number,
     },
+    // Card hold placed before the rescue starts and captured when it completes
+    authorization: {
+      amount: Number,
+      authorizedAt: Date,
+      releasedAt: Date,
+    },
     refund: {
       amount: Number,
       reason: String,
@@ -77,6 +89,22 @@ const paymentRecordSchema = new Schema(
       },
       paidAt: Date,
       stripePayoutId: String,
+      // Weekly batch that transferred this share
+      batchId: {
+        type: Schema.Types.ObjectId,
+        ref: 'PayoutBatch',
+      },
+    },
+    // Chargeback filed against this charge; the full record is a Dispute
+    dispute: {
+      disputeId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Dispute',
+      },
+      status: String,
+      amount: Number,
+      openedAt: Date,
+      closedAt: Date,
     },
     failureReason: {
       code: String,
@@ -91,6 +119,10 @@ const paymentRecordSchema = new Schema(
     receiptUrl: {
       type: String,
     },
+    // Set on the balance payment currently applied to a rescue; unique per rescue
+    balanceClaim: {
+      type: Boolean,
+    },
     notes: {
       type: String,
     },
@@ -112,6 +144,13 @@ paymentRecordSchema.index({ driverId: 1, createdAt: -1 });
 paymentRecordSchema.index({ status: 1, createdAt: -1 });
 paymentRecordSchema.index({ 'stripe.paymentIntentId': 1 });
 paymentRecordSchema.index({ 'stripe.chargeId': 1 });
+paymentRecordSchema.index({ driverId: 1, processedAt: -1 });
+paymentRecordSchema.index({ 'payout.status': 1, driverId: 1 });
+paymentRecordSchema.index({ 'payout.batchId': 1 }, { sparse: true });
+paymentRecordSchema.index(
+  { rescueRequestId: 1 },
+  { unique: true, partialFilterExpression: { balanceClaim: true } }
+);
 
 // Virtuals
 paymentRecordSchema.virtual('rescueRequest', {
@@ -138,7 +177,7 @@ paymentRecordSchema.virtual('driver', {
 // Instance methods - use atomic updates to prevent race conditions
 paymentRecordSchema.methods.markAsSucceeded = function (stripeData = {}) {
   // Validate state transition
-  const validFromStates = ['pending', 'processing'];
+  const validFromStates = ['pending', 'processing', 'authorized'];
   if (!validFromStates.includes(this.status)) {
     throw new Error(`Cannot mark as succeeded from status: ${this.status}`);
   }
@@ -174,7 +213,7 @@ paymentRecordSchema.methods.markAsSucceeded = function (stripeData = {}) {
 
 paymentRecordSchema.methods.markAsFailed = function (errorCode, errorMessage) {
   // Validate state transition
-  const validFromStates = ['pending', 'processing'];
+  const validFromStates = ['pending', 'processing', 'authorized'];
   if (!validFromStates.includes(this.status)) {
     throw new Error(`Cannot mark as failed from status: ${this.status}`);
   }
@@ -202,6 +241,63 @@ paymentRecordSchema.methods.markAsFailed = function (errorCode, errorMessage) {
   });
 };
 
+paymentRecordSchema.methods.markAsAuthorized = function (amount) {
+  const validFromStates = ['pending', 'processing'];
+  if (!validFromStates.includes(this.status)) {
+    throw new Error(`Cannot mark as authorized from status: ${this.status}`);
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: validFromStates },
+    },
+    {
+      $set: {
+        status: 'authorized',
+        'authorization.amount': amount ?? this.amount,
+        'authorization.authorizedAt': new Date(),
+      },
+    },
+    { new: true }
+  ).then((doc) => {
+    if (!doc) {
+      throw new Error('Payment record state transition failed - invalid current state');
+    }
+    Object.assign(this, doc.toObject());
+    return this;
+  });
+};
+
+paymentRecordSchema.methods.markAsCancelled = function () {
+  // A hold that was never captured can be released
+  const validFromStates = ['pending', 'processing', 'authorized'];
+  if (!validFromStates.includes(this.status)) {
+    throw new Error(`Cannot cancel payment with status: ${this.status}`);
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: validFromStates },
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        'authorization.releasedAt': new Date(),
+        processedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).then((doc) => {
+    if (!doc) {
+      throw new Error('Payment record state transition failed - invalid current state');
+    }
+    Object.assign(this, doc.toObject());
+    return this;
+  });
+};
+
 paymentRecordSchema.methods.processRefund = function (amount, reason) {
   // Can only refund succeeded payments
   if (this.status !== 'succeeded') {
@@ -231,6 +327,37 @@ paymentRecordSchema.methods.processRefund = function (amount, reason) {
   });
 };
 
+// Instance method to record a partial refund on top of earlier ones - only succeeds if no other
+// refund was recorded since this document was read
+paymentRecordSchema.methods.addRefund = function (amount, reason) {
+  const refunded = this.refund?.amount || 0;
+
+  return this.constructor
+    .findOneAndUpdate(
+      {
+        _id: this._id,
+        status: { $in: ['succeeded', 'refunded'] },
+        'refund.amount': refunded || { $in: [null, 0] },
+      },
+      {
+        $set: {
+          status: 'refunded',
+          'refund.amount': Math.round((refunded + amount) * 100) / 100,
+          'refund.reason': reason,
+          'refund.refundedAt': new Date(),
+        },
+      },
+      { new: true }
+    )
+    .then((doc) => {
+      if (!doc) {
+        throw new Error('Payment record state transition failed - refund already recorded');
+      }
+      Object.assign(this, doc.toObject());
+      return this;
+    });
+};
+
 paymentRecordSchema.methods.processPayout = function (amount, stripePayoutId) {
   return this.constructor.findOneAndUpdate(
     { _id: this._id },
@@ -269,11 +396,14 @@ paymentRecordSchema.statics.findByDriver = function (driverId, status = null) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
-paymentRecordSchema.statics.findPendingPayouts = function () {
+// Driver shares waiting for a payout batch, optionally for one driver and settled before a cutoff
+paymentRecordSchema.statics.findPendingPayouts = function (driverId = null, cutoff = null) {
   return this.find({
-    type: 'payout',
     'payout.status': 'pending',
-  }).sort({ createdAt: 1 });
+    'payout.batchId': { $exists: false },
+    ...(driverId && { driverId }),
+    ...(cutoff && { processedAt: { $lt: cutoff } }),
+  }).sort({ processedAt: 1 });
 };
 
 paymentRecordSchema.statics.getTotalRevenue = async function (startDate, endDate) {
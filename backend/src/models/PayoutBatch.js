@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const payoutBatchSchema = new Schema(
+  {
+    driverId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // 'instant' batches are driver-requested cash-outs
+    type: {
+      type: String,
+      enum: ['weekly', 'instant'],
+      default: 'weekly',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'paid', 'failed'],
+      default: 'pending',
+    },
+    // PaymentRecords whose driver share this batch pays out
+    paymentRecordIds: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'PaymentRecord',
+      },
+    ],
+    // Sum of the included driver shares
+    grossAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Held back to recover lost disputes
+    clawbackAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Instant cash-out fee kept by the platform
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    // Amount transferred to the driver
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'usd',
+      uppercase: true,
+    },
+    // Earnings settled before this time were eligible for the batch
+    cutoff: {
+      type: Date,
+      required: true,
+    },
+    stripeTransferId: {
+      type: String,
+    },
+    // Instant payout from the driver's connected account to their card
+    stripePayoutId: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+payoutBatchSchema.index({ driverId: 1, createdAt: -1 });
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ driverId: 1, type: 1, createdAt: -1 });
+payoutBatchSchema.index({ stripeTransferId: 1 }, { sparse: true });
+
+// Static methods
+payoutBatchSchema.statics.findByDriver = function (driverId, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ driverId })
+    .select('-paymentRecordIds')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
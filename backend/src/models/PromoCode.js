@@ -67,6 +67,12 @@ const promoCodeSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Personal codes (e.g. referral rewards) can only be redeemed by this user
+    restrictedTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     usedBy: [
       {
         userId: {
@@ -114,6 +120,8 @@ promoCodeSchema.methods.isValid = function () {
 promoCodeSchema.methods.canUserUse = function (userId) {
   if (!this.isValid()) return false;
 
+  if (this.restrictedTo && this.restrictedTo.toString() !== userId.toString()) return false;
+
   const userUsages = this.usedBy.filter(
     (usage) => usage.userId.toString() === userId.toString()
   );
@@ -22,6 +22,13 @@ const ratingSchema = new Schema(
       required: true,
       index: true,
     },
+    // Which profile aggregate this rating counts towards. Ratings from before this field
+    // existed get it from the rescue the first time they're used (see resolveRecipientRole).
+    recipientRole: {
+      type: String,
+      enum: ['rider', 'driver'],
+      required: true,
+    },
     score: {
       type: Number,
       required: true,
@@ -73,10 +80,20 @@ const ratingSchema = new Schema(
         default: false,
       },
       reportReason: String,
+      reportedAt: Date,
       isHidden: {
         type: Boolean,
         default: false,
       },
+      reviewedAt: Date,
+      reviewedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      resolution: {
+        type: String,
+        enum: ['hidden', 'dismissed'],
+      },
     },
     metadata: {
       type: Map,
@@ -94,6 +111,7 @@ const ratingSchema = new Schema(
 ratingSchema.index({ fromUserId: 1, rescueRequestId: 1 }, { unique: true });
 ratingSchema.index({ toUserId: 1, createdAt: -1 });
 ratingSchema.index({ score: 1 });
+ratingSchema.index({ 'flags.isReported': 1, 'flags.reviewedAt': 1, 'flags.reportedAt': 1 });
 
 // Virtuals
 ratingSchema.virtual('rescueRequest', {
@@ -117,7 +135,33 @@ ratingSchema.virtual('toUser', {
   justOne: true,
 });
 
+// Fill in recipientRole on older ratings so they still validate when saved
+ratingSchema.pre('validate', async function (next) {
+  try {
+    await this.resolveRecipientRole();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Instance methods
+/**
+ * The recipient's role, derived from the rescue for ratings saved without one
+ */
+ratingSchema.methods.resolveRecipientRole = async function () {
+  if (!this.recipientRole) {
+    const rescue = await mongoose
+      .model('RescueRequest')
+      .findById(this.rescueRequestId)
+      .select('driverId');
+
+    this.recipientRole = rescue?.driverId?.equals(this.toUserId) ? 'driver' : 'rider';
+  }
+
+  return this.recipientRole;
+};
+
 ratingSchema.methods.addResponse = function (responseText) {
   this.response = {
     text: responseText,
@@ -129,6 +173,7 @@ ratingSchema.methods.addResponse = function (responseText) {
 ratingSchema.methods.report = function (reason) {
   this.flags.isReported = true;
   this.flags.reportReason = reason;
+  this.flags.reportedAt = new Date();
   return this.save();
 };
 
@@ -137,17 +182,37 @@ ratingSchema.methods.hide = function () {
   return this.save();
 };
 
+ratingSchema.methods.resolveReport = function (resolution, adminId) {
+  this.flags.resolution = resolution;
+  this.flags.reviewedAt = new Date();
+  this.flags.reviewedBy = adminId;
+  if (resolution === 'hidden') {
+    this.flags.isHidden = true;
+  }
+  return this.save();
+};
+
 // Static methods
 ratingSchema.statics.findByUser = function (userId, filters = {}) {
   const query = { toUserId: userId, 'flags.isHidden': false, ...filters };
   return this.find(query).sort({ createdAt: -1 });
 };
 
+ratingSchema.statics.findReported = function (page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+
+  return this.find({ 'flags.isReported': true, 'flags.reviewedAt': { $exists: false } })
+    .sort({ 'flags.reportedAt': 1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('fromUserId toUserId', 'firstName lastName role');
+};
+
 ratingSchema.statics.getAverageRating = async function (userId) {
   const result = await this.aggregate([
     {
       $match: {
-        toUserId: mongoose.Types.ObjectId(userId),
+        toUserId: new mongoose.Types.ObjectId(userId),
         'flags.isHidden': false,
       },
     },
@@ -167,7 +232,7 @@ ratingSchema.statics.getRatingDistribution = async function (userId) {
   const result = await this.aggregate([
     {
       $match: {
-        toUserId: mongoose.Types.ObjectId(userId),
+        toUserId: new mongoose.Types.ObjectId(userId),
         'flags.isHidden': false,
       },
     },
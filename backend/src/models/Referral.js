@@ -40,6 +40,20 @@ const referralSchema = new Schema(
           type: Number,
           default: 0,
         },
+        rewardType: {
+          type: String,
+          enum: ['balance', 'promo_code'],
+        },
+        rewardedAt: {
+          type: Date,
+        },
+        // Signup fingerprints used to spot repeat referrals from one person
+        deviceId: {
+          type: String,
+        },
+        phoneFingerprint: {
+          type: String,
+        },
       },
     ],
     stats: {
@@ -85,6 +99,9 @@ const referralSchema = new Schema(
 // Indexes
 referralSchema.index({ referralCode: 1 });
 referralSchema.index({ referrerId: 1, isActive: 1 });
+referralSchema.index({ 'referredUsers.userId': 1 });
+referralSchema.index({ 'referredUsers.deviceId': 1 }, { sparse: true });
+referralSchema.index({ 'referredUsers.phoneFingerprint': 1 }, { sparse: true });
 
 // Virtual for referrer
 referralSchema.virtual('referrer', {
@@ -95,7 +112,7 @@ referralSchema.virtual('referrer', {
 });
 
 // Instance methods
-referralSchema.methods.addReferral = function (userId) {
+referralSchema.methods.addReferral = function (userId, { deviceId, phoneFingerprint } = {}) {
   const existing = this.referredUsers.find(
     (ref) => ref.userId.toString() === userId.toString()
   );
@@ -107,6 +124,8 @@ referralSchema.methods.addReferral = function (userId) {
   this.referredUsers.push({
     userId,
     referredAt: new Date(),
+    deviceId,
+    phoneFingerprint,
   });
 
   this.stats.totalReferred += 1;
@@ -114,44 +133,30 @@ referralSchema.methods.addReferral = function (userId) {
   return this.save();
 };
 
-referralSchema.methods.markRescueCompleted = async function (userId) {
-  const referral = this.referredUsers.find(
-    (ref) => ref.userId.toString() === userId.toString()
+// Atomically mark the referred user's first rescue so the reward is only granted once.
+// Resolves true when this call made the change.
+referralSchema.methods.markRescueCompleted = async function (userId, rewardType) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      referredUsers: { $elemMatch: { userId, firstRescueCompleted: false } },
+    },
+    {
+      $set: {
+        'referredUsers.$.firstRescueCompleted': true,
+        'referredUsers.$.rewardEarned': true,
+        'referredUsers.$.rewardAmount': this.rewards.referrerBonus,
+        'referredUsers.$.rewardType': rewardType,
+        'referredUsers.$.rewardedAt': new Date(),
+      },
+      $inc: {
+        'stats.totalCompleted': 1,
+        'stats.totalEarned': this.rewards.referrerBonus,
+      },
+    }
   );
 
-  if (!referral) {
-    throw new Error('Referral not found');
-  }
-
-  if (referral.firstRescueCompleted) {
-    return this; // Already marked
-  }
-
-  referral.firstRescueCompleted = true;
-  referral.rewardEarned = true;
-  referral.rewardAmount = this.rewards.referrerBonus;
-
-  this.stats.totalCompleted += 1;
-  this.stats.totalEarned += this.rewards.referrerBonus;
-
-  await this.save();
-
-  // Credit referrer's account
-  const { User } = await import('./index.js');
-  const referrer = await User.findById(this.referrerId);
-  if (referrer) {
-    referrer.balance += this.rewards.referrerBonus;
-    await referrer.save();
-  }
-
-  // Credit referee's account
-  const referee = await User.findById(userId);
-  if (referee) {
-    referee.balance += this.rewards.refereeBonus;
-    await referee.save();
-  }
-
-  return this;
+  return result.modifiedCount > 0;
 };
 
 // Static methods
@@ -163,6 +168,13 @@ referralSchema.statics.findByReferrer = function (referrerId) {
   return this.findOne({ referrerId, isActive: true });
 };
 
+// Referral whose reward for this referred user hasn't been credited yet
+referralSchema.statics.findPendingForUser = function (userId) {
+  return this.findOne({
+    referredUsers: { $elemMatch: { userId, firstRescueCompleted: false } },
+  });
+};
+
 referralSchema.statics.generateCode = function () {
   return crypto.randomBytes(4).toString('hex').toUpperCase();
 };
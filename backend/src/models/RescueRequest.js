@@ -1,7 +1,79 @@
 import mongoose from 'mongoose';
+import { InvalidStatusTransitionError } from '../middleware/errorHandler.js';
 
 const { Schema } = mongoose;
 
+/**
+ * Allowed status transitions - the single source of truth for the rescue lifecycle
+ */
+export const RESCUE_STATUS_TRANSITIONS = {
+  scheduled: ['pending', 'cancelled_by_rider', 'cancelled_by_system'],
+  pending: ['accepted', 'cancelled_by_rider', 'cancelled_by_system', 'failed'],
+  accepted: [
+    'driver_enroute',
+    'cancelled_by_rider',
+    'cancelled_by_driver',
+    'cancelled_by_system',
+    'failed',
+  ],
+  driver_enroute: [
+    'driver_arrived',
+    'cancelled_by_rider',
+    'cancelled_by_driver',
+    'cancelled_by_system',
+    'failed',
+  ],
+  driver_arrived: ['in_progress', 'cancelled_by_system', 'failed'],
+  in_progress: ['completed', 'failed'],
+  completed: [],
+  cancelled_by_rider: [],
+  cancelled_by_driver: [],
+  cancelled_by_system: [],
+  failed: [],
+};
+
+export const RESCUE_STATUSES = Object.keys(RESCUE_STATUS_TRANSITIONS);
+
+export const TERMINAL_RESCUE_STATUSES = RESCUE_STATUSES.filter(
+  (status) => RESCUE_STATUS_TRANSITIONS[status].length === 0
+);
+
+// Statuses where the rider can still change the price with promo codes or loyalty points
+export const REPRICEABLE_RESCUE_STATUSES = ['scheduled', 'pending'];
+
+// Timestamp recorded when a rescue enters a status
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  driver_arrived: 'pickedUpAt',
+  completed: 'completedAt',
+  cancelled_by_rider: 'cancelledAt',
+  cancelled_by_driver: 'cancelledAt',
+  cancelled_by_system: 'cancelledAt',
+};
+
+export const canTransition = (from, to) =>
+  Boolean(RESCUE_STATUS_TRANSITIONS[from]?.includes(to));
+
+/**
+ * Who may move a rescue into each status by setting it directly. Drivers accept through
+ * dispatch and riders cancel through the cancellation flow, so those aren't listed for them.
+ */
+export const RESCUE_STATUS_ACTORS = {
+  pending: ['admin'],
+  accepted: ['admin'],
+  driver_enroute: ['driver', 'admin'],
+  driver_arrived: ['driver', 'admin'],
+  in_progress: ['driver', 'admin'],
+  completed: ['driver', 'admin'],
+  cancelled_by_rider: ['admin'],
+  cancelled_by_driver: ['driver', 'admin'],
+  cancelled_by_system: ['admin'],
+  failed: ['driver', 'admin'],
+};
+
+export const canSetStatus = (status, actor) =>
+  Boolean(RESCUE_STATUS_ACTORS[status]?.includes(actor));
+
 const rescueRequestSchema = new Schema(
   {
     riderId: {
@@ -17,18 +89,7 @@ const rescueRequestSchema = new Schema(
     },
     status: {
       type: String,
-      enum: [
-        'pending', // Waiting for driver
-        'accepted', // Driver accepted
-        'driver_enroute', // Driver on the way
-        'driver_arrived', // Driver at pickup location
-        'in_progress', // E-bike loaded, heading to destination
-        'completed', // Successfully delivered
-        'cancelled_by_rider',
-        'cancelled_by_driver',
-        'cancelled_by_system',
-        'failed',
-      ],
+      enum: RESCUE_STATUSES,
       default: 'pending',
       index: true,
     },
@@ -130,6 +191,18 @@ const rescueRequestSchema = new Schema(
         type: Number,
         default: 0,
       },
+      promoCode: {
+        type: String,
+        default: null,
+      },
+      loyaltyDiscount: {
+        type: Number,
+        default: 0,
+      },
+      loyaltyPointsRedeemed: {
+        type: Number,
+        default: 0,
+      },
       subtotal: {
         type: Number,
         required: true,
@@ -180,9 +253,41 @@ const rescueRequestSchema = new Schema(
           },
           coordinates: [Number],
         },
+        driverId: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
         notes: String,
       },
     ],
+    dispatch: {
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      currentOffer: {
+        driverId: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        offeredAt: Date,
+        expiresAt: Date,
+      },
+      offeredDriverIds: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      declinedDriverIds: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      startedAt: Date,
+      exhaustedAt: Date,
+    },
     driverRoute: {
       type: {
         type: String,
@@ -193,6 +298,21 @@ const rescueRequestSchema = new Schema(
     scheduledFor: {
       type: Date,
     },
+    scheduling: {
+      releaseAt: Date, // When the rescue enters dispatch
+      releasedAt: Date,
+      reminderAt: Date,
+      freeCancellationUntil: Date,
+      rescheduleCount: {
+        type: Number,
+        default: 0,
+      },
+      // Bumped on every reschedule so stale delayed jobs can be ignored
+      version: {
+        type: Number,
+        default: 0,
+      },
+    },
     acceptedAt: {
       type: Date,
     },
@@ -211,6 +331,17 @@ const rescueRequestSchema = new Schema(
     cancellationReason: {
       type: String,
     },
+    // Set when a rider cancels late enough for the cancellation policy to charge
+    cancellationFee: {
+      amount: Number,
+      driverCompensation: Number,
+      policy: String,
+      paymentRecordId: {
+        type: Schema.Types.ObjectId,
+        ref: 'PaymentRecord',
+      },
+      chargedAt: Date,
+    },
     rating: {
       byRider: {
         score: {
@@ -286,9 +417,16 @@ rescueRequestSchema.virtual('driver', {
 });
 
 // Instance methods
+rescueRequestSchema.methods.canTransitionTo = function (newStatus) {
+  return canTransition(this.status, newStatus);
+};
+
+rescueRequestSchema.methods.isTerminal = function () {
+  return TERMINAL_RESCUE_STATUSES.includes(this.status);
+};
+
 rescueRequestSchema.methods.canBeCancelled = function () {
-  const cancellableStatuses = ['pending', 'accepted', 'driver_enroute'];
-  return cancellableStatuses.includes(this.status);
+  return this.canTransitionTo('cancelled_by_rider') || this.canTransitionTo('cancelled_by_driver');
 };
 
 rescueRequestSchema.methods.addTimelineEvent = function (status, notes, location) {
@@ -301,54 +439,45 @@ rescueRequestSchema.methods.addTimelineEvent = function (status, notes, location
   return this.save();
 };
 
-rescueRequestSchema.methods.accept = function (driverId) {
-  this.driverId = driverId;
-  this.status = 'accepted';
-  this.acceptedAt = new Date();
+/**
+ * Move to a new status; the pre-save hook validates it and applies timestamps
+ */
+rescueRequestSchema.methods.transitionTo = function (newStatus, { notes, location, driverId } = {}) {
+  if (!this.canTransitionTo(newStatus)) {
+    throw new InvalidStatusTransitionError(this.status, newStatus);
+  }
+
+  this.status = newStatus;
   this.timeline.push({
-    status: 'accepted',
+    status: newStatus,
+    notes,
+    location,
+    driverId,
     timestamp: new Date(),
   });
+
   return this.save();
 };
 
-rescueRequestSchema.methods.cancel = function (cancelledBy, reason) {
-  this.status = `cancelled_by_${cancelledBy}`;
-  this.cancelledAt = new Date();
+rescueRequestSchema.methods.accept = function (driverId) {
+  this.driverId = driverId;
+  return this.transitionTo('accepted', { driverId });
+};
+
+rescueRequestSchema.methods.cancel = function (cancelledBy, reason, fee = null) {
   this.cancellationReason = reason;
-  this.timeline.push({
-    status: this.status,
-    notes: reason,
-    timestamp: new Date(),
-  });
-  return this.save();
+  if (fee?.amount > 0) {
+    this.cancellationFee = fee;
+  }
+  return this.transitionTo(`cancelled_by_${cancelledBy}`, { notes: reason });
 };
 
 rescueRequestSchema.methods.complete = function () {
-  this.status = 'completed';
-  this.completedAt = new Date();
-  this.duration.actual = Math.round((this.completedAt - this.createdAt) / 1000 / 60); // minutes
-  this.timeline.push({
-    status: 'completed',
-    timestamp: new Date(),
-  });
-  return this.save();
+  return this.transitionTo('completed');
 };
 
 rescueRequestSchema.methods.updateStatus = function (newStatus, notes) {
-  this.status = newStatus;
-  this.timeline.push({
-    status: newStatus,
-    notes,
-    timestamp: new Date(),
-  });
-
-  // Update specific timestamps
-  if (newStatus === 'driver_arrived') {
-    this.pickedUpAt = new Date();
-  }
-
-  return this.save();
+  return this.transitionTo(newStatus, { notes });
 };
 
 // Static methods
@@ -393,22 +522,60 @@ rescueRequestSchema.statics.findNearby = function (longitude, latitude, maxDista
   });
 };
 
-// Pre-save hook to add timeline event on status change
+// Remember the persisted status so transitions can be validated on save
+rescueRequestSchema.post('init', function () {
+  this.$locals.previousStatus = this.status;
+});
+
+// Pre-save hook to enforce the transition table and apply per-status effects
 rescueRequestSchema.pre('save', function (next) {
-  if (this.isModified('status') && !this.isNew) {
-    const existingEvent = this.timeline.find(
-      (event) => event.status === this.status && Date.now() - event.timestamp < 1000
-    );
-    if (!existingEvent) {
-      this.timeline.push({
-        status: this.status,
-        timestamp: new Date(),
-      });
-    }
+  if (!this.isModified('status') || this.isNew) {
+    return next();
   }
+
+  const previousStatus = this.$locals.previousStatus;
+  if (previousStatus && previousStatus !== this.status && !canTransition(previousStatus, this.status)) {
+    return next(new InvalidStatusTransitionError(previousStatus, this.status));
+  }
+
+  const now = new Date();
+  const timestampField = STATUS_TIMESTAMPS[this.status];
+  if (timestampField && !this[timestampField]) {
+    this[timestampField] = now;
+  }
+
+  if (this.status === 'completed') {
+    this.duration.actual = Math.round((this.completedAt - this.createdAt) / 1000 / 60); // minutes
+  }
+
+  const existingEvent = this.timeline.find(
+    (event) => event.status === this.status && now - event.timestamp < 1000
+  );
+  if (!existingEvent) {
+    this.timeline.push({
+      status: this.status,
+      timestamp: now,
+    });
+  }
+
   next();
 });
 
+// Fire transition side effects (notifications, payments) once the change is persisted
+rescueRequestSchema.post('save', async function (doc) {
+  const previousStatus = doc.$locals.previousStatus;
+  doc.$locals.previousStatus = doc.status;
+
+  if (!previousStatus || previousStatus === doc.status) {
+    return;
+  }
+
+  const { default: rescueLifecycleService } = await import(
+    '../services/rescueLifecycleService.js'
+  );
+  await rescueLifecycleService.handleTransition(doc, previousStatus, doc.status);
+});
+
 const RescueRequest = mongoose.model('RescueRequest', rescueRequestSchema);
 
 export default RescueRequest;
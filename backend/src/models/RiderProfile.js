@@ -2,6 +2,9 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+// Ledger entries are retried within minutes, so only the most recent keys need keeping
+const APPLIED_LOYALTY_KEYS_KEPT = 50;
+
 const riderProfileSchema = new Schema(
   {
     userId: {
@@ -126,6 +129,11 @@ const riderProfileSchema = new Schema(
       default: 0,
       min: 0,
     },
+    // Idempotency keys of the latest ledger entries added to loyaltyPoints
+    appliedLoyaltyKeys: {
+      type: [String],
+      select: false,
+    },
     memberSince: {
       type: Date,
       default: Date.now,
@@ -179,19 +187,68 @@ riderProfileSchema.methods.addSavedLocation = function (label, address, longitud
   return this.save();
 };
 
-// Instance method to add loyalty points
+// Instance method to add loyalty points - atomic so concurrent awards aren't lost
 riderProfileSchema.methods.addLoyaltyPoints = function (points) {
-  this.loyaltyPoints += points;
-  return this.save();
+  return this.constructor
+    .findOneAndUpdate({ _id: this._id }, { $inc: { loyaltyPoints: points } }, { new: true })
+    .then((doc) => {
+      this.loyaltyPoints = doc.loyaltyPoints;
+      return this;
+    });
 };
 
-// Instance method to redeem loyalty points
+// Instance method to apply a ledger entry's points exactly once, never taking the balance below
+// zero. The key is recorded in the same update, so a retry after the balance moved is a no-op.
+// Resolves to the points actually applied, or null if the entry was already applied.
+riderProfileSchema.methods.applyLoyaltyEntry = function (idempotencyKey, points) {
+  return this.constructor
+    .findOneAndUpdate(
+      { _id: this._id, appliedLoyaltyKeys: { $ne: idempotencyKey } },
+      [
+        {
+          $set: {
+            loyaltyPoints: { $max: [{ $add: ['$loyaltyPoints', points] }, 0] },
+            appliedLoyaltyKeys: {
+              $slice: [
+                {
+                  $concatArrays: [
+                    { $ifNull: ['$appliedLoyaltyKeys', []] },
+                    [{ $literal: idempotencyKey }],
+                  ],
+                },
+                -APPLIED_LOYALTY_KEYS_KEPT,
+              ],
+            },
+          },
+        },
+      ],
+      { new: false }
+    )
+    .then((before) => {
+      if (!before) {
+        return null;
+      }
+      const applied = Math.max(before.loyaltyPoints + points, 0) - before.loyaltyPoints;
+      this.loyaltyPoints = before.loyaltyPoints + applied;
+      return applied;
+    });
+};
+
+// Instance method to redeem loyalty points - only succeeds if the balance still covers them
 riderProfileSchema.methods.redeemLoyaltyPoints = function (points) {
-  if (this.loyaltyPoints < points) {
-    throw new Error('Insufficient loyalty points');
-  }
-  this.loyaltyPoints -= points;
-  return this.save();
+  return this.constructor
+    .findOneAndUpdate(
+      { _id: this._id, loyaltyPoints: { $gte: points } },
+      { $inc: { loyaltyPoints: -points } },
+      { new: true }
+    )
+    .then((doc) => {
+      if (!doc) {
+        throw new Error('Insufficient loyalty points');
+      }
+      this.loyaltyPoints = doc.loyaltyPoints;
+      return this;
+    });
 };
 
 // Pre-save hook to ensure only one primary e-bike
@@ -64,6 +64,17 @@ const userSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Set when mail to the current address hard-bounces; emails stop until the address changes
+    emailBounce: {
+      bouncedAt: Date,
+      reason: String,
+    },
+    // Language for emails and other messages sent outside the app
+    locale: {
+      type: String,
+      enum: ['en', 'es'],
+      default: 'en',
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -86,11 +97,33 @@ const userSchema = new Schema(
       type: String,
       sparse: true,
     },
+    // Connect account state, kept in sync by account.updated webhooks
+    stripeAccountStatus: {
+      chargesEnabled: Boolean,
+      payoutsEnabled: Boolean,
+      detailsSubmitted: Boolean,
+      requirementsDue: [String],
+      disabledReason: String,
+      updatedAt: Date,
+    },
     balance: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Ledger transactions most recently applied to balance, so a retried post moves it once
+    appliedWalletTransactions: {
+      type: [String],
+      select: false,
+    },
+    referredBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    signupDeviceId: {
+      type: String,
+      select: false,
+    },
     deviceTokens: [
       {
         token: String,
@@ -137,6 +170,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ signupDeviceId: 1 }, { sparse: true });
 
 // Encrypt PII fields
 const encOptions = {
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const webhookEventSchema = new Schema(
+  {
+    // Stripe event ID; unique so a redelivered event is only stored and processed once
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Connected account the event came from, for Connect events
+    account: {
+      type: String,
+    },
+    livemode: {
+      type: Boolean,
+      default: false,
+    },
+    data: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+      default: 'received',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    stripeCreatedAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    replayedAt: {
+      type: Date,
+    },
+    replayedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+// Static methods
+/**
+ * Store a verified event. Returns null if it was already stored.
+ */
+webhookEventSchema.statics.record = async function (event) {
+  try {
+    return await this.create({
+      eventId: event.id,
+      type: event.type,
+      account: event.account,
+      livemode: event.livemode,
+      data: event.data,
+      stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
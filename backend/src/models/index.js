@@ -11,6 +11,12 @@ import APIKey from './APIKey.js';
 import PromoCode from './PromoCode.js';
 import Referral from './Referral.js';
 import ChatMessage from './ChatMessage.js';
+import LoyaltyTransaction from './LoyaltyTransaction.js';
+import LedgerEntry from './LedgerEntry.js';
+import WebhookEvent from './WebhookEvent.js';
+import Dispute from './Dispute.js';
+import PayoutBatch from './PayoutBatch.js';
+import NotificationPreference from './NotificationPreference.js';
 
 export {
   User,
@@ -25,6 +31,12 @@ export {
   PromoCode,
   Referral,
   ChatMessage,
+  LoyaltyTransaction,
+  LedgerEntry,
+  WebhookEvent,
+  Dispute,
+  PayoutBatch,
+  NotificationPreference,
 };
 
 export default {
@@ -40,4 +52,10 @@ export default {
   PromoCode,
   Referral,
   ChatMessage,
+  LoyaltyTransaction,
+  LedgerEntry,
+  WebhookEvent,
+  Dispute,
+  PayoutBatch,
+  NotificationPreference,
 };
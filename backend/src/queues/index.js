@@ -222,13 +222,13 @@ export const scheduleRecurringJobs = async () => {
       }
     );
 
-    // Hourly surge pricing calculation
+    // Surge pricing recalculation from live supply/demand
     await rescueQueue.add(
       'calculate-surge',
       {},
       {
         repeat: {
-          pattern: '0 * * * *', // Every hour
+          every: config.surge.recalculateIntervalSeconds * 1000,
         },
       }
     );
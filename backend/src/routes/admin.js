@@ -2,6 +2,26 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { User, RescueRequest, PaymentRecord } from '../models/index.js';
+import {
+  surgeOverrideValidation,
+  moderateRatingValidation,
+  createPromoCodeValidation,
+  updatePromoCodeValidation,
+  walletAdjustmentValidation,
+  listWebhookEventsValidation,
+  replayWebhookEventValidation,
+  listDisputesValidation,
+  driverEarningsAdjustmentValidation,
+  mongoIdValidation,
+  paginationValidation,
+} from '../middleware/validators.js';
+import surgeService from '../services/surgeService.js';
+import ratingService from '../services/ratingService.js';
+import promoService from '../services/promoService.js';
+import walletService from '../services/walletService.js';
+import webhookService from '../services/webhookService.js';
+import disputeService from '../services/disputeService.js';
+import earningsService from '../services/earningsService.js';
 
 const router = express.Router();
 
@@ -52,4 +72,166 @@ router.post('/users/:id/ban', asyncHandler(async (req, res) => {
   res.json({ success: true, message: 'User banned' });
 }));
 
+// Get surge cells with demand/supply stats and overrides
+router.get('/surge', asyncHandler(async (req, res) => {
+  const zones = await surgeService.getZones({ includeStats: true });
+  res.json({ success: true, data: { zones } });
+}));
+
+// Override a surge cell
+router.put('/surge/:cellId', surgeOverrideValidation, asyncHandler(async (req, res) => {
+  const override = await surgeService.setOverride(
+    req.params.cellId,
+    {
+      multiplier: parseFloat(req.body.multiplier),
+      durationMinutes: req.body.durationMinutes ? parseInt(req.body.durationMinutes, 10) : null,
+      reason: req.body.reason,
+    },
+    req.userId
+  );
+  res.json({ success: true, data: { cellId: req.params.cellId, override } });
+}));
+
+// Return a surge cell to computed pricing
+router.delete('/surge/:cellId', asyncHandler(async (req, res) => {
+  const cleared = await surgeService.clearOverride(req.params.cellId);
+
+  if (!cleared) {
+    return res.status(404).json({
+      success: false,
+      error: 'Surge override not found',
+    });
+  }
+
+  res.json({ success: true, message: 'Surge override cleared' });
+}));
+
+// Reported ratings awaiting moderation
+router.get('/ratings/reported', paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const queue = await ratingService.getModerationQueue(page, limit);
+  res.json({ success: true, data: queue });
+}));
+
+// Hide or dismiss a reported rating
+router.post('/ratings/:id/moderate', moderateRatingValidation, asyncHandler(async (req, res) => {
+  const rating = await ratingService.moderate(req.params.id, req.userId, req.body.action);
+  res.json({ success: true, data: { rating } });
+}));
+
+// List promo codes
+router.get('/promos', paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+
+  const result = await promoService.list({ active, page, limit });
+  res.json({ success: true, data: result });
+}));
+
+// Create promo code
+router.post('/promos', createPromoCodeValidation, asyncHandler(async (req, res) => {
+  const promo = await promoService.create(req.body, req.userId);
+  res.status(201).json({ success: true, data: { promo } });
+}));
+
+// Get promo code
+router.get('/promos/:id', mongoIdValidation, asyncHandler(async (req, res) => {
+  const promo = await promoService.getById(req.params.id);
+  res.json({ success: true, data: { promo } });
+}));
+
+// Update promo code
+router.put('/promos/:id', updatePromoCodeValidation, asyncHandler(async (req, res) => {
+  const promo = await promoService.update(req.params.id, req.body);
+  res.json({ success: true, data: { promo } });
+}));
+
+// Delete an unused promo code, or deactivate a used one
+router.delete('/promos/:id', mongoIdValidation, asyncHandler(async (req, res) => {
+  const result = await promoService.remove(req.params.id);
+  res.json({
+    success: true,
+    message: result.deleted ? 'Promo code deleted' : 'Promo code deactivated',
+    data: result,
+  });
+}));
+
+// Promo code usage report
+router.get('/promos/:id/usage', mongoIdValidation, asyncHandler(async (req, res) => {
+  const report = await promoService.getUsageReport(req.params.id);
+  res.json({ success: true, data: { report } });
+}));
+
+// Credit or debit a user's wallet through the ledger
+router.post('/wallets/:id/adjust', walletAdjustmentValidation, asyncHandler(async (req, res) => {
+  const paymentRecord = await walletService.credit(req.params.id, Number(req.body.amount), {
+    description: req.body.reason,
+    createdBy: req.userId,
+  });
+  const user = await User.findById(req.params.id);
+
+  res.json({ success: true, data: { paymentRecord, balance: user.balance } });
+}));
+
+// Check a wallet balance against its ledger and payment records
+router.get('/wallets/:id/reconcile', mongoIdValidation, asyncHandler(async (req, res) => {
+  const report = await walletService.reconcile(req.params.id);
+  res.json({ success: true, data: { report } });
+}));
+
+// Stored Stripe webhook events, newest first
+router.get('/webhook-events', listWebhookEventsValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const result = await webhookService.list({
+    status: req.query.status,
+    type: req.query.type,
+    page,
+    limit,
+  });
+  res.json({ success: true, data: result });
+}));
+
+// Process a stored Stripe webhook event again
+router.post('/webhook-events/:eventId/replay', replayWebhookEventValidation, asyncHandler(async (req, res) => {
+  const event = await webhookService.replay(req.params.eventId, req.userId);
+  res.json({ success: true, message: 'Webhook event queued for replay', data: { event } });
+}));
+
+// Chargebacks, newest first
+router.get('/disputes', listDisputesValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const result = await disputeService.list({ status: req.query.status, page, limit });
+  res.json({ success: true, data: result });
+}));
+
+// Dispute with its evidence and clawback
+router.get('/disputes/:id', mongoIdValidation, asyncHandler(async (req, res) => {
+  const dispute = await disputeService.getById(req.params.id);
+  res.json({ success: true, data: { dispute } });
+}));
+
+// Collect and submit evidence again after Stripe rejected it
+router.post('/disputes/:id/evidence', mongoIdValidation, asyncHandler(async (req, res) => {
+  const dispute = await disputeService.resubmitEvidence(req.params.id);
+  res.json({ success: true, message: 'Dispute evidence queued for submission', data: { dispute } });
+}));
+
+// Add a bonus or earnings adjustment to a driver's next payout
+router.post('/drivers/:id/earnings-adjustments', driverEarningsAdjustmentValidation, asyncHandler(async (req, res) => {
+  const paymentRecord = await earningsService.createAdjustment(req.params.id, {
+    amount: Number(req.body.amount),
+    kind: req.body.kind,
+    reason: req.body.reason,
+    createdBy: req.userId,
+  });
+  res.status(201).json({ success: true, data: { paymentRecord } });
+}));
+
 export default router;
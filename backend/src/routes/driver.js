@@ -2,6 +2,7 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { DriverProfile, Vehicle } from '../models/index.js';
+import locationService from '../services/locationService.js';
 
 const router = express.Router();
 
@@ -72,7 +73,24 @@ router.post('/availability', authenticate, authorize('driver'), asyncHandler(asy
 
 // Get nearby rescues
 router.get('/rescues/nearby', authenticate, authorize('driver'), asyncHandler(async (req, res) => {
-  res.json({ success: true, data: { rescues: [] } });
+  const profile = await DriverProfile.findOne({ userId: req.userId }).populate('vehicleId');
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Driver profile not found',
+    });
+  }
+
+  if (!profile.lastLocationUpdate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Driver location unknown - update your location first',
+    });
+  }
+
+  const rescues = await locationService.findNearbyRescues(profile, profile.vehicleId);
+  res.json({ success: true, data: { rescues } });
 }));
 
 export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { earningsStatementValidation, paginationValidation } from '../middleware/validators.js';
+import earningsService from '../services/earningsService.js';
+import payoutService from '../services/payoutService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('driver'));
+
+// Earnings statement for the week or month containing `date`, as JSON, CSV or PDF
+router.get('/statement', earningsStatementValidation, asyncHandler(async (req, res) => {
+  const statement = await earningsService.getStatement(req.userId, {
+    period: req.query.period,
+    date: req.query.date ? new Date(req.query.date) : new Date(),
+  });
+  const filename = `earnings-${statement.period.type}-${statement.period.start.toISOString().slice(0, 10)}`;
+
+  if (req.query.format === 'csv') {
+    res.attachment(`${filename}.csv`);
+    return res.type('text/csv').send(earningsService.toCsv(statement));
+  }
+
+  if (req.query.format === 'pdf') {
+    res.attachment(`${filename}.pdf`);
+    return res.type('application/pdf').send(await earningsService.toPdf(statement));
+  }
+
+  res.json({ success: true, data: { statement } });
+}));
+
+// What an instant cash-out would pay now: available balance, fee and daily limit left
+router.get('/cash-out', asyncHandler(async (req, res) => {
+  const { paymentRecordIds, ...quote } = await payoutService.getCashOutQuote(req.userId);
+  res.json({ success: true, data: { quote } });
+}));
+
+// Cash out settled earnings to the driver's debit card now
+router.post('/cash-out', asyncHandler(async (req, res) => {
+  const payout = await payoutService.cashOut(req.userId);
+  res.status(201).json({ success: true, data: { payout } });
+}));
+
+// Weekly payout batches and instant cash-outs sent to the driver
+router.get('/payouts', paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const result = await payoutService.getBatches(req.userId, page, limit);
+  res.json({ success: true, data: result });
+}));
+
+export default router;
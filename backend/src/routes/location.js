@@ -7,6 +7,7 @@ import {
   getJourneyHistory,
   calculateETA,
   batchUpdateLocations,
+  getSurgeZones,
 } from '../controllers/locationController.js';
 import { authenticate } from '../middleware/auth.js';
 import { body, query, param } from 'express-validator';
@@ -120,4 +121,11 @@ router.get(
   calculateETA
 );
 
+/**
+ * @route   GET /api/v1/location/surge-zones
+ * @desc    Get grid cells currently priced above normal
+ * @access  Private
+ */
+router.get('/surge-zones', authenticate, getSurgeZones);
+
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { paginationValidation } from '../middleware/validators.js';
+import loyaltyService from '../services/loyaltyService.js';
+
+const router = express.Router();
+
+// Get points balance, tier and ledger for the current rider
+router.get('/me', authenticate, authorize('rider'), paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const loyalty = await loyaltyService.getSummary(req.userId, page, limit);
+  res.json({ success: true, data: { loyalty } });
+}));
+
+export default router;
@@ -1,7 +1,14 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { asyncHandler, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  registerDeviceTokenValidation,
+  unregisterDeviceTokenValidation,
+  updateNotificationPreferencesValidation,
+} from '../middleware/validators.js';
 import notificationService from '../services/notificationService.js';
+import notificationPreferenceService from '../services/notificationPreferenceService.js';
+import pushService from '../services/pushService.js';
 
 const router = express.Router();
 
@@ -29,4 +36,33 @@ router.get('/unread/count', authenticate, asyncHandler(async (req, res) => {
   res.json({ success: true, data: { count } });
 }));
 
+// Get notification preferences
+router.get('/preferences', authenticate, asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.getPreferences(req.user);
+  res.json({ success: true, data: { preferences } });
+}));
+
+// Update notification preferences
+router.put('/preferences', authenticate, updateNotificationPreferencesValidation, asyncHandler(async (req, res) => {
+  const preferences = await notificationPreferenceService.updatePreferences(req.user, req.body);
+  res.json({ success: true, data: { preferences } });
+}));
+
+// Register a device for push notifications
+router.post('/devices', authenticate, registerDeviceTokenValidation, asyncHandler(async (req, res) => {
+  await pushService.registerToken(req.userId, req.body.token, req.body.platform);
+  res.status(201).json({ success: true, message: 'Device registered' });
+}));
+
+// Stop push notifications to a device
+router.delete('/devices/:token', authenticate, unregisterDeviceTokenValidation, asyncHandler(async (req, res) => {
+  const removed = await pushService.unregisterToken(req.userId, req.params.token);
+
+  if (!removed) {
+    throw new NotFoundError('Device');
+  }
+
+  res.json({ success: true, message: 'Device unregistered' });
+}));
+
 export default router;
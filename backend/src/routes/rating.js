@@ -0,0 +1,32 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { Rating } from '../models/index.js';
+import { respondToRatingValidation, reportRatingValidation } from '../middleware/validators.js';
+import ratingService from '../services/ratingService.js';
+
+const router = express.Router();
+
+// Get ratings received by the current user
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
+  const [ratings, summary, distribution] = await Promise.all([
+    Rating.findByUser(req.userId).limit(50),
+    Rating.getAverageRating(req.userId),
+    Rating.getRatingDistribution(req.userId),
+  ]);
+  res.json({ success: true, data: { ratings, summary, distribution } });
+}));
+
+// Respond to a rating
+router.post('/:id/respond', authenticate, respondToRatingValidation, asyncHandler(async (req, res) => {
+  const rating = await ratingService.respond(req.params.id, req.userId, req.body.text);
+  res.json({ success: true, data: { rating } });
+}));
+
+// Report a rating for moderation
+router.post('/:id/report', authenticate, reportRatingValidation, asyncHandler(async (req, res) => {
+  await ratingService.report(req.params.id, req.userId, req.body.reason);
+  res.json({ success: true, message: 'Rating reported for review' });
+}));
+
+export default router;
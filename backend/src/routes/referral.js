@@ -0,0 +1,14 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import referralService from '../services/referralService.js';
+
+const router = express.Router();
+
+// Get the current user's referral code, share link and stats
+router.get('/me', authenticate, asyncHandler(async (req, res) => {
+  const referral = await referralService.getShareInfo(req.userId);
+  res.json({ success: true, data: { referral } });
+}));
+
+export default router;
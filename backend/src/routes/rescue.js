@@ -1,49 +1,106 @@
 import express from 'express';
 import { authenticate, requirePhoneVerified, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
 import { RescueRequest } from '../models/index.js';
-import { createRescueValidation, updateRescueStatusValidation } from '../middleware/validators.js';
+import { canSetStatus } from '../models/RescueRequest.js';
+import {
+  createRescueValidation,
+  createQuoteValidation,
+  updateRescueStatusValidation,
+  declineRescueValidation,
+  rescheduleRescueValidation,
+  sendChatMessageValidation,
+  rateRescueValidation,
+  tipRescueValidation,
+  applyPromoCodeValidation,
+  redeemLoyaltyPointsValidation,
+  cancelRescueValidation,
+  mongoIdValidation,
+  paginationValidation,
+} from '../middleware/validators.js';
 import notificationService from '../services/notificationService.js';
-import config from '../config/index.js';
+import dispatchService from '../services/dispatchService.js';
+import pricingService from '../services/pricingService.js';
+import schedulingService from '../services/schedulingService.js';
+import chatService from '../services/chatService.js';
+import ratingService from '../services/ratingService.js';
+import promoService from '../services/promoService.js';
+import loyaltyService from '../services/loyaltyService.js';
+import cancellationService from '../services/cancellationService.js';
+import tipService from '../services/tipService.js';
 
 const router = express.Router();
 
-// Calculate pricing server-side
-const calculatePricing = (pickupLocation, dropoffLocation) => {
-  // Calculate distance between pickup and dropoff (simplified - use proper distance calculation)
-  const basePrice = config.business.baseRescuePrice;
-  const platformFeePercent = config.stripe.platformFeePercent;
-  const driverPayoutPercent = config.business.driverPayoutPercent;
-
-  const subtotal = basePrice;
-  const platformFee = (subtotal * platformFeePercent) / 100;
-  const total = subtotal;
-  const driverPayout = (subtotal * driverPayoutPercent) / 100;
-
-  return {
-    basePrice,
-    subtotal,
-    platformFee,
-    total,
-    driverPayout,
-  };
-};
-
-// Create rescue request
+// Convert a { latitude, longitude } body into a GeoJSON point
+const toPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [parseFloat(longitude), parseFloat(latitude)],
+});
+
+// Get a signed price quote
+router.post('/quote', authenticate, createQuoteValidation, asyncHandler(async (req, res) => {
+  const { pickupLocation, dropoffLocation, urgentRequest, scheduledFor } = req.body;
+
+  if (scheduledFor) {
+    schedulingService.assertSchedulable(scheduledFor);
+  }
+
+  const quote = await pricingService.createQuote(
+    req.userId,
+    toPoint(pickupLocation),
+    toPoint(dropoffLocation),
+    {
+      urgentRequest: urgentRequest === true,
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
+    }
+  );
+
+  res.json({ success: true, data: { quote } });
+}));
+
+// Create rescue request from a quote
 router.post('/', authenticate, requirePhoneVerified, createRescueValidation, asyncHandler(async (req, res) => {
-  const { pickupLocation, dropoffLocation, issue, ebike } = req.body;
+  const { pickupLocation, dropoffLocation, issue, ebike, quoteId } = req.body;
 
-  const pricing = calculatePricing(pickupLocation, dropoffLocation);
+  const pickupPoint = toPoint(pickupLocation);
+  const dropoffPoint = toPoint(dropoffLocation);
 
-  const rescue = await RescueRequest.create({
-    riderId: req.userId,
-    pickupLocation,
-    dropoffLocation,
-    issue,
-    ebike,
-    pricing,
-  });
+  // Store exactly the price the rider was quoted
+  const { pricing, distance, scheduledFor, release } = await pricingService.redeemQuote(
+    quoteId,
+    req.userId,
+    pickupPoint,
+    dropoffPoint
+  );
+
+  // A rescue that couldn't be saved doesn't use up the quote
+  let rescue;
+  try {
+    rescue = await RescueRequest.create({
+      ...schedulingService.buildInitialState(scheduledFor),
+      riderId: req.userId,
+      pickupLocation: {
+        address: pickupLocation.address,
+        location: pickupPoint,
+        notes: pickupLocation.notes,
+      },
+      dropoffLocation: {
+        address: dropoffLocation.address,
+        location: dropoffPoint,
+        notes: dropoffLocation.notes,
+      },
+      issue,
+      ebike,
+      pricing,
+      distance: { estimated: distance },
+    });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  await schedulingService.submit(rescue);
 
   res.status(201).json({ success: true, data: { rescue } });
 }));
@@ -79,6 +136,23 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   res.json({ success: true, data: { rescue } });
 }));
 
+// Accept rescue (driver)
+router.post('/:id/accept', authenticate, authorize('driver'), mongoIdValidation, asyncHandler(async (req, res) => {
+  const rescue = await dispatchService.acceptRescue(req.params.id, req.userId);
+  res.json({ success: true, data: { rescue } });
+}));
+
+// Decline rescue (driver)
+router.post('/:id/decline', authenticate, authorize('driver'), declineRescueValidation, asyncHandler(async (req, res) => {
+  const rescue = await dispatchService.declineOffer(req.params.id, req.userId, req.body.reason);
+
+  if (!rescue) {
+    throw new ConflictError('Rescue is not on offer to you');
+  }
+
+  res.json({ success: true, message: 'Rescue declined' });
+}));
+
 // Update rescue status
 router.put('/:id/status', authenticate, updateRescueStatusValidation, asyncHandler(async (req, res) => {
   const rescue = await RescueRequest.findById(req.params.id);
@@ -87,7 +161,7 @@ router.put('/:id/status', authenticate, updateRescueStatusValidation, asyncHandl
     throw new NotFoundError('Rescue request not found');
   }
 
-  // Verify user is driver or admin
+  // Verify user is driver or admin, and that their role may set this status
   const isDriver = rescue.driverId?.toString() === req.userId;
   const isAdmin = req.user.role === 'admin';
 
@@ -95,30 +169,109 @@ router.put('/:id/status', authenticate, updateRescueStatusValidation, asyncHandl
     throw new ForbiddenError('Not authorized to update this rescue status');
   }
 
-  rescue.status = req.body.status;
-  await rescue.save();
+  if (!canSetStatus(req.body.status, isAdmin ? 'admin' : 'driver')) {
+    throw new ForbiddenError(`Not authorized to set status ${req.body.status}`);
+  }
+
+  await rescue.updateStatus(req.body.status, req.body.notes);
   res.json({ success: true, data: { rescue } });
 }));
 
-// Cancel rescue
-router.post('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
-  const rescue = await RescueRequest.findById(req.params.id);
+// Reschedule a scheduled rescue
+router.put('/:id/schedule', authenticate, rescheduleRescueValidation, asyncHandler(async (req, res) => {
+  const rescue = await schedulingService.reschedule(
+    req.params.id,
+    req.userId,
+    req.body.scheduledFor
+  );
+  res.json({ success: true, data: { rescue } });
+}));
 
-  if (!rescue) {
-    throw new NotFoundError('Rescue request not found');
-  }
+// Get chat history
+router.get('/:id/messages', authenticate, mongoIdValidation, paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
 
-  // Verify user is rider or driver
-  const isRider = rescue.riderId.toString() === req.userId;
-  const isDriver = rescue.driverId?.toString() === req.userId;
+  const messages = await chatService.getHistory(req.params.id, req.userId, page, limit);
+  res.json({ success: true, data: { messages } });
+}));
 
-  if (!isRider && !isDriver) {
-    throw new ForbiddenError('Not authorized to cancel this rescue request');
-  }
+// Send chat message
+router.post('/:id/messages', authenticate, sendChatMessageValidation, asyncHandler(async (req, res) => {
+  const { messageType, content, metadata } = req.body;
 
-  const cancelledBy = isRider ? 'rider' : 'driver';
-  await rescue.cancel(cancelledBy, req.body.reason);
-  res.json({ success: true, data: { rescue } });
+  const message = await chatService.sendMessage(req.params.id, req.userId, {
+    messageType,
+    content,
+    metadata,
+  });
+  res.status(201).json({ success: true, data: { message } });
+}));
+
+// Mark chat messages as read
+router.post('/:id/messages/read', authenticate, mongoIdValidation, asyncHandler(async (req, res) => {
+  const result = await chatService.markRead(req.params.id, req.userId);
+  res.json({ success: true, data: result });
+}));
+
+// Rate the other party after completion
+router.post('/:id/rate', authenticate, rateRescueValidation, asyncHandler(async (req, res) => {
+  const { score, feedback, tags } = req.body;
+
+  const rating = await ratingService.submitRating(req.params.id, req.userId, {
+    score: parseInt(score, 10),
+    feedback,
+    tags,
+  });
+  res.status(201).json({ success: true, data: { rating } });
+}));
+
+// Add or change the tip after completion; increases are charged separately and go to the driver
+router.post('/:id/tip', authenticate, tipRescueValidation, asyncHandler(async (req, res) => {
+  const result = await tipService.setTip(req.params.id, req.userId, Number(req.body.tip));
+  res.json({ success: true, data: result });
+}));
+
+// Price a pending rescue with a promo code without redeeming it
+router.post('/:id/promo/preview', authenticate, applyPromoCodeValidation, asyncHandler(async (req, res) => {
+  const { promo, pricing } = await promoService.preview(req.params.id, req.userId, req.body.code);
+  res.json({
+    success: true,
+    data: { code: promo.code, type: promo.type, discount: pricing.discount, pricing },
+  });
+}));
+
+// Redeem a promo code against a pending rescue
+router.post('/:id/promo', authenticate, applyPromoCodeValidation, asyncHandler(async (req, res) => {
+  const { rescue, discount } = await promoService.apply(req.params.id, req.userId, req.body.code);
+  res.json({ success: true, data: { rescue, discount } });
+}));
+
+// Redeem loyalty points as a discount on a pending rescue
+router.post('/:id/loyalty', authenticate, redeemLoyaltyPointsValidation, asyncHandler(async (req, res) => {
+  const result = await loyaltyService.redeemOnRescue(
+    req.params.id,
+    req.userId,
+    parseInt(req.body.points, 10)
+  );
+  res.json({ success: true, data: result });
+}));
+
+// Preview the fee for cancelling now
+router.get('/:id/cancellation-fee', authenticate, mongoIdValidation, asyncHandler(async (req, res) => {
+  const cancellationFee = await cancellationService.getQuote(req.params.id, req.userId);
+  res.json({ success: true, data: { cancellationFee } });
+}));
+
+// Cancel rescue - a rider must pass acceptedFee when a cancellation fee applies
+router.post('/:id/cancel', authenticate, cancelRescueValidation, asyncHandler(async (req, res) => {
+  const { reason, acceptedFee } = req.body;
+
+  const result = await cancellationService.cancel(req.params.id, req.userId, {
+    reason,
+    acceptedFee: acceptedFee === undefined ? undefined : Number(acceptedFee),
+  });
+  res.json({ success: true, data: result });
 }));
 
 export default router;
@@ -45,8 +45,13 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   }
 
   // Only allow specific fields to be updated
-  const allowedFields = ['firstName', 'lastName', 'email', 'avatar'];
-  const adminOnlyFields = ['role', 'isActive', 'isBanned', 'balance'];
+  const allowedFields = ['firstName', 'lastName', 'email', 'avatar', 'locale'];
+  // Balance changes go through the wallet ledger (POST /admin/wallets/:id/adjust)
+  const adminOnlyFields = ['role', 'isActive', 'isBanned'];
+
+  if (req.body.email !== undefined && req.body.email !== user.email) {
+    user.emailBounce = undefined;
+  }
 
   Object.keys(req.body).forEach((key) => {
     if (allowedFields.includes(key)) {
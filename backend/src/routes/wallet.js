@@ -0,0 +1,24 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { paginationValidation, walletTopUpValidation } from '../middleware/validators.js';
+import walletService from '../services/walletService.js';
+
+const router = express.Router();
+
+// Get balance and ledger entries for the current rider
+router.get('/', authenticate, authorize('rider'), paginationValidation, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const wallet = await walletService.getWallet(req.userId, page, limit);
+  res.json({ success: true, data: { wallet } });
+}));
+
+// Start a card top-up; the balance is credited by the Stripe webhook
+router.post('/topups', authenticate, authorize('rider'), walletTopUpValidation, asyncHandler(async (req, res) => {
+  const topUp = await walletService.createTopUp(req.userId, Number(req.body.amount));
+  res.status(201).json({ success: true, data: topUp });
+}));
+
+export default router;
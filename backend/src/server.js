@@ -16,8 +16,10 @@ import database from './config/database.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { generalLimiter } from './middleware/rateLimiter.js';
-import { createApolloServer } from './graphql/index.js';
+import { verifyAccessToken } from './utils/jwt.js';
+import { createApolloServer, createSubscriptionServer, pubsub } from './graphql/index.js';
 import metricsService from './services/metricsService.js';
+import realtimeService from './services/realtimeService.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -29,10 +31,16 @@ import notificationRoutes from './routes/notification.js';
 import adminRoutes from './routes/admin.js';
 import locationRoutes from './routes/location.js';
 import analyticsRoutes from './routes/analytics.js';
+import ratingRoutes from './routes/rating.js';
+import referralRoutes from './routes/referral.js';
+import loyaltyRoutes from './routes/loyalty.js';
+import walletRoutes from './routes/wallet.js';
+import earningsRoutes from './routes/earnings.js';
 import metricsRoutes from './routes/metrics.js';
 
 // Import socket handlers
 import { registerLocationHandlers } from './sockets/locationHandlers.js';
+import { registerChatHandlers } from './sockets/chatHandlers.js';
 
 // Initialize express app
 const app = express();
@@ -145,6 +153,11 @@ app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/location', locationRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/ratings', ratingRoutes);
+app.use('/api/v1/referrals', referralRoutes);
+app.use('/api/v1/loyalty', loyaltyRoutes);
+app.use('/api/v1/wallet', walletRoutes);
+app.use('/api/v1/earnings', earningsRoutes);
 
 // Metrics endpoint (outside /api/v1 for Prometheus)
 app.use('/metrics', metricsRoutes);
@@ -170,16 +183,33 @@ app.use(notFound);
 app.use(errorHandler);
 
 // Socket.io connection handler
+// Join the user's room and mark them online for every pod
+const authenticateSocket = (socket, userId) => {
+  socket.userId = userId;
+  socket.join(`user:${userId}`);
+  realtimeService.setOnline(userId, socket.id).catch((error) => {
+    logger.error('Failed to record socket presence:', error);
+  });
+  logger.info('Socket authenticated', { userId });
+};
+
 io.on('connection', (socket) => {
   logger.info('Socket client connected', { socketId: socket.id });
 
+  // Clients may send their token in the handshake instead of an authenticate event
+  const handshakeToken = socket.handshake.auth?.token;
+  if (handshakeToken) {
+    try {
+      authenticateSocket(socket, verifyAccessToken(handshakeToken).userId);
+    } catch (error) {
+      logger.warn('Socket handshake token rejected', { socketId: socket.id });
+    }
+  }
+
   socket.on('authenticate', async (token) => {
     try {
-      const { verifyAccessToken } = await import('./utils/jwt.js');
       const decoded = verifyAccessToken(token);
-      socket.userId = decoded.userId;
-      socket.join(`user:${decoded.userId}`);
-      logger.info('Socket authenticated', { userId: decoded.userId });
+      authenticateSocket(socket, decoded.userId);
       socket.emit('authenticated', { userId: decoded.userId });
     } catch (error) {
       logger.error('Socket authentication failed:', error);
@@ -196,14 +226,26 @@ io.on('connection', (socket) => {
   // Register location tracking handlers
   registerLocationHandlers(io, socket);
 
+  // Register rescue chat handlers
+  registerChatHandlers(io, socket);
+
   socket.on('disconnect', () => {
     logger.info('Socket client disconnected', { socketId: socket.id });
+
+    if (socket.userId) {
+      realtimeService.setOffline(socket.userId, socket.id).catch((error) => {
+        logger.error('Failed to clear socket presence:', error);
+      });
+    }
   });
 });
 
 // Make io accessible to routes
 app.set('io', io);
 
+// GraphQL subscriptions share the HTTP server with Socket.io
+let subscriptionServer = null;
+
 // Start server
 const startServer = async () => {
   try {
@@ -217,12 +259,18 @@ const startServer = async () => {
     apolloServer.applyMiddleware({ app, path: '/graphql' });
     logger.info('GraphQL server initialized at /graphql');
 
+    subscriptionServer = createSubscriptionServer(server);
+
+    // Deliver notifications and rescue updates published by any pod
+    realtimeService.attach({ io, pubsub });
+
     // Start server
     const PORT = config.port;
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${config.env} mode`);
       logger.info(`API documentation available at http://localhost:${PORT}/api-docs`);
       logger.info(`GraphQL playground available at http://localhost:${PORT}/graphql`);
+      logger.info(`GraphQL subscriptions available at ws://localhost:${PORT}/graphql`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -234,6 +282,11 @@ const startServer = async () => {
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
 
+  // Close open subscription sockets so the HTTP server can finish closing
+  if (subscriptionServer) {
+    await subscriptionServer.dispose();
+  }
+
   // Stop accepting new connections
   server.close(async () => {
     logger.info('HTTP server closed');
@@ -0,0 +1,334 @@
+import { PaymentRecord, RescueRequest, User } from '../models/index.js';
+import { NotFoundError, ValidationError, ForbiddenError } from '../middleware/errorHandler.js';
+import stripeService from './stripeService.js';
+import chargeService from './chargeService.js';
+import notificationService from './notificationService.js';
+import { addPaymentJob } from '../queues/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cancellation Service
+ * Fees for late rider cancellations, collected after the rescue is cancelled
+ * and shared with the driver who was on the way
+ */
+class CancellationService {
+  /**
+   * Fee policy by the status the rescue is cancelled from; statuses not listed are free
+   */
+  getPolicies() {
+    const { freeMinutesAfterAccept, acceptedFee, enrouteFee } = config.cancellation;
+
+    return {
+      accepted: { name: 'late_cancellation', fee: acceptedFee, freeMinutesAfterAccept },
+      driver_enroute: { name: 'driver_enroute', fee: enrouteFee },
+    };
+  }
+
+  /**
+   * What cancelling now would cost. Only riders pay, and scheduled pickups stay free
+   * until their free-cancellation time.
+   */
+  quote(rescue, cancelledBy, now = new Date()) {
+    const free = (policy, freeUntil = null) => ({
+      fee: 0,
+      driverCompensation: 0,
+      currency: 'usd',
+      policy,
+      freeUntil,
+    });
+
+    if (cancelledBy !== 'rider') {
+      return free('no_fee');
+    }
+
+    const policy = this.getPolicies()[rescue.status];
+
+    if (!policy || !rescue.driverId) {
+      return free('not_accepted');
+    }
+
+    const scheduledFreeUntil = rescue.scheduling?.freeCancellationUntil;
+    if (scheduledFreeUntil && now < scheduledFreeUntil) {
+      return free('scheduled_free_window', scheduledFreeUntil);
+    }
+
+    if (policy.freeMinutesAfterAccept && rescue.acceptedAt) {
+      const freeUntil = new Date(
+        rescue.acceptedAt.getTime() + policy.freeMinutesAfterAccept * MINUTE
+      );
+
+      if (now < freeUntil) {
+        return free('free_window', freeUntil);
+      }
+    }
+
+    const fee = roundCurrency(Math.min(policy.fee, rescue.pricing.total));
+
+    return {
+      fee,
+      driverCompensation: roundCurrency((fee * config.cancellation.driverSharePercent) / 100),
+      currency: 'usd',
+      policy: policy.name,
+      freeUntil: null,
+    };
+  }
+
+  async getRescueForUser(rescueId, userId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() === userId) {
+      return { rescue, cancelledBy: 'rider' };
+    }
+
+    if (rescue.driverId?.toString() === userId) {
+      return { rescue, cancelledBy: 'driver' };
+    }
+
+    throw new ForbiddenError('Not authorized to cancel this rescue request');
+  }
+
+  /**
+   * Fee preview shown before the user confirms the cancellation
+   */
+  async getQuote(rescueId, userId) {
+    const { rescue, cancelledBy } = await this.getRescueForUser(rescueId, userId);
+
+    return {
+      cancellable: rescue.canTransitionTo(`cancelled_by_${cancelledBy}`),
+      ...this.quote(rescue, cancelledBy),
+    };
+  }
+
+  /**
+   * Cancel a rescue, requiring the rider to have accepted any fee that applies
+   */
+  async cancel(rescueId, userId, { reason, acceptedFee } = {}) {
+    const { rescue, cancelledBy } = await this.getRescueForUser(rescueId, userId);
+    const quote = this.quote(rescue, cancelledBy);
+
+    if (quote.fee > 0 && !(acceptedFee >= quote.fee)) {
+      throw new ValidationError({
+        acceptedFee: `A $${quote.fee.toFixed(2)} cancellation fee applies. Confirm it to cancel.`,
+      });
+    }
+
+    await rescue.cancel(
+      cancelledBy,
+      reason,
+      quote.fee > 0
+        ? {
+            amount: quote.fee,
+            driverCompensation: quote.driverCompensation,
+            policy: quote.policy,
+          }
+        : null
+    );
+
+    return { rescue, cancellationFee: quote };
+  }
+
+  buildBreakdown(rescue) {
+    const { amount, driverCompensation } = rescue.cancellationFee;
+
+    return {
+      subtotal: amount,
+      platformFee: roundCurrency(amount - driverCompensation),
+      tip: 0,
+      discount: 0,
+      total: amount,
+    };
+  }
+
+  /**
+   * Collect any cancellation fee and release everything else - called from the payment worker
+   */
+  async settle(rescueId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new Error('Rescue request not found');
+    }
+
+    const fee = rescue.cancellationFee?.amount || 0;
+    let feeRecord = null;
+
+    if (fee > 0) {
+      feeRecord = await PaymentRecord.findOne({
+        rescueRequestId: rescue._id,
+        type: 'charge',
+        'metadata.kind': 'cancellation_fee',
+      });
+
+      // Take the fee out of the card hold so the rider isn't charged twice
+      const hold = feeRecord
+        ? null
+        : await chargeService.findCardCharge(rescue._id, ['authorized']);
+      if (hold && hold.amount >= fee) {
+        feeRecord = await this.captureFromHold(hold, rescue);
+      }
+    }
+
+    const released = await chargeService.release(rescue._id);
+
+    if (fee > 0 && (!feeRecord || feeRecord.status === 'pending')) {
+      feeRecord = await this.chargeSavedCard(rescue, feeRecord);
+    }
+
+    if (feeRecord?.status === 'succeeded' && !rescue.cancellationFee.chargedAt) {
+      await this.recordCharged(rescue, feeRecord);
+    }
+
+    return { ...released, fee, feePaymentRecordId: feeRecord?._id, feeStatus: feeRecord?.status };
+  }
+
+  /**
+   * Capture just the fee from the rider's hold; Stripe releases the rest
+   */
+  async captureFromHold(hold, rescue) {
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.capturePaymentIntent(
+        hold.stripe.paymentIntentId,
+        rescue.cancellationFee.amount
+      );
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+      logger.warn('Could not take cancellation fee from hold', {
+        rescueId: rescue._id,
+        error: error.message,
+      });
+      return null;
+    }
+
+    return PaymentRecord.findOneAndUpdate(
+      { _id: hold._id, status: 'authorized' },
+      {
+        $set: {
+          status: 'succeeded',
+          amount: rescue.cancellationFee.amount,
+          breakdown: this.buildBreakdown(rescue),
+          processedAt: new Date(),
+          'stripe.chargeId': paymentIntent.latest_charge,
+          notes: 'Cancellation fee',
+          'metadata.kind': 'cancellation_fee',
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Charge the fee to the rider's saved card when there was no hold to take it from
+   */
+  async chargeSavedCard(rescue, existing = null) {
+    const { amount } = rescue.cancellationFee;
+    const user = await User.findById(rescue.riderId);
+    const paymentMethodId = user.stripeCustomerId
+      ? await stripeService.getDefaultPaymentMethod(user.stripeCustomerId)
+      : null;
+
+    const paymentRecord =
+      existing ||
+      (await PaymentRecord.create({
+        rescueRequestId: rescue._id,
+        riderId: rescue.riderId,
+        driverId: rescue.driverId,
+        type: 'charge',
+        status: 'pending',
+        amount,
+        currency: 'usd',
+        paymentMethod: 'card',
+        breakdown: this.buildBreakdown(rescue),
+        notes: 'Cancellation fee',
+        metadata: { kind: 'cancellation_fee' },
+        stripe: { customerId: user.stripeCustomerId, paymentMethodId },
+      }));
+
+    if (!paymentMethodId) {
+      await paymentRecord.markAsFailed(
+        'no_payment_method',
+        'No saved card for the cancellation fee'
+      );
+      return paymentRecord;
+    }
+
+    try {
+      const paymentIntent = await stripeService.chargePaymentMethod(
+        amount,
+        user.stripeCustomerId,
+        paymentMethodId,
+        {
+          rescueRequestId: rescue._id.toString(),
+          paymentRecordId: paymentRecord._id.toString(),
+          type: 'cancellation_fee',
+        },
+        `cancellation-fee-${paymentRecord._id}`
+      );
+
+      paymentRecord.stripe.paymentIntentId = paymentIntent.id;
+      await paymentRecord.save();
+      await paymentRecord.markAsSucceeded({ chargeId: paymentIntent.latest_charge });
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+
+      await paymentRecord.markAsFailed(error.code || 'cancellation_fee_failed', error.message);
+      await notificationService.notifyPaymentFailed(
+        rescue.riderId,
+        paymentRecord,
+        'Please update your payment method in the app.'
+      );
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Link the fee to the rescue and pay the driver their share
+   */
+  async recordCharged(rescue, feeRecord) {
+    await RescueRequest.updateOne(
+      { _id: rescue._id },
+      {
+        $set: {
+          'cancellationFee.paymentRecordId': feeRecord._id,
+          'cancellationFee.chargedAt': new Date(),
+        },
+      }
+    );
+
+    if (rescue.driverId && rescue.cancellationFee.driverCompensation > 0) {
+      await addPaymentJob(
+        'process-payout',
+        { paymentRecordId: feeRecord._id.toString() },
+        { jobId: `payout-${feeRecord._id}` }
+      );
+    }
+
+    logger.info('Cancellation fee charged', {
+      rescueId: rescue._id,
+      amount: feeRecord.amount,
+      driverCompensation: rescue.cancellationFee.driverCompensation,
+    });
+
+    try {
+      await notificationService.notifyPaymentReceived(rescue.riderId, feeRecord);
+    } catch (error) {
+      logger.error('Failed to notify cancellation fee:', error);
+    }
+  }
+}
+
+export default new CancellationService();
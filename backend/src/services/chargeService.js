@@ -0,0 +1,403 @@
+import { PaymentRecord, RescueRequest, RiderProfile, User } from '../models/index.js';
+import { TERMINAL_RESCUE_STATUSES } from '../models/RescueRequest.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} from '../middleware/errorHandler.js';
+import stripeService from './stripeService.js';
+import walletService from './walletService.js';
+import notificationService from './notificationService.js';
+import { addPaymentJob } from '../queues/index.js';
+import logger from '../utils/logger.js';
+
+// Card charges that still hold, or are waiting to hold, the rider's money
+const OPEN_CHARGE_STATUSES = ['pending', 'processing', 'authorized'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Charge Service
+ * Rescue charge lifecycle: hold the fare when a driver accepts, capture it on completion
+ * and release it on cancellation. Each step is recorded on the rescue's PaymentRecords.
+ */
+class ChargeService {
+  findCardCharge(rescueId, statuses = OPEN_CHARGE_STATUSES) {
+    return PaymentRecord.findOne({
+      rescueRequestId: rescueId,
+      type: 'charge',
+      paymentMethod: 'card',
+      status: { $in: statuses },
+    });
+  }
+
+  findBalanceCharge(rescueId) {
+    return PaymentRecord.findOne({
+      rescueRequestId: rescueId,
+      type: 'charge',
+      paymentMethod: 'account_balance',
+      status: 'succeeded',
+    });
+  }
+
+  buildBreakdown(rescue) {
+    return {
+      subtotal: rescue.pricing.subtotal,
+      platformFee: rescue.pricing.platformFee,
+      tip: rescue.pricing.tip,
+      discount: rescue.pricing.discount,
+      total: roundCurrency(rescue.pricing.total + rescue.pricing.tip),
+    };
+  }
+
+  async shouldUseBalance(riderId, useBalance) {
+    if (useBalance !== undefined) {
+      return useBalance;
+    }
+
+    const profile = await RiderProfile.findOne({ userId: riderId });
+    return profile?.preferredPaymentMethod === 'account_balance';
+  }
+
+  /**
+   * Rider-initiated payment setup: sets the tip, applies the balance and returns a
+   * manual-capture intent for the client to confirm
+   */
+  async preparePayment(rescueId, riderId, { tip, useBalance } = {}) {
+    let rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() !== riderId) {
+      throw new ForbiddenError('Only the rider can pay for this rescue');
+    }
+
+    if (TERMINAL_RESCUE_STATUSES.includes(rescue.status)) {
+      throw new ConflictError('This rescue can no longer be paid for');
+    }
+
+    if (await this.findCardCharge(rescue._id, ['authorized'])) {
+      throw new ConflictError('Payment for this rescue has already been authorized');
+    }
+
+    // Replace an intent the client never confirmed, e.g. when the tip changes
+    const unconfirmed = await this.findCardCharge(rescue._id, ['pending', 'processing']);
+    if (unconfirmed) {
+      await this.cancelCharge(unconfirmed);
+    }
+
+    if (tip !== undefined && tip !== rescue.pricing.tip) {
+      rescue = await RescueRequest.findByIdAndUpdate(
+        rescue._id,
+        { $set: { 'pricing.tip': tip } },
+        { new: true }
+      );
+    }
+
+    const user = await User.findById(riderId);
+
+    return this.openCharge(rescue, user, {
+      useBalance: await this.shouldUseBalance(riderId, useBalance),
+    });
+  }
+
+  /**
+   * Apply the wallet balance, then open a card charge for whatever is left.
+   * With a payment method the hold is confirmed off-session straight away.
+   */
+  async openCharge(rescue, user, { useBalance, paymentMethodId = null }) {
+    const breakdown = this.buildBreakdown(rescue);
+    let balancePayment = await this.findBalanceCharge(rescue._id);
+    const coveredByBalance =
+      useBalance && user.balance >= breakdown.total - (balancePayment?.amount || 0);
+
+    if (!user.stripeCustomerId && !coveredByBalance) {
+      throw new ValidationError({ user: 'Stripe customer not configured' });
+    }
+
+    const appliedNow = !balancePayment && useBalance;
+    if (appliedNow) {
+      balancePayment = await walletService.payFromBalance(rescue, breakdown.total, breakdown);
+    }
+
+    const balanceApplied = balancePayment?.amount || 0;
+    const cardAmount = roundCurrency(breakdown.total - balanceApplied);
+
+    if (cardAmount <= 0) {
+      return { balancePayment, balanceApplied, paymentRecord: null, paymentIntent: null };
+    }
+
+    const paymentRecord = await PaymentRecord.create({
+      rescueRequestId: rescue._id,
+      riderId: rescue.riderId,
+      driverId: rescue.driverId,
+      type: 'charge',
+      status: 'pending',
+      amount: cardAmount,
+      currency: 'usd',
+      paymentMethod: 'card',
+      breakdown,
+      stripe: {
+        customerId: user.stripeCustomerId,
+        paymentMethodId,
+      },
+    });
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.authorizePayment(
+        cardAmount,
+        user.stripeCustomerId,
+        {
+          rescueRequestId: rescue._id.toString(),
+          riderId: rescue.riderId.toString(),
+          paymentRecordId: paymentRecord._id.toString(),
+        },
+        paymentMethodId
+      );
+    } catch (error) {
+      await paymentRecord.markAsFailed(error.code || 'authorization_failed', error.message);
+
+      // Don't keep the balance if the card part can't be held
+      if (appliedNow && balancePayment) {
+        await walletService.refundToBalance(balancePayment, balanceApplied, 'Card payment failed');
+      }
+      throw error;
+    }
+
+    paymentRecord.stripe.paymentIntentId = paymentIntent.id;
+    await paymentRecord.save();
+
+    if (paymentIntent.status === 'requires_capture') {
+      await paymentRecord.markAsAuthorized(cardAmount);
+    }
+
+    return { balancePayment, balanceApplied, paymentRecord, paymentIntent };
+  }
+
+  /**
+   * Hold the fare when a driver accepts - called from the payment worker.
+   * Uses the rider's saved card unless they already started paying in the app.
+   */
+  async authorizeOnAccept(rescueId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new Error('Rescue request not found');
+    }
+
+    // Cancelled before the job ran - the release job takes care of anything already held
+    if (TERMINAL_RESCUE_STATUSES.includes(rescue.status)) {
+      return { paymentRecordId: null, status: rescue.status };
+    }
+
+    // Records opened before acceptance don't know the driver yet
+    await PaymentRecord.updateMany(
+      { rescueRequestId: rescue._id, type: 'charge' },
+      { $set: { driverId: rescue.driverId } }
+    );
+
+    const existing = await this.findCardCharge(rescue._id);
+    if (existing) {
+      return { paymentRecordId: existing._id, status: existing.status };
+    }
+
+    const balancePayment = await this.findBalanceCharge(rescue._id);
+    if (balancePayment && balancePayment.amount >= this.buildBreakdown(rescue).total) {
+      return { paymentRecordId: balancePayment._id, status: balancePayment.status };
+    }
+
+    const user = await User.findById(rescue.riderId);
+    const paymentMethodId = user.stripeCustomerId
+      ? await stripeService.getDefaultPaymentMethod(user.stripeCustomerId)
+      : null;
+
+    if (!paymentMethodId) {
+      logger.warn('No saved card to authorize rescue charge', { rescueId });
+      return { paymentRecordId: null, status: 'requires_payment_method' };
+    }
+
+    try {
+      const { paymentRecord } = await this.openCharge(rescue, user, {
+        useBalance: await this.shouldUseBalance(rescue.riderId),
+        paymentMethodId,
+      });
+
+      logger.info('Rescue charge authorized', { rescueId, paymentRecordId: paymentRecord?._id });
+
+      return { paymentRecordId: paymentRecord?._id, status: paymentRecord?.status || 'succeeded' };
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+
+      const failed = await PaymentRecord.findOne({
+        rescueRequestId: rescue._id,
+        type: 'charge',
+        paymentMethod: 'card',
+        status: 'failed',
+      }).sort({ createdAt: -1 });
+
+      if (failed) {
+        await notificationService.notifyPaymentFailed(
+          rescue.riderId,
+          failed,
+          'Please update your payment method in the app.'
+        );
+      }
+
+      return { paymentRecordId: failed?._id, status: 'failed' };
+    }
+  }
+
+  /**
+   * Record a hold the client confirmed - called from the Stripe webhook
+   */
+  async handleAuthorized(paymentIntent) {
+    const paymentRecord = await PaymentRecord.findOne({
+      'stripe.paymentIntentId': paymentIntent.id,
+    });
+
+    if (!paymentRecord || !['pending', 'processing'].includes(paymentRecord.status)) {
+      return paymentRecord;
+    }
+
+    return paymentRecord.markAsAuthorized(paymentIntent.amount_capturable / 100);
+  }
+
+  /**
+   * Capture the held fare and tip once the rescue completes - called from the payment worker
+   */
+  async capture(rescueId, paymentRecordId) {
+    const paymentRecord = await PaymentRecord.findById(paymentRecordId);
+
+    if (!paymentRecord) {
+      throw new Error('Payment record not found');
+    }
+
+    if (paymentRecord.status === 'succeeded') {
+      return paymentRecord;
+    }
+
+    if (paymentRecord.status !== 'authorized') {
+      // The webhook may not have arrived yet, so ask Stripe directly
+      const paymentIntent = paymentRecord.stripe.paymentIntentId
+        ? await stripeService.retrievePaymentIntent(paymentRecord.stripe.paymentIntentId)
+        : null;
+
+      if (paymentIntent?.status !== 'requires_capture') {
+        throw new Error(`Payment ${paymentRecordId} has not been authorized`);
+      }
+
+      await paymentRecord.markAsAuthorized(paymentIntent.amount_capturable / 100);
+    }
+
+    // A promo or points applied after the hold lower the fare, so capture what's owed now
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    const breakdown = this.buildBreakdown(rescue);
+    const balancePayment = await this.findBalanceCharge(rescueId);
+    const held = paymentRecord.authorization?.amount ?? paymentRecord.amount;
+    const amount = roundCurrency(Math.min(held, breakdown.total - (balancePayment?.amount || 0)));
+
+    if (amount <= 0) {
+      logger.info('Nothing left to capture, releasing hold', { rescueId, paymentRecordId });
+      return this.cancelCharge(paymentRecord);
+    }
+
+    paymentRecord.amount = amount;
+    paymentRecord.breakdown = breakdown;
+    await paymentRecord.save();
+
+    try {
+      const paymentIntent = await stripeService.capturePaymentIntent(
+        paymentRecord.stripe.paymentIntentId,
+        amount
+      );
+
+      await paymentRecord.markAsSucceeded({ chargeId: paymentIntent.latest_charge });
+    } catch (error) {
+      if (stripeService.isPermanentError(error)) {
+        await paymentRecord.markAsFailed(error.code || 'capture_failed', error.message);
+        await notificationService.notifyPaymentFailed(
+          paymentRecord.riderId,
+          paymentRecord,
+          'Our team will be in touch.'
+        );
+      }
+      throw error;
+    }
+
+    logger.info('Rescue charge captured', { rescueId, amount: paymentRecord.amount });
+
+    await addPaymentJob(
+      'process-payout',
+      { paymentRecordId: paymentRecord._id.toString() },
+      { jobId: `payout-${paymentRecord._id}` }
+    );
+
+    try {
+      await notificationService.notifyPaymentReceived(paymentRecord.riderId, paymentRecord);
+    } catch (error) {
+      logger.error('Failed to notify payment received:', error);
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Release any hold and return balance payments when a rescue is cancelled
+   */
+  async release(rescueId) {
+    const openCharges = await PaymentRecord.find({
+      rescueRequestId: rescueId,
+      type: 'charge',
+      paymentMethod: 'card',
+      status: { $in: OPEN_CHARGE_STATUSES },
+    });
+
+    for (const paymentRecord of openCharges) {
+      await this.cancelCharge(paymentRecord);
+    }
+
+    // Whatever earlier partial refunds didn't already return
+    const balancePayment = await PaymentRecord.findOne({
+      rescueRequestId: rescueId,
+      type: 'charge',
+      paymentMethod: 'account_balance',
+      status: { $in: ['succeeded', 'refunded'] },
+    });
+    const balanceReturned = balancePayment
+      ? roundCurrency(balancePayment.amount - (balancePayment.refund?.amount || 0))
+      : 0;
+
+    if (balanceReturned > 0) {
+      await walletService.refundToBalance(balancePayment, balanceReturned, 'Rescue cancelled');
+    }
+
+    logger.info('Rescue charges released', {
+      rescueId,
+      released: openCharges.length,
+      balanceReturned,
+    });
+
+    return { released: openCharges.length, balanceReturned };
+  }
+
+  async cancelCharge(paymentRecord) {
+    if (paymentRecord.stripe.paymentIntentId) {
+      await stripeService.cancelPaymentIntent(paymentRecord.stripe.paymentIntentId);
+    }
+
+    return paymentRecord.markAsCancelled();
+  }
+}
+
+export default new ChargeService();
@@ -0,0 +1,131 @@
+import { ChatMessage, RescueRequest, User } from '../models/index.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
+import notificationService from './notificationService.js';
+import realtimeService from './realtimeService.js';
+import logger from '../utils/logger.js';
+
+// Message types riders and drivers may send; 'system' is reserved for the platform
+const USER_MESSAGE_TYPES = ['text', 'image', 'location'];
+
+/**
+ * Chat Service
+ * In-rescue messaging between a rescue's rider and driver
+ */
+class ChatService {
+  /**
+   * Load a rescue and resolve the other participant for a rider or driver
+   */
+  async getConversation(rescueId, userId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    const riderId = rescue.riderId.toString();
+    const driverId = rescue.driverId?.toString();
+
+    if (userId !== riderId && userId !== driverId) {
+      throw new ForbiddenError('Not a participant in this rescue chat');
+    }
+
+    if (!driverId) {
+      throw new ConflictError('Chat opens once a driver accepts the rescue');
+    }
+
+    return {
+      rescue,
+      recipientId: userId === riderId ? driverId : riderId,
+    };
+  }
+
+  /**
+   * Reject sends once the rescue has finished
+   */
+  assertChatOpen(rescue) {
+    if (rescue.isTerminal()) {
+      throw new ConflictError('Chat is closed for this rescue');
+    }
+  }
+
+  /**
+   * Message history, newest first
+   */
+  async getHistory(rescueId, userId, page = 1, limit = 50) {
+    await this.getConversation(rescueId, userId);
+    return ChatMessage.findByRescue(rescueId, page, limit);
+  }
+
+  /**
+   * Store a message and deliver it to the recipient, by push when they aren't connected
+   */
+  async sendMessage(rescueId, senderId, { messageType = 'text', content, metadata }) {
+    const { rescue, recipientId } = await this.getConversation(rescueId, senderId);
+
+    this.assertChatOpen(rescue);
+
+    if (!USER_MESSAGE_TYPES.includes(messageType)) {
+      throw new ForbiddenError(`Cannot send ${messageType} messages`);
+    }
+
+    const message = await ChatMessage.create({
+      rescueId,
+      senderId,
+      receiverId: recipientId,
+      messageType,
+      content,
+      metadata,
+    });
+
+    // The message is saved; delivery problems from here on don't fail the send
+    try {
+      await realtimeService.emitToUsers([recipientId, senderId], 'chat:message', message.toJSON());
+
+      if (!(await realtimeService.isOnline(recipientId))) {
+        const sender = await User.findById(senderId);
+        await notificationService.notifyMessageReceived(recipientId, message, sender);
+      }
+    } catch (error) {
+      logger.error('Failed to deliver chat message:', error);
+    }
+
+    return message;
+  }
+
+  /**
+   * Relay a typing indicator to the other participant
+   */
+  async sendTyping(rescueId, userId, isTyping) {
+    const { rescue, recipientId } = await this.getConversation(rescueId, userId);
+
+    this.assertChatOpen(rescue);
+
+    await realtimeService.emitToUsers([recipientId], 'chat:typing', {
+      rescueId,
+      userId,
+      isTyping: Boolean(isTyping),
+    });
+  }
+
+  /**
+   * Mark everything sent to this user as read and send a receipt to the sender
+   */
+  async markRead(rescueId, userId) {
+    const { recipientId } = await this.getConversation(rescueId, userId);
+    const readAt = new Date();
+
+    const result = await ChatMessage.markAllAsRead(rescueId, userId);
+
+    if (result.modifiedCount > 0) {
+      await realtimeService.emitToUsers([recipientId], 'chat:read', {
+        rescueId,
+        readerId: userId,
+        readAt,
+      });
+    }
+
+    return { updated: result.modifiedCount, readAt };
+  }
+}
+
+export default new ChatService();
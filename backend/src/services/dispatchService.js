@@ -0,0 +1,353 @@
+import { RescueRequest, DriverProfile } from '../models/index.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
+import locationService from './locationService.js';
+import mlService from './mlService.js';
+import notificationService from './notificationService.js';
+import rescueLifecycleService from './rescueLifecycleService.js';
+import realtimeService from './realtimeService.js';
+import { addRescueJob } from '../queues/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Dispatch Service
+ * Offers pending rescues to ranked drivers one at a time until one accepts
+ */
+class DispatchService {
+  /**
+   * Queue dispatch for a newly created or released rescue. The job id is unique per call so a
+   * re-dispatch isn't deduplicated against a finished job the queue still keeps; duplicate
+   * runs are harmless because startDispatch only offers when no offer is outstanding.
+   */
+  async enqueue(rescueId) {
+    return addRescueJob(
+      'dispatch-rescue',
+      { rescueId: rescueId.toString() },
+      { jobId: `dispatch-${rescueId}-${Date.now()}` }
+    );
+  }
+
+  /**
+   * How long a driver has to respond to an offer
+   */
+  getOfferTimeoutMs() {
+    return config.business.autoAcceptTimeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Start dispatching a pending rescue
+   */
+  async startDispatch(rescueId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue || rescue.status !== 'pending') {
+      logger.info('Dispatch skipped - rescue not pending', { rescueId });
+      return null;
+    }
+
+    if (rescue.dispatch?.currentOffer?.driverId) {
+      logger.info('Dispatch skipped - offer already outstanding', { rescueId });
+      return rescue;
+    }
+
+    if (!rescue.dispatch?.startedAt) {
+      rescue.dispatch.startedAt = new Date();
+      await rescue.save();
+    }
+
+    return this.offerNext(rescue);
+  }
+
+  /**
+   * Rank available drivers who have not been offered this rescue yet
+   */
+  async findCandidates(rescue) {
+    const [longitude, latitude] = rescue.pickupLocation.location.coordinates;
+
+    const drivers = await locationService.findNearbyDrivers(
+      latitude,
+      longitude,
+      config.business.maxDriverSearchRadiusKm
+    );
+
+    const alreadyOffered = new Set(
+      (rescue.dispatch?.offeredDriverIds || []).map((id) => id.toString())
+    );
+
+    const eligible = drivers.filter(
+      (driver) => !alreadyOffered.has(this.getDriverUserId(driver))
+    );
+
+    return mlService.recommendDrivers(rescue, eligible);
+  }
+
+  /**
+   * Resolve the user ID of a (possibly populated) driver profile
+   */
+  getDriverUserId(driver) {
+    return (driver.userId?._id || driver.userId).toString();
+  }
+
+  /**
+   * Offer the rescue to the next best driver, or give up when none remain
+   */
+  async offerNext(rescue, previousDriverId = null) {
+    if ((rescue.dispatch?.attempts || 0) >= config.business.maxDispatchOffers) {
+      return this.exhaust(rescue, previousDriverId);
+    }
+
+    const [candidate] = await this.findCandidates(rescue);
+
+    if (!candidate) {
+      return this.exhaust(rescue, previousDriverId);
+    }
+
+    const driverId = this.getDriverUserId(candidate);
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + this.getOfferTimeoutMs());
+    const attempt = (rescue.dispatch?.attempts || 0) + 1;
+
+    // Only advance if the offer hasn't moved on since we read the rescue
+    const updated = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescue._id,
+        status: 'pending',
+        'dispatch.currentOffer.driverId': previousDriverId,
+      },
+      {
+        $set: {
+          'dispatch.currentOffer': { driverId, offeredAt, expiresAt },
+        },
+        $inc: { 'dispatch.attempts': 1 },
+        $push: {
+          'dispatch.offeredDriverIds': driverId,
+          timeline: {
+            status: 'offered',
+            driverId,
+            timestamp: offeredAt,
+            notes: `Offered to driver (attempt ${attempt})`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      logger.info('Dispatch offer superseded', { rescueId: rescue._id, driverId });
+      return null;
+    }
+
+    await addRescueJob(
+      'offer-timeout',
+      { rescueId: updated._id.toString(), driverId },
+      {
+        delay: this.getOfferTimeoutMs(),
+        jobId: `offer-timeout-${updated._id}-${attempt}`,
+      }
+    );
+
+    try {
+      await notificationService.notifyDriverOfRescueRequest({ _id: driverId }, updated);
+    } catch (error) {
+      logger.error('Failed to notify driver of rescue offer:', error);
+    }
+
+    await realtimeService.publishRescueOffer(driverId, updated);
+
+    logger.info('Rescue offered to driver', {
+      rescueId: updated._id,
+      driverId,
+      attempt,
+      expiresAt,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Ensure a driver is approved, available and has a verified vehicle
+   */
+  async assertDriverEligible(driverId) {
+    const profile = await DriverProfile.findOne({ userId: driverId }).populate('vehicleId');
+
+    if (!profile) {
+      throw new NotFoundError('Driver profile');
+    }
+
+    if (!profile.isApproved()) {
+      throw new ForbiddenError('Driver is not approved');
+    }
+
+    if (!profile.isAvailable) {
+      throw new ForbiddenError('Driver is not available');
+    }
+
+    if (!profile.vehicleId || !profile.vehicleId.isVerified()) {
+      throw new ForbiddenError('Driver vehicle is not verified');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Assign a pending rescue to the driver currently holding its offer
+   * Conditional on status and offer so only that driver, and only once, can win.
+   * Atomic updates skip the model's save hooks, so side effects are run explicitly.
+   */
+  async acceptRescue(rescueId, driverId) {
+    await this.assertDriverEligible(driverId);
+
+    const now = new Date();
+
+    const rescue = await RescueRequest.findOneAndUpdate(
+      { _id: rescueId, status: 'pending', 'dispatch.currentOffer.driverId': driverId },
+      {
+        $set: {
+          driverId,
+          status: 'accepted',
+          acceptedAt: now,
+        },
+        $unset: { 'dispatch.currentOffer': 1 },
+        $push: {
+          timeline: {
+            status: 'accepted',
+            driverId,
+            timestamp: now,
+            notes: 'Driver accepted the rescue request',
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!rescue) {
+      const exists = await RescueRequest.exists({ _id: rescueId });
+      if (!exists) {
+        throw new NotFoundError('Rescue request');
+      }
+      throw new ConflictError('Rescue is not on offer to you');
+    }
+
+    logger.info('Rescue accepted', { rescueId: rescue._id, driverId });
+
+    await rescueLifecycleService.handleTransition(rescue, 'pending', 'accepted');
+
+    return rescue;
+  }
+
+  /**
+   * Move on when the offered driver didn't respond in time
+   */
+  async handleOfferTimeout(rescueId, driverId) {
+    const rescue = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescueId,
+        status: 'pending',
+        'dispatch.currentOffer.driverId': driverId,
+      },
+      {
+        $push: {
+          timeline: {
+            status: 'offer_expired',
+            driverId,
+            timestamp: new Date(),
+            notes: 'Driver did not respond in time',
+          },
+        },
+      },
+      { new: true }
+    );
+
+    // Accepted, declined or already moved on
+    if (!rescue) {
+      return null;
+    }
+
+    logger.info('Rescue offer expired', { rescueId, driverId });
+
+    return this.offerNext(rescue, driverId);
+  }
+
+  /**
+   * Record the offered driver declining a rescue and move on to the next one.
+   * Returns null when the driver doesn't hold the offer.
+   */
+  async declineOffer(rescueId, driverId, reason = null) {
+    const rescue = await RescueRequest.findOneAndUpdate(
+      { _id: rescueId, status: 'pending', 'dispatch.currentOffer.driverId': driverId },
+      {
+        $addToSet: {
+          'dispatch.declinedDriverIds': driverId,
+          'dispatch.offeredDriverIds': driverId,
+        },
+        $push: {
+          timeline: {
+            status: 'offer_declined',
+            driverId,
+            timestamp: new Date(),
+            notes: reason || 'Driver declined the rescue',
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!rescue) {
+      return null;
+    }
+
+    logger.info('Rescue offer declined', { rescueId, driverId });
+
+    await this.offerNext(rescue, driverId);
+
+    return rescue;
+  }
+
+  /**
+   * Cancel the rescue once no drivers are left to offer it to
+   */
+  async exhaust(rescue, previousDriverId = null) {
+    const now = new Date();
+    const reason = 'No available drivers';
+
+    const cancelled = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescue._id,
+        status: 'pending',
+        'dispatch.currentOffer.driverId': previousDriverId,
+      },
+      {
+        $set: {
+          status: 'cancelled_by_system',
+          cancelledAt: now,
+          cancellationReason: reason,
+          'dispatch.exhaustedAt': now,
+        },
+        $unset: { 'dispatch.currentOffer': 1 },
+        $push: {
+          timeline: {
+            status: 'cancelled_by_system',
+            timestamp: now,
+            notes: reason,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return null;
+    }
+
+    logger.warn('Dispatch exhausted - rescue cancelled', {
+      rescueId: cancelled._id,
+      attempts: cancelled.dispatch.attempts,
+    });
+
+    await rescueLifecycleService.handleTransition(cancelled, 'pending', 'cancelled_by_system');
+
+    return cancelled;
+  }
+}
+
+export default new DispatchService();
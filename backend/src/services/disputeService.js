@@ -0,0 +1,416 @@
+import { Dispute, PaymentRecord, RescueRequest, User, ChatMessage } from '../models/index.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import stripeService from './stripeService.js';
+import pricingService from './pricingService.js';
+import { addPaymentJob } from '../queues/index.js';
+import logger from '../utils/logger.js';
+
+// Stripe only accepts evidence while the dispute is waiting for a response
+const RESPONDABLE_STATUSES = ['needs_response', 'warning_needs_response'];
+
+// Keeps each text field well under Stripe's combined evidence limit
+const MAX_EVIDENCE_TEXT = 20000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const truncate = (text) =>
+  text.length > MAX_EVIDENCE_TEXT ? `${text.slice(0, MAX_EVIDENCE_TEXT - 3)}...` : text;
+
+/**
+ * Dispute Service
+ * Chargebacks synced from Stripe webhooks. Evidence from the rescue is submitted
+ * automatically, and the driver's share of a lost dispute comes out of their next payouts.
+ */
+class DisputeService {
+  /**
+   * Create or update the dispute record for a charge.dispute.* event - called from the webhook
+   */
+  async syncFromStripe(stripeDispute, eventType) {
+    const paymentRecord = await PaymentRecord.findOne({
+      $or: [
+        { 'stripe.chargeId': stripeDispute.charge },
+        { 'stripe.paymentIntentId': stripeDispute.payment_intent },
+      ],
+    });
+
+    if (!paymentRecord) {
+      logger.warn('No payment record for disputed charge', { disputeId: stripeDispute.id });
+      return null;
+    }
+
+    const update = {
+      status: stripeDispute.status,
+      amount: stripeDispute.amount / 100,
+      reason: stripeDispute.reason,
+    };
+
+    if (stripeDispute.evidence_details?.due_by) {
+      update.evidenceDueBy = new Date(stripeDispute.evidence_details.due_by * 1000);
+    }
+
+    if (['won', 'lost', 'warning_closed'].includes(stripeDispute.status)) {
+      update.closedAt = new Date();
+    }
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { stripeDisputeId: stripeDispute.id },
+      {
+        $set: update,
+        $setOnInsert: {
+          paymentRecordId: paymentRecord._id,
+          rescueRequestId: paymentRecord.rescueRequestId,
+          riderId: paymentRecord.riderId,
+          driverId: paymentRecord.driverId,
+          stripeChargeId: stripeDispute.charge,
+          currency: stripeDispute.currency,
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    await PaymentRecord.updateOne(
+      { _id: paymentRecord._id },
+      {
+        $set: {
+          'dispute.disputeId': dispute._id,
+          'dispute.status': dispute.status,
+          'dispute.amount': dispute.amount,
+          'dispute.openedAt': dispute.createdAt,
+          'dispute.closedAt': dispute.closedAt,
+        },
+      }
+    );
+
+    logger.warn('Charge dispute updated', {
+      disputeId: dispute._id,
+      stripeDisputeId: stripeDispute.id,
+      eventType,
+      status: dispute.status,
+    });
+
+    if (RESPONDABLE_STATUSES.includes(dispute.status) && !dispute.evidence?.submittedAt) {
+      await addPaymentJob(
+        'submit-dispute-evidence',
+        { disputeId: dispute._id.toString() },
+        { jobId: `dispute-evidence-${dispute._id}` }
+      );
+    }
+
+    if (dispute.status === 'lost' && dispute.clawback.status === 'none') {
+      await this.recordLoss(dispute, paymentRecord);
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Gather what happened on the rescue into Stripe evidence fields and documents
+   */
+  async collectEvidence(dispute) {
+    const [rescue, rider, messages] = await Promise.all([
+      RescueRequest.findById(dispute.rescueRequestId),
+      User.findById(dispute.riderId),
+      ChatMessage.find({ rescueId: dispute.rescueRequestId }).sort({ createdAt: 1 }),
+    ]);
+
+    if (!rescue) {
+      return { fields: {}, documents: {} };
+    }
+
+    const participant = (userId) =>
+      userId?.toString() === rescue.riderId.toString() ? 'Rider' : 'Driver';
+
+    const timeline = rescue.timeline.map(
+      (entry) =>
+        `${entry.timestamp.toISOString()}  ${entry.status}` +
+        (entry.location?.coordinates?.length
+          ? `  at ${entry.location.coordinates[1]},${entry.location.coordinates[0]}`
+          : '') +
+        (entry.notes ? `  (${entry.notes})` : '')
+    );
+
+    const route = rescue.driverRoute?.coordinates || [];
+    const routeDistance = route
+      .slice(1)
+      .reduce((sum, point, i) => sum + pricingService.calculateDistance(route[i], point), 0);
+    const routeSummary = route.length
+      ? [
+          `Driver route: ${route.length} GPS points, ${routeDistance.toFixed(2)} km`,
+          `Start: ${route[0][1]},${route[0][0]}`,
+          `End: ${route[route.length - 1][1]},${route[route.length - 1][0]}`,
+        ]
+      : ['No driver route recorded'];
+
+    const transcript = messages.map(
+      (message) =>
+        `${message.createdAt.toISOString()}  ${participant(message.senderId)}: ` +
+        (message.messageType === 'image'
+          ? `[photo] ${message.metadata?.imageUrl}`
+          : message.content)
+    );
+
+    const photos = [
+      ...(rescue.pickupLocation?.photos || []),
+      ...(rescue.ebike?.photos || []),
+      ...messages.map((message) => message.metadata?.imageUrl).filter(Boolean),
+    ];
+
+    const serviceDate = rescue.completedAt || rescue.acceptedAt || rescue.createdAt;
+
+    const fields = {
+      product_description: truncate(
+        `E-bike roadside rescue (${rescue.issue?.type || 'assistance'}) from ` +
+          `${rescue.pickupLocation.address} to ${rescue.dropoffLocation.address}. ` +
+          `Final status: ${rescue.status}.`
+      ),
+      customer_name: rider?.fullName,
+      customer_email_address: rider?.email,
+      service_date: serviceDate.toISOString().slice(0, 10),
+      access_activity_log: truncate([...timeline, '', ...routeSummary].join('\n')),
+      uncategorized_text: truncate(
+        [
+          `Rescue ${rescue._id} was requested in the app by the cardholder.`,
+          `Status history and driver GPS route are attached as service documentation.`,
+          `${messages.length} chat messages between rider and driver are attached.`,
+          photos.length ? `Photos:\n${photos.join('\n')}` : 'No photos were uploaded.',
+        ].join('\n')
+      ),
+    };
+
+    const documents = {
+      service_documentation: [
+        `Rescue ${rescue._id}`,
+        '',
+        'Status timeline',
+        ...timeline,
+        '',
+        ...routeSummary,
+        ...route.map(([lng, lat]) => `${lat},${lng}`),
+      ].join('\n'),
+      ...(transcript.length && { customer_communication: transcript.join('\n') }),
+    };
+
+    return { fields, documents };
+  }
+
+  /**
+   * Collect and submit evidence for a dispute - called from the payment worker
+   */
+  async submitEvidence(disputeId) {
+    const dispute = await Dispute.findById(disputeId);
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (dispute.evidence?.submittedAt || !RESPONDABLE_STATUSES.includes(dispute.status)) {
+      return dispute;
+    }
+
+    const { fields, documents } = await this.collectEvidence(dispute);
+    const evidence = { ...fields };
+    const fileIds = [];
+
+    try {
+      for (const [field, content] of Object.entries(documents)) {
+        const file = await stripeService.uploadDisputeEvidenceFile(
+          `${field}-${dispute.rescueRequestId}.txt`,
+          content
+        );
+        evidence[field] = file.id;
+        fileIds.push(file.id);
+      }
+
+      await stripeService.submitDisputeEvidence(dispute.stripeDisputeId, evidence);
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+
+      // Leave it for an admin to review and resubmit
+      await Dispute.updateOne(
+        { _id: dispute._id },
+        { $set: { 'evidence.fields': fields, 'evidence.error': error.message } }
+      );
+      logger.error('Dispute evidence rejected', { disputeId, error: error.message });
+      return dispute;
+    }
+
+    return Dispute.findByIdAndUpdate(
+      dispute._id,
+      {
+        $set: {
+          'evidence.collectedAt': new Date(),
+          'evidence.submittedAt': new Date(),
+          'evidence.fields': fields,
+          'evidence.fileIds': fileIds,
+        },
+        $unset: { 'evidence.error': 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Work out the driver's share of a lost dispute. A share still waiting for a payout batch
+   * is cancelled; money already paid out is recovered from later payouts.
+   */
+  async recordLoss(dispute, paymentRecord) {
+    if (!dispute.driverId || !paymentRecord.payout?.amount) {
+      await Dispute.updateOne({ _id: dispute._id }, { $set: { 'clawback.status': 'waived' } });
+      return dispute;
+    }
+
+    const cancelled = await PaymentRecord.updateOne(
+      { _id: paymentRecord._id, 'payout.status': 'pending', 'payout.batchId': { $exists: false } },
+      { $set: { 'payout.status': 'cancelled' } }
+    );
+
+    if (cancelled.modifiedCount > 0) {
+      await Dispute.updateOne({ _id: dispute._id }, { $set: { 'clawback.status': 'waived' } });
+
+      logger.info('Payout cancelled for lost dispute', { paymentRecordId: paymentRecord._id });
+      return dispute;
+    }
+
+    const share = Math.min(dispute.amount / paymentRecord.amount, 1);
+    const amount = roundCurrency(paymentRecord.payout.amount * share);
+
+    await Dispute.updateOne(
+      { _id: dispute._id, 'clawback.status': 'none' },
+      { $set: { 'clawback.amount': amount, 'clawback.status': amount > 0 ? 'pending' : 'waived' } }
+    );
+
+    logger.warn('Dispute lost, driver clawback recorded', {
+      disputeId: dispute._id,
+      driverId: dispute.driverId,
+      amount,
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Deduct outstanding clawbacks from a payout batch and return the total.
+   * A retried batch gets back the deductions it already made.
+   */
+  async applyClawbacks(driverId, payoutAmount, payoutBatchId) {
+    const previous = await Dispute.find({ 'clawback.deductions.payoutBatchId': payoutBatchId });
+
+    if (previous.length > 0) {
+      return roundCurrency(
+        previous
+          .flatMap((dispute) => dispute.clawback.deductions)
+          .filter((deduction) => deduction.payoutBatchId?.equals(payoutBatchId))
+          .reduce((sum, deduction) => sum + deduction.amount, 0)
+      );
+    }
+
+    let remaining = roundCurrency(payoutAmount);
+    let deducted = 0;
+
+    for (const dispute of await Dispute.findOutstandingClawbacks(driverId)) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const amount = roundCurrency(Math.min(dispute.clawbackOutstanding, remaining));
+      const recovered = roundCurrency(dispute.clawback.recovered + amount);
+
+      // Guard on the recovered amount so concurrent payouts can't take the same debt twice
+      const updated = await Dispute.updateOne(
+        { _id: dispute._id, 'clawback.recovered': dispute.clawback.recovered },
+        {
+          $set: {
+            'clawback.recovered': recovered,
+            'clawback.status': recovered >= dispute.clawback.amount ? 'recovered' : 'partial',
+          },
+          $push: { 'clawback.deductions': { payoutBatchId, amount } },
+        }
+      );
+
+      if (updated.modifiedCount > 0) {
+        remaining = roundCurrency(remaining - amount);
+        deducted = roundCurrency(deducted + amount);
+      }
+    }
+
+    if (deducted > 0) {
+      logger.info('Dispute clawback deducted from payout', { driverId, payoutBatchId, deducted });
+    }
+
+    return deducted;
+  }
+
+  /**
+   * Undo a batch's deductions when its transfer fails, so the debt is taken from the next one
+   */
+  async reverseClawbacks(payoutBatchId) {
+    const disputes = await Dispute.find({ 'clawback.deductions.payoutBatchId': payoutBatchId });
+
+    for (const dispute of disputes) {
+      const amount = dispute.clawback.deductions
+        .filter((deduction) => deduction.payoutBatchId?.equals(payoutBatchId))
+        .reduce((sum, deduction) => sum + deduction.amount, 0);
+      const recovered = roundCurrency(dispute.clawback.recovered - amount);
+
+      await Dispute.updateOne(
+        { _id: dispute._id },
+        {
+          $set: {
+            'clawback.recovered': recovered,
+            'clawback.status': recovered > 0 ? 'partial' : 'pending',
+          },
+          $pull: { 'clawback.deductions': { payoutBatchId } },
+        }
+      );
+    }
+  }
+
+  async list({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .select('-evidence.fields')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Dispute.countDocuments(query),
+    ]);
+
+    return { disputes, total, page, limit };
+  }
+
+  async getById(disputeId) {
+    const dispute = await Dispute.findById(disputeId).populate('paymentRecordId');
+
+    if (!dispute) {
+      throw new NotFoundError('Dispute');
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Queue evidence collection again, e.g. after it was rejected
+   */
+  async resubmitEvidence(disputeId) {
+    const dispute = await this.getById(disputeId);
+
+    if (dispute.evidence?.submittedAt || !RESPONDABLE_STATUSES.includes(dispute.status)) {
+      throw new ConflictError('Evidence can no longer be submitted for this dispute');
+    }
+
+    await addPaymentJob(
+      'submit-dispute-evidence',
+      { disputeId: dispute._id.toString() },
+      { jobId: `dispute-evidence-${dispute._id}-${Date.now()}` }
+    );
+
+    return dispute;
+  }
+}
+
+export default new DisputeService();
@@ -0,0 +1,271 @@
+import { PaymentRecord, PayoutBatch, User } from '../models/index.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { createTextPdf } from '../utils/pdf.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const LINE_TYPE_LABELS = {
+  fare: 'Rescue fare',
+  cancellation_fee: 'Cancellation fee',
+  tip: 'Tip after rescue',
+  bonus: 'Bonus',
+  adjustment: 'Adjustment',
+};
+
+/**
+ * Earnings Service
+ * Driver earnings statements per week or month, built from the PaymentRecords whose
+ * driver share was accrued for payout
+ */
+class EarningsService {
+  /**
+   * Statement period containing `date`. Weeks run Monday to Monday (UTC) to line up with
+   * the weekly payout.
+   */
+  getPeriod(type = 'week', date = new Date()) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (type === 'month') {
+      const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+      const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+      return { type, start, end };
+    }
+
+    const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+    return { type: 'week', start, end: new Date(start.getTime() + 7 * DAY) };
+  }
+
+  getLineType(record) {
+    const kind = record.metadata?.kind;
+
+    if (kind === 'driver_bonus') return 'bonus';
+    if (record.type === 'adjustment') return 'adjustment';
+    if (kind === 'cancellation_fee') return 'cancellation_fee';
+    if (kind === 'tip') return 'tip';
+    return 'fare';
+  }
+
+  toLine(record) {
+    const type = this.getLineType(record);
+    // Rider charges split into fare, tip and fee; bonuses and adjustments are paid as-is
+    const isFare = ['fare', 'cancellation_fee', 'tip'].includes(type);
+    const { total = 0, tip = 0, platformFee = 0 } = record.breakdown || {};
+
+    return {
+      date: record.processedAt,
+      type,
+      description: isFare ? LINE_TYPE_LABELS[type] : record.notes || LINE_TYPE_LABELS[type],
+      paymentRecordId: record._id,
+      rescueRequestId: record.rescueRequestId,
+      fare: isFare ? roundCurrency(total - tip) : 0,
+      tip: isFare ? tip : 0,
+      platformFee: isFare ? platformFee : 0,
+      amount: record.payout.amount,
+      payoutStatus: record.payout.status,
+      payoutBatchId: record.payout.batchId,
+    };
+  }
+
+  /**
+   * Fares, tips, bonuses, adjustments and platform fees for one period, with the
+   * payouts sent during it
+   */
+  async getStatement(driverId, { period = 'week', date = new Date() } = {}) {
+    const { type, start, end } = this.getPeriod(period, date);
+
+    const [records, batches] = await Promise.all([
+      PaymentRecord.find({
+        driverId,
+        'payout.amount': { $exists: true },
+        processedAt: { $gte: start, $lt: end },
+      })
+        .sort({ processedAt: 1 })
+        .lean(),
+      PayoutBatch.find({ driverId, status: 'paid', paidAt: { $gte: start, $lt: end } })
+        .select('-paymentRecordIds')
+        .sort({ paidAt: 1 })
+        .lean(),
+    ]);
+
+    const lines = records.map((record) => this.toLine(record));
+    const sum = (items, pick) =>
+      roundCurrency(items.reduce((total, item) => total + pick(item), 0));
+    const ofType = (...types) => lines.filter((line) => types.includes(line.type));
+
+    const fares = sum(lines, (line) => line.fare);
+    const tips = sum(lines, (line) => line.tip);
+    const bonuses = sum(ofType('bonus'), (line) => line.amount);
+    const adjustments = sum(ofType('adjustment'), (line) => line.amount);
+    const platformFees = sum(lines, (line) => line.platformFee);
+
+    return {
+      driverId,
+      period: { type, start, end },
+      currency: 'USD',
+      summary: {
+        rescues: new Set(
+          ofType('fare', 'cancellation_fee').map((line) => line.rescueRequestId?.toString())
+        ).size,
+        fares,
+        tips,
+        bonuses,
+        adjustments,
+        platformFees,
+        netEarnings: roundCurrency(fares + tips + bonuses + adjustments - platformFees),
+        pendingPayout: sum(
+          lines.filter((line) => ['pending', 'processing'].includes(line.payoutStatus)),
+          (line) => line.amount
+        ),
+        paidOut: sum(batches, (batch) => batch.amount),
+        disputeClawbacks: sum(batches, (batch) => batch.clawbackAmount),
+        cashOutFees: sum(batches, (batch) => batch.fee || 0),
+      },
+      lines,
+      payouts: batches,
+    };
+  }
+
+  toCsv(statement) {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (values) => values.map(escape).join(',');
+    const { summary, period } = statement;
+
+    return [
+      row([
+        'Date',
+        'Type',
+        'Description',
+        'Rescue',
+        'Fare',
+        'Tip',
+        'Platform fee',
+        'Earnings',
+        'Payout',
+      ]),
+      ...statement.lines.map((line) =>
+        row([
+          formatDate(line.date),
+          line.type,
+          line.description,
+          line.rescueRequestId,
+          line.fare.toFixed(2),
+          line.tip.toFixed(2),
+          line.platformFee.toFixed(2),
+          line.amount.toFixed(2),
+          line.payoutStatus,
+        ])
+      ),
+      '',
+      row(['Period', `${formatDate(period.start)} to ${formatDate(new Date(period.end - DAY))}`]),
+      row(['Fares', summary.fares.toFixed(2)]),
+      row(['Tips', summary.tips.toFixed(2)]),
+      row(['Bonuses', summary.bonuses.toFixed(2)]),
+      row(['Adjustments', summary.adjustments.toFixed(2)]),
+      row(['Platform fees', (-summary.platformFees).toFixed(2)]),
+      row(['Net earnings', summary.netEarnings.toFixed(2)]),
+      row(['Dispute clawbacks', (-summary.disputeClawbacks).toFixed(2)]),
+      row(['Instant cash-out fees', (-summary.cashOutFees).toFixed(2)]),
+      row(['Paid out', summary.paidOut.toFixed(2)]),
+      row(['Pending payout', summary.pendingPayout.toFixed(2)]),
+    ].join('\n');
+  }
+
+  async toPdf(statement) {
+    const driver = await User.findById(statement.driverId);
+    const { summary, period } = statement;
+    const column = (text, width) => String(text).slice(0, width).padEnd(width);
+    const money = (amount, width = 11) => formatMoney(amount).padStart(width);
+
+    const lines = [
+      'SupportCarr - Driver Earnings Statement',
+      '',
+      `Driver:  ${driver?.fullName || statement.driverId}`,
+      `Period:  ${formatDate(period.start)} to ${formatDate(new Date(period.end - DAY))}`,
+      `Issued:  ${formatDate(new Date())}`,
+      '',
+      'SUMMARY',
+      `${column('Fares', 30)}${money(summary.fares)}`,
+      `${column('Tips', 30)}${money(summary.tips)}`,
+      `${column('Bonuses', 30)}${money(summary.bonuses)}`,
+      `${column('Adjustments', 30)}${money(summary.adjustments)}`,
+      `${column('Platform fees', 30)}${money(-summary.platformFees)}`,
+      `${column('Net earnings', 30)}${money(summary.netEarnings)}`,
+      '',
+      `${column('Dispute clawbacks', 30)}${money(-summary.disputeClawbacks)}`,
+      `${column('Instant cash-out fees', 30)}${money(-summary.cashOutFees)}`,
+      `${column('Paid out this period', 30)}${money(summary.paidOut)}`,
+      `${column('Pending payout', 30)}${money(summary.pendingPayout)}`,
+      '',
+      'DETAIL',
+      `${column('Date', 12)}${column('Description', 26)}${'Fare'.padStart(10)}${'Tip'.padStart(10)}` +
+        `${'Fee'.padStart(10)}${'Earnings'.padStart(11)}  Payout`,
+      ...statement.lines.map(
+        (line) =>
+          `${column(formatDate(line.date), 12)}${column(line.description, 26)}` +
+          `${money(line.fare, 10)}${money(line.tip, 10)}${money(-line.platformFee, 10)}` +
+          `${money(line.amount)}  ${line.payoutStatus}`
+      ),
+      ...(statement.lines.length === 0 ? ['No earnings in this period.'] : []),
+    ];
+
+    if (statement.payouts.length > 0) {
+      lines.push('', 'PAYOUTS');
+      statement.payouts.forEach((batch) => {
+        lines.push(
+          `${column(formatDate(batch.paidAt), 12)}${column(batch.type, 9)}` +
+            `${column(batch.stripeTransferId || '-', 28)}${money(batch.amount)}` +
+            (batch.clawbackAmount > 0 ? `  (${formatMoney(batch.clawbackAmount)} clawback)` : '') +
+            (batch.fee > 0 ? `  (${formatMoney(batch.fee)} fee)` : '')
+        );
+      });
+    }
+
+    return createTextPdf(lines);
+  }
+
+  /**
+   * Add a bonus or earnings adjustment to a driver's next payout
+   */
+  async createAdjustment(driverId, { amount, kind = 'adjustment', reason, createdBy }) {
+    const driver = await User.findById(driverId);
+
+    if (!driver || driver.role !== 'driver') {
+      throw new NotFoundError('Driver');
+    }
+
+    if (kind === 'bonus' && amount <= 0) {
+      throw new ValidationError({ amount: 'Bonuses must be positive' });
+    }
+
+    const value = roundCurrency(amount);
+    const paymentRecord = await PaymentRecord.create({
+      driverId,
+      type: 'adjustment',
+      status: 'succeeded',
+      amount: Math.abs(value),
+      currency: 'usd',
+      paymentMethod: 'other',
+      processedAt: new Date(),
+      notes: reason,
+      breakdown: { total: value, platformFee: 0 },
+      metadata: { kind: `driver_${kind}`, createdBy },
+      payout: { amount: value, status: 'pending' },
+    });
+
+    logger.info('Driver earnings adjustment created', { driverId, kind, amount: value, createdBy });
+
+    return paymentRecord;
+  }
+}
+
+export default new EarningsService();
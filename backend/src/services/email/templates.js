@@ -0,0 +1,238 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../../config/index.js';
+import { createTextPdf } from '../../utils/pdf.js';
+import logger from '../../utils/logger.js';
+
+export const LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+// Data fields shown as money or as a date and time
+const CURRENCY_FIELDS = ['amount', 'price'];
+const DATE_FIELDS = ['scheduledFor'];
+
+let translations = null;
+
+/**
+ * The frontend's locale files, read once. If they can't be read, emails fall back to the
+ * notification's own title and body.
+ */
+const loadTranslations = () => {
+  if (!translations) {
+    translations = {};
+
+    for (const locale of LOCALES) {
+      try {
+        const file = path.join(config.email.localesDir, `${locale}.json`);
+        translations[locale] = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        logger.error(`Failed to load ${locale} email translations:`, error);
+        translations[locale] = {};
+      }
+    }
+  }
+
+  return translations;
+};
+
+const lookup = (locale, key) =>
+  key.split('.').reduce((value, part) => value?.[part], loadTranslations()[locale]);
+
+/**
+ * Translate a dotted key, falling back to English, and fill in `{param}` placeholders.
+ * Returns undefined when neither locale has the key.
+ */
+export const translate = (locale, key, params = {}) => {
+  const value = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key);
+
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (match, param) =>
+    params[param] !== undefined ? params[param] : match
+  );
+};
+
+export const resolveLocale = (user) =>
+  LOCALES.includes(user?.locale) ? user.locale : DEFAULT_LOCALE;
+
+export const formatCurrency = (amount, locale) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency: 'USD' }).format(amount);
+
+const formatDateTime = (date, locale) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(
+    new Date(date)
+  );
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Notification data formatted for display
+ */
+const buildParams = (notification, user, locale) => {
+  const data = notification.data ? Object.fromEntries(notification.data) : {};
+  const params = { name: user.firstName };
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+
+    if (CURRENCY_FIELDS.includes(key) && typeof value === 'number') {
+      params[key] = formatCurrency(value, locale);
+    } else if (DATE_FIELDS.includes(key)) {
+      params[key] = formatDateTime(value, locale);
+    } else {
+      params[key] = String(value);
+    }
+  });
+
+  return params;
+};
+
+const renderHtml = ({ locale, greeting, heading, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(heading)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="max-width:560px;width:100%;background:#ffffff;border-radius:8px;">
+            <tr>
+              <td style="padding:24px 32px;background:#16a34a;border-radius:8px 8px 0 0;color:#ffffff;font-size:20px;font-weight:bold;">
+                ${escapeHtml(config.app.name)}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:32px;font-size:15px;line-height:1.6;">
+                <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(heading)}</h1>
+                <p style="margin:0 0 16px;">${escapeHtml(greeting)}</p>
+                ${paragraphs.map((text) => `<p style="margin:0 0 16px;">${escapeHtml(text)}</p>`).join('\n                ')}
+                ${
+                  action
+                    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 20px;background:#16a34a;color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;">${escapeHtml(action.label)}</a></p>`
+                    : ''
+                }
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 32px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">
+                ${escapeHtml(footer)}
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+
+const renderText = ({ greeting, paragraphs, action, footer }) =>
+  [
+    greeting,
+    '',
+    ...paragraphs.flatMap((text) => [text, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    '--',
+    footer,
+    '',
+  ].join('\n');
+
+/**
+ * Subject, HTML and plain-text bodies for a notification in the user's language.
+ * Types without a template use the notification's title and body.
+ */
+export const renderNotificationEmail = (notification, user, { receiptAttached = false } = {}) => {
+  const locale = resolveLocale(user);
+  const params = buildParams(notification, user, locale);
+  const prefix = `emails.types.${notification.type}`;
+  const template = lookup(locale, prefix) ?? lookup(DEFAULT_LOCALE, prefix);
+
+  const subject = template ? translate(locale, `${prefix}.subject`, params) : notification.title;
+  const paragraphs = [template ? translate(locale, `${prefix}.body`, params) : notification.body];
+
+  // Extra lines appear only when the notification carries the data they mention
+  Object.keys(template?.details || {}).forEach((field) => {
+    if (params[field] !== undefined) {
+      paragraphs.push(translate(locale, `${prefix}.details.${field}`, params));
+    }
+  });
+
+  if (receiptAttached) {
+    paragraphs.push(translate(locale, 'emails.receiptAttached'));
+  }
+
+  paragraphs.push(translate(locale, 'emails.signature'));
+
+  const actionLabel = template && translate(locale, `${prefix}.action`, params);
+  const action =
+    actionLabel && notification.actionUrl
+      ? { label: actionLabel, url: `${config.app.frontendUrl}${notification.actionUrl}` }
+      : null;
+
+  const content = {
+    locale,
+    heading: subject,
+    greeting:
+      translate(locale, params.name ? 'emails.greeting' : 'emails.greetingAnonymous', params) || '',
+    // Lines drop out when the translations couldn't be loaded
+    paragraphs: paragraphs.filter(Boolean),
+    action,
+    footer: translate(locale, 'emails.footer') || '',
+  };
+
+  return {
+    subject,
+    html: renderHtml(content),
+    text: renderText(content),
+  };
+};
+
+/**
+ * PDF receipt for a charge
+ */
+export const renderReceipt = (paymentRecord, user) => {
+  const locale = resolveLocale(user);
+  const label = (key) => translate(locale, key);
+  const row = (name, amount) =>
+    `${String(name).padEnd(32)}${formatCurrency(amount, locale).padStart(14)}`;
+  const { breakdown = {} } = paymentRecord;
+  const total = breakdown.total ?? paymentRecord.amount;
+
+  const lines = [
+    `${config.app.name} - ${label('emails.receipt.title')}`,
+    '',
+    `${label('emails.receipt.number')}: ${paymentRecord._id}`,
+    `${label('emails.receipt.date')}: ${formatDateTime(paymentRecord.processedAt || paymentRecord.createdAt, locale)}`,
+    ...(paymentRecord.rescueRequestId
+      ? [`${label('emails.receipt.rescue')}: ${paymentRecord.rescueRequestId}`]
+      : []),
+    '',
+  ];
+
+  if (breakdown.subtotal) lines.push(row(label('payment.subtotal'), breakdown.subtotal));
+  if (breakdown.discount) lines.push(row(label('payment.discount'), -breakdown.discount));
+  if (breakdown.tip) lines.push(row(label('emails.receipt.tip'), breakdown.tip));
+
+  // Part of the total may have been paid from the account balance in a separate record
+  const method = label(`emails.receipt.methods.${paymentRecord.paymentMethod}`);
+  lines.push(
+    '-'.repeat(46),
+    row(label('payment.total'), total),
+    row(`${label('emails.receipt.paidWith')}: ${method}`, paymentRecord.amount)
+  );
+
+  return createTextPdf(lines);
+};
+
+export default { LOCALES, translate, resolveLocale, renderNotificationEmail, renderReceipt };
@@ -0,0 +1,186 @@
+import nodemailer from 'nodemailer';
+import { Notification, PaymentRecord, User } from '../models/index.js';
+import { addEmailJob } from '../queues/index.js';
+import { renderNotificationEmail, renderReceipt } from './email/templates.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Notifications that carry a PDF receipt for the payment
+const RECEIPT_TYPES = ['payment_received'];
+
+// RCPT replies meaning the mailbox doesn't exist, has moved or isn't a valid address
+const RECIPIENT_REJECTION_CODES = [550, 551, 553];
+
+/**
+ * Only a rejected recipient is a bounce. Every other failure - 4xx replies, connection
+ * errors, and 5xx replies to AUTH, MAIL FROM or DATA such as 535, 552 or 554 - is a problem
+ * with our transport or message, so it is retried without blaming the address.
+ */
+const isRecipientRejection = (error) =>
+  [error, ...(error.rejectedErrors || [])].some(
+    (reply) => reply.command === 'RCPT TO' && RECIPIENT_REJECTION_CODES.includes(reply.responseCode)
+  );
+
+/**
+ * Email Service
+ * Renders notification emails and delivers them over SMTP from the email queue
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.initialized = false;
+
+    if (config.email.user && config.email.password) {
+      this.transporter = nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.port === 465,
+        auth: {
+          user: config.email.user,
+          pass: config.email.password,
+        },
+        pool: true,
+      });
+      this.initialized = true;
+      logger.info('Email service initialized');
+    } else {
+      logger.warn('Email credentials not configured');
+    }
+  }
+
+  /**
+   * Queue a notification for email delivery; the job id keeps it from being sent twice
+   */
+  async queueNotification(notification) {
+    return addEmailJob(
+      'send-notification',
+      { notificationId: notification._id.toString() },
+      {
+        jobId: `email-${notification._id}`,
+        priority: ['high', 'urgent'].includes(notification.priority) ? 5 : 15,
+      }
+    );
+  }
+
+  /**
+   * Deliver a queued notification email. Rejected recipients are recorded as bounces on the
+   * notification; anything else is thrown so the queue retries.
+   */
+  async deliverNotification(notificationId) {
+    const notification = await Notification.findByIdAndUpdate(
+      notificationId,
+      { $inc: { 'channels.email.attempts': 1 } },
+      { new: true }
+    );
+
+    if (!notification) {
+      logger.warn('Notification for email not found', { notificationId });
+      return null;
+    }
+
+    if (notification.channels.email.sent || notification.channels.email.bounced) {
+      return notification;
+    }
+
+    if (!this.initialized) {
+      return notification.markChannelAsSent('email', null, 'Email transport not configured');
+    }
+
+    const user = await User.findById(notification.userId);
+
+    if (!user?.email) {
+      return notification.markChannelAsSent('email', null, 'No email address');
+    }
+
+    if (user.emailBounce?.bouncedAt) {
+      return notification.markChannelAsSent('email', null, 'Email address has bounced');
+    }
+
+    const attachments = await this.buildAttachments(notification, user);
+    const { subject, html, text } = renderNotificationEmail(notification, user, {
+      receiptAttached: attachments.length > 0,
+    });
+
+    let info;
+    try {
+      info = await this.transporter.sendMail({
+        from: config.email.from,
+        to: user.email,
+        subject,
+        html,
+        text,
+        attachments,
+      });
+    } catch (error) {
+      if (!isRecipientRejection(error)) {
+        throw error;
+      }
+
+      return this.recordBounce(notification, user, error.response || error.message);
+    }
+
+    if (info.rejected?.length > 0) {
+      return this.recordBounce(notification, user, info.response || 'Recipient rejected');
+    }
+
+    logger.info('Email notification sent', {
+      notificationId: notification._id,
+      userId: user._id,
+      type: notification.type,
+      messageId: info.messageId,
+    });
+
+    return notification.markChannelAsSent('email', info.messageId);
+  }
+
+  async buildAttachments(notification, user) {
+    const paymentRecordId = notification.data?.get('paymentRecordId');
+
+    if (!RECEIPT_TYPES.includes(notification.type) || !paymentRecordId) {
+      return [];
+    }
+
+    const paymentRecord = await PaymentRecord.findById(paymentRecordId);
+
+    if (!paymentRecord) {
+      return [];
+    }
+
+    return [
+      {
+        filename: `receipt-${paymentRecord._id}.pdf`,
+        content: renderReceipt(paymentRecord, user),
+        contentType: 'application/pdf',
+      },
+    ];
+  }
+
+  /**
+   * Mark the address as bouncing so later notifications skip email until it changes
+   */
+  async recordBounce(notification, user, reason) {
+    const bouncedAt = new Date();
+
+    await User.updateOne({ _id: user._id }, { $set: { emailBounce: { bouncedAt, reason } } });
+
+    notification.channels.email.bounced = true;
+    notification.channels.email.bouncedAt = bouncedAt;
+
+    logger.warn('Email bounced', { notificationId: notification._id, userId: user._id, reason });
+
+    return notification.markChannelAsSent('email', null, reason);
+  }
+
+  /**
+   * Record the last error once the queue has given up retrying
+   */
+  async recordFailure(notificationId, error) {
+    const notification = await Notification.findById(notificationId);
+
+    if (notification && !notification.channels.email.sent) {
+      await notification.markChannelAsSent('email', null, error);
+    }
+  }
+}
+
+export default new EmailService();
@@ -115,7 +115,11 @@ class LocationService {
         { WITHDIST: true, COUNT: limit }
       );
 
-      if (!nearbyDrivers || nearbyDrivers.length === 0) {
+      if (nearbyDrivers === null) {
+        return this.findNearbyDriversMongoDB(latitude, longitude, radiusKm, limit);
+      }
+
+      if (nearbyDrivers.length === 0) {
         return [];
       }
 
@@ -123,7 +127,7 @@ class LocationService {
       const driverIds = nearbyDrivers.map((d) => d.member);
       const drivers = await DriverProfile.find({
         userId: { $in: driverIds },
-        availability: 'available',
+        isAvailable: true,
         isOnline: true,
       }).populate('userId', 'firstName lastName phoneNumber');
 
@@ -160,7 +164,7 @@ class LocationService {
   async findNearbyDriversMongoDB(latitude, longitude, radiusKm = 10, limit = 20) {
     try {
       const drivers = await DriverProfile.find({
-        availability: 'available',
+        isAvailable: true,
         isOnline: true,
         currentLocation: {
           $near: {
@@ -182,6 +186,50 @@ class LocationService {
     }
   }
 
+  /**
+   * Find pending rescues a driver can take, honouring their preferences and vehicle capacity
+   */
+  async findNearbyRescues(driverProfile, vehicle, limit = 20) {
+    const { preferences = {} } = driverProfile;
+    const [longitude, latitude] = driverProfile.currentLocation.coordinates;
+
+    if (!vehicle || (!preferences.acceptRescues && !preferences.acceptUtilityTasks)) {
+      return [];
+    }
+
+    const query = RescueRequest.findNearby(longitude, latitude, preferences.maxDistanceKm)
+      .where('ebike.estimatedWeight')
+      .lte(vehicle.capacity.weight);
+
+    if (!preferences.acceptRescues) {
+      query.where('issue.type').equals('utility_task');
+    } else if (!preferences.acceptUtilityTasks) {
+      query.where('issue.type').ne('utility_task');
+    }
+
+    // $near already sorts by distance
+    const rescues = await query.limit(limit);
+
+    return Promise.all(
+      rescues.map(async (rescue) => {
+        const eta = await this.calculateETA(
+          driverProfile.currentLocation,
+          rescue.pickupLocation.location
+        );
+
+        return {
+          ...rescue.toObject(),
+          distanceKm: eta.distance,
+          estimatedPayout: rescue.pricing.driverPayout,
+          eta: {
+            minutes: eta.etaMinutes,
+            text: eta.etaText,
+          },
+        };
+      })
+    );
+  }
+
   /**
    * Calculate ETA for driver to reach pickup location
    */
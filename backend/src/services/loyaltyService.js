@@ -0,0 +1,345 @@
+import { RiderProfile, RescueRequest, LoyaltyTransaction, PaymentRecord } from '../models/index.js';
+import { REPRICEABLE_RESCUE_STATUSES } from '../models/RescueRequest.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} from '../middleware/errorHandler.js';
+import pricingService from './pricingService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Tiers by completed rescues; the multiplier applies to points earned
+const LOYALTY_TIERS = [
+  { name: 'bronze', minRescues: 0, multiplier: 1 },
+  { name: 'silver', minRescues: 5, multiplier: 1.25 },
+  { name: 'gold', minRescues: 15, multiplier: 1.5 },
+  { name: 'platinum', minRescues: 30, multiplier: 2 },
+];
+
+/**
+ * Loyalty Service
+ * Points earned on completed rescues, redeemed as a discount and kept in a ledger
+ */
+class LoyaltyService {
+  getTier(stats) {
+    const completed = stats?.totalRescues || 0;
+    return [...LOYALTY_TIERS].reverse().find((tier) => completed >= tier.minRescues);
+  }
+
+  getNextTier(stats) {
+    const completed = stats?.totalRescues || 0;
+    const next = LOYALTY_TIERS.find((tier) => tier.minRescues > completed);
+
+    return next ? { name: next.name, rescuesNeeded: next.minRescues - completed } : null;
+  }
+
+  async getProfile(riderId) {
+    const profile = await RiderProfile.findOne({ userId: riderId });
+
+    if (!profile) {
+      throw new NotFoundError('Rider profile');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Write a ledger entry, or return null if this event was already recorded
+   */
+  async createEntry(entry) {
+    try {
+      return await LoyaltyTransaction.create(entry);
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a ledger entry and move the rider's balance by its points.
+   * The two writes can't be made atomic, so a retry picks up an entry left without a
+   * balanceAfter and finishes it; the profile tracks applied keys so points move only once.
+   * Returns null if this event was already fully recorded.
+   */
+  async applyEntry(profile, entry) {
+    const recorded =
+      (await this.createEntry(entry)) || (await this.findUnapplied(entry.idempotencyKey));
+
+    return this.settleEntry(profile, recorded);
+  }
+
+  findUnapplied(idempotencyKey) {
+    return LoyaltyTransaction.findOne({ idempotencyKey, balanceAfter: null });
+  }
+
+  async settleEntry(profile, recorded) {
+    if (!recorded) {
+      return null;
+    }
+
+    // An earlier attempt may already have moved the balance before failing
+    const applied = await profile.applyLoyaltyEntry(recorded.idempotencyKey, recorded.points);
+
+    if (applied === null) {
+      const { loyaltyPoints } = await this.getProfile(profile.userId);
+      recorded.balanceAfter = loyaltyPoints;
+    } else {
+      // Points already spent can't be taken back below zero
+      recorded.points = applied;
+      recorded.balanceAfter = profile.loyaltyPoints;
+    }
+
+    await recorded.save();
+
+    return recorded;
+  }
+
+  /**
+   * Points balance, tier progress and recent ledger entries
+   */
+  async getSummary(riderId, page = 1, limit = 20) {
+    const profile = await this.getProfile(riderId);
+    const tier = this.getTier(profile.stats);
+
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.findByRider(riderId, page, limit),
+      LoyaltyTransaction.countDocuments({ riderId }),
+    ]);
+
+    return {
+      points: profile.loyaltyPoints,
+      value: pricingService.roundCurrency(profile.loyaltyPoints * config.loyalty.pointValue),
+      tier: { name: tier.name, multiplier: tier.multiplier },
+      nextTier: this.getNextTier(profile.stats),
+      earnRate: config.loyalty.pointsPerDollar * tier.multiplier,
+      redemption: {
+        minPoints: config.loyalty.minRedeemPoints,
+        pointValue: config.loyalty.pointValue,
+        maxPercentOfFare: config.loyalty.maxRedeemPercent,
+      },
+      transactions,
+      total,
+      page,
+      limit,
+    };
+  }
+
+  /**
+   * Credit points for a completed rescue at the rider's current tier
+   */
+  async awardForRescue(rescue) {
+    const profile = await RiderProfile.findOne({ userId: rescue.riderId });
+
+    if (!profile) {
+      return null;
+    }
+
+    const tier = this.getTier(profile.stats);
+    const points = Math.floor(
+      rescue.pricing.total * config.loyalty.pointsPerDollar * tier.multiplier
+    );
+
+    if (points <= 0) {
+      return null;
+    }
+
+    const entry = await this.applyEntry(profile, {
+      riderId: rescue.riderId,
+      type: 'earn',
+      points,
+      rescueRequestId: rescue._id,
+      tier: tier.name,
+      description: `Earned on rescue at ${tier.name} tier`,
+      idempotencyKey: `earn:${rescue._id}`,
+    });
+
+    if (!entry) {
+      return null;
+    }
+
+    logger.info('Loyalty points earned', { riderId: rescue.riderId, rescueId: rescue._id, points });
+
+    return entry;
+  }
+
+  /**
+   * Spend points as a discount on a rescue that hasn't been accepted yet
+   */
+  async redeemOnRescue(rescueId, riderId, points) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() !== riderId) {
+      throw new ForbiddenError('Only the rider can redeem points on this rescue');
+    }
+
+    if (!REPRICEABLE_RESCUE_STATUSES.includes(rescue.status)) {
+      throw new ConflictError('Points can only be redeemed before a driver accepts');
+    }
+
+    if (rescue.pricing.loyaltyPointsRedeemed > 0) {
+      throw new ConflictError('Points have already been redeemed on this rescue');
+    }
+
+    if (points < config.loyalty.minRedeemPoints) {
+      throw new ValidationError({
+        points: `At least ${config.loyalty.minRedeemPoints} points are required to redeem`,
+      });
+    }
+
+    const profile = await this.getProfile(riderId);
+
+    if (profile.loyaltyPoints < points) {
+      throw new ValidationError({ points: 'Insufficient loyalty points' });
+    }
+
+    // Only the capped amount is taken from the balance
+    const pricing = pricingService.applyLoyaltyPoints(rescue.pricing, points);
+    const pointsRedeemed = pricing.loyaltyPointsRedeemed;
+
+    if (pointsRedeemed <= 0) {
+      throw new ValidationError({ points: 'Nothing left on this fare to redeem points against' });
+    }
+
+    try {
+      await profile.redeemLoyaltyPoints(pointsRedeemed);
+    } catch (error) {
+      throw new ValidationError({ points: 'Insufficient loyalty points' });
+    }
+
+    const updated = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescueId,
+        status: { $in: REPRICEABLE_RESCUE_STATUSES },
+        'pricing.loyaltyPointsRedeemed': { $in: [0, null] },
+        'pricing.discount': rescue.pricing.discount,
+      },
+      {
+        $set: {
+          'pricing.loyaltyDiscount': pricing.loyaltyDiscount,
+          'pricing.loyaltyPointsRedeemed': pointsRedeemed,
+          'pricing.platformFee': pricing.platformFee,
+          'pricing.total': pricing.total,
+          'pricing.driverPayout': pricing.driverPayout,
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await profile.addLoyaltyPoints(pointsRedeemed);
+      throw new ConflictError('Rescue price changed, please try again');
+    }
+
+    await this.createEntry({
+      riderId,
+      type: 'redeem',
+      points: -pointsRedeemed,
+      balanceAfter: profile.loyaltyPoints,
+      rescueRequestId: rescue._id,
+      description: `Redeemed for $${pricing.loyaltyDiscount.toFixed(2)} off`,
+      idempotencyKey: `redeem:${rescue._id}`,
+    });
+
+    logger.info('Loyalty points redeemed', { riderId, rescueId, pointsRedeemed });
+
+    return { rescue: updated, pointsRedeemed, loyaltyDiscount: pricing.loyaltyDiscount };
+  }
+
+  /**
+   * Give back redeemed points when the rescue they were spent on doesn't go ahead
+   */
+  async restoreForRescue(rescue) {
+    const points = rescue.pricing?.loyaltyPointsRedeemed || 0;
+
+    if (points <= 0) {
+      return null;
+    }
+
+    const profile = await this.getProfile(rescue.riderId);
+    const entry = await this.applyEntry(profile, {
+      riderId: rescue.riderId,
+      type: 'restore',
+      points,
+      rescueRequestId: rescue._id,
+      description: 'Redeemed points returned',
+      idempotencyKey: `restore:${rescue._id}`,
+    });
+
+    if (!entry) {
+      return null;
+    }
+
+    logger.info('Loyalty points restored', {
+      riderId: rescue.riderId,
+      rescueId: rescue._id,
+      points,
+    });
+
+    return entry;
+  }
+
+  /**
+   * Take back points earned on a rescue in proportion to how much of what was charged for it
+   * has been refunded, across every charge on the rescue (balance and card alike).
+   * A full refund also returns any points the rider spent on the rescue.
+   */
+  async reverseForRefund(paymentRecord) {
+    const rescueRequestId = paymentRecord.rescueRequestId;
+    const charges = await PaymentRecord.find({
+      rescueRequestId,
+      type: 'charge',
+      status: { $in: ['succeeded', 'refunded'] },
+      'metadata.kind': { $ne: 'tip' },
+    }).lean();
+    const charged = charges.reduce((total, charge) => total + charge.amount, 0);
+    const refunded = charges.reduce((total, charge) => total + (charge.refund?.amount || 0), 0);
+    const ratio = charged > 0 ? Math.min(refunded / charged, 1) : 1;
+    const earned = await LoyaltyTransaction.sumForRescue(rescueRequestId, 'earn');
+
+    if (earned > 0) {
+      const idempotencyKey = `reverse:${rescueRequestId}:${Math.round(refunded * 100)}`;
+      const alreadyReversed = -(await LoyaltyTransaction.sumForRescue(rescueRequestId, 'reverse'));
+      const toReverse = Math.floor(earned * ratio) - alreadyReversed;
+      const profile = await this.getProfile(paymentRecord.riderId);
+
+      // With nothing new to reverse, still finish an entry a failed attempt left unapplied
+      const entry =
+        toReverse > 0
+          ? await this.applyEntry(profile, {
+              riderId: paymentRecord.riderId,
+              type: 'reverse',
+              points: -toReverse,
+              rescueRequestId,
+              paymentRecordId: paymentRecord._id,
+              description: 'Points reversed after refund',
+              idempotencyKey,
+            })
+          : await this.settleEntry(profile, await this.findUnapplied(idempotencyKey));
+
+      if (entry) {
+        logger.info('Loyalty points reversed', {
+          riderId: paymentRecord.riderId,
+          rescueId: rescueRequestId,
+          points: -entry.points,
+        });
+      }
+    }
+
+    if (ratio >= 1) {
+      const rescue = await RescueRequest.findById(rescueRequestId);
+      if (rescue) {
+        await this.restoreForRescue(rescue);
+      }
+    }
+  }
+}
+
+export default new LoyaltyService();
@@ -0,0 +1,117 @@
+import redisClient from '../config/redis.js';
+import twilioService from './twilioService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// SMS spend is tracked in millionths of a dollar so Redis can add it up as integers
+const MICROS_PER_DOLLAR = 1000000;
+
+const toMicros = (dollars) => Math.round(dollars * MICROS_PER_DOLLAR);
+
+/**
+ * Notification Limit Service
+ * Keeps a user from being spammed: repeated dedupe keys are dropped, each channel is rate
+ * limited per user, and SMS spend per user per day stays within a budget. Counters live in
+ * Redis so every API pod and worker shares them; when Redis is down sends go through.
+ */
+class NotificationLimitService {
+  /**
+   * Claim a dedupe key for the user. False when it was already used within the window.
+   */
+  async claimDedupeKey(userId, dedupeKey) {
+    const claimed = await redisClient.setIfAbsent(
+      `notifications:dedupe:${userId}:${dedupeKey}`,
+      Date.now(),
+      config.notifications.dedupeWindowMinutes * 60
+    );
+
+    return claimed !== false;
+  }
+
+  /**
+   * Fixed rate-limit window containing `now`
+   */
+  getRateWindow(now = new Date()) {
+    const windowMs = config.notifications.rateLimitWindowMinutes * 60 * 1000;
+    const index = Math.floor(now.getTime() / windowMs);
+
+    return { index, endsAt: new Date((index + 1) * windowMs) };
+  }
+
+  /**
+   * Count a send against the user's limit for the channel. False once the limit is reached.
+   */
+  async takeRateSlot(userId, channel) {
+    const { index } = this.getRateWindow();
+    const key = `notifications:rate:${channel}:${userId}:${index}`;
+    const count = await redisClient.incr(key);
+
+    if (count === 1) {
+      await redisClient.expire(key, config.notifications.rateLimitWindowMinutes * 60);
+    }
+
+    return count === null || count <= config.notifications.rateLimits[channel];
+  }
+
+  /**
+   * Add an SMS to the user's spend for the day. False, with nothing charged, when it would
+   * go over the budget; `force` charges it regardless.
+   */
+  async chargeSms(userId, message, { force = false } = {}) {
+    const day = new Date().toISOString().slice(0, 10);
+    const key = `notifications:sms-spend:${userId}:${day}`;
+    const cost = toMicros(
+      twilioService.countSegments(message) * config.notifications.smsCostPerSegment
+    );
+    const total = await redisClient.incrBy(key, cost);
+
+    if (total === null) {
+      return true;
+    }
+
+    if (total === cost) {
+      await redisClient.expire(key, 2 * 24 * 60 * 60);
+    }
+
+    if (!force && total > toMicros(config.notifications.smsDailyBudget)) {
+      await redisClient.incrBy(key, -cost);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply rate limits and the SMS budget to the channels a notification is about to go out
+   * on. Skipped channels are recorded on the notification, which the caller saves.
+   * Rate-limited channels are held for a summary once the window ends; urgent messages
+   * and summaries aren't rate limited, and urgent SMS is charged but never dropped.
+   * Returns the channels to send on now and when held ones can go out.
+   */
+  async apply(notification, channels, { smsMessage, urgent = false, summary = false }) {
+    const { userId } = notification;
+    const allowed = [];
+    let heldUntil = null;
+
+    for (const channel of channels) {
+      if (!urgent && !summary && !(await this.takeRateSlot(userId, channel))) {
+        notification.markChannelSuppressed(channel, 'rate_limited');
+        notification.digest.channels.addToSet(channel);
+        heldUntil = this.getRateWindow().endsAt;
+        continue;
+      }
+
+      if (channel === 'sms' && !(await this.chargeSms(userId, smsMessage, { force: urgent }))) {
+        notification.markChannelSuppressed(channel, 'sms_budget');
+        logger.warn('SMS budget reached', { userId, notificationId: notification._id });
+        continue;
+      }
+
+      allowed.push(channel);
+    }
+
+    return { channels: allowed, heldUntil };
+  }
+}
+
+export default new NotificationLimitService();
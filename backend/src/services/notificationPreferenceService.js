@@ -0,0 +1,290 @@
+import {
+  Notification,
+  NotificationPreference,
+  RiderProfile,
+  DriverProfile,
+} from '../models/index.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export const CHANNELS = ['push', 'sms', 'email'];
+
+// Always delivered right away on the channels the sender asked for
+const SAFETY_TYPES = ['safety_alert'];
+
+// Channels each type goes out on unless the user chooses otherwise
+const DEFAULT_CHANNELS = {
+  rescue_request: { push: true, sms: true, email: false },
+  rescue_accepted: { push: true, sms: true, email: false },
+  driver_enroute: { push: true, sms: false, email: false },
+  driver_arrived: { push: true, sms: false, email: false },
+  rescue_completed: { push: true, sms: false, email: true },
+  rescue_cancelled: { push: true, sms: false, email: true },
+  rescue_reminder: { push: true, sms: true, email: true },
+  payment_received: { push: true, sms: false, email: true },
+  payment_failed: { push: true, sms: false, email: true },
+  payout_processed: { push: true, sms: false, email: true },
+  tip_received: { push: true, sms: false, email: true },
+  rating_received: { push: true, sms: false, email: false },
+  message_received: { push: true, sms: false, email: false },
+  document_verified: { push: true, sms: false, email: true },
+  document_rejected: { push: true, sms: false, email: true },
+  account_suspended: { push: true, sms: false, email: true },
+  promo_available: { push: true, sms: false, email: false },
+  referral_reward: { push: true, sms: false, email: true },
+  system_announcement: { push: true, sms: false, email: false },
+  safety_alert: { push: true, sms: true, email: true },
+};
+
+// Types users can configure; digests follow the choices of the messages they contain
+const CONFIGURABLE_TYPES = Object.keys(DEFAULT_CHANNELS);
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Minutes past local midnight in the given time zone
+ */
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * Notification Preference Service
+ * Per-type channel choices layered over the profile's channel switches, plus quiet hours
+ */
+class NotificationPreferenceService {
+  async findPreferences(userId) {
+    return NotificationPreference.findOne({ userId });
+  }
+
+  async getProfile(user) {
+    return user.role === 'driver'
+      ? DriverProfile.findOne({ userId: user._id })
+      : RiderProfile.findOne({ userId: user._id });
+  }
+
+  /**
+   * Full preference view: channel switches, the resolved matrix and quiet hours
+   */
+  async getPreferences(user) {
+    const [preferences, profile] = await Promise.all([
+      this.findPreferences(user._id),
+      this.getProfile(user),
+    ]);
+
+    return this.format(preferences, profile?.preferences);
+  }
+
+  format(preferences, profilePreferences = {}) {
+    const choices = preferences?.types;
+
+    return {
+      channels: {
+        push: profilePreferences?.notifyByPush !== false,
+        sms: profilePreferences?.notifyBySMS !== false,
+        email: profilePreferences?.notifyByEmail !== false,
+      },
+      types: Object.fromEntries(
+        CONFIGURABLE_TYPES.map((type) => {
+          const choice = choices?.get(type);
+
+          return [
+            type,
+            Object.fromEntries(
+              CHANNELS.map((channel) => [
+                channel,
+                choice?.[channel] ?? DEFAULT_CHANNELS[type][channel],
+              ])
+            ),
+          ];
+        })
+      ),
+      quietHours: {
+        enabled: preferences?.quietHours?.enabled ?? false,
+        start: preferences?.quietHours?.start ?? '22:00',
+        end: preferences?.quietHours?.end ?? '07:00',
+        timezone: preferences?.quietHours?.timezone ?? 'UTC',
+      },
+      // Never held or filtered by these settings
+      alwaysDelivered: SAFETY_TYPES,
+    };
+  }
+
+  /**
+   * Apply a partial update. A channel set to null in `types` goes back to the default.
+   */
+  async updatePreferences(user, { channels, types, quietHours }) {
+    const errors = {};
+
+    Object.entries(types || {}).forEach(([type, choice]) => {
+      if (!CONFIGURABLE_TYPES.includes(type)) {
+        errors[`types.${type}`] = 'Unknown notification type';
+      } else if (SAFETY_TYPES.includes(type)) {
+        errors[`types.${type}`] = 'Safety alerts are always delivered';
+      } else if (!choice || typeof choice !== 'object' || Array.isArray(choice)) {
+        errors[`types.${type}`] = 'Expected an object of channel choices';
+      } else {
+        Object.entries(choice || {}).forEach(([channel, value]) => {
+          if (!CHANNELS.includes(channel) || (value !== null && typeof value !== 'boolean')) {
+            errors[`types.${type}.${channel}`] =
+              'Expected push, sms or email set to true, false or null';
+          }
+        });
+      }
+    });
+
+    if (quietHours?.timezone !== undefined && !isValidTimezone(quietHours.timezone)) {
+      errors['quietHours.timezone'] = 'Invalid time zone';
+    }
+
+    ['start', 'end'].forEach((field) => {
+      if (quietHours?.[field] !== undefined && !TIME_PATTERN.test(quietHours[field])) {
+        errors[`quietHours.${field}`] = 'Time must be HH:mm';
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const update = { $set: {}, $unset: {} };
+
+    Object.entries(types || {}).forEach(([type, choice]) => {
+      Object.entries(choice).forEach(([channel, value]) => {
+        if (value === null) {
+          update.$unset[`types.${type}.${channel}`] = 1;
+        } else {
+          update.$set[`types.${type}.${channel}`] = value;
+        }
+      });
+    });
+
+    ['enabled', 'start', 'end', 'timezone'].forEach((field) => {
+      if (quietHours?.[field] !== undefined) {
+        update.$set[`quietHours.${field}`] = quietHours[field];
+      }
+    });
+
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+
+    const preferences = await NotificationPreference.findOneAndUpdate(
+      { userId: user._id },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    const profile = await this.getProfile(user);
+
+    if (profile && channels) {
+      const fields = { push: 'notifyByPush', sms: 'notifyBySMS', email: 'notifyByEmail' };
+
+      Object.entries(fields).forEach(([channel, field]) => {
+        if (typeof channels[channel] === 'boolean') {
+          profile.preferences[field] = channels[channel];
+        }
+      });
+
+      await profile.save();
+    }
+
+    return this.format(preferences, profile?.preferences);
+  }
+
+  isUrgent(type, priority) {
+    return priority === 'urgent' || SAFETY_TYPES.includes(type);
+  }
+
+  /**
+   * Decide how a notification goes out. `requested` holds the sender's channel choices,
+   * which stand in for the type's defaults when the sender gives them.
+   * Returns the channels to send on now and whether they wait for the quiet-hours digest.
+   */
+  resolveDelivery(user, type, priority, requested = {}) {
+    const wanted = Object.fromEntries(
+      CHANNELS.map((channel) => [
+        channel,
+        requested[channel] ?? DEFAULT_CHANNELS[type]?.[channel] ?? false,
+      ])
+    );
+
+    if (this.isUrgent(type, priority)) {
+      return { channels: CHANNELS.filter((channel) => wanted[channel]), quietUntil: null };
+    }
+
+    const { channels: switches, quietHours } = this.format(
+      user.notificationPreferences,
+      user.preferences
+    );
+    const choice = user.notificationPreferences?.types?.get(type);
+
+    const channels = CHANNELS.filter(
+      (channel) => switches[channel] && (choice?.[channel] ?? wanted[channel])
+    );
+
+    return {
+      channels,
+      quietUntil: channels.length > 0 ? this.getQuietHoursEnd(quietHours) : null,
+    };
+  }
+
+  /**
+   * When the current quiet period ends, or null outside quiet hours
+   */
+  getQuietHoursEnd(quietHours, now = new Date()) {
+    if (!quietHours?.enabled || quietHours.start === quietHours.end) {
+      return null;
+    }
+
+    const current = localMinutes(now, quietHours.timezone);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const inside =
+      start < end ? current >= start && current < end : current >= start || current < end;
+
+    if (!inside) {
+      return null;
+    }
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setUTCSeconds(0, 0);
+
+    return endsAt;
+  }
+
+  /**
+   * Notifications held for a user's next digest, oldest first
+   */
+  findHeld(userId) {
+    return Notification.find({
+      userId,
+      'digest.channels.0': { $exists: true },
+      'digest.sentAt': { $exists: false },
+    }).sort({ createdAt: 1 });
+  }
+}
+
+export default new NotificationPreferenceService();
@@ -1,11 +1,23 @@
 import { Notification } from '../models/index.js';
 import twilioService from './twilioService.js';
+import pushService from './pushService.js';
+import emailService from './emailService.js';
+import realtimeService from './realtimeService.js';
+import notificationPreferenceService from './notificationPreferenceService.js';
+import notificationLimitService from './notificationLimitService.js';
+import { addNotificationJob } from '../queues/index.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
 
+// Held notifications listed by name in a digest; the rest are counted
+const DIGEST_MAX_LINES = 10;
+
 class NotificationService {
   /**
-   * Send notification through multiple channels
+   * Send notification through multiple channels. The user's preferences decide the
+   * channels; during their quiet hours everything but urgent and safety messages waits
+   * for a digest. The in-app notification is always created. A repeat of
+   * `options.dedupeKey` within the dedupe window isn't sent on any channel.
    */
   async send(userId, type, title, body, data = {}, options = {}) {
     try {
@@ -20,6 +32,7 @@ class NotificationService {
         expiresAt: options.expiresAt,
         actionUrl: options.actionUrl,
         relatedTo: options.relatedTo,
+        dedupeKey: options.dedupeKey,
         channels: {
           push: { sent: false },
           sms: { sent: false },
@@ -28,26 +41,45 @@ class NotificationService {
         },
       });
 
+      // In-app delivery isn't subject to preferences or quiet hours
+      await realtimeService.publishNotification(notification);
+
       // Get user preferences
       const user = await this.getUserWithPreferences(userId);
 
-      // Send through enabled channels
-      const promises = [];
-
-      if (options.sendPush !== false && user.preferences?.notifyByPush) {
-        promises.push(this.sendPushNotification(user, notification));
+      const { channels, quietUntil } = notificationPreferenceService.resolveDelivery(
+        user,
+        type,
+        notification.priority,
+        { push: options.sendPush, sms: options.sendSMS, email: options.sendEmail }
+      );
+
+      if (
+        options.dedupeKey &&
+        channels.length > 0 &&
+        !(await notificationLimitService.claimDedupeKey(userId, options.dedupeKey))
+      ) {
+        channels.forEach((channel) => notification.markChannelSuppressed(channel, 'duplicate'));
+        await notification.save();
+
+        logger.info('Duplicate notification suppressed', {
+          userId,
+          type,
+          dedupeKey: options.dedupeKey,
+        });
+        return notification;
       }
 
-      if (options.sendSMS && user.preferences?.notifyBySMS) {
-        promises.push(this.sendSMSNotification(user, notification));
-      }
+      if (quietUntil) {
+        notification.digest.channels = channels;
+        await notification.save();
+        await this.scheduleDigest(userId, quietUntil);
 
-      if (options.sendEmail && user.preferences?.notifyByEmail) {
-        promises.push(this.sendEmailNotification(user, notification));
+        logger.info('Notification held for quiet hours', { userId, type, until: quietUntil });
+        return notification;
       }
 
-      // Execute all channel sends in parallel
-      await Promise.allSettled(promises);
+      await this.deliver(user, notification, channels);
 
       return notification;
     } catch (error) {
@@ -56,6 +88,117 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send through the given channels in parallel, within the user's rate limits and SMS
+   * budget. Summaries (digests) aren't rate limited themselves.
+   */
+  async deliver(user, notification, channels, { summary = false } = {}) {
+    const limited = await notificationLimitService.apply(notification, channels, {
+      smsMessage: this.buildSmsMessage(notification),
+      urgent: notificationPreferenceService.isUrgent(notification.type, notification.priority),
+      summary,
+    });
+
+    if (limited.channels.length < channels.length) {
+      await notification.save();
+
+      logger.info('Notification channels suppressed', {
+        userId: notification.userId,
+        type: notification.type,
+        suppressed: channels.filter((channel) => !limited.channels.includes(channel)),
+      });
+    }
+
+    // Rate-limited sends go out together in one summary when the window ends
+    if (limited.heldUntil) {
+      await this.scheduleDigest(notification.userId, limited.heldUntil);
+    }
+
+    const senders = {
+      push: () => this.sendPushNotification(user, notification),
+      sms: () => this.sendSMSNotification(user, notification),
+      email: () => this.sendEmailNotification(user, notification),
+    };
+
+    await Promise.allSettled(limited.channels.map((channel) => senders[channel]()));
+  }
+
+  /**
+   * Deliver the user's held notifications once quiet hours or a rate-limit window end.
+   * One job per quiet period or window.
+   */
+  async scheduleDigest(userId, at) {
+    return addNotificationJob(
+      'send-digest',
+      { userId: userId.toString() },
+      {
+        jobId: `digest-${userId}-${at.getTime()}`,
+        delay: Math.max(at.getTime() - Date.now(), 0),
+      }
+    );
+  }
+
+  /**
+   * Summarize notifications held during quiet hours or over a rate limit in a single
+   * message, sent on every channel one of them would have used
+   */
+  async sendDigest(userId) {
+    const user = await this.getUserWithPreferences(userId);
+
+    // Quiet hours may have been moved since the digest was scheduled
+    const { quietHours } = notificationPreferenceService.format(
+      user.notificationPreferences,
+      user.preferences
+    );
+    const quietUntil = notificationPreferenceService.getQuietHoursEnd(quietHours);
+
+    if (quietUntil) {
+      await this.scheduleDigest(userId, quietUntil);
+      return null;
+    }
+
+    const held = await notificationPreferenceService.findHeld(userId);
+
+    if (held.length === 0) {
+      return null;
+    }
+
+    const channels = [...new Set(held.flatMap((notification) => notification.digest.channels))];
+    const lines = held.slice(0, DIGEST_MAX_LINES).map((notification) => `• ${notification.title}`);
+
+    if (held.length > DIGEST_MAX_LINES) {
+      lines.push(`…and ${held.length - DIGEST_MAX_LINES} more`);
+    }
+
+    // Notification bodies are capped at 500 characters
+    const summary = lines.join('\n').slice(0, 500);
+    const digest = await Notification.create({
+      userId,
+      type: 'notification_digest',
+      title: `${held.length} update${held.length === 1 ? '' : 's'} you may have missed`,
+      body: summary,
+      data: { count: held.length, summary },
+      channels: {
+        push: { sent: false },
+        sms: { sent: false },
+        email: { sent: false },
+        inApp: { sent: true, read: false },
+      },
+    });
+
+    await Notification.updateMany(
+      { _id: { $in: held.map((notification) => notification._id) } },
+      { $set: { 'digest.sentAt': new Date(), 'digest.digestId': digest._id } }
+    );
+
+    await realtimeService.publishNotification(digest);
+    await this.deliver(user, digest, channels, { summary: true });
+
+    logger.info('Notification digest sent', { userId, count: held.length, channels });
+
+    return digest;
+  }
+
   /**
    * Send push notification
    */
@@ -66,13 +209,16 @@ class NotificationService {
         return;
       }
 
-      // In production, integrate with FCM/APNs
-      // For now, just mark as sent
-      await notification.markChannelAsSent('push', 'mock-message-id');
+      const result = await pushService.sendToUser(user, notification);
+
+      await notification.markChannelAsSent('push', result.messageId, result.error);
 
       logger.info('Push notification sent', {
         userId: user._id,
         type: notification.type,
+        delivered: result.delivered,
+        failed: result.failed,
+        pruned: result.pruned,
       });
     } catch (error) {
       logger.error('Failed to send push notification:', error);
@@ -80,13 +226,22 @@ class NotificationService {
     }
   }
 
+  /**
+   * SMS text for a notification
+   */
+  buildSmsMessage(notification) {
+    return `${notification.title}\n\n${notification.body}`;
+  }
+
   /**
    * Send SMS notification
    */
   async sendSMSNotification(user, notification) {
     try {
-      const message = `${notification.title}\n\n${notification.body}`;
-      const result = await twilioService.sendSMS(user.phoneNumber, message);
+      const result = await twilioService.sendSMS(
+        user.phoneNumber,
+        this.buildSmsMessage(notification)
+      );
 
       await notification.markChannelAsSent('sms', result.messageId);
 
@@ -101,15 +256,19 @@ class NotificationService {
   }
 
   /**
-   * Send email notification
+   * Queue email notification
    */
   async sendEmailNotification(user, notification) {
     try {
-      // In production, integrate with email service (SendGrid, SES, etc.)
-      // For now, just mark as sent
-      await notification.markChannelAsSent('email', 'mock-email-id');
+      if (!user.email) {
+        logger.debug('No email address for email notification', { userId: user._id });
+        return;
+      }
+
+      // The email worker renders, sends and records the outcome on the notification
+      await emailService.queueNotification(notification);
 
-      logger.info('Email notification sent', {
+      logger.info('Email notification queued', {
         userId: user._id,
         type: notification.type,
       });
@@ -142,6 +301,7 @@ class NotificationService {
         sendSMS: true,
         sendPush: true,
         actionUrl: `/rescues/${rescueRequest._id}`,
+        dedupeKey: `rescue_request:${rescueRequest._id}`,
         relatedTo: {
           model: 'RescueRequest',
           id: rescueRequest._id,
@@ -169,6 +329,7 @@ class NotificationService {
         sendSMS: true,
         sendPush: true,
         actionUrl: `/rescues/${rescueRequest._id}`,
+        dedupeKey: `rescue_accepted:${rescueRequest._id}`,
         relatedTo: {
           model: 'RescueRequest',
           id: rescueRequest._id,
@@ -213,9 +374,19 @@ class NotificationService {
       body: `Status: ${newStatus}`,
     };
 
+    // Map rescue statuses onto Notification types
+    const notificationTypes = {
+      driver_enroute: 'driver_enroute',
+      driver_arrived: 'driver_arrived',
+      completed: 'rescue_completed',
+      cancelled_by_rider: 'rescue_cancelled',
+      cancelled_by_driver: 'rescue_cancelled',
+      cancelled_by_system: 'rescue_cancelled',
+    };
+
     return this.send(
       userId,
-      newStatus,
+      notificationTypes[newStatus] || 'system_announcement',
       message.title,
       message.body,
       {
@@ -225,7 +396,10 @@ class NotificationService {
       {
         priority: 'normal',
         sendPush: true,
+        // Email keeps a record of how the rescue ended
+        sendEmail: newStatus === 'completed' || newStatus.startsWith('cancelled'),
         actionUrl: `/rescues/${rescueRequest._id}`,
+        dedupeKey: `rescue_status:${rescueRequest._id}:${newStatus}`,
         relatedTo: {
           model: 'RescueRequest',
           id: rescueRequest._id,
@@ -234,6 +408,75 @@ class NotificationService {
     );
   }
 
+  /**
+   * Remind a rider or driver of an upcoming scheduled pickup
+   */
+  async notifyScheduledRescueReminder(userId, rescueRequest, role) {
+    const pickupTime = rescueRequest.scheduledFor.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+
+    const body =
+      role === 'driver'
+        ? `Scheduled pickup at ${rescueRequest.pickupLocation.address} at ${pickupTime}`
+        : `Your scheduled rescue pickup is at ${pickupTime}`;
+
+    return this.send(
+      userId,
+      'rescue_reminder',
+      '⏰ Upcoming Pickup',
+      body,
+      {
+        rescueRequestId: rescueRequest._id,
+        scheduledFor: rescueRequest.scheduledFor,
+      },
+      {
+        priority: 'high',
+        sendPush: true,
+        sendEmail: true,
+        sendSMS: true,
+        actionUrl: `/rescues/${rescueRequest._id}`,
+        dedupeKey: `rescue_reminder:${rescueRequest._id}:${rescueRequest.scheduledFor.getTime()}`,
+        relatedTo: {
+          model: 'RescueRequest',
+          id: rescueRequest._id,
+        },
+      }
+    );
+  }
+
+  /**
+   * Send new chat message notification to an offline recipient
+   */
+  async notifyMessageReceived(userId, message, sender) {
+    const preview =
+      message.messageType === 'text'
+        ? message.content.slice(0, 100)
+        : `Sent ${message.messageType === 'image' ? 'a photo' : 'a location'}`;
+
+    return this.send(
+      userId,
+      'message_received',
+      `💬 ${sender?.fullName || 'New message'}`,
+      preview,
+      {
+        rescueRequestId: message.rescueId,
+        messageId: message._id,
+        senderId: message.senderId,
+      },
+      {
+        priority: 'normal',
+        sendPush: true,
+        actionUrl: `/rescues/${message.rescueId}/chat`,
+        relatedTo: {
+          model: 'RescueRequest',
+          id: message.rescueId,
+        },
+      }
+    );
+  }
+
   /**
    * Send payment received notification
    */
@@ -250,6 +493,36 @@ class NotificationService {
       {
         priority: 'normal',
         sendPush: true,
+        sendEmail: true,
+        dedupeKey: `payment_received:${paymentRecord._id}`,
+        relatedTo: {
+          model: 'PaymentRecord',
+          id: paymentRecord._id,
+        },
+      }
+    );
+  }
+
+  /**
+   * Send payment failed notification
+   */
+  async notifyPaymentFailed(userId, paymentRecord, reason) {
+    return this.send(
+      userId,
+      'payment_failed',
+      '⚠️ Payment Failed',
+      `We couldn't charge $${paymentRecord.amount.toFixed(2)} to your card. ${reason}`,
+      {
+        paymentRecordId: paymentRecord._id,
+        rescueRequestId: paymentRecord.rescueRequestId,
+        amount: paymentRecord.amount,
+        reason,
+      },
+      {
+        priority: 'high',
+        sendPush: true,
+        sendEmail: true,
+        dedupeKey: `payment_failed:${paymentRecord._id}`,
         relatedTo: {
           model: 'PaymentRecord',
           id: paymentRecord._id,
@@ -274,6 +547,8 @@ class NotificationService {
       {
         priority: 'normal',
         sendPush: true,
+        sendEmail: true,
+        dedupeKey: `payout_processed:${paymentRecord._id}`,
         relatedTo: {
           model: 'PaymentRecord',
           id: paymentRecord._id,
@@ -282,6 +557,32 @@ class NotificationService {
     );
   }
 
+  /**
+   * Tell the driver a rider tipped after the rescue
+   */
+  async notifyTipReceived(driverId, paymentRecord) {
+    return this.send(
+      driverId,
+      'tip_received',
+      '🙌 You Got a Tip',
+      `A rider added a $${paymentRecord.amount.toFixed(2)} tip - all of it goes to you`,
+      {
+        paymentRecordId: paymentRecord._id,
+        rescueRequestId: paymentRecord.rescueRequestId,
+        amount: paymentRecord.amount,
+      },
+      {
+        priority: 'normal',
+        sendPush: true,
+        sendEmail: true,
+        relatedTo: {
+          model: 'RescueRequest',
+          id: paymentRecord.rescueRequestId,
+        },
+      }
+    );
+  }
+
   /**
    * Send rating received notification
    */
@@ -306,6 +607,35 @@ class NotificationService {
     );
   }
 
+  /**
+   * Send referral reward notification
+   */
+  async notifyReferralReward(userId, amount, promo = null) {
+    const body = promo
+      ? `Use code ${promo.code} for $${amount.toFixed(2)} off your next rescue`
+      : `$${amount.toFixed(2)} has been added to your account balance`;
+
+    return this.send(
+      userId,
+      'referral_reward',
+      '🎁 Referral Reward',
+      body,
+      {
+        amount,
+        promoCode: promo?.code,
+      },
+      {
+        priority: 'normal',
+        sendPush: true,
+        sendEmail: true,
+        relatedTo: {
+          model: 'User',
+          id: userId,
+        },
+      }
+    );
+  }
+
   /**
    * Get user with preferences
    */
@@ -317,10 +647,12 @@ class NotificationService {
 
     // Merge preferences from rider or driver profile
     const preferences = user.riderProfile?.preferences || user.driverProfile?.preferences || {};
+    const notificationPreferences = await notificationPreferenceService.findPreferences(userId);
 
     return {
       ...user.toObject(),
       preferences,
+      notificationPreferences,
     };
   }
 
@@ -0,0 +1,496 @@
+import { Dispute, PaymentRecord, PayoutBatch, User } from '../models/index.js';
+import { OPEN_DISPUTE_STATUSES } from '../models/Dispute.js';
+import { ConflictError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { addPaymentJob } from '../queues/index.js';
+import stripeService from './stripeService.js';
+import disputeService from './disputeService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Payout Service
+ * Drivers' shares accrue on their PaymentRecords as they are earned and are paid
+ * every week as one Stripe transfer per driver, recorded as a PayoutBatch. Drivers
+ * can also cash out their settled earnings instantly for a fee.
+ */
+class PayoutService {
+  /**
+   * The driver's share of a settled payment
+   */
+  getDriverShare(paymentRecord) {
+    const { total = 0, platformFee = 0 } = paymentRecord.breakdown || {};
+    return roundCurrency(total - platformFee);
+  }
+
+  /**
+   * Mark a settled payment's driver share as owed - called from the payment worker
+   */
+  async accrue(paymentRecordId) {
+    const paymentRecord = await PaymentRecord.findById(paymentRecordId);
+
+    if (!paymentRecord || !paymentRecord.driverId) {
+      throw new Error('Payment record or driver not found');
+    }
+
+    if (paymentRecord.payout?.status) {
+      return paymentRecord;
+    }
+
+    const amount = this.getDriverShare(paymentRecord);
+
+    await PaymentRecord.updateOne(
+      { _id: paymentRecord._id, 'payout.status': { $exists: false } },
+      { $set: { 'payout.amount': amount, 'payout.status': 'pending' } }
+    );
+
+    logger.info('Driver earnings accrued', {
+      driverId: paymentRecord.driverId,
+      paymentRecordId,
+      amount,
+    });
+
+    return paymentRecord;
+  }
+
+  /**
+   * Shares that can go into a batch; ones under an open or lost dispute are held back
+   */
+  payableQuery(driverId, cutoff) {
+    return {
+      driverId,
+      'payout.status': 'pending',
+      'payout.batchId': { $exists: false },
+      'dispute.status': { $nin: [...OPEN_DISPUTE_STATUSES, 'lost'] },
+      processedAt: { $lt: cutoff },
+    };
+  }
+
+  /**
+   * Pay every driver with earnings settled before the cutoff - the weekly-payouts job
+   */
+  async runWeeklyBatch(cutoff = new Date()) {
+    // Batches left unfinished by an earlier run or cash-out go first; instant payouts
+    // already sent are waiting on their webhook
+    const unfinished = await PayoutBatch.find({
+      status: { $in: ['pending', 'processing'] },
+      stripePayoutId: { $exists: false },
+    });
+    const driverIds = await PaymentRecord.distinct(
+      'driverId',
+      this.payableQuery({ $ne: null }, cutoff)
+    );
+
+    const pending = [
+      ...unfinished.map((batch) => [batch.driverId.toString(), batch]),
+      ...driverIds.map((driverId) => [driverId.toString(), null]),
+    ];
+
+    logger.info('Processing weekly payouts', {
+      drivers: driverIds.length,
+      resumedBatches: unfinished.length,
+    });
+
+    const results = [];
+
+    for (const [driverId, batch] of pending) {
+      try {
+        const paid = await this.payDriver(driverId, cutoff, batch);
+        results.push({ success: true, driverId, payoutBatchId: paid?._id, amount: paid?.amount });
+      } catch (error) {
+        logger.error('Weekly payout failed for driver', { driverId, error: error.message });
+        results.push({ success: false, driverId, error: error.message });
+      }
+    }
+
+    return { results };
+  }
+
+  /**
+   * Collect a driver's payable shares into a batch and transfer the total
+   */
+  async payDriver(driverId, cutoff, existingBatch = null) {
+    const driver = await User.findById(driverId);
+
+    if (!driver?.stripeAccountId || driver.stripeAccountStatus?.payoutsEnabled === false) {
+      logger.warn('Driver cannot receive payouts yet', { driverId });
+      return null;
+    }
+
+    const batch = existingBatch || (await this.createBatch(driverId, cutoff));
+
+    if (!batch) {
+      return null;
+    }
+
+    return this.transferBatch(batch, driver);
+  }
+
+  async createBatch(driverId, cutoff, { type = 'weekly', paymentRecordIds = null } = {}) {
+    const query = this.payableQuery(driverId, cutoff);
+    const payable = await PaymentRecord.find(
+      paymentRecordIds ? { ...query, _id: { $in: paymentRecordIds } } : query
+    );
+    const total = roundCurrency(payable.reduce((sum, record) => sum + record.payout.amount, 0));
+
+    // Negative adjustments can outweigh earnings; carry everything to next week
+    if (payable.length === 0 || total <= 0) {
+      return null;
+    }
+
+    const batch = await PayoutBatch.create({ driverId, type, cutoff });
+
+    // Claim the records so a concurrent run or cash-out can't pay them too
+    await PaymentRecord.updateMany(
+      { _id: { $in: payable.map((record) => record._id) }, 'payout.batchId': { $exists: false } },
+      { $set: { 'payout.batchId': batch._id, 'payout.status': 'processing' } }
+    );
+
+    const claimed = await PaymentRecord.find({ 'payout.batchId': batch._id });
+
+    if (claimed.length === 0) {
+      await PayoutBatch.deleteOne({ _id: batch._id });
+      return null;
+    }
+
+    const grossAmount = roundCurrency(
+      claimed.reduce((sum, record) => sum + record.payout.amount, 0)
+    );
+
+    return PayoutBatch.findByIdAndUpdate(
+      batch._id,
+      {
+        $set: {
+          paymentRecordIds: claimed.map((record) => record._id),
+          grossAmount,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  async transferBatch(batch, driver) {
+    const clawbackAmount = await disputeService.applyClawbacks(
+      driver._id,
+      batch.grossAmount,
+      batch._id
+    );
+    const net = roundCurrency(Math.max(batch.grossAmount - clawbackAmount, 0));
+    const fee = batch.type === 'instant' ? Math.min(this.getInstantFee(net), net) : 0;
+    const amount = roundCurrency(net - fee);
+
+    await PayoutBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'processing', clawbackAmount, fee, amount } }
+    );
+
+    const metadata = {
+      payoutBatchId: batch._id.toString(),
+      driverId: driver._id.toString(),
+      paymentRecordCount: String(batch.paymentRecordIds.length),
+    };
+
+    let transfer = null;
+    try {
+      // Nothing to transfer when the whole batch went to recovering disputes
+      if (amount > 0) {
+        transfer = await stripeService.transferToDriver(
+          amount,
+          driver.stripeAccountId,
+          metadata,
+          `payout-batch-${batch._id}`
+        );
+      }
+    } catch (error) {
+      if (stripeService.isPermanentError(error)) {
+        await this.failBatch(batch, error.message);
+      }
+      throw error;
+    }
+
+    const payout =
+      batch.type === 'instant' && transfer
+        ? await this.sendInstantPayout(batch, driver, amount, metadata)
+        : null;
+
+    const paidAt = new Date();
+    // An instant payout is only done once it lands; the payout webhooks finish it
+    const status = payout && payout.status !== 'paid' ? 'processing' : 'paid';
+
+    await PaymentRecord.updateMany(
+      { 'payout.batchId': batch._id },
+      {
+        $set: {
+          'payout.status': status,
+          ...(status === 'paid' && { 'payout.paidAt': paidAt }),
+          ...(transfer && {
+            'payout.stripePayoutId': payout?.id || transfer.id,
+            'stripe.transferId': transfer.id,
+          }),
+          ...(payout && { 'stripe.payoutId': payout.id }),
+        },
+      }
+    );
+
+    const paid = await PayoutBatch.findByIdAndUpdate(
+      batch._id,
+      {
+        $set: {
+          status,
+          ...(status === 'paid' && { paidAt }),
+          stripeTransferId: transfer?.id,
+          ...(payout && { stripePayoutId: payout.id }),
+        },
+      },
+      { new: true }
+    );
+
+    logger.info('Driver payout batch paid', {
+      driverId: driver._id,
+      payoutBatchId: batch._id,
+      type: batch.type,
+      records: batch.paymentRecordIds.length,
+      amount,
+      clawbackAmount,
+      fee,
+    });
+
+    return paid;
+  }
+
+  /**
+   * Move a transferred cash-out from the driver's connected account to their card
+   */
+  async sendInstantPayout(batch, driver, amount, metadata) {
+    try {
+      return await stripeService.createInstantPayout(
+        amount,
+        driver.stripeAccountId,
+        metadata,
+        `instant-payout-${batch._id}`
+      );
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+
+      // The transfer already went through, so the money stays with the driver and
+      // leaves on their account's regular payout schedule instead
+      await PayoutBatch.updateOne(
+        { _id: batch._id },
+        { $set: { failureReason: `Instant payout failed: ${error.message}` } }
+      );
+      logger.warn('Instant payout failed after transfer', {
+        driverId: driver._id,
+        payoutBatchId: batch._id,
+        error: error.message,
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Put a batch's shares back in the queue for the next run
+   */
+  async failBatch(batch, reason) {
+    await PaymentRecord.updateMany(
+      { 'payout.batchId': batch._id },
+      { $set: { 'payout.status': 'pending' }, $unset: { 'payout.batchId': 1 } }
+    );
+    await disputeService.reverseClawbacks(batch._id);
+    await PayoutBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'failed', failureReason: reason } }
+    );
+
+    logger.error('Driver payout batch failed', { payoutBatchId: batch._id, reason });
+  }
+
+  /**
+   * Finish an instant cash-out from its payout webhook. A failed payout still leaves the
+   * money in the driver's connected account, so the batch is done either way.
+   */
+  async syncInstantPayout(payout, status) {
+    if (!['paid', 'failed', 'cancelled'].includes(status)) {
+      return null;
+    }
+
+    return PayoutBatch.findOneAndUpdate(
+      { stripePayoutId: payout.id, status: 'processing' },
+      {
+        $set: {
+          status: 'paid',
+          paidAt: new Date(),
+          ...(status !== 'paid' && {
+            failureReason: `Instant payout ${status}: ${payout.failure_message || payout.failure_code}`,
+          }),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resume a batch whose transfer hit a temporary error - the resume-payout-batch job
+   */
+  async resumeBatch(payoutBatchId) {
+    const batch = await PayoutBatch.findById(payoutBatchId);
+
+    if (!batch || !['pending', 'processing'].includes(batch.status) || batch.stripePayoutId) {
+      return batch;
+    }
+
+    const driver = await User.findById(batch.driverId);
+    return this.transferBatch(batch, driver);
+  }
+
+  getInstantFee(amount) {
+    const { instantFeePercent, instantMinFee } = config.payouts;
+    return roundCurrency(Math.max((amount * instantFeePercent) / 100, instantMinFee));
+  }
+
+  /**
+   * What an instant cash-out would pay right now, and why it can't happen if it can't.
+   * Settled shares are paid oldest first up to what's left of the daily limit.
+   */
+  async getCashOutQuote(driverId) {
+    const now = new Date();
+    const [driver, payable, held, clawbacks, disputeHold, recent] = await Promise.all([
+      User.findById(driverId),
+      PaymentRecord.find(this.payableQuery(driverId, now)).sort({ processedAt: 1 }).lean(),
+      PaymentRecord.find({
+        driverId,
+        'payout.status': 'pending',
+        'dispute.status': { $in: OPEN_DISPUTE_STATUSES },
+      }).lean(),
+      Dispute.findOutstandingClawbacks(driverId),
+      Dispute.exists({ driverId, status: { $in: OPEN_DISPUTE_STATUSES } }),
+      PayoutBatch.find({
+        driverId,
+        type: 'instant',
+        status: { $ne: 'failed' },
+        createdAt: { $gte: new Date(now.getTime() - DAY) },
+      }).lean(),
+    ]);
+
+    if (!driver || driver.role !== 'driver') {
+      throw new NotFoundError('Driver');
+    }
+
+    const sum = (items, pick) =>
+      roundCurrency(items.reduce((total, item) => total + pick(item), 0));
+
+    const { instantDailyLimit } = config.payouts;
+    const remainingToday = roundCurrency(
+      Math.max(instantDailyLimit - sum(recent, (batch) => batch.grossAmount), 0)
+    );
+
+    // Deductions always go along; earnings are added oldest first while they fit
+    const included = payable.filter((record) => record.payout.amount <= 0);
+    let grossAmount = sum(included, (record) => record.payout.amount);
+    for (const record of payable.filter((item) => item.payout.amount > 0)) {
+      if (grossAmount + record.payout.amount > remainingToday) {
+        break;
+      }
+      included.push(record);
+      grossAmount = roundCurrency(grossAmount + record.payout.amount);
+    }
+
+    const clawbackAmount = Math.min(
+      sum(clawbacks, (dispute) => dispute.clawbackOutstanding),
+      Math.max(grossAmount, 0)
+    );
+    const net = roundCurrency(grossAmount - clawbackAmount);
+    const fee = net > 0 ? this.getInstantFee(net) : 0;
+    const amount = roundCurrency(Math.max(net - fee, 0));
+
+    let blockedReason = null;
+    if (disputeHold) {
+      blockedReason = 'Cash-out is on hold while a dispute on one of your rescues is open';
+    } else if (!driver.stripeAccountId || driver.stripeAccountStatus?.payoutsEnabled === false) {
+      blockedReason = 'Connect a payout account to cash out';
+    } else if (remainingToday <= 0) {
+      blockedReason = 'Daily cash-out limit reached';
+    } else if (amount <= 0) {
+      blockedReason = 'No earnings available to cash out';
+    }
+
+    return {
+      available: sum(payable, (record) => record.payout.amount),
+      held: sum(held, (record) => record.payout.amount),
+      dailyLimit: instantDailyLimit,
+      remainingToday,
+      grossAmount,
+      clawbackAmount,
+      fee,
+      amount,
+      paymentRecordIds: included.map((record) => record._id),
+      disputeHold: Boolean(disputeHold),
+      eligible: !blockedReason,
+      blockedReason,
+    };
+  }
+
+  /**
+   * Pay a driver's settled earnings out to their debit card now
+   */
+  async cashOut(driverId) {
+    const quote = await this.getCashOutQuote(driverId);
+
+    if (quote.disputeHold) {
+      throw new ConflictError(quote.blockedReason);
+    }
+
+    if (!quote.eligible) {
+      throw new ValidationError({ amount: quote.blockedReason });
+    }
+
+    const batch = await this.createBatch(driverId, new Date(), {
+      type: 'instant',
+      paymentRecordIds: quote.paymentRecordIds,
+    });
+
+    if (!batch) {
+      throw new ConflictError('These earnings are already being paid out');
+    }
+
+    const driver = await User.findById(driverId);
+
+    try {
+      return await this.transferBatch(batch, driver);
+    } catch (error) {
+      if (stripeService.isPermanentError(error)) {
+        throw new ValidationError({ payout: error.message });
+      }
+
+      // Temporary Stripe trouble; the claimed earnings stay with this batch until it goes through
+      await addPaymentJob(
+        'resume-payout-batch',
+        { payoutBatchId: batch._id },
+        { jobId: `payout-batch-${batch._id}` }
+      );
+      logger.warn('Instant cash-out queued for retry', {
+        driverId,
+        payoutBatchId: batch._id,
+        error: error.message,
+      });
+
+      return PayoutBatch.findById(batch._id);
+    }
+  }
+
+  async getBatches(driverId, page = 1, limit = 20) {
+    const [batches, total] = await Promise.all([
+      PayoutBatch.findByDriver(driverId, page, limit),
+      PayoutBatch.countDocuments({ driverId }),
+    ]);
+
+    return { batches, total, page, limit };
+  }
+}
+
+export default new PayoutService();
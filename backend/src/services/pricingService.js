@@ -1,7 +1,13 @@
-import { RescueRequest, DriverProfile, PromoCode } from '../models/index.js';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PromoCode } from '../models/index.js';
+import { ValidationError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
 import config from '../config/index.js';
 import redisClient from '../config/redis.js';
-import logger from '../utils/logger.js';
+import surgeService from './surgeService.js';
+
+// Quote tokens are only accepted for this audience, so they can't pass as any other JWT
+const QUOTE_AUDIENCE = 'rescue-quote';
 
 class PricingService {
   /**
@@ -78,6 +84,116 @@ class PricingService {
     };
   }
 
+  /**
+   * Create a signed, time-limited price quote for a rider
+   * The quote ID is a JWT carrying the exact pricing that will be stored on the rescue
+   */
+  async createQuote(riderId, pickupLocation, dropoffLocation, options = {}) {
+    const price = await this.calculateRescuePrice(pickupLocation, dropoffLocation, options);
+    const pricing = this.toRescuePricing(price);
+    const ttlMinutes = config.business.quoteTtlMinutes;
+
+    const quoteId = jwt.sign(
+      {
+        type: 'quote',
+        riderId,
+        pickup: pickupLocation.coordinates,
+        dropoff: dropoffLocation.coordinates,
+        scheduledFor: options.scheduledFor || null,
+        distance: price.distance,
+        pricing,
+      },
+      config.jwt.quoteSecret,
+      {
+        audience: QUOTE_AUDIENCE,
+        expiresIn: ttlMinutes * 60,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+
+    return {
+      quoteId,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      scheduledFor: options.scheduledFor || null,
+      distance: price.distance,
+      pricing,
+      breakdown: price.breakdown,
+    };
+  }
+
+  /**
+   * Verify a quote and mark it used so it can only back one rescue. Returns a `release`
+   * callback that frees the quote again if the rescue couldn't be saved.
+   */
+  async redeemQuote(quoteId, riderId, pickupLocation, dropoffLocation) {
+    let quote;
+    try {
+      quote = jwt.verify(quoteId, config.jwt.quoteSecret, { audience: QUOTE_AUDIENCE });
+    } catch (error) {
+      throw new ValidationError({ quoteId: 'Quote is invalid or has expired' });
+    }
+
+    if (quote.type !== 'quote') {
+      throw new ValidationError({ quoteId: 'Quote is invalid or has expired' });
+    }
+
+    if (quote.riderId !== riderId) {
+      throw new ForbiddenError('Quote was issued to another rider');
+    }
+
+    if (
+      !this.isSameCoordinates(quote.pickup, pickupLocation.coordinates) ||
+      !this.isSameCoordinates(quote.dropoff, dropoffLocation.coordinates)
+    ) {
+      throw new ValidationError({ quoteId: 'Quote does not match the requested locations' });
+    }
+
+    const usedKey = `quote:used:${quote.jti}`;
+    const uses = await redisClient.incr(usedKey);
+
+    if (uses === null) {
+      throw new Error('Unable to redeem quote');
+    }
+
+    if (uses > 1) {
+      throw new ConflictError('Quote has already been used');
+    }
+
+    // Keep the marker until the quote itself would have expired
+    await redisClient.expire(usedKey, Math.max(quote.exp - Math.floor(Date.now() / 1000), 1));
+
+    return {
+      distance: quote.distance,
+      pricing: quote.pricing,
+      scheduledFor: quote.scheduledFor,
+      release: () => redisClient.del(usedKey),
+    };
+  }
+
+  /**
+   * Map a price calculation onto the RescueRequest pricing fields
+   */
+  toRescuePricing(price) {
+    return {
+      basePrice: this.roundCurrency(price.basePrice),
+      distancePrice: this.roundCurrency(price.distancePrice),
+      surgeMultiplier: price.surgeMultiplier,
+      discount: this.roundCurrency(price.discount),
+      subtotal: this.roundCurrency(price.subtotal),
+      platformFee: this.roundCurrency(price.platformFee),
+      total: this.roundCurrency(price.total),
+      driverPayout: this.roundCurrency(price.driverPayout),
+    };
+  }
+
+  roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  isSameCoordinates(coords1, coords2) {
+    return coords1[0] === coords2[0] && coords1[1] === coords2[1];
+  }
+
   /**
    * Calculate distance between two points (Haversine formula)
    */
@@ -111,104 +227,7 @@ class PricingService {
    * Get surge multiplier for location
    */
   async getSurgeMultiplier(coordinates) {
-    if (!config.business.surgePricingEnabled) {
-      return 1.0;
-    }
-
-    try {
-      // Get surge data from cache
-      const surgeKey = `surge:${this.getLocationGrid(coordinates)}`;
-      const surgeData = await redisClient.get(surgeKey);
-
-      if (surgeData && surgeData.multiplier) {
-        return surgeData.multiplier;
-      }
-
-      // Calculate surge based on demand/supply
-      const surgeMultiplier = await this.calculateSurge(coordinates);
-
-      // Cache for 5 minutes
-      await redisClient.set(surgeKey, { multiplier: surgeMultiplier }, 300);
-
-      return surgeMultiplier;
-    } catch (error) {
-      logger.error('Failed to get surge multiplier:', error);
-      return 1.0; // Default to no surge on error
-    }
-  }
-
-  /**
-   * Calculate surge based on demand/supply ratio
-   */
-  async calculateSurge(coordinates) {
-    const [longitude, latitude] = coordinates;
-    const radiusKm = 10; // 10km radius
-
-    // Count active rescues in area
-    const activeRescues = await RescueRequest.countDocuments({
-      'pickupLocation.location': {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [longitude, latitude],
-          },
-          $maxDistance: radiusKm * 1000,
-        },
-      },
-      status: { $in: ['pending', 'accepted', 'driver_enroute'] },
-    });
-
-    // Count available drivers in area
-    const availableDrivers = await DriverProfile.countDocuments({
-      isAvailable: true,
-      currentLocation: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [longitude, latitude],
-          },
-          $maxDistance: radiusKm * 1000,
-        },
-      },
-    });
-
-    // Calculate demand/supply ratio
-    const demandSupplyRatio = availableDrivers > 0 ? activeRescues / availableDrivers : 3;
-
-    // Convert ratio to surge multiplier (1.0 - 3.0)
-    let surgeMultiplier = 1.0;
-
-    if (demandSupplyRatio > 2) {
-      surgeMultiplier = 3.0; // Maximum surge
-    } else if (demandSupplyRatio > 1.5) {
-      surgeMultiplier = 2.5;
-    } else if (demandSupplyRatio > 1) {
-      surgeMultiplier = 2.0;
-    } else if (demandSupplyRatio > 0.7) {
-      surgeMultiplier = 1.5;
-    } else if (demandSupplyRatio > 0.4) {
-      surgeMultiplier = 1.25;
-    }
-
-    logger.info('Surge calculated', {
-      coordinates,
-      activeRescues,
-      availableDrivers,
-      demandSupplyRatio,
-      surgeMultiplier,
-    });
-
-    return surgeMultiplier;
-  }
-
-  /**
-   * Get location grid cell (for caching surge data)
-   */
-  getLocationGrid(coordinates, gridSize = 0.1) {
-    const [lon, lat] = coordinates;
-    const gridLon = Math.floor(lon / gridSize) * gridSize;
-    const gridLat = Math.floor(lat / gridSize) * gridSize;
-    return `${gridLat},${gridLon}`;
+    return surgeService.getMultiplier(coordinates);
   }
 
   /**
@@ -240,10 +259,7 @@ class PricingService {
    * Estimate arrival time
    */
   async estimateArrivalTime(driverLocation, pickupLocation) {
-    const distance = this.calculateDistance(
-      driverLocation.coordinates,
-      pickupLocation.coordinates
-    );
+    const distance = this.calculateDistance(driverLocation.coordinates, pickupLocation.coordinates);
 
     // Assume average speed of 40 km/h in city
     const estimatedMinutes = Math.ceil((distance / 40) * 60);
@@ -256,36 +272,57 @@ class PricingService {
   }
 
   /**
-   * Apply promo code to rescue
+   * Recompute a rescue's totals after one of its discount lines changes
    */
-  async applyPromoCode(rescueId, promoCode, userId) {
-    const rescue = await RescueRequest.findById(rescueId);
-    if (!rescue) {
-      throw new Error('Rescue not found');
-    }
+  applyDiscounts(pricing, changes) {
+    const discount = changes.discount ?? pricing.discount ?? 0;
+    const loyaltyDiscount = changes.loyaltyDiscount ?? pricing.loyaltyDiscount ?? 0;
+    const total = Math.max(pricing.subtotal - discount - loyaltyDiscount, 0);
+    const platformFee = total * (config.stripe.platformFeePercent / 100);
 
-    const promo = await PromoCode.findByCode(promoCode);
-    if (!promo) {
-      throw new Error('Invalid promo code');
-    }
-
-    if (!promo.canUserUse(userId)) {
-      throw new Error('Promo code cannot be used');
-    }
-
-    const discount = promo.calculateDiscount(rescue.pricing.subtotal);
+    return {
+      ...this.toRescuePricing({
+        basePrice: pricing.basePrice,
+        distancePrice: pricing.distancePrice,
+        surgeMultiplier: pricing.surgeMultiplier,
+        subtotal: pricing.subtotal,
+        discount,
+        platformFee,
+        total,
+        driverPayout: total - platformFee,
+      }),
+      loyaltyDiscount: this.roundCurrency(loyaltyDiscount),
+    };
+  }
 
-    // Update rescue pricing
-    rescue.pricing.discount = discount;
-    rescue.pricing.total = rescue.pricing.subtotal - discount;
-    rescue.pricing.driverPayout = rescue.pricing.total - rescue.pricing.platformFee;
+  /**
+   * Reprice a rescue's stored pricing with a promo code discount
+   */
+  applyPromoCode(pricing, promo) {
+    const discount = this.roundCurrency(promo.calculateDiscount(pricing.subtotal));
 
-    await rescue.save();
+    return {
+      ...this.applyDiscounts(pricing, { discount }),
+      promoCode: promo.code,
+    };
+  }
 
-    // Mark promo as used
-    await promo.use(userId, rescueId, discount);
+  /**
+   * Reprice with loyalty points as a separate discount line.
+   * Redemption is capped at a share of the fare left after any promo discount.
+   */
+  applyLoyaltyPoints(pricing, points) {
+    const { pointValue, maxRedeemPercent } = config.loyalty;
+    const remaining = pricing.subtotal - (pricing.discount || 0);
+    const maxPoints = Math.floor((remaining * (maxRedeemPercent / 100)) / pointValue);
+    const pointsRedeemed = Math.max(Math.min(points, maxPoints), 0);
 
-    return { rescue, discount };
+    return {
+      ...this.applyDiscounts(pricing, {
+        loyaltyDiscount: this.roundCurrency(pointsRedeemed * pointValue),
+      }),
+      loyaltyPointsRedeemed: pointsRedeemed,
+    };
   }
 }
 
@@ -0,0 +1,407 @@
+import mongoose from 'mongoose';
+import { PromoCode, RescueRequest } from '../models/index.js';
+import { REPRICEABLE_RESCUE_STATUSES } from '../models/RescueRequest.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} from '../middleware/errorHandler.js';
+import pricingService from './pricingService.js';
+import logger from '../utils/logger.js';
+
+// Fields admins may change after a code has been created
+const EDITABLE_FIELDS = [
+  'discountValue',
+  'maxDiscount',
+  'minPurchase',
+  'usageLimit.total',
+  'usageLimit.perUser',
+  'validFrom',
+  'validUntil',
+  'applicableFor',
+  'isActive',
+  'metadata',
+];
+
+/**
+ * Promo Service
+ * Rider redemption of promo codes on pending rescues and admin promo management
+ */
+class PromoService {
+  /**
+   * Check a code can be used by this rider, throwing a validation error explaining why not
+   */
+  async assertUsable(promo, riderId) {
+    const restrictedToOther = promo?.restrictedTo && promo.restrictedTo.toString() !== riderId;
+
+    if (!promo || !promo.isValid() || restrictedToOther) {
+      throw new ValidationError({ code: 'Promo code is invalid or has expired' });
+    }
+
+    if (!promo.canUserUse(riderId)) {
+      throw new ValidationError({ code: 'You have already used this promo code' });
+    }
+
+    if (promo.applicableFor !== 'all') {
+      const completedRescues = await RescueRequest.countDocuments({
+        riderId,
+        status: 'completed',
+      });
+
+      if (promo.applicableFor === 'first_time_only' && completedRescues > 0) {
+        throw new ValidationError({ code: 'This promo code is only valid on your first rescue' });
+      }
+
+      if (promo.applicableFor === 'returning_only' && completedRescues === 0) {
+        throw new ValidationError({ code: 'This promo code is only valid for returning riders' });
+      }
+    }
+  }
+
+  /**
+   * Load a rider's rescue that can still take a promo code
+   */
+  async getEligibleRescue(rescueId, riderId) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() !== riderId) {
+      throw new ForbiddenError('Only the rider can apply a promo code');
+    }
+
+    if (!REPRICEABLE_RESCUE_STATUSES.includes(rescue.status)) {
+      throw new ConflictError('Promo codes can only be applied before a driver accepts');
+    }
+
+    if (rescue.pricing.promoCode) {
+      throw new ConflictError('A promo code has already been applied to this rescue');
+    }
+
+    return rescue;
+  }
+
+  /**
+   * Price a rescue with a promo code without redeeming it
+   */
+  async preview(rescueId, riderId, code) {
+    const rescue = await this.getEligibleRescue(rescueId, riderId);
+    const promo = await PromoCode.findByCode(code);
+
+    await this.assertUsable(promo, riderId);
+
+    const pricing = pricingService.applyPromoCode(rescue.pricing, promo);
+
+    if (pricing.discount <= 0) {
+      throw new ValidationError({
+        code: `A minimum fare of ${promo.minPurchase} is required for this promo code`,
+      });
+    }
+
+    return { promo, pricing };
+  }
+
+  /**
+   * Redeem a promo code against a pending rescue
+   */
+  async apply(rescueId, riderId, code) {
+    const { promo, pricing } = await this.preview(rescueId, riderId, code);
+
+    await this.claim(promo, riderId, rescueId, pricing.discount);
+
+    // Only reprice if the rescue is still unaccepted, promo-free and its loyalty line unchanged
+    const rescue = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescueId,
+        status: { $in: REPRICEABLE_RESCUE_STATUSES },
+        'pricing.promoCode': null,
+        'pricing.loyaltyDiscount': { $in: [pricing.loyaltyDiscount, null] },
+      },
+      {
+        $set: {
+          'pricing.promoCode': promo.code,
+          'pricing.discount': pricing.discount,
+          'pricing.loyaltyDiscount': pricing.loyaltyDiscount,
+          'pricing.platformFee': pricing.platformFee,
+          'pricing.total': pricing.total,
+          'pricing.driverPayout': pricing.driverPayout,
+        },
+      },
+      { new: true }
+    );
+
+    if (!rescue) {
+      await this.unclaim(promo._id, riderId, rescueId);
+      throw new ConflictError('Rescue can no longer take a promo code');
+    }
+
+    logger.info('Promo code applied', {
+      rescueId,
+      riderId,
+      code: promo.code,
+      discount: pricing.discount,
+    });
+
+    return { rescue, discount: pricing.discount };
+  }
+
+  /**
+   * Record a use only while the total and per-user limits still allow it,
+   * so concurrent redemptions can't overshoot either limit
+   */
+  async claim(promo, riderId, rescueId, discountApplied) {
+    const userObjectId = new mongoose.Types.ObjectId(riderId);
+
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        isActive: true,
+        $expr: {
+          $and: [
+            {
+              $or: [
+                { $eq: ['$usageLimit.total', null] },
+                { $lt: ['$usageCount', '$usageLimit.total'] },
+              ],
+            },
+            {
+              $lt: [
+                {
+                  $size: {
+                    $filter: {
+                      input: '$usedBy',
+                      cond: { $eq: ['$$this.userId', userObjectId] },
+                    },
+                  },
+                },
+                '$usageLimit.perUser',
+              ],
+            },
+          ],
+        },
+      },
+      {
+        $push: {
+          usedBy: { userId: userObjectId, rescueId, discountApplied, usedAt: new Date() },
+        },
+        $inc: { usageCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ConflictError('Promo code usage limit has been reached');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Give back a use recorded against a rescue
+   */
+  async unclaim(promoId, riderId, rescueId) {
+    return PromoCode.updateOne(
+      { _id: promoId, 'usedBy.rescueId': rescueId },
+      {
+        $pull: { usedBy: { userId: riderId, rescueId } },
+        $inc: { usageCount: -1 },
+      }
+    );
+  }
+
+  /**
+   * Return the promo use when a rescue ends without being completed
+   */
+  async releaseForRescue(rescue) {
+    if (!rescue.pricing?.promoCode) {
+      return null;
+    }
+
+    const promo = await PromoCode.findOne({ code: rescue.pricing.promoCode });
+
+    if (!promo) {
+      return null;
+    }
+
+    const result = await this.unclaim(promo._id, rescue.riderId, rescue._id);
+
+    if (result.modifiedCount > 0) {
+      logger.info('Promo code use released', { rescueId: rescue._id, code: promo.code });
+    }
+
+    return result;
+  }
+
+  /**
+   * Admin list of promo codes
+   */
+  async list({ active, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (active !== undefined) {
+      query.isActive = active;
+    }
+
+    const [promos, total] = await Promise.all([
+      PromoCode.find(query)
+        .select('-usedBy')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PromoCode.countDocuments(query),
+    ]);
+
+    return { promos, total, page, limit };
+  }
+
+  async getById(promoId) {
+    const promo = await PromoCode.findById(promoId).select('-usedBy');
+
+    if (!promo) {
+      throw new NotFoundError('Promo code');
+    }
+
+    return promo;
+  }
+
+  async create(data, adminId) {
+    const {
+      code,
+      type,
+      discountValue,
+      maxDiscount,
+      minPurchase,
+      usageLimit,
+      validFrom,
+      validUntil,
+      applicableFor,
+      metadata,
+    } = data;
+
+    try {
+      return await PromoCode.create({
+        code,
+        type,
+        discountValue,
+        maxDiscount,
+        minPurchase,
+        usageLimit,
+        validFrom,
+        validUntil,
+        applicableFor,
+        metadata,
+        createdBy: adminId,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Promo code already exists');
+      }
+      throw error;
+    }
+  }
+
+  async update(promoId, changes) {
+    const promo = await PromoCode.findById(promoId);
+
+    if (!promo) {
+      throw new NotFoundError('Promo code');
+    }
+
+    // Nested limits are set path by path so a partial update keeps the other limit
+    const updated = EDITABLE_FIELDS.filter(
+      (field) => field.split('.').reduce((value, key) => value?.[key], changes) !== undefined
+    );
+
+    updated.forEach((field) => {
+      promo.set(
+        field,
+        field.split('.').reduce((value, key) => value[key], changes)
+      );
+    });
+
+    await promo.save();
+
+    logger.info('Promo code updated', { promoId, fields: updated });
+
+    return promo;
+  }
+
+  /**
+   * Delete unused codes outright; used codes are deactivated to keep their history
+   */
+  async remove(promoId) {
+    const promo = await PromoCode.findById(promoId);
+
+    if (!promo) {
+      throw new NotFoundError('Promo code');
+    }
+
+    if (promo.usageCount > 0) {
+      promo.isActive = false;
+      await promo.save();
+      return { deleted: false, deactivated: true };
+    }
+
+    await promo.deleteOne();
+    return { deleted: true, deactivated: false };
+  }
+
+  /**
+   * Usage totals for a code, with how many redemptions ended in a completed rescue
+   */
+  async getUsageReport(promoId) {
+    const promo = await PromoCode.findById(promoId).populate(
+      'usedBy.userId',
+      'firstName lastName phoneNumber'
+    );
+
+    if (!promo) {
+      throw new NotFoundError('Promo code');
+    }
+
+    const rescueIds = promo.usedBy.map((usage) => usage.rescueId);
+    const rescueStatuses = await RescueRequest.aggregate([
+      { $match: { _id: { $in: rescueIds } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    const byStatus = Object.fromEntries(rescueStatuses.map((entry) => [entry._id, entry.count]));
+    const totalDiscount = promo.usedBy.reduce(
+      (sum, usage) => sum + (usage.discountApplied || 0),
+      0
+    );
+    const uniqueUsers = new Set(promo.usedBy.map((usage) => usage.userId?._id?.toString())).size;
+
+    return {
+      promo: {
+        id: promo._id,
+        code: promo.code,
+        type: promo.type,
+        isActive: promo.isActive,
+        validFrom: promo.validFrom,
+        validUntil: promo.validUntil,
+        usageLimit: promo.usageLimit,
+      },
+      usageCount: promo.usageCount,
+      uniqueUsers,
+      totalDiscount: pricingService.roundCurrency(totalDiscount),
+      averageDiscount:
+        promo.usageCount > 0 ? pricingService.roundCurrency(totalDiscount / promo.usageCount) : 0,
+      rescuesByStatus: byStatus,
+      completedRescues: byStatus.completed || 0,
+      recentUses: [...promo.usedBy]
+        .sort((a, b) => b.usedAt - a.usedAt)
+        .slice(0, 50)
+        .map((usage) => ({
+          user: usage.userId,
+          rescueId: usage.rescueId,
+          discountApplied: usage.discountApplied,
+          usedAt: usage.usedAt,
+        })),
+    };
+  }
+}
+
+export default new PromoService();
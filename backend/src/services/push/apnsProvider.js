@@ -0,0 +1,147 @@
+import http2 from 'http2';
+import jwt from 'jsonwebtoken';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+const HOSTS = {
+  production: 'https://api.push.apple.com',
+  development: 'https://api.sandbox.push.apple.com',
+};
+
+// APNs rejects provider tokens older than an hour and throttles refreshing more than
+// every 20 minutes
+const PROVIDER_TOKEN_TTL = 50 * 60 * 1000;
+
+// Rejection reasons meaning the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+/**
+ * APNs Provider
+ * Apple Push Notification service over HTTP/2 with token-based authentication
+ */
+class ApnsProvider {
+  constructor() {
+    const { keyId, teamId, privateKey, bundleId } = config.apns;
+
+    this.initialized = Boolean(keyId && teamId && privateKey && bundleId);
+    this.session = null;
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  getProviderToken() {
+    if (!this.providerToken || Date.now() - this.providerTokenIssuedAt > PROVIDER_TOKEN_TTL) {
+      const { keyId, teamId, privateKey } = config.apns;
+
+      this.providerToken = jwt.sign({}, privateKey, {
+        algorithm: 'ES256',
+        issuer: teamId,
+        keyid: keyId,
+      });
+      this.providerTokenIssuedAt = Date.now();
+    }
+
+    return this.providerToken;
+  }
+
+  /**
+   * One HTTP/2 connection is shared by all requests and reopened after it drops
+   */
+  getSession() {
+    if (!this.session || this.session.closed || this.session.destroyed) {
+      const session = http2.connect(HOSTS[config.apns.production ? 'production' : 'development']);
+
+      session.on('error', (error) => {
+        logger.error('APNs connection error:', error);
+      });
+      session.on('close', () => {
+        if (this.session === session) {
+          this.session = null;
+        }
+      });
+      // Don't hold the process open between pushes
+      session.unref();
+
+      this.session = session;
+    }
+
+    return this.session;
+  }
+
+  buildPayload(message) {
+    return {
+      aps: {
+        alert: { title: message.title, body: message.body },
+        sound: 'default',
+      },
+      ...message.data,
+    };
+  }
+
+  /**
+   * Send to one device. Rejections come back as results; connection errors are thrown.
+   */
+  send(token, platform, message) {
+    const headers = {
+      ':method': 'POST',
+      ':path': `/3/device/${token}`,
+      authorization: `bearer ${this.getProviderToken()}`,
+      'apns-topic': config.apns.bundleId,
+      'apns-push-type': 'alert',
+      'apns-priority': message.priority === 'high' ? '10' : '5',
+      ...(message.collapseKey && { 'apns-collapse-id': message.collapseKey }),
+      ...(message.ttlSeconds && {
+        'apns-expiration': String(Math.floor(Date.now() / 1000) + message.ttlSeconds),
+      }),
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = this.getSession().request(headers);
+      let status = null;
+      let apnsId = null;
+      let body = '';
+
+      request.setEncoding('utf8');
+      request.setTimeout(10000, () => {
+        request.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new Error('APNs request timed out'));
+      });
+
+      request.on('response', (responseHeaders) => {
+        status = responseHeaders[':status'];
+        apnsId = responseHeaders['apns-id'];
+      });
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('error', reject);
+      request.on('end', () => {
+        if (status === 200) {
+          resolve({ success: true, messageId: apnsId });
+          return;
+        }
+
+        let reason = `HTTP ${status}`;
+        try {
+          reason = JSON.parse(body).reason || reason;
+        } catch (error) {
+          logger.debug('APNs response body is not JSON', { status, body });
+        }
+
+        if (reason === 'ExpiredProviderToken') {
+          this.providerToken = null;
+        }
+
+        resolve({
+          success: false,
+          error: reason,
+          invalidToken: INVALID_TOKEN_REASONS.includes(reason),
+        });
+      });
+
+      request.end(JSON.stringify(this.buildPayload(message)));
+    });
+  }
+}
+
+export default new ApnsProvider();
@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+
+/**
+ * Fake Push Provider
+ * Keeps pushes in memory instead of sending them, for local development and tests.
+ * Tokens starting with 'invalid' are rejected the way an uninstalled app's would be.
+ */
+class FakePushProvider {
+  constructor() {
+    this.initialized = true;
+    this.sent = [];
+  }
+
+  async send(token, platform, message) {
+    if (token.startsWith('invalid')) {
+      return { success: false, error: 'Unregistered', invalidToken: true };
+    }
+
+    const messageId = `fake-${crypto.randomUUID()}`;
+    this.sent.push({ messageId, token, platform, message, sentAt: new Date() });
+
+    logger.debug('Fake push recorded', { messageId, platform, title: message.title });
+
+    return { success: true, messageId };
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+export default new FakePushProvider();
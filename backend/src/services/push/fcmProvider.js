@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import config from '../../config/index.js';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM error codes meaning the registration token will never work again
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+/**
+ * FCM Provider
+ * Firebase Cloud Messaging HTTP v1 API, authorized with a service account
+ */
+class FcmProvider {
+  constructor() {
+    const { projectId, clientEmail, privateKey } = config.fcm;
+
+    this.initialized = Boolean(projectId && clientEmail && privateKey);
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * OAuth access token for the service account, reused until shortly before it expires
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const { clientEmail, privateKey } = config.fcm;
+    const assertion = jwt.sign({ scope: SCOPE }, privateKey, {
+      algorithm: 'RS256',
+      issuer: clientEmail,
+      audience: TOKEN_URL,
+      expiresIn: 3600,
+    });
+
+    const { data } = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }),
+      { timeout: 10000 }
+    );
+
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + data.expires_in * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Only the block for the device's platform is sent
+   */
+  buildMessage(token, platform, message) {
+    const high = message.priority === 'high';
+    const { collapseKey } = message;
+    const fcmMessage = {
+      token,
+      notification: { title: message.title, body: message.body },
+      data: message.data,
+    };
+
+    if (platform === 'android') {
+      fcmMessage.android = {
+        priority: high ? 'HIGH' : 'NORMAL',
+        ...(collapseKey && { collapse_key: collapseKey }),
+        ...(message.ttlSeconds && { ttl: `${message.ttlSeconds}s` }),
+        // The tag replaces an earlier notification with the same key on the device
+        notification: { ...(collapseKey && { tag: collapseKey }), sound: 'default' },
+      };
+    } else if (platform === 'ios') {
+      fcmMessage.apns = {
+        headers: {
+          'apns-priority': high ? '10' : '5',
+          ...(collapseKey && { 'apns-collapse-id': collapseKey }),
+          ...(message.ttlSeconds && {
+            'apns-expiration': String(Math.floor(Date.now() / 1000) + message.ttlSeconds),
+          }),
+        },
+        payload: { aps: { sound: 'default' } },
+      };
+    } else {
+      fcmMessage.webpush = {
+        headers: {
+          Urgency: high ? 'high' : 'normal',
+          // Web push topics are limited to 32 URL-safe characters
+          ...(collapseKey && {
+            Topic: crypto.createHash('sha256').update(collapseKey).digest('base64url').slice(0, 32),
+          }),
+          ...(message.ttlSeconds && { TTL: String(message.ttlSeconds) }),
+        },
+        ...(message.link && { fcm_options: { link: message.link } }),
+      };
+    }
+
+    return fcmMessage;
+  }
+
+  /**
+   * Send to one device. Rejections come back as results; network errors are thrown.
+   */
+  async send(token, platform, message) {
+    const accessToken = await this.getAccessToken();
+
+    try {
+      const { data } = await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${config.fcm.projectId}/messages:send`,
+        { message: this.buildMessage(token, platform, message) },
+        { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 10000 }
+      );
+
+      return { success: true, messageId: data.name };
+    } catch (error) {
+      const details = error.response?.data?.error;
+
+      if (!details) {
+        throw error;
+      }
+
+      if (error.response.status === 401) {
+        this.accessToken = null;
+      }
+
+      const code = details.details?.find((detail) => detail.errorCode)?.errorCode || details.status;
+
+      return {
+        success: false,
+        error: `${code}: ${details.message}`,
+        invalidToken:
+          INVALID_TOKEN_ERRORS.includes(code) ||
+          (code === 'INVALID_ARGUMENT' && /registration token/i.test(details.message)),
+      };
+    }
+  }
+}
+
+export default new FcmProvider();
@@ -0,0 +1,154 @@
+import { User } from '../models/index.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import fcmProvider from './push/fcmProvider.js';
+import apnsProvider from './push/apnsProvider.js';
+import fakePushProvider from './push/fakePushProvider.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Rescue progress updates arrive in quick succession; each one replaces the last on the device
+const COLLAPSIBLE_TYPES = ['driver_enroute', 'driver_arrived', 'rescue_status_update'];
+
+// A rescue offer is useless once it has gone to another driver
+const TTL_SECONDS = {
+  rescue_request: config.business.autoAcceptTimeoutMinutes * 60,
+};
+
+/**
+ * Push data values must be strings on every platform
+ */
+const toDataPayload = (data) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => {
+        if (value instanceof Date) return [key, value.toISOString()];
+        if (typeof value === 'object' && !value._bsontype) return [key, JSON.stringify(value)];
+        return [key, String(value)];
+      })
+  );
+
+/**
+ * Push Service
+ * Delivers notifications to a user's registered devices through FCM (Android, web and
+ * iOS without APNs credentials) or APNs, and keeps the device token list clean
+ */
+class PushService {
+  getProvider(platform) {
+    if (config.push.provider === 'fake') {
+      return fakePushProvider;
+    }
+
+    if (platform === 'ios' && apnsProvider.initialized) {
+      return apnsProvider;
+    }
+
+    return fcmProvider.initialized ? fcmProvider : null;
+  }
+
+  getCollapseKey(notification, data) {
+    if (!COLLAPSIBLE_TYPES.includes(notification.type)) {
+      return undefined;
+    }
+
+    return data.rescueRequestId ? `rescue-${data.rescueRequestId}-progress` : notification.type;
+  }
+
+  buildMessage(notification) {
+    const data = notification.data ? Object.fromEntries(notification.data) : {};
+
+    return {
+      title: notification.title,
+      body: notification.body,
+      data: toDataPayload({
+        ...data,
+        notificationId: notification._id,
+        type: notification.type,
+        actionUrl: notification.actionUrl,
+      }),
+      priority: ['high', 'urgent'].includes(notification.priority) ? 'high' : 'normal',
+      collapseKey: this.getCollapseKey(notification, data),
+      ttlSeconds: TTL_SECONDS[notification.type],
+      link: notification.actionUrl,
+    };
+  }
+
+  /**
+   * Send a notification to each of the user's devices. Tokens the provider reports as
+   * permanently invalid are removed from the user.
+   */
+  async sendToUser(user, notification) {
+    const message = this.buildMessage(notification);
+
+    const results = await Promise.all(
+      user.deviceTokens.map(async ({ token, platform }) => {
+        const provider = this.getProvider(platform);
+
+        if (!provider) {
+          return { token, success: false, error: `No push provider configured for ${platform}` };
+        }
+
+        try {
+          return { token, ...(await provider.send(token, platform, message)) };
+        } catch (error) {
+          logger.error('Push provider request failed:', error);
+          return { token, success: false, error: error.message };
+        }
+      })
+    );
+
+    const invalidTokens = results.filter((result) => result.invalidToken).map(({ token }) => token);
+    if (invalidTokens.length > 0) {
+      await this.removeTokens(user._id, invalidTokens);
+    }
+
+    const delivered = results.filter((result) => result.success);
+
+    return {
+      delivered: delivered.length,
+      failed: results.length - delivered.length,
+      pruned: invalidTokens.length,
+      messageId: delivered[0]?.messageId || null,
+      error:
+        delivered.length > 0
+          ? null
+          : [...new Set(results.map((result) => result.error))].join('; ') || null,
+    };
+  }
+
+  /**
+   * Register a device for push. A token belongs to whoever signed in on the device last.
+   */
+  async registerToken(userId, token, platform) {
+    await User.updateMany(
+      { _id: { $ne: userId }, 'deviceTokens.token': token },
+      { $pull: { deviceTokens: { token } } }
+    );
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    await user.addDeviceToken(token, platform);
+
+    logger.info('Device token registered', { userId, platform });
+
+    return user;
+  }
+
+  async unregisterToken(userId, token) {
+    const result = await User.updateOne({ _id: userId }, { $pull: { deviceTokens: { token } } });
+
+    return result.modifiedCount > 0;
+  }
+
+  async removeTokens(userId, tokens) {
+    await User.updateOne({ _id: userId }, { $pull: { deviceTokens: { token: { $in: tokens } } } });
+
+    logger.info('Invalid device tokens removed', { userId, count: tokens.length });
+  }
+}
+
+export default new PushService();
@@ -0,0 +1,199 @@
+import { Rating, RescueRequest, DriverProfile, RiderProfile } from '../models/index.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../middleware/errorHandler.js';
+import notificationService from './notificationService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rating Service
+ * Two-way ratings between rider and driver once a rescue is completed
+ */
+class RatingService {
+  /**
+   * Rate the other party of a completed rescue
+   */
+  async submitRating(rescueId, fromUserId, { score, feedback, tags }) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    const isRider = rescue.riderId.toString() === fromUserId;
+    const isDriver = rescue.driverId?.toString() === fromUserId;
+
+    if (!isRider && !isDriver) {
+      throw new ForbiddenError('Not authorized to rate this rescue');
+    }
+
+    if (rescue.status !== 'completed') {
+      throw new ConflictError('Only completed rescues can be rated');
+    }
+
+    const windowEndsAt =
+      rescue.completedAt.getTime() + config.business.ratingWindowHours * 60 * 60 * 1000;
+    if (Date.now() > windowEndsAt) {
+      throw new ConflictError('The rating window for this rescue has closed');
+    }
+
+    const toUserId = isRider ? rescue.driverId : rescue.riderId;
+    const recipientRole = isRider ? 'driver' : 'rider';
+
+    let rating;
+    try {
+      rating = await Rating.create({
+        rescueRequestId: rescue._id,
+        fromUserId,
+        toUserId,
+        recipientRole,
+        score,
+        feedback,
+        tags,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('You have already rated this rescue');
+      }
+      throw error;
+    }
+
+    // Keep the summary on the rescue in sync
+    const ratingField = isRider ? 'rating.byRider' : 'rating.byDriver';
+    await RescueRequest.updateOne(
+      { _id: rescue._id },
+      { $set: { [ratingField]: { score, feedback, createdAt: rating.createdAt } } }
+    );
+
+    await this.applyToAggregate(rating, 1);
+
+    try {
+      await notificationService.notifyRatingReceived(toUserId, rating);
+    } catch (error) {
+      logger.error('Failed to notify rating recipient:', error);
+    }
+
+    logger.info('Rating submitted', { rescueId, fromUserId, toUserId, score });
+
+    return rating;
+  }
+
+  /**
+   * Add (direction 1) or remove (direction -1) a rating from the recipient's running average
+   * Uses an update pipeline so concurrent ratings can't lose each other's changes
+   */
+  async applyToAggregate(rating, direction) {
+    const recipientRole = await rating.resolveRecipientRole();
+    const Profile = recipientRole === 'driver' ? DriverProfile : RiderProfile;
+    const newCount = { $max: [{ $add: ['$rating.count', direction] }, 0] };
+
+    await Profile.updateOne({ userId: rating.toUserId }, [
+      {
+        $set: {
+          'rating.average': {
+            $cond: [
+              { $gt: [newCount, 0] },
+              {
+                $divide: [
+                  {
+                    $add: [
+                      { $multiply: ['$rating.average', '$rating.count'] },
+                      direction * rating.score,
+                    ],
+                  },
+                  newCount,
+                ],
+              },
+              0,
+            ],
+          },
+          'rating.count': newCount,
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Reply publicly to a rating you received
+   */
+  async respond(ratingId, userId, text) {
+    const rating = await this.findRatingFor(ratingId, userId);
+
+    if (rating.response?.text) {
+      throw new ConflictError('You have already responded to this rating');
+    }
+
+    return rating.addResponse(text);
+  }
+
+  /**
+   * Flag a rating you received for moderation
+   */
+  async report(ratingId, userId, reason) {
+    const rating = await this.findRatingFor(ratingId, userId);
+
+    if (rating.flags.isReported) {
+      throw new ConflictError('This rating has already been reported');
+    }
+
+    return rating.report(reason);
+  }
+
+  /**
+   * Load a rating and ensure the user is its recipient
+   */
+  async findRatingFor(ratingId, userId) {
+    const rating = await Rating.findById(ratingId);
+
+    if (!rating) {
+      throw new NotFoundError('Rating');
+    }
+
+    if (rating.toUserId.toString() !== userId) {
+      throw new ForbiddenError('Only the rated user can do this');
+    }
+
+    return rating;
+  }
+
+  /**
+   * Reported ratings awaiting review, oldest report first
+   */
+  async getModerationQueue(page = 1, limit = 20) {
+    const [ratings, total] = await Promise.all([
+      Rating.findReported(page, limit),
+      Rating.countDocuments({ 'flags.isReported': true, 'flags.reviewedAt': { $exists: false } }),
+    ]);
+
+    return { ratings, total, page, limit };
+  }
+
+  /**
+   * Resolve a report - hiding a rating removes it from the recipient's average
+   */
+  async moderate(ratingId, adminId, action) {
+    const rating = await Rating.findById(ratingId);
+
+    if (!rating) {
+      throw new NotFoundError('Rating');
+    }
+
+    if (!rating.flags.isReported || rating.flags.reviewedAt) {
+      throw new ConflictError('Rating is not awaiting moderation');
+    }
+
+    const wasHidden = rating.flags.isHidden;
+    const resolution = action === 'hide' ? 'hidden' : 'dismissed';
+
+    await rating.resolveReport(resolution, adminId);
+
+    if (resolution === 'hidden' && !wasHidden) {
+      await this.applyToAggregate(rating, -1);
+    }
+
+    logger.info('Rating moderated', { ratingId, adminId, resolution });
+
+    return rating;
+  }
+}
+
+export default new RatingService();
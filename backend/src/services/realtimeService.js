@@ -0,0 +1,188 @@
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const CHANNEL = 'realtime:events';
+
+// Each pod refreshes its sockets' presence on this interval; entries older than the TTL
+// belong to sockets whose pod went away without cleaning up
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_TTL_MS = 90 * 1000;
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+// Same shape the REST API returns
+const serialize = (doc) => JSON.parse(JSON.stringify(doc));
+
+/**
+ * Realtime Service
+ * Pushes new notifications and rescue changes to connected clients. Any process (API pod
+ * or worker) publishes events to Redis; every API pod subscribes and hands them to its own
+ * Socket.io clients and GraphQL subscriptions, so clients get them whichever pod they're on.
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.pubsub = null;
+    this.heartbeat = null;
+  }
+
+  async publish(event) {
+    try {
+      await redisClient.createPublisher().publish(CHANNEL, JSON.stringify(event));
+    } catch (error) {
+      logger.error('Failed to publish realtime event:', error);
+    }
+  }
+
+  publishNotification(notification) {
+    return this.publish({
+      kind: 'notification',
+      userId: notification.userId.toString(),
+      payload: serialize(notification),
+    });
+  }
+
+  /**
+   * A rescue changed status; its rider and driver hear about it
+   */
+  publishRescueUpdate(rescue) {
+    return this.publish({
+      kind: 'rescue',
+      rescueId: rescue._id.toString(),
+      userIds: [rescue.riderId, rescue.driverId].filter(Boolean).map(String),
+      payload: serialize(rescue),
+    });
+  }
+
+  /**
+   * A rescue was offered to a driver
+   */
+  publishRescueOffer(driverId, rescue) {
+    return this.publish({
+      kind: 'rescue_offer',
+      userId: driverId.toString(),
+      payload: serialize(rescue),
+    });
+  }
+
+  /**
+   * Emit a Socket.io event to users wherever they're connected
+   */
+  emitToUsers(userIds, event, payload) {
+    return this.publish({
+      kind: 'user_event',
+      userIds: userIds.map(String),
+      event,
+      payload: serialize(payload),
+    });
+  }
+
+  /**
+   * Record an authenticated socket so any pod can tell the user is connected
+   */
+  async setOnline(userId, socketId) {
+    await redisClient.zAdd(presenceKey(userId), Date.now(), socketId);
+    await redisClient.expire(presenceKey(userId), PRESENCE_TTL_MS / 1000);
+  }
+
+  async setOffline(userId, socketId) {
+    await redisClient.zRem(presenceKey(userId), socketId);
+  }
+
+  /**
+   * Whether the user has a connected socket on any pod
+   */
+  async isOnline(userId) {
+    const count = await redisClient.zCount(
+      presenceKey(userId),
+      Date.now() - PRESENCE_TTL_MS,
+      '+inf'
+    );
+
+    return count > 0;
+  }
+
+  /**
+   * Start delivering events to this pod's clients
+   */
+  attach({ io, pubsub }) {
+    this.io = io;
+    this.pubsub = pubsub;
+
+    const subscriber = redisClient.createSubscriber();
+
+    subscriber.subscribe(CHANNEL, (error) => {
+      if (error) {
+        logger.error('Failed to subscribe to realtime events:', error);
+      }
+    });
+
+    subscriber.on('message', (channel, message) => {
+      if (channel !== CHANNEL) {
+        return;
+      }
+
+      try {
+        this.deliver(JSON.parse(message));
+      } catch (error) {
+        logger.error('Failed to deliver realtime event:', error);
+      }
+    });
+
+    // Keep presence fresh for sockets connected to this pod
+    this.heartbeat = setInterval(() => {
+      io.of('/').sockets.forEach((socket) => {
+        if (socket.userId) {
+          this.setOnline(socket.userId, socket.id).catch((error) => {
+            logger.error('Failed to refresh presence:', error);
+          });
+        }
+      });
+    }, PRESENCE_HEARTBEAT_MS);
+    this.heartbeat.unref();
+
+    logger.info('Realtime delivery attached');
+  }
+
+  /**
+   * Every pod receives every event, so only emit to sockets connected here
+   */
+  deliver(event) {
+    const { io, pubsub } = this;
+
+    switch (event.kind) {
+      case 'notification':
+        io.local.to(`user:${event.userId}`).emit('notification:new', event.payload);
+        pubsub.publish(`NOTIFICATION_${event.userId}`, { notificationReceived: event.payload });
+        break;
+
+      case 'rescue':
+        io.local.to(event.userIds.map((userId) => `user:${userId}`)).emit('rescue:status_update', {
+          rescueId: event.rescueId,
+          status: event.payload.status,
+          timestamp: event.payload.updatedAt,
+          rescue: event.payload,
+        });
+        pubsub.publish(`RESCUE_UPDATED_${event.rescueId}`, { rescueUpdated: event.payload });
+        break;
+
+      case 'rescue_offer':
+        io.local.to(`user:${event.userId}`).emit('rescue:offered', event.payload);
+        pubsub.publish(`RESCUE_REQUEST_CREATED_${event.userId}`, {
+          rescueRequestCreated: event.payload,
+        });
+        break;
+
+      case 'user_event':
+        io.local
+          .to(event.userIds.map((userId) => `user:${userId}`))
+          .emit(event.event, event.payload);
+        break;
+
+      default:
+        logger.warn('Unknown realtime event', { kind: event.kind });
+    }
+  }
+}
+
+export default new RealtimeService();
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { Referral, User, PromoCode } from '../models/index.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import notificationService from './notificationService.js';
+import walletService, { PLATFORM_ACCOUNTS } from './walletService.js';
+import { addPaymentJob } from '../queues/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Referral Service
+ * Referral codes at signup, share stats and crediting rewards after the first rescue
+ */
+class ReferralService {
+  /**
+   * Hash of the national part of a phone number, so formatting differences don't hide a match
+   */
+  fingerprintPhone(phoneNumber) {
+    const digits = phoneNumber.replace(/\D/g, '').slice(-10);
+    return crypto.createHash('sha256').update(digits).digest('hex');
+  }
+
+  /**
+   * Check a referral code before the account is created.
+   * Blocks self-referral and phones or devices that have already been seen.
+   */
+  async validateSignupCode(code, { phoneNumber, deviceId }) {
+    const referral = await Referral.findByCode(code);
+    const referrer = referral
+      ? await User.findById(referral.referrerId).select('+signupDeviceId')
+      : null;
+
+    if (!referrer || !referrer.isActive || referrer.isBanned) {
+      throw new ValidationError({ referralCode: 'Invalid referral code' });
+    }
+
+    const phoneFingerprint = this.fingerprintPhone(phoneNumber);
+    let blockedReason = null;
+
+    if (this.fingerprintPhone(referrer.phoneNumber) === phoneFingerprint) {
+      blockedReason = 'self_referral_phone';
+    } else if (deviceId && referrer.signupDeviceId === deviceId) {
+      blockedReason = 'self_referral_device';
+    } else if (await Referral.exists({ 'referredUsers.phoneFingerprint': phoneFingerprint })) {
+      blockedReason = 'phone_already_referred';
+    } else if (deviceId && (await User.exists({ signupDeviceId: deviceId }))) {
+      blockedReason = 'shared_device';
+    }
+
+    if (blockedReason) {
+      logger.warn('Referral blocked at signup', {
+        referralId: referral._id,
+        referrerId: referral.referrerId,
+        reason: blockedReason,
+      });
+      throw new ValidationError({ referralCode: 'This referral code cannot be used' });
+    }
+
+    return { referral, phoneFingerprint };
+  }
+
+  /**
+   * Link a newly created user to the referral validated for them
+   */
+  async attachAtSignup(user, { referral, phoneFingerprint }, deviceId) {
+    await referral.addReferral(user._id, { deviceId, phoneFingerprint });
+    await User.updateOne({ _id: user._id }, { $set: { referredBy: referral.referrerId } });
+
+    logger.info('Referral recorded', { referralId: referral._id, userId: user._id });
+  }
+
+  /**
+   * Share details and progress for the user's own referral code
+   */
+  async getShareInfo(userId) {
+    const referral = await Referral.createForUser(userId);
+    const { referrerBonus, refereeBonus } = referral.rewards;
+
+    return {
+      code: referral.referralCode,
+      shareUrl: `${config.app.frontendUrl}/signup?ref=${referral.referralCode}`,
+      shareMessage:
+        `Get $${refereeBonus} off your first ${config.app.name} rescue with my code ` +
+        `${referral.referralCode}`,
+      rewards: {
+        referrerBonus,
+        refereeBonus,
+        rewardType: config.referrals.rewardType,
+      },
+      stats: {
+        ...referral.stats.toObject(),
+        pending: referral.stats.totalReferred - referral.stats.totalCompleted,
+      },
+      referrals: referral.referredUsers.map((entry) => ({
+        referredAt: entry.referredAt,
+        firstRescueCompleted: entry.firstRescueCompleted,
+        rewardEarned: entry.rewardEarned,
+        rewardAmount: entry.rewardAmount,
+        rewardedAt: entry.rewardedAt,
+      })),
+    };
+  }
+
+  /**
+   * Queue the reward when a referred rider completes their first rescue
+   */
+  async queueReward(rescue) {
+    const pending = await Referral.exists({
+      referredUsers: { $elemMatch: { userId: rescue.riderId, firstRescueCompleted: false } },
+    });
+
+    if (!pending) {
+      return null;
+    }
+
+    const riderId = rescue.riderId.toString();
+    return addPaymentJob(
+      'credit-referral-reward',
+      { riderId, rescueId: rescue._id.toString() },
+      { jobId: `referral-reward-${riderId}` }
+    );
+  }
+
+  /**
+   * Credit both sides of a referral once - called from the payment worker.
+   * Rewards are granted before the referral is marked so a failed grant can be retried;
+   * each grant is keyed on the referral and user, so a retry doesn't grant twice.
+   */
+  async creditReward(riderId) {
+    const referral = await Referral.findPendingForUser(riderId);
+
+    if (!referral) {
+      return { credited: false };
+    }
+
+    const rewardType = config.referrals.rewardType;
+
+    await this.grant(referral.referrerId, referral.rewards.referrerBonus, rewardType, referral);
+    await this.grant(riderId, referral.rewards.refereeBonus, rewardType, referral);
+
+    const marked = await referral.markRescueCompleted(riderId, rewardType);
+
+    if (!marked) {
+      return { credited: false };
+    }
+
+    logger.info('Referral reward credited', {
+      referralId: referral._id,
+      referrerId: referral.referrerId,
+      refereeId: riderId,
+      rewardType,
+    });
+
+    return { credited: true };
+  }
+
+  /**
+   * Add a reward to the user's balance or issue them a single-use promo code.
+   * Does nothing if this referral already rewarded the user.
+   */
+  async grant(userId, amount, rewardType, referral) {
+    if (!amount || amount <= 0) {
+      return;
+    }
+
+    const referralId = referral._id.toString();
+    let promo = null;
+
+    if (rewardType === 'promo_code') {
+      const existing = await PromoCode.exists({
+        restrictedTo: userId,
+        'metadata.source': 'referral',
+        'metadata.referralId': referralId,
+      });
+
+      if (existing) {
+        return;
+      }
+
+      promo = await PromoCode.create({
+        code: `REF${Referral.generateCode()}`,
+        type: 'fixed_amount',
+        discountValue: amount,
+        usageLimit: { total: 1, perUser: 1 },
+        validUntil: new Date(Date.now() + config.referrals.promoValidDays * 24 * 60 * 60 * 1000),
+        restrictedTo: userId,
+        metadata: { source: 'referral', referralId },
+      });
+    } else {
+      const paymentRecord = await walletService.credit(userId, amount, {
+        type: 'reward',
+        counterAccount: PLATFORM_ACCOUNTS.promotions,
+        description: 'Referral reward',
+        transactionId: `referral-reward:${referralId}:${userId}`,
+      });
+
+      if (!paymentRecord) {
+        return;
+      }
+    }
+
+    try {
+      await notificationService.notifyReferralReward(userId, amount, promo);
+    } catch (error) {
+      logger.error('Failed to notify referral reward:', error);
+    }
+  }
+}
+
+export default new ReferralService();
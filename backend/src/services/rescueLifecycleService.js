@@ -0,0 +1,169 @@
+import { PaymentRecord, User } from '../models/index.js';
+import notificationService from './notificationService.js';
+import promoService from './promoService.js';
+import referralService from './referralService.js';
+import loyaltyService from './loyaltyService.js';
+import realtimeService from './realtimeService.js';
+import { addPaymentJob, addAnalyticsJob } from '../queues/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rescue Lifecycle Service
+ * Side effects that run after a rescue enters a new status.
+ * Validation and timestamps live with the transition table in the RescueRequest model.
+ */
+class RescueLifecycleService {
+  constructor() {
+    this.handlers = {
+      accepted: (rescue) => this.onAccepted(rescue),
+      driver_enroute: (rescue) => this.notifyRider(rescue, 'driver_enroute'),
+      driver_arrived: (rescue) => this.notifyRider(rescue, 'driver_arrived'),
+      in_progress: (rescue) => this.notifyRider(rescue, 'in_progress'),
+      completed: (rescue) => this.onCompleted(rescue),
+      cancelled_by_rider: (rescue) => this.onCancelled(rescue, 'cancelled_by_rider'),
+      cancelled_by_driver: (rescue) => this.onCancelled(rescue, 'cancelled_by_driver'),
+      cancelled_by_system: (rescue) => this.onCancelled(rescue, 'cancelled_by_system'),
+      failed: (rescue) => this.onCancelled(rescue, 'failed'),
+    };
+  }
+
+  /**
+   * Run side effects for a transition. Never throws - the transition is already persisted.
+   */
+  async handleTransition(rescue, from, to) {
+    // Rider and driver see every status change live
+    await realtimeService.publishRescueUpdate(rescue);
+
+    const handler = this.handlers[to];
+
+    if (!handler) {
+      return;
+    }
+
+    try {
+      await handler(rescue, from);
+
+      logger.info('Rescue transition handled', {
+        rescueId: rescue._id,
+        from,
+        to,
+      });
+    } catch (error) {
+      logger.error('Rescue transition side effects failed:', {
+        rescueId: rescue._id,
+        from,
+        to,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Hold the fare on the rider's card and let them know who is coming
+   */
+  async onAccepted(rescue) {
+    await addPaymentJob(
+      'authorize-charge',
+      { rescueId: rescue._id.toString() },
+      { jobId: `authorize-${rescue._id}` }
+    );
+
+    const driver = await User.findById(rescue.driverId);
+    await notificationService.notifyRiderOfAcceptance({ _id: rescue.riderId }, rescue, driver);
+  }
+
+  /**
+   * Notify, capture the held charge and refresh stats
+   */
+  async onCompleted(rescue) {
+    await this.notifyRider(rescue, 'completed');
+
+    const paymentRecord = await PaymentRecord.findOne({
+      rescueRequestId: rescue._id,
+      type: 'charge',
+      paymentMethod: 'card',
+      status: { $in: ['pending', 'processing', 'authorized'] },
+    });
+
+    if (paymentRecord) {
+      await addPaymentJob(
+        'charge-customer',
+        {
+          rescueId: rescue._id.toString(),
+          paymentRecordId: paymentRecord._id.toString(),
+        },
+        { jobId: `capture-${paymentRecord._id}` }
+      );
+    } else {
+      await this.queueBalancePayout(rescue);
+    }
+
+    await loyaltyService.awardForRescue(rescue);
+    await referralService.queueReward(rescue);
+
+    await addAnalyticsJob('rider-stats-update', { riderId: rescue.riderId.toString() });
+    if (rescue.driverId) {
+      await addAnalyticsJob('driver-stats-update', { driverId: rescue.driverId.toString() });
+    }
+  }
+
+  /**
+   * A rescue paid entirely from the wallet has nothing to charge, so pay the driver directly
+   */
+  async queueBalancePayout(rescue) {
+    const balancePayment = await PaymentRecord.findOne({
+      rescueRequestId: rescue._id,
+      type: 'charge',
+      paymentMethod: 'account_balance',
+      status: 'succeeded',
+      'breakdown.platformFee': { $exists: true },
+    });
+
+    if (balancePayment) {
+      await addPaymentJob(
+        'process-payout',
+        { paymentRecordId: balancePayment._id.toString() },
+        { jobId: `payout-${balancePayment._id}` }
+      );
+    }
+  }
+
+  /**
+   * Settle payment (releasing holds and charging any cancellation fee), give back promo use
+   * or redeemed points, notify whoever didn't end the rescue and refresh cancellation rates
+   */
+  async onCancelled(rescue, status) {
+    await addPaymentJob(
+      'release-charge',
+      { rescueId: rescue._id.toString() },
+      { jobId: `release-${rescue._id}` }
+    );
+    await promoService.releaseForRescue(rescue);
+    await loyaltyService.restoreForRescue(rescue);
+
+    if (status !== 'cancelled_by_rider') {
+      await this.notifyRider(rescue, status);
+    }
+    if (status === 'cancelled_by_rider' || status === 'cancelled_by_system') {
+      await this.notifyDriver(rescue, status);
+    }
+
+    await addAnalyticsJob('rider-stats-update', { riderId: rescue.riderId.toString() });
+    if (rescue.driverId) {
+      await addAnalyticsJob('driver-stats-update', { driverId: rescue.driverId.toString() });
+    }
+  }
+
+  async notifyRider(rescue, status) {
+    return notificationService.notifyRescueStatusUpdate(rescue.riderId, rescue, status);
+  }
+
+  async notifyDriver(rescue, status) {
+    if (!rescue.driverId) {
+      return null;
+    }
+    return notificationService.notifyRescueStatusUpdate(rescue.driverId, rescue, status);
+  }
+}
+
+export default new RescueLifecycleService();
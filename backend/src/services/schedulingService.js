@@ -0,0 +1,250 @@
+import { RescueRequest } from '../models/index.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+} from '../middleware/errorHandler.js';
+import dispatchService from './dispatchService.js';
+import notificationService from './notificationService.js';
+import rescueLifecycleService from './rescueLifecycleService.js';
+import { addRescueJob } from '../queues/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Scheduling Service
+ * Holds advance-booked rescues out of dispatch until shortly before pickup
+ */
+class SchedulingService {
+  /**
+   * Ensure a pickup time can be booked
+   */
+  assertSchedulable(scheduledFor) {
+    if (!config.features.scheduledPickups) {
+      throw new ValidationError({ scheduledFor: 'Scheduled pickups are not available' });
+    }
+
+    const { minAdvanceMinutes, maxAdvanceDays } = config.scheduling;
+    const time = new Date(scheduledFor).getTime();
+    const now = Date.now();
+
+    if (Number.isNaN(time) || time < now + minAdvanceMinutes * MINUTE) {
+      throw new ValidationError({
+        scheduledFor: `Pickups must be scheduled at least ${minAdvanceMinutes} minutes ahead`,
+      });
+    }
+
+    if (time > now + maxAdvanceDays * 24 * 60 * MINUTE) {
+      throw new ValidationError({
+        scheduledFor: `Pickups can be scheduled at most ${maxAdvanceDays} days ahead`,
+      });
+    }
+  }
+
+  /**
+   * Fields for a new rescue - held as scheduled when a pickup time is given
+   */
+  buildInitialState(scheduledFor) {
+    if (!scheduledFor) {
+      return { status: 'pending' };
+    }
+
+    this.assertSchedulable(scheduledFor);
+
+    return {
+      status: 'scheduled',
+      scheduledFor: new Date(scheduledFor),
+      scheduling: this.buildWindows(new Date(scheduledFor)),
+    };
+  }
+
+  /**
+   * Release, reminder and free-cancellation times for a pickup
+   */
+  buildWindows(scheduledFor) {
+    const { leadMinutes, reminderMinutes, freeCancellationMinutes } = config.scheduling;
+    const time = scheduledFor.getTime();
+
+    return {
+      releaseAt: new Date(time - leadMinutes * MINUTE),
+      reminderAt: new Date(time - reminderMinutes * MINUTE),
+      freeCancellationUntil: new Date(time - freeCancellationMinutes * MINUTE),
+    };
+  }
+
+  /**
+   * Start work on a newly created rescue
+   */
+  async submit(rescue) {
+    if (rescue.status === 'scheduled') {
+      return this.scheduleJobs(rescue);
+    }
+
+    return dispatchService.enqueue(rescue._id);
+  }
+
+  /**
+   * Queue the delayed release and reminder for the current schedule version
+   */
+  async scheduleJobs(rescue) {
+    const rescueId = rescue._id.toString();
+    const { releaseAt, reminderAt, version } = rescue.scheduling;
+    const now = Date.now();
+
+    await addRescueJob(
+      'release-scheduled-rescue',
+      { rescueId, version },
+      {
+        delay: Math.max(releaseAt.getTime() - now, 0),
+        jobId: `release-${rescueId}-${version}`,
+      }
+    );
+
+    if (reminderAt.getTime() > now) {
+      await addRescueJob(
+        'scheduled-reminder',
+        { rescueId, version },
+        {
+          delay: reminderAt.getTime() - now,
+          jobId: `reminder-${rescueId}-${version}`,
+        }
+      );
+    }
+
+    logger.info('Scheduled rescue queued', {
+      rescueId,
+      scheduledFor: rescue.scheduledFor,
+      releaseAt,
+      version,
+    });
+  }
+
+  /**
+   * Move a scheduled rescue to a new pickup time
+   */
+  async reschedule(rescueId, riderId, scheduledFor) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() !== riderId) {
+      throw new ForbiddenError('Not authorized to reschedule this rescue');
+    }
+
+    if (rescue.status !== 'scheduled') {
+      throw new ConflictError('Only scheduled rescues can be rescheduled');
+    }
+
+    const { rescheduleCutoffMinutes } = config.scheduling;
+    if (Date.now() > rescue.scheduledFor.getTime() - rescheduleCutoffMinutes * MINUTE) {
+      throw new ConflictError(
+        `Rescues cannot be rescheduled within ${rescheduleCutoffMinutes} minutes of pickup`
+      );
+    }
+
+    this.assertSchedulable(scheduledFor);
+
+    const newTime = new Date(scheduledFor);
+    const windows = this.buildWindows(newTime);
+
+    const updated = await RescueRequest.findOneAndUpdate(
+      {
+        _id: rescue._id,
+        status: 'scheduled',
+        'scheduling.version': rescue.scheduling.version,
+      },
+      {
+        $set: {
+          scheduledFor: newTime,
+          'scheduling.releaseAt': windows.releaseAt,
+          'scheduling.reminderAt': windows.reminderAt,
+          'scheduling.freeCancellationUntil': windows.freeCancellationUntil,
+        },
+        $inc: {
+          'scheduling.version': 1,
+          'scheduling.rescheduleCount': 1,
+        },
+        $push: {
+          timeline: {
+            status: 'rescheduled',
+            timestamp: new Date(),
+            notes: `Pickup moved to ${newTime.toISOString()}`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConflictError('Rescue was changed by another request - please retry');
+    }
+
+    await this.scheduleJobs(updated);
+
+    return updated;
+  }
+
+  /**
+   * Release a scheduled rescue into dispatch
+   */
+  async release(rescueId, version) {
+    const now = new Date();
+
+    // Conditional on version so a rescheduled or cancelled booking isn't released early
+    const rescue = await RescueRequest.findOneAndUpdate(
+      { _id: rescueId, status: 'scheduled', 'scheduling.version': version },
+      {
+        $set: {
+          status: 'pending',
+          'scheduling.releasedAt': now,
+        },
+        $push: {
+          timeline: {
+            status: 'pending',
+            timestamp: now,
+            notes: 'Scheduled rescue released for dispatch',
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!rescue) {
+      logger.info('Scheduled release skipped - rescue changed', { rescueId, version });
+      return null;
+    }
+
+    await rescueLifecycleService.handleTransition(rescue, 'scheduled', 'pending');
+    await dispatchService.enqueue(rescue._id);
+
+    logger.info('Scheduled rescue released', { rescueId, scheduledFor: rescue.scheduledFor });
+
+    return rescue;
+  }
+
+  /**
+   * Remind the rider and any assigned driver of an upcoming pickup
+   */
+  async sendReminders(rescueId, version) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue || rescue.scheduling?.version !== version || rescue.isTerminal()) {
+      return null;
+    }
+
+    await notificationService.notifyScheduledRescueReminder(rescue.riderId, rescue, 'rider');
+
+    if (rescue.driverId) {
+      await notificationService.notifyScheduledRescueReminder(rescue.driverId, rescue, 'driver');
+    }
+
+    return rescue;
+  }
+}
+
+export default new SchedulingService();
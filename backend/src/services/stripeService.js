@@ -129,6 +129,147 @@ class StripeService {
     }
   }
 
+  /**
+   * Place a hold on the customer's card to be captured later.
+   * With a payment method the hold is confirmed off-session; otherwise the client confirms it.
+   */
+  async authorizePayment(amount, customerId, metadata = {}, paymentMethodId = null) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const params = {
+        amount: Math.round(amount * 100), // Convert to cents
+        currency: 'usd',
+        customer: customerId,
+        capture_method: 'manual',
+        metadata,
+      };
+
+      if (paymentMethodId) {
+        Object.assign(params, { payment_method: paymentMethodId, confirm: true, off_session: true });
+      } else {
+        params.automatic_payment_methods = { enabled: true };
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.create(params);
+
+      logger.info('Payment authorization created', {
+        paymentIntentId: paymentIntent.id,
+        amount,
+        status: paymentIntent.status,
+      });
+
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to authorize payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Charge a saved card immediately while the customer isn't present
+   */
+  async chargePaymentMethod(
+    amount,
+    customerId,
+    paymentMethodId,
+    metadata = {},
+    idempotencyKey = null
+  ) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.create(
+        {
+          amount: Math.round(amount * 100), // Convert to cents
+          currency: 'usd',
+          customer: customerId,
+          payment_method: paymentMethodId,
+          confirm: true,
+          off_session: true,
+          metadata,
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
+
+      logger.info('Saved payment method charged', {
+        paymentIntentId: paymentIntent.id,
+        amount,
+      });
+
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to charge payment method:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture a held payment intent, optionally for less than the authorized amount
+   */
+  async capturePaymentIntent(paymentIntentId, amount = null) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.capture(
+        paymentIntentId,
+        amount ? { amount_to_capture: Math.round(amount * 100) } : {}
+      );
+
+      logger.info('Payment intent captured', {
+        paymentIntentId,
+        amount: paymentIntent.amount_received / 100,
+      });
+
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to capture payment intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a payment intent, releasing any hold on the card
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.cancel(paymentIntentId);
+
+      logger.info('Payment intent cancelled', { paymentIntentId });
+
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to cancel payment intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get payment intent
+   */
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      return await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      logger.error('Failed to retrieve payment intent:', error);
+      throw error;
+    }
+  }
+
   /**
    * Confirm payment intent
    */
@@ -214,18 +355,21 @@ class StripeService {
   /**
    * Create transfer to driver
    */
-  async transferToDriver(amount, driverAccountId, metadata = {}) {
+  async transferToDriver(amount, driverAccountId, metadata = {}, idempotencyKey = null) {
     try {
       if (!this.initialized) {
         throw new Error('Stripe not initialized');
       }
 
-      const transfer = await this.stripe.transfers.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency: 'usd',
-        destination: driverAccountId,
-        metadata,
-      });
+      const transfer = await this.stripe.transfers.create(
+        {
+          amount: Math.round(amount * 100), // Convert to cents
+          currency: 'usd',
+          destination: driverAccountId,
+          metadata,
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
 
       logger.info('Transfer to driver created', {
         transferId: transfer.id,
@@ -240,6 +384,38 @@ class StripeService {
     }
   }
 
+  /**
+   * Pay a connected account's balance out to its debit card right away
+   */
+  async createInstantPayout(amount, driverAccountId, metadata = {}, idempotencyKey = null) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const payout = await this.stripe.payouts.create(
+        {
+          amount: Math.round(amount * 100), // Convert to cents
+          currency: 'usd',
+          method: 'instant',
+          metadata,
+        },
+        { stripeAccount: driverAccountId, ...(idempotencyKey && { idempotencyKey }) }
+      );
+
+      logger.info('Instant payout created', {
+        payoutId: payout.id,
+        amount,
+        account: driverAccountId,
+      });
+
+      return payout;
+    } catch (error) {
+      logger.error('Failed to create instant payout:', error);
+      throw error;
+    }
+  }
+
   /**
    * Process payout to driver
    */
@@ -313,6 +489,51 @@ class StripeService {
     }
   }
 
+  /**
+   * Upload a text document as dispute evidence
+   */
+  async uploadDisputeEvidenceFile(name, content) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const file = await this.stripe.files.create({
+        purpose: 'dispute_evidence',
+        file: {
+          data: Buffer.from(content, 'utf8'),
+          name,
+          type: 'text/plain',
+        },
+      });
+
+      return file;
+    } catch (error) {
+      logger.error('Failed to upload dispute evidence file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach evidence to a dispute and submit it for review
+   */
+  async submitDisputeEvidence(disputeId, evidence, submit = true) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const dispute = await this.stripe.disputes.update(disputeId, { evidence, submit });
+
+      logger.info('Dispute evidence submitted', { disputeId, submitted: submit });
+
+      return dispute;
+    } catch (error) {
+      logger.error('Failed to submit dispute evidence:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get customer payment methods
    */
@@ -334,6 +555,30 @@ class StripeService {
     }
   }
 
+  /**
+   * Customer's default card, falling back to the first saved card
+   */
+  async getDefaultPaymentMethod(customerId) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Stripe not initialized');
+      }
+
+      const customer = await this.stripe.customers.retrieve(customerId);
+      const defaultMethod = customer.invoice_settings?.default_payment_method;
+
+      if (defaultMethod) {
+        return typeof defaultMethod === 'string' ? defaultMethod : defaultMethod.id;
+      }
+
+      const paymentMethods = await this.getCustomerPaymentMethods(customerId);
+      return paymentMethods[0]?.id || null;
+    } catch (error) {
+      logger.error('Failed to get default payment method:', error);
+      throw error;
+    }
+  }
+
   /**
    * Attach payment method to customer
    */
@@ -381,6 +626,13 @@ class StripeService {
     }
   }
 
+  /**
+   * Declines and requests Stripe will reject again - retrying won't help
+   */
+  isPermanentError(error) {
+    return ['StripeCardError', 'StripeInvalidRequestError'].includes(error.type);
+  }
+
   /**
    * Calculate platform fee
    */
@@ -0,0 +1,298 @@
+import { RescueRequest, DriverProfile } from '../models/index.js';
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const ZONES_KEY = 'surge:zones';
+const OVERRIDES_KEY = 'surge:overrides';
+
+/**
+ * Surge Service
+ * Computes demand/supply per grid cell and keeps smoothed multipliers in Redis
+ */
+class SurgeService {
+  /**
+   * Grid cell ID for [longitude, latitude] - integer cell indices so IDs are stable
+   */
+  getCellId(coordinates) {
+    const [lon, lat] = coordinates;
+    const size = config.surge.gridSizeDegrees;
+    return `${Math.floor(lat / size)}:${Math.floor(lon / size)}`;
+  }
+
+  /**
+   * Bounding box of a grid cell
+   */
+  getCellBounds(cellId) {
+    const [latIndex, lonIndex] = cellId.split(':').map(Number);
+    const size = config.surge.gridSizeDegrees;
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+
+    return {
+      south: round(latIndex * size),
+      west: round(lonIndex * size),
+      north: round((latIndex + 1) * size),
+      east: round((lonIndex + 1) * size),
+    };
+  }
+
+  isValidCellId(cellId) {
+    return /^-?\d+:-?\d+$/.test(cellId);
+  }
+
+  /**
+   * Convert a demand/supply ratio to a target multiplier
+   */
+  ratioToMultiplier(ratio) {
+    let multiplier = 1.0;
+
+    if (ratio > 2) {
+      multiplier = 3.0;
+    } else if (ratio > 1.5) {
+      multiplier = 2.5;
+    } else if (ratio > 1) {
+      multiplier = 2.0;
+    } else if (ratio > 0.7) {
+      multiplier = 1.5;
+    } else if (ratio > 0.4) {
+      multiplier = 1.25;
+    }
+
+    return Math.min(multiplier, config.surge.maxMultiplier);
+  }
+
+  /**
+   * Move part of the way from the previous multiplier towards the target
+   */
+  smooth(previous, target) {
+    const { smoothingFactor, maxMultiplier } = config.surge;
+    const next = previous + smoothingFactor * (target - previous);
+    const capped = Math.min(Math.max(next, 1.0), maxMultiplier);
+
+    // Snap small residual surges back to normal pricing
+    return capped < 1.05 ? 1.0 : Math.round(capped * 100) / 100;
+  }
+
+  /**
+   * Count available drivers per cell from the Redis geo set
+   */
+  async countSupply() {
+    const positions = await redisClient.geoPositions('drivers:locations');
+    const supply = {};
+
+    if (positions.length === 0) {
+      return supply;
+    }
+
+    // Drivers stay in the geo set after going offline, so confirm availability
+    const availableIds = await DriverProfile.find({
+      userId: { $in: positions.map((position) => position.member) },
+      isAvailable: true,
+      isOnline: true,
+    }).distinct('userId');
+
+    const available = new Set(availableIds.map((id) => id.toString()));
+
+    positions
+      .filter((position) => available.has(position.member))
+      .forEach((position) => {
+        const cellId = this.getCellId([position.longitude, position.latitude]);
+        supply[cellId] = (supply[cellId] || 0) + 1;
+      });
+
+    return supply;
+  }
+
+  /**
+   * Count pending rescues per cell
+   */
+  async countDemand() {
+    const rescues = await RescueRequest.find(
+      { status: 'pending' },
+      { 'pickupLocation.location.coordinates': 1 }
+    ).lean();
+
+    const demand = {};
+
+    rescues.forEach((rescue) => {
+      const cellId = this.getCellId(rescue.pickupLocation.location.coordinates);
+      demand[cellId] = (demand[cellId] || 0) + 1;
+    });
+
+    return demand;
+  }
+
+  /**
+   * Recompute every active cell - run periodically from the rescue queue
+   */
+  async recalculate() {
+    if (!config.business.surgePricingEnabled) {
+      return null;
+    }
+
+    const [supply, demand, previous] = await Promise.all([
+      this.countSupply(),
+      this.countDemand(),
+      redisClient.get(ZONES_KEY),
+    ]);
+
+    const previousCells = previous?.cells || {};
+    const cellIds = new Set([
+      ...Object.keys(demand),
+      ...Object.keys(supply),
+      ...Object.keys(previousCells),
+    ]);
+
+    const cells = {};
+    const updatedAt = new Date().toISOString();
+
+    cellIds.forEach((cellId) => {
+      const cellDemand = demand[cellId] || 0;
+      const cellSupply = supply[cellId] || 0;
+
+      // No drivers at all counts as the worst ratio
+      let ratio = 0;
+      if (cellDemand > 0) {
+        ratio = cellSupply > 0 ? cellDemand / cellSupply : Infinity;
+      }
+
+      const previousMultiplier = previousCells[cellId]?.multiplier || 1.0;
+      const multiplier = this.smooth(previousMultiplier, this.ratioToMultiplier(ratio));
+
+      // Only keep cells that are surging or have activity worth showing
+      if (multiplier > 1.0 || cellDemand > 0) {
+        cells[cellId] = {
+          multiplier,
+          demand: cellDemand,
+          supply: cellSupply,
+          ratio: Number.isFinite(ratio) ? Math.round(ratio * 100) / 100 : null,
+          updatedAt,
+        };
+      }
+    });
+
+    await redisClient.set(ZONES_KEY, { cells, updatedAt }, config.surge.zoneTtlSeconds);
+
+    logger.info('Surge recalculated', {
+      cells: Object.keys(cells).length,
+      surging: Object.values(cells).filter((cell) => cell.multiplier > 1.0).length,
+    });
+
+    return cells;
+  }
+
+  /**
+   * Active admin overrides, with expired ones dropped
+   */
+  async getOverrides() {
+    const overrides = (await redisClient.get(OVERRIDES_KEY)) || {};
+    const now = Date.now();
+
+    return Object.fromEntries(
+      Object.entries(overrides).filter(
+        ([, override]) => !override.expiresAt || new Date(override.expiresAt).getTime() > now
+      )
+    );
+  }
+
+  /**
+   * Multiplier to charge at a location
+   */
+  async getMultiplier(coordinates) {
+    if (!config.business.surgePricingEnabled) {
+      return 1.0;
+    }
+
+    try {
+      const cellId = this.getCellId(coordinates);
+      const overrides = await this.getOverrides();
+
+      if (overrides[cellId]) {
+        return overrides[cellId].multiplier;
+      }
+
+      const zones = await redisClient.get(ZONES_KEY);
+      return zones?.cells?.[cellId]?.multiplier || 1.0;
+    } catch (error) {
+      logger.error('Failed to get surge multiplier:', error);
+      return 1.0; // Default to no surge on error
+    }
+  }
+
+  /**
+   * Computed cells merged with overrides
+   */
+  async getZones({ includeStats = false } = {}) {
+    if (!config.business.surgePricingEnabled) {
+      return [];
+    }
+
+    const [zones, overrides] = await Promise.all([
+      redisClient.get(ZONES_KEY),
+      this.getOverrides(),
+    ]);
+
+    const cells = zones?.cells || {};
+    const cellIds = new Set([...Object.keys(cells), ...Object.keys(overrides)]);
+
+    return [...cellIds]
+      .map((cellId) => {
+        const computed = cells[cellId];
+        const override = overrides[cellId];
+        const zone = {
+          cellId,
+          bounds: this.getCellBounds(cellId),
+          multiplier: override ? override.multiplier : computed.multiplier,
+          isOverride: Boolean(override),
+        };
+
+        if (includeStats) {
+          zone.computed = computed || null;
+          zone.override = override || null;
+        }
+
+        return zone;
+      })
+      .filter((zone) => includeStats || zone.multiplier > 1.0);
+  }
+
+  /**
+   * Pin a cell to a fixed multiplier
+   */
+  async setOverride(cellId, { multiplier, durationMinutes, reason }, adminId) {
+    const overrides = await this.getOverrides();
+
+    overrides[cellId] = {
+      multiplier: Math.min(Math.max(multiplier, 1.0), config.surge.maxMultiplier),
+      reason: reason || null,
+      setBy: adminId,
+      setAt: new Date().toISOString(),
+      expiresAt: durationMinutes
+        ? new Date(Date.now() + durationMinutes * 60 * 1000).toISOString()
+        : null,
+    };
+
+    await redisClient.set(OVERRIDES_KEY, overrides);
+
+    logger.info('Surge override set', { cellId, ...overrides[cellId] });
+
+    return overrides[cellId];
+  }
+
+  /**
+   * Return a cell to computed pricing
+   */
+  async clearOverride(cellId) {
+    const overrides = await this.getOverrides();
+    const existed = Boolean(overrides[cellId]);
+
+    delete overrides[cellId];
+    await redisClient.set(OVERRIDES_KEY, overrides);
+
+    logger.info('Surge override cleared', { cellId });
+
+    return existed;
+  }
+}
+
+export default new SurgeService();
@@ -0,0 +1,349 @@
+import { PaymentRecord, RescueRequest, User } from '../models/index.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} from '../middleware/errorHandler.js';
+import stripeService from './stripeService.js';
+import notificationService from './notificationService.js';
+import { addPaymentJob } from '../queues/index.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Pending tip charges younger than this may still belong to a request in flight
+const PENDING_TIP_GRACE_MS = 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Tip Service
+ * Tips added or changed after a rescue completes. Each increase is charged to the rider's
+ * saved card as its own PaymentRecord, leaving the captured fare alone, and goes to the
+ * driver in full.
+ */
+class TipService {
+  /**
+   * Tips charged after completion, newest first
+   */
+  findTipCharges(rescueId) {
+    return PaymentRecord.find({
+      rescueRequestId: rescueId,
+      type: 'charge',
+      status: 'succeeded',
+      'metadata.kind': 'tip',
+    }).sort({ createdAt: -1 });
+  }
+
+  // No platform fee, so the driver's share is the whole tip
+  buildBreakdown(amount) {
+    return { subtotal: 0, platformFee: 0, tip: amount, discount: 0, total: amount };
+  }
+
+  isRefundable(paymentRecord) {
+    return (
+      !paymentRecord.payout?.batchId &&
+      !['processing', 'paid'].includes(paymentRecord.payout?.status)
+    );
+  }
+
+  /**
+   * Set the rescue's total tip. Raising it charges the difference; lowering it refunds
+   * tips added after completion that haven't been paid out to the driver yet.
+   */
+  async setTip(rescueId, riderId, tip) {
+    const rescue = await RescueRequest.findById(rescueId);
+
+    if (!rescue) {
+      throw new NotFoundError('Rescue request');
+    }
+
+    if (rescue.riderId.toString() !== riderId) {
+      throw new ForbiddenError('Only the rider can tip on this rescue');
+    }
+
+    if (rescue.status !== 'completed' || !rescue.completedAt) {
+      throw new ConflictError('Tips can be added once the rescue is completed');
+    }
+
+    const windowEndsAt = rescue.completedAt.getTime() + config.business.tipWindowHours * HOUR;
+    if (Date.now() > windowEndsAt) {
+      throw new ConflictError('The tip window for this rescue has closed');
+    }
+
+    // A tip charge an earlier attempt left unsettled may have gone through
+    if (await this.reconcilePendingTips(rescue)) {
+      return this.setTip(rescueId, riderId, tip);
+    }
+
+    const current = rescue.pricing.tip || 0;
+    const target = roundCurrency(tip);
+
+    if (target > config.business.maxTip) {
+      throw new ValidationError({ tip: `Tips are limited to $${config.business.maxTip}` });
+    }
+
+    if (target === current) {
+      return { tip: current, charged: null, refunded: [] };
+    }
+
+    const toRefund = target < current ? await this.selectRefunds(rescue, current, target) : [];
+
+    // Claim the change so a second request can't charge the same difference
+    const claimed = await RescueRequest.updateOne(
+      { _id: rescue._id, 'pricing.tip': rescue.pricing.tip },
+      { $set: { 'pricing.tip': target } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      throw new ConflictError('The tip was just changed, please try again');
+    }
+
+    const refunded = [];
+    let charged = null;
+
+    try {
+      let difference = roundCurrency(target - current);
+
+      for (const paymentRecord of toRefund) {
+        await this.refundTip(paymentRecord);
+        refunded.push(paymentRecord);
+        difference = roundCurrency(difference + paymentRecord.amount);
+      }
+
+      // Refunding whole increments can overshoot; charge back the rest
+      if (difference > 0) {
+        charged = await this.chargeTip(rescue, difference);
+      }
+    } catch (error) {
+      const applied = roundCurrency(
+        refunded.reduce((total, paymentRecord) => total - paymentRecord.amount, current)
+      );
+      await RescueRequest.updateOne({ _id: rescue._id }, { $set: { 'pricing.tip': applied } });
+      throw error;
+    }
+
+    logger.info('Rescue tip changed', {
+      rescueId: rescue._id,
+      from: current,
+      to: target,
+      charged: charged?.amount || 0,
+      refunded: refunded.length,
+    });
+
+    return { tip: target, charged, refunded };
+  }
+
+  /**
+   * Tip increments to refund, newest first, to bring the tip down to `target`
+   */
+  async selectRefunds(rescue, current, target) {
+    const tipCharges = await this.findTipCharges(rescue._id);
+    const paidWithFare = roundCurrency(
+      tipCharges.reduce((total, paymentRecord) => total - paymentRecord.amount, current)
+    );
+
+    if (target < paidWithFare) {
+      throw new ValidationError({
+        tip: `The tip can't be lower than the $${paidWithFare.toFixed(2)} paid with the rescue`,
+      });
+    }
+
+    const toRefund = [];
+    let remaining = current;
+
+    for (const paymentRecord of tipCharges) {
+      if (remaining <= target) {
+        break;
+      }
+
+      if (!this.isRefundable(paymentRecord)) {
+        throw new ConflictError('Tips already paid out to the driver cannot be lowered');
+      }
+
+      toRefund.push(paymentRecord);
+      remaining = roundCurrency(remaining - paymentRecord.amount);
+    }
+
+    return toRefund;
+  }
+
+  /**
+   * Settle tip charges left pending by an attempt that failed before Stripe answered.
+   * Each is resubmitted under its own idempotency key, so if the first attempt did charge
+   * the card Stripe returns that charge instead of making another. Settled charges are
+   * added to the tip. Returns true if there was anything to settle.
+   */
+  async reconcilePendingTips(rescue) {
+    const pending = await PaymentRecord.find({
+      rescueRequestId: rescue._id,
+      type: 'charge',
+      status: { $in: ['pending', 'processing'] },
+      'metadata.kind': 'tip',
+    });
+
+    if (
+      pending.some((paymentRecord) => Date.now() - paymentRecord.updatedAt < PENDING_TIP_GRACE_MS)
+    ) {
+      throw new ConflictError('A tip charge is still processing, please try again shortly');
+    }
+
+    for (const paymentRecord of pending) {
+      // Claim the record so a concurrent request can't settle it and count the tip twice;
+      // a claim abandoned mid-way can be taken over once it's older than the grace period
+      const claimed = await PaymentRecord.updateOne(
+        {
+          _id: paymentRecord._id,
+          status: paymentRecord.status,
+          updatedAt: paymentRecord.updatedAt,
+        },
+        { $set: { status: 'processing' } }
+      );
+
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      try {
+        await this.submitTipCharge(rescue, paymentRecord);
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          continue;
+        }
+
+        await PaymentRecord.updateOne(
+          { _id: paymentRecord._id, status: 'processing' },
+          { $set: { status: 'pending' } }
+        );
+        throw error;
+      }
+
+      await RescueRequest.updateOne(
+        { _id: rescue._id },
+        { $inc: { 'pricing.tip': paymentRecord.amount } }
+      );
+
+      logger.info('Pending tip charge settled', {
+        rescueId: rescue._id,
+        paymentRecordId: paymentRecord._id,
+        amount: paymentRecord.amount,
+      });
+    }
+
+    return pending.length > 0;
+  }
+
+  async chargeTip(rescue, amount) {
+    const user = await User.findById(rescue.riderId);
+    const paymentMethodId = user.stripeCustomerId
+      ? await stripeService.getDefaultPaymentMethod(user.stripeCustomerId)
+      : null;
+
+    if (!paymentMethodId) {
+      throw new ValidationError({ paymentMethod: 'Add a card to leave a tip' });
+    }
+
+    const paymentRecord = await PaymentRecord.create({
+      rescueRequestId: rescue._id,
+      riderId: rescue.riderId,
+      driverId: rescue.driverId,
+      type: 'charge',
+      status: 'pending',
+      amount,
+      currency: 'usd',
+      paymentMethod: 'card',
+      breakdown: this.buildBreakdown(amount),
+      notes: 'Tip',
+      metadata: { kind: 'tip' },
+      stripe: { customerId: user.stripeCustomerId, paymentMethodId },
+    });
+
+    return this.submitTipCharge(rescue, paymentRecord);
+  }
+
+  /**
+   * Charge a tip record's card. The idempotency key is the record's own, so resubmitting a
+   * pending record can't charge the rider twice.
+   */
+  async submitTipCharge(rescue, paymentRecord) {
+    const { customerId, paymentMethodId } = paymentRecord.stripe;
+
+    try {
+      const paymentIntent = await stripeService.chargePaymentMethod(
+        paymentRecord.amount,
+        customerId,
+        paymentMethodId,
+        {
+          rescueRequestId: rescue._id.toString(),
+          paymentRecordId: paymentRecord._id.toString(),
+          type: 'tip',
+        },
+        `tip-${paymentRecord._id}`
+      );
+
+      paymentRecord.stripe.paymentIntentId = paymentIntent.id;
+      await paymentRecord.save();
+      await paymentRecord.markAsSucceeded({ chargeId: paymentIntent.latest_charge });
+    } catch (error) {
+      if (!stripeService.isPermanentError(error)) {
+        throw error;
+      }
+
+      await paymentRecord.markAsFailed(error.code || 'tip_failed', error.message);
+      throw new ValidationError({ paymentMethod: error.message });
+    }
+
+    await addPaymentJob(
+      'process-payout',
+      { paymentRecordId: paymentRecord._id.toString() },
+      { jobId: `payout-${paymentRecord._id}` }
+    );
+
+    try {
+      await notificationService.notifyTipReceived(rescue.driverId, paymentRecord);
+    } catch (error) {
+      logger.error('Failed to notify tip received:', error);
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Refund a tip increment the driver hasn't been paid for yet
+   */
+  async refundTip(paymentRecord) {
+    const { status, amount } = paymentRecord.payout || {};
+
+    // Take the share out of payouts first so a batch can't pick it up mid-refund
+    const claimed = await PaymentRecord.updateOne(
+      {
+        _id: paymentRecord._id,
+        'payout.batchId': { $exists: false },
+        'payout.status': { $nin: ['processing', 'paid', 'cancelled'] },
+      },
+      { $set: { 'payout.status': 'cancelled', 'payout.amount': 0 } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      throw new ConflictError('Tips already paid out to the driver cannot be lowered');
+    }
+
+    try {
+      await stripeService.createRefund(paymentRecord.stripe.paymentIntentId, paymentRecord.amount);
+    } catch (error) {
+      await PaymentRecord.updateOne(
+        { _id: paymentRecord._id },
+        status
+          ? { $set: { 'payout.status': status, 'payout.amount': amount } }
+          : { $unset: { 'payout.status': 1, 'payout.amount': 1 } }
+      );
+      throw error;
+    }
+
+    return paymentRecord.processRefund(paymentRecord.amount, 'Tip lowered by rider');
+  }
+}
+
+export default new TipService();
@@ -47,6 +47,18 @@ class TwilioService {
     }
   }
 
+  /**
+   * Number of billed segments for a message. Plain GSM text fits 160 characters in one
+   * segment (153 when split); anything else, emoji included, is sent as UCS-2 (70/67).
+   */
+  countSegments(message) {
+    const isGsm = /^[\n\r\x20-\x7e£¥èéùìòÇØøÅåÆæßÉÄÖÑÜäöñüà§¡¿]*$/.test(message);
+    const [single, multi] = isGsm ? [160, 153] : [70, 67];
+
+    // String length counts UTF-16 units, which is what UCS-2 segments hold
+    return message.length <= single ? 1 : Math.ceil(message.length / multi);
+  }
+
   /**
    * Send verification code
    */
@@ -0,0 +1,474 @@
+import { User, PaymentRecord, LedgerEntry } from '../models/index.js';
+import { NotFoundError, ValidationError, ConflictError } from '../middleware/errorHandler.js';
+import stripeService from './stripeService.js';
+import notificationService from './notificationService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Platform-side ledger accounts that wallet movements post against
+export const PLATFORM_ACCOUNTS = {
+  stripeClearing: 'platform:stripe_clearing',
+  rescuePayments: 'platform:rescue_payments',
+  promotions: 'platform:promotions',
+  adjustments: 'platform:adjustments',
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Applied transaction IDs only need to outlive the gap before balancePending is cleared
+const APPLIED_TRANSACTIONS_KEPT = 50;
+
+/**
+ * Wallet Service
+ * Rider account balances backed by a double-entry ledger.
+ * Every balance change has a PaymentRecord and a balanced ledger transaction.
+ */
+class WalletService {
+  walletAccount(userId) {
+    return `wallet:${userId}`;
+  }
+
+  /**
+   * Post a ledger transaction and move the user's balance by the same amount.
+   * The ledger insert and the balance update can't share a transaction, so a retry that finds
+   * the entries already written but not yet applied finishes moving the balance. The update is
+   * keyed on the transactionId so it happens once even if the earlier attempt got that far.
+   * Returns false if the transaction was already posted.
+   */
+  async post({ transactionId, userId, amount, counterAccount, type, paymentRecord, description }) {
+    const value = roundCurrency(Math.abs(amount));
+    const isCredit = amount > 0;
+    const shared = {
+      type,
+      userId,
+      balancePending: true,
+      paymentRecordId: paymentRecord?._id,
+      rescueRequestId: paymentRecord?.rescueRequestId,
+      description,
+    };
+
+    try {
+      await LedgerEntry.postTransaction(transactionId, [
+        {
+          ...shared,
+          account: this.walletAccount(userId),
+          direction: isCredit ? 'credit' : 'debit',
+          amount: value,
+        },
+        {
+          ...shared,
+          account: counterAccount,
+          direction: isCredit ? 'debit' : 'credit',
+          amount: value,
+        },
+      ]);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      if (!(await LedgerEntry.exists({ transactionId, balancePending: true }))) {
+        return false;
+      }
+    }
+
+    // Debits only apply while the balance still covers them
+    const query = {
+      _id: userId,
+      appliedWalletTransactions: { $ne: transactionId },
+      ...(!isCredit && { balance: { $gte: value } }),
+    };
+    const updated = await User.updateOne(query, {
+      $inc: { balance: isCredit ? value : -value },
+      $push: {
+        appliedWalletTransactions: { $each: [transactionId], $slice: -APPLIED_TRANSACTIONS_KEPT },
+      },
+    });
+
+    if (updated.modifiedCount === 0) {
+      if (await User.exists({ _id: userId, appliedWalletTransactions: transactionId })) {
+        await this.markApplied(transactionId);
+        return false;
+      }
+
+      await LedgerEntry.deleteMany({ transactionId });
+      throw new ValidationError({ balance: 'Insufficient account balance' });
+    }
+
+    await this.markApplied(transactionId);
+
+    logger.info('Wallet transaction posted', { transactionId, userId, amount, type });
+
+    return true;
+  }
+
+  markApplied(transactionId) {
+    return LedgerEntry.updateMany({ transactionId }, { $unset: { balancePending: 1 } });
+  }
+
+  /**
+   * Current balance and recent ledger activity
+   */
+  async getWallet(userId, page = 1, limit = 20) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const entries = await LedgerEntry.findByAccount(this.walletAccount(userId), page, limit);
+
+    return {
+      balance: user.balance,
+      currency: 'USD',
+      limits: config.wallet,
+      entries,
+      page,
+      limit,
+    };
+  }
+
+  /**
+   * Start a card top-up; the balance is credited when Stripe confirms the payment
+   */
+  async createTopUp(userId, amount) {
+    const { minTopUp, maxTopUp, maxBalance } = config.wallet;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    if (amount < minTopUp || amount > maxTopUp) {
+      throw new ValidationError({
+        amount: `Top-ups must be between $${minTopUp} and $${maxTopUp}`,
+      });
+    }
+
+    if (user.balance + amount > maxBalance) {
+      throw new ValidationError({ amount: `Balance cannot exceed $${maxBalance}` });
+    }
+
+    if (!user.stripeCustomerId) {
+      throw new ValidationError({ user: 'Stripe customer not configured' });
+    }
+
+    const paymentIntent = await stripeService.createPaymentIntent(
+      amount,
+      'usd',
+      user.stripeCustomerId,
+      {
+        type: 'wallet_topup',
+        userId: userId.toString(),
+      }
+    );
+
+    const paymentRecord = await PaymentRecord.create({
+      riderId: userId,
+      type: 'topup',
+      status: 'pending',
+      amount,
+      currency: 'usd',
+      paymentMethod: 'card',
+      stripe: {
+        paymentIntentId: paymentIntent.id,
+        customerId: user.stripeCustomerId,
+      },
+    });
+
+    return {
+      clientSecret: paymentIntent.client_secret,
+      paymentRecordId: paymentRecord._id,
+      amount,
+    };
+  }
+
+  /**
+   * Credit a top-up once its payment intent succeeds - called from the Stripe webhook
+   */
+  async completeTopUp(paymentIntent) {
+    const paymentRecord = await PaymentRecord.findOne({
+      'stripe.paymentIntentId': paymentIntent.id,
+      type: 'topup',
+    });
+
+    if (!paymentRecord) {
+      logger.error('Top-up payment record not found', { paymentIntentId: paymentIntent.id });
+      return null;
+    }
+
+    if (['pending', 'processing'].includes(paymentRecord.status)) {
+      await paymentRecord.markAsSucceeded({ chargeId: paymentIntent.latest_charge });
+    }
+
+    const posted = await this.post({
+      transactionId: `topup:${paymentRecord._id}`,
+      userId: paymentRecord.riderId,
+      amount: paymentRecord.amount,
+      counterAccount: PLATFORM_ACCOUNTS.stripeClearing,
+      type: 'topup',
+      paymentRecord,
+      description: 'Card top-up',
+    });
+
+    if (posted) {
+      try {
+        await notificationService.notifyPaymentReceived(paymentRecord.riderId, paymentRecord);
+      } catch (error) {
+        logger.error('Failed to notify top-up:', error);
+      }
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Pay as much of `amountDue` as the rider's balance covers.
+   * Returns the balance PaymentRecord, or null when there is no balance to use.
+   */
+  async payFromBalance(rescue, amountDue, breakdown) {
+    const user = await User.findById(rescue.riderId);
+    const amount = roundCurrency(Math.min(user.balance, amountDue));
+
+    if (amount <= 0) {
+      return null;
+    }
+
+    // The balance claim index lets only one concurrent request create the payment
+    let paymentRecord;
+    try {
+      paymentRecord = await PaymentRecord.create({
+        rescueRequestId: rescue._id,
+        riderId: rescue.riderId,
+        driverId: rescue.driverId,
+        type: 'charge',
+        status: 'processing',
+        amount,
+        currency: 'usd',
+        paymentMethod: 'account_balance',
+        balanceClaim: true,
+        // On a split payment the card record carries the fare breakdown used for the driver payout
+        breakdown: amount >= amountDue ? breakdown : { total: amount },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Account balance has already been applied to this rescue');
+      }
+      throw error;
+    }
+
+    try {
+      await this.post({
+        transactionId: `rescue-payment:${paymentRecord._id}`,
+        userId: rescue.riderId,
+        amount: -amount,
+        counterAccount: PLATFORM_ACCOUNTS.rescuePayments,
+        type: 'rescue_payment',
+        paymentRecord,
+        description: 'Rescue paid from balance',
+      });
+    } catch (error) {
+      await paymentRecord.markAsFailed('insufficient_balance', error.message);
+      await this.releaseBalanceClaim(paymentRecord);
+      throw error;
+    }
+
+    return paymentRecord.markAsSucceeded();
+  }
+
+  /**
+   * Return a balance payment to the wallet - used instead of a Stripe refund.
+   * Partial refunds add up; each is posted under the amount already refunded before it.
+   */
+  async refundToBalance(paymentRecord, amount, reason) {
+    const refunded = paymentRecord.refund?.amount || 0;
+    const refundAmount = roundCurrency(
+      Math.min(amount ?? paymentRecord.amount, paymentRecord.amount - refunded)
+    );
+
+    if (refundAmount <= 0) {
+      throw new ConflictError('Payment has already been fully refunded');
+    }
+
+    const posted = await this.post({
+      transactionId: `refund:${paymentRecord._id}:${Math.round(refunded * 100)}`,
+      userId: paymentRecord.riderId,
+      amount: refundAmount,
+      counterAccount: PLATFORM_ACCOUNTS.rescuePayments,
+      type: 'refund',
+      paymentRecord,
+      description: reason || 'Refund to balance',
+    });
+
+    if (!posted) {
+      throw new ConflictError('This refund has already been credited to the balance');
+    }
+
+    await paymentRecord.addRefund(refundAmount, reason);
+
+    // Fully returned, so the rescue can be paid from the balance again
+    if (paymentRecord.refund.amount >= paymentRecord.amount) {
+      await this.releaseBalanceClaim(paymentRecord);
+    }
+
+    return paymentRecord;
+  }
+
+  releaseBalanceClaim(paymentRecord) {
+    return PaymentRecord.updateOne({ _id: paymentRecord._id }, { $unset: { balanceClaim: 1 } });
+  }
+
+  /**
+   * Credit a balance outside a card payment (rewards, admin adjustments).
+   * Pass a `transactionId` to make the credit idempotent - returns null if it was already posted.
+   */
+  async credit(
+    userId,
+    amount,
+    { type = 'adjustment', counterAccount, description, createdBy, transactionId } = {}
+  ) {
+    if (
+      transactionId &&
+      (await LedgerEntry.exists({ transactionId, balancePending: { $ne: true } }))
+    ) {
+      return null;
+    }
+
+    const paymentRecord = await PaymentRecord.create({
+      riderId: userId,
+      type: 'adjustment',
+      status: 'succeeded',
+      amount: Math.abs(amount),
+      currency: 'usd',
+      paymentMethod: 'account_balance',
+      processedAt: new Date(),
+      notes: description,
+      metadata: { direction: amount > 0 ? 'credit' : 'debit', ...(createdBy && { createdBy }) },
+    });
+
+    let posted;
+
+    try {
+      posted = await this.post({
+        transactionId: transactionId || `${type}:${paymentRecord._id}`,
+        userId,
+        amount,
+        counterAccount: counterAccount || PLATFORM_ACCOUNTS.adjustments,
+        type,
+        paymentRecord,
+        description,
+      });
+    } catch (error) {
+      await PaymentRecord.updateOne(
+        { _id: paymentRecord._id },
+        { $set: { status: 'failed', 'failureReason.message': error.message } }
+      );
+      throw error;
+    }
+
+    // Another attempt posted the same transaction first
+    if (!posted) {
+      await PaymentRecord.updateOne({ _id: paymentRecord._id }, { $set: { status: 'cancelled' } });
+      return null;
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Compare the stored balance with the ledger and the ledger with its PaymentRecords
+   */
+  async reconcile(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const account = this.walletAccount(userId);
+    const [ledgerBalance, entries, balanceRecords] = await Promise.all([
+      LedgerEntry.getAccountBalance(account),
+      LedgerEntry.find({ account }).lean(),
+      PaymentRecord.find({
+        riderId: userId,
+        status: { $in: ['succeeded', 'refunded'] },
+        $or: [{ type: 'topup' }, { paymentMethod: 'account_balance' }],
+      }).lean(),
+    ]);
+
+    const discrepancies = [];
+    const recordsById = new Map(balanceRecords.map((record) => [record._id.toString(), record]));
+    const postedRecordIds = new Set();
+    const refundedByRecord = new Map();
+
+    if (roundCurrency(user.balance) !== ledgerBalance) {
+      discrepancies.push({
+        issue: 'balance_mismatch',
+        balance: user.balance,
+        ledgerBalance,
+      });
+    }
+
+    entries.forEach((entry) => {
+      const recordId = entry.paymentRecordId?.toString();
+      const record = recordId && recordsById.get(recordId);
+
+      if (!record) {
+        discrepancies.push({ issue: 'missing_payment_record', transactionId: entry.transactionId });
+        return;
+      }
+
+      // Partial refunds are compared in total once every entry has been seen
+      if (entry.type === 'refund') {
+        refundedByRecord.set(recordId, (refundedByRecord.get(recordId) || 0) + entry.amount);
+        return;
+      }
+
+      postedRecordIds.add(recordId);
+
+      if (roundCurrency(record.amount) !== entry.amount) {
+        discrepancies.push({
+          issue: 'amount_mismatch',
+          transactionId: entry.transactionId,
+          ledgerAmount: entry.amount,
+          recordAmount: record.amount,
+        });
+      }
+    });
+
+    refundedByRecord.forEach((ledgerAmount, recordId) => {
+      const recordAmount = recordsById.get(recordId).refund?.amount || 0;
+
+      if (roundCurrency(recordAmount) !== roundCurrency(ledgerAmount)) {
+        discrepancies.push({
+          issue: 'amount_mismatch',
+          paymentRecordId: recordId,
+          ledgerAmount: roundCurrency(ledgerAmount),
+          recordAmount,
+        });
+      }
+    });
+
+    balanceRecords
+      .filter((record) => !postedRecordIds.has(record._id.toString()))
+      .forEach((record) => {
+        discrepancies.push({ issue: 'missing_ledger_entry', paymentRecordId: record._id });
+      });
+
+    if (discrepancies.length > 0) {
+      logger.warn('Wallet reconciliation found discrepancies', { userId, discrepancies });
+    }
+
+    return {
+      userId,
+      balance: user.balance,
+      ledgerBalance,
+      entries: entries.length,
+      paymentRecords: balanceRecords.length,
+      balanced: discrepancies.length === 0,
+      discrepancies,
+    };
+  }
+}
+
+export default new WalletService();
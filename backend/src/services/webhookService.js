@@ -0,0 +1,361 @@
+import { PaymentRecord, User, WebhookEvent } from '../models/index.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import loyaltyService from './loyaltyService.js';
+import walletService from './walletService.js';
+import chargeService from './chargeService.js';
+import disputeService from './disputeService.js';
+import payoutService from './payoutService.js';
+import { addPaymentJob } from '../queues/index.js';
+import logger from '../utils/logger.js';
+
+// Charges that a Stripe event can still move to a final state
+const OPEN_CHARGE_STATUSES = ['pending', 'processing', 'authorized'];
+
+// Driver payout status for each transfer and bank payout event
+const PAYOUT_STATUS_BY_EVENT = {
+  'transfer.created': 'paid',
+  'transfer.reversed': 'cancelled',
+  'payout.created': 'processing',
+  'payout.updated': 'processing',
+  'payout.paid': 'paid',
+  'payout.failed': 'failed',
+  'payout.canceled': 'cancelled',
+};
+
+// Statuses each update must not overwrite, since events can arrive out of order.
+// A bank can still return a payout after it was paid, so 'failed' always applies.
+const PROTECTED_PAYOUT_STATUSES = {
+  processing: ['paid', 'failed', 'cancelled'],
+  paid: ['failed', 'cancelled'],
+};
+
+/**
+ * Webhook Service
+ * Stripe events are stored when they arrive and processed from the payment queue,
+ * so redeliveries are skipped and failures retry without Stripe resending them
+ */
+class WebhookService {
+  constructor() {
+    // Exact event types first, then '<prefix>.*' for a whole family
+    this.handlers = {
+      'payment_intent.succeeded': (object) => this.handlePaymentSuccess(object),
+      'payment_intent.amount_capturable_updated': (object) =>
+        chargeService.handleAuthorized(object),
+      'payment_intent.payment_failed': (object) => this.handlePaymentFailure(object),
+      'payment_intent.canceled': (object) => this.handlePaymentCanceled(object),
+      'charge.refunded': (object) => this.handleRefund(object),
+      'charge.dispute.*': (object, event) => disputeService.syncFromStripe(object, event.type),
+      'transfer.*': (object, event) => this.handleTransfer(object, event),
+      'payout.*': (object, event) => this.handlePayout(object, event),
+      'account.updated': (object) => this.handleAccountUpdated(object),
+    };
+  }
+
+  getHandler(type) {
+    if (this.handlers[type]) {
+      return this.handlers[type];
+    }
+
+    const family = type.split('.').slice(0, -1).join('.');
+    return this.handlers[`${family}.*`] || null;
+  }
+
+  /**
+   * Store a verified event and queue it. Returns false for an event already received.
+   */
+  async receive(event) {
+    const stored = await WebhookEvent.record(event);
+
+    if (!stored) {
+      logger.info('Duplicate Stripe webhook skipped', { eventId: event.id, type: event.type });
+
+      // Stripe retries when queueing failed after the event was stored; the job ID keeps
+      // this from running twice if it was queued after all
+      const existing = await WebhookEvent.exists({ eventId: event.id, status: 'received' });
+      if (!existing) {
+        return false;
+      }
+    }
+
+    await addPaymentJob(
+      'process-webhook-event',
+      { eventId: event.id },
+      { jobId: `webhook-${event.id}` }
+    );
+
+    return Boolean(stored);
+  }
+
+  /**
+   * Run the handler for a stored event - called from the payment worker.
+   * Errors are rethrown so the job retries.
+   */
+  async process(eventId, { replay = false } = {}) {
+    const event = await WebhookEvent.findOne({ eventId });
+
+    if (!event) {
+      throw new Error(`Webhook event ${eventId} not found`);
+    }
+
+    if (!replay && ['processed', 'ignored'].includes(event.status)) {
+      return { eventId, status: event.status, skipped: true };
+    }
+
+    const handler = this.getHandler(event.type);
+
+    if (!handler) {
+      await WebhookEvent.updateOne({ _id: event._id }, { $set: { status: 'ignored' } });
+      logger.info('Unhandled webhook event type', { eventId, type: event.type });
+      return { eventId, status: 'ignored' };
+    }
+
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } }
+    );
+
+    try {
+      await handler(event.data.object, event);
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: event._id },
+        { $set: { status: 'failed', lastError: error.message } }
+      );
+      throw error;
+    }
+
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'processed', processedAt: new Date() }, $unset: { lastError: 1 } }
+    );
+
+    logger.info('Webhook event processed', { eventId, type: event.type, replay });
+
+    return { eventId, status: 'processed' };
+  }
+
+  /**
+   * Queue a stored event to run again, whatever its current status
+   */
+  async replay(eventId, adminId) {
+    const event = await WebhookEvent.findOneAndUpdate(
+      { eventId },
+      {
+        $set: { status: 'received', replayedAt: new Date(), replayedBy: adminId },
+        $inc: { replayCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      throw new NotFoundError('Webhook event');
+    }
+
+    await addPaymentJob(
+      'process-webhook-event',
+      { eventId, replay: true },
+      { jobId: `webhook-${eventId}-replay-${event.replayCount}` }
+    );
+
+    logger.info('Webhook event replay queued', { eventId, adminId });
+
+    return event;
+  }
+
+  async list({ status, type, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query).select('-data').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    return { events, total, page, limit };
+  }
+
+  findByPaymentIntent(paymentIntentId) {
+    return PaymentRecord.findOne({ 'stripe.paymentIntentId': paymentIntentId });
+  }
+
+  async handlePaymentSuccess(paymentIntent) {
+    if (paymentIntent.metadata?.type === 'wallet_topup') {
+      return walletService.completeTopUp(paymentIntent);
+    }
+
+    const paymentRecord = await this.findByPaymentIntent(paymentIntent.id);
+
+    if (!paymentRecord) {
+      logger.warn('No payment record for succeeded payment intent', {
+        paymentIntentId: paymentIntent.id,
+      });
+      return null;
+    }
+
+    if (OPEN_CHARGE_STATUSES.includes(paymentRecord.status)) {
+      await paymentRecord.markAsSucceeded({ chargeId: paymentIntent.latest_charge });
+      logger.info('Payment marked as succeeded', { paymentRecordId: paymentRecord._id });
+    }
+
+    return paymentRecord;
+  }
+
+  async handlePaymentFailure(paymentIntent) {
+    const paymentRecord = await this.findByPaymentIntent(paymentIntent.id);
+
+    if (paymentRecord && OPEN_CHARGE_STATUSES.includes(paymentRecord.status)) {
+      const error = paymentIntent.last_payment_error;
+      await paymentRecord.markAsFailed(
+        error?.decline_code || error?.code || 'payment_failed',
+        error?.message || 'Payment failed'
+      );
+      logger.info('Payment marked as failed', { paymentRecordId: paymentRecord._id });
+    }
+
+    return paymentRecord;
+  }
+
+  async handlePaymentCanceled(paymentIntent) {
+    const paymentRecord = await this.findByPaymentIntent(paymentIntent.id);
+
+    if (paymentRecord && OPEN_CHARGE_STATUSES.includes(paymentRecord.status)) {
+      await paymentRecord.markAsCancelled();
+    }
+
+    return paymentRecord;
+  }
+
+  /**
+   * Record refunds made outside the app (e.g. from the Stripe dashboard)
+   */
+  async handleRefund(charge) {
+    const paymentRecord = await this.findByPaymentIntent(charge.payment_intent);
+
+    if (!paymentRecord) {
+      return null;
+    }
+
+    const refundedAmount = charge.amount_refunded / 100;
+
+    if (paymentRecord.status === 'succeeded') {
+      await paymentRecord.processRefund(
+        refundedAmount,
+        charge.refunds?.data?.[0]?.reason || 'stripe_refund'
+      );
+    } else if (
+      paymentRecord.status === 'refunded' &&
+      (paymentRecord.refund?.amount || 0) < refundedAmount
+    ) {
+      // A further partial refund on a charge already marked refunded
+      await PaymentRecord.updateOne(
+        { _id: paymentRecord._id },
+        { $set: { 'refund.amount': refundedAmount } }
+      );
+    } else {
+      return paymentRecord;
+    }
+
+    logger.info('Payment marked as refunded', {
+      paymentRecordId: paymentRecord._id,
+      amount: refundedAmount,
+    });
+
+    await loyaltyService.reverseForRefund(paymentRecord);
+
+    return paymentRecord;
+  }
+
+  /**
+   * Transfers move the driver's share to their connected account
+   */
+  async handleTransfer(transfer, event) {
+    const status = PAYOUT_STATUS_BY_EVENT[event.type];
+
+    if (!status) {
+      return null;
+    }
+
+    // A partial reversal leaves the rest of the payout with the driver
+    if (event.type === 'transfer.reversed' && !transfer.reversed) {
+      return null;
+    }
+
+    return this.updatePayoutStatus(
+      {
+        $or: [{ 'stripe.transferId': transfer.id }, { 'payout.stripePayoutId': transfer.id }],
+        // Instant cash-outs are finished by their payout events
+        'stripe.payoutId': { $exists: false },
+      },
+      status
+    );
+  }
+
+  /**
+   * Payouts move money from a driver's connected account to their bank
+   */
+  async handlePayout(payout, event) {
+    const status = PAYOUT_STATUS_BY_EVENT[event.type];
+
+    if (!status) {
+      return null;
+    }
+
+    if (status === 'failed') {
+      logger.warn('Driver bank payout failed', {
+        account: event.account,
+        payoutId: payout.id,
+        failureCode: payout.failure_code,
+      });
+    }
+
+    await payoutService.syncInstantPayout(payout, status);
+
+    return this.updatePayoutStatus(
+      { $or: [{ 'stripe.payoutId': payout.id }, { 'payout.stripePayoutId': payout.id }] },
+      status
+    );
+  }
+
+  async updatePayoutStatus(query, status) {
+    const filter = PROTECTED_PAYOUT_STATUSES[status]
+      ? { ...query, 'payout.status': { $nin: PROTECTED_PAYOUT_STATUSES[status] } }
+      : query;
+
+    const result = await PaymentRecord.updateMany(filter, {
+      $set: {
+        'payout.status': status,
+        ...(status === 'paid' && { 'payout.paidAt': new Date() }),
+      },
+    });
+
+    return { updated: result.modifiedCount, status };
+  }
+
+  async handleAccountUpdated(account) {
+    const result = await User.updateOne(
+      { stripeAccountId: account.id },
+      {
+        $set: {
+          stripeAccountStatus: {
+            chargesEnabled: account.charges_enabled,
+            payoutsEnabled: account.payouts_enabled,
+            detailsSubmitted: account.details_submitted,
+            requirementsDue: account.requirements?.currently_due || [],
+            disabledReason: account.requirements?.disabled_reason || undefined,
+            updatedAt: new Date(),
+          },
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn('No user for updated Stripe account', { accountId: account.id });
+    }
+
+    return { updated: result.modifiedCount };
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,82 @@
+import chatService from '../services/chatService.js';
+import logger from '../utils/logger.js';
+
+// Only expose messages from our own API errors to clients
+const errorMessage = (error, fallback) => (error.isOperational ? error.message : fallback);
+
+/**
+ * Socket.io handlers for in-rescue chat between rider and driver
+ */
+export const registerChatHandlers = (io, socket) => {
+  // Reply through the client's ack callback when given, otherwise emit an error event
+  const respond = (ack, payload) => {
+    if (typeof ack === 'function') {
+      ack(payload);
+    } else if (payload.error) {
+      socket.emit('error', { message: payload.error });
+    }
+  };
+
+  /**
+   * Send a chat message
+   */
+  socket.on('chat:send', async (data = {}, ack) => {
+    try {
+      if (!socket.userId) {
+        respond(ack, { success: false, error: 'Not authenticated' });
+        return;
+      }
+
+      const { rescueId, messageType, content, metadata } = data;
+
+      if (!rescueId || !content || content.length > 1000) {
+        respond(ack, { success: false, error: 'Invalid message' });
+        return;
+      }
+
+      const message = await chatService.sendMessage(rescueId, socket.userId, {
+        messageType,
+        content,
+        metadata,
+      });
+
+      respond(ack, { success: true, message });
+    } catch (error) {
+      logger.error('Failed to send chat message via socket:', error);
+      respond(ack, { success: false, error: errorMessage(error, 'Failed to send message') });
+    }
+  });
+
+  /**
+   * Typing indicator
+   */
+  socket.on('chat:typing', async (data = {}) => {
+    try {
+      if (!socket.userId || !data.rescueId) {
+        return;
+      }
+
+      await chatService.sendTyping(data.rescueId, socket.userId, data.isTyping);
+    } catch (error) {
+      logger.debug('Dropped chat typing event', { userId: socket.userId, error: error.message });
+    }
+  });
+
+  /**
+   * Read receipts
+   */
+  socket.on('chat:read', async (data = {}, ack) => {
+    try {
+      if (!socket.userId) {
+        respond(ack, { success: false, error: 'Not authenticated' });
+        return;
+      }
+
+      const result = await chatService.markRead(data.rescueId, socket.userId);
+      respond(ack, { success: true, ...result });
+    } catch (error) {
+      logger.error('Failed to mark chat as read via socket:', error);
+      respond(ack, { success: false, error: errorMessage(error, 'Failed to mark messages read') });
+    }
+  });
+};
@@ -0,0 +1,77 @@
+/**
+ * Minimal PDF writer for plain-text documents such as statements.
+ * Lines are set in a monospaced font so column layouts made with padding line up.
+ */
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 48;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT);
+
+/**
+ * Escape a line for a PDF string literal. The file is written as Latin-1, which matches
+ * WinAnsiEncoding for printable characters, so accented letters survive; anything else
+ * becomes '?'.
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+const pageContent = (lines) =>
+  [
+    'BT',
+    `/F1 ${FONT_SIZE} Tf`,
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+    ...lines.map((line) => `(${escapeText(line)}) Tj T*`),
+    'ET',
+  ].join('\n');
+
+/**
+ * Render lines of text to a PDF, starting a new page when one fills up
+ */
+export const createTextPdf = (lines) => {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects 1-3 are the catalog, page tree and font; each page adds a page and a content stream
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+  ];
+
+  pages.forEach((pageLines, i) => {
+    const content = pageContent(pageLines);
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+export default { createTextPdf };
@@ -1,7 +1,13 @@
 import { Worker } from 'bullmq';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
-import { RescueRequest, User, DriverProfile, PaymentRecord } from '../models/index.js';
+import {
+  RescueRequest,
+  User,
+  DriverProfile,
+  RiderProfile,
+  PaymentRecord,
+} from '../models/index.js';
 
 const connection = {
   host: config.redis.host,
@@ -124,9 +130,10 @@ async function updateDriverStats(data) {
   const totalRescues = rescues.length;
   const totalEarnings = rescues.reduce((sum, r) => sum + (r.pricing?.driverPayout || 0), 0);
 
+  // Only cancellations the driver made count against them
   const cancelledRescues = await RescueRequest.countDocuments({
     driverId,
-    status: { $regex: /^cancelled/ },
+    status: 'cancelled_by_driver',
   });
 
   const totalRequests = await RescueRequest.countDocuments({ driverId });
@@ -178,13 +185,33 @@ async function updateRiderStats(data) {
   const totalRescues = rescues.length;
   const totalSpent = rescues.reduce((sum, r) => sum + (r.pricing?.total || 0), 0);
 
+  const cancelledRescues = await RescueRequest.countDocuments({
+    riderId,
+    status: 'cancelled_by_rider',
+  });
+  const totalRequests = await RescueRequest.countDocuments({ riderId });
+  const cancellationRate = totalRequests > 0 ? (cancelledRescues / totalRequests) * 100 : 0;
+
+  // Loyalty tiers are read from these stats
+  await RiderProfile.updateOne(
+    { userId: riderId },
+    {
+      $set: {
+        'stats.totalRescues': totalRescues,
+        'stats.totalSpent': totalSpent,
+        'stats.cancellationRate': cancellationRate,
+      },
+    }
+  );
+
   logger.info('Rider stats updated', {
     riderId,
     totalRescues,
     totalSpent,
+    cancellationRate,
   });
 
-  return { success: true, totalRescues, totalSpent };
+  return { success: true, totalRescues, totalSpent, cancellationRate };
 }
 
 /**
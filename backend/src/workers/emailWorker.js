@@ -0,0 +1,70 @@
+import { Worker } from 'bullmq';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import emailService from '../services/emailService.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+};
+
+/**
+ * Email Worker
+ */
+export const emailWorker = new Worker(
+  'emails',
+  async (job) => {
+    logger.info('Processing email job', {
+      jobId: job.id,
+      type: job.name,
+    });
+
+    try {
+      switch (job.name) {
+        case 'send-notification':
+          await emailService.deliverNotification(job.data.notificationId);
+          break;
+
+        default:
+          logger.warn('Unknown email job type', { type: job.name });
+      }
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Email job failed:', error);
+      throw error;
+    }
+  },
+  {
+    connection,
+    concurrency: 5,
+  }
+);
+
+// Worker event handlers
+emailWorker.on('completed', (job) => {
+  logger.info('Email job completed', {
+    jobId: job.id,
+    name: job.name,
+  });
+});
+
+emailWorker.on('failed', async (job, err) => {
+  logger.error('Email job failed', {
+    jobId: job.id,
+    name: job.name,
+    error: err.message,
+  });
+
+  // Retries exhausted: leave the reason on the notification
+  if (job.name === 'send-notification' && job.attemptsMade >= job.opts.attempts) {
+    try {
+      await emailService.recordFailure(job.data.notificationId, err.message);
+    } catch (error) {
+      logger.error('Failed to record email failure:', error);
+    }
+  }
+});
+
+export default emailWorker;
@@ -1,6 +1,8 @@
 import notificationWorker from './notificationWorker.js';
 import paymentWorker from './paymentWorker.js';
 import analyticsWorker from './analyticsWorker.js';
+import rescueWorker from './rescueWorker.js';
+import emailWorker from './emailWorker.js';
 import { scheduleRecurringJobs } from '../queues/index.js';
 import logger from '../utils/logger.js';
 
@@ -19,6 +21,8 @@ async function startWorkers() {
       notification: notificationWorker.isRunning(),
       payment: paymentWorker.isRunning(),
       analytics: analyticsWorker.isRunning(),
+      rescue: rescueWorker.isRunning(),
+      email: emailWorker.isRunning(),
     });
   } catch (error) {
     logger.error('Failed to start workers:', error);
@@ -37,6 +41,8 @@ async function shutdown() {
       notificationWorker.close(),
       paymentWorker.close(),
       analyticsWorker.close(),
+      rescueWorker.close(),
+      emailWorker.close(),
     ]);
 
     logger.info('All workers shut down successfully');
@@ -61,6 +67,8 @@ export default {
   notificationWorker,
   paymentWorker,
   analyticsWorker,
+  rescueWorker,
+  emailWorker,
   startWorkers,
   shutdown,
 };
@@ -46,6 +46,10 @@ export const notificationWorker = new Worker(
           await notifyRescueStatus(data);
           break;
 
+        case 'send-digest':
+          await notificationService.sendDigest(data.userId);
+          break;
+
         default:
           logger.warn('Unknown notification job type', { type: job.name });
       }
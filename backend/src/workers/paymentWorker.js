@@ -2,7 +2,15 @@ import { Worker } from 'bullmq';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import stripeService from '../services/stripeService.js';
-import { PaymentRecord, RescueRequest, User } from '../models/index.js';
+import referralService from '../services/referralService.js';
+import loyaltyService from '../services/loyaltyService.js';
+import walletService from '../services/walletService.js';
+import chargeService from '../services/chargeService.js';
+import cancellationService from '../services/cancellationService.js';
+import webhookService from '../services/webhookService.js';
+import disputeService from '../services/disputeService.js';
+import payoutService from '../services/payoutService.js';
+import { PaymentRecord } from '../models/index.js';
 
 const connection = {
   host: config.redis.host,
@@ -23,21 +31,40 @@ export const paymentWorker = new Worker(
 
     try {
       switch (job.name) {
+        case 'authorize-charge':
+          return await chargeService.authorizeOnAccept(job.data.rescueId);
+
         case 'charge-customer':
           return await processChargeCustomer(job.data);
 
+        // Queued when a charge settles; the share is paid in the weekly batch
         case 'process-payout':
-          return await processDriverPayout(job.data);
+          return await payoutService.accrue(job.data.paymentRecordId);
+
+        case 'release-charge':
+          return await cancellationService.settle(job.data.rescueId);
 
         case 'process-refund':
           return await processRefund(job.data);
 
         case 'weekly-payouts':
-          return await processWeeklyPayouts();
+          return await payoutService.runWeeklyBatch();
+
+        case 'resume-payout-batch':
+          return await payoutService.resumeBatch(job.data.payoutBatchId);
 
         case 'failed-payment-retry':
           return await retryFailedPayment(job.data);
 
+        case 'process-webhook-event':
+          return await webhookService.process(job.data.eventId, { replay: job.data.replay });
+
+        case 'submit-dispute-evidence':
+          return await disputeService.submitEvidence(job.data.disputeId);
+
+        case 'credit-referral-reward':
+          return await referralService.creditReward(job.data.riderId);
+
         default:
           logger.warn('Unknown payment job type', { type: job.name });
       }
@@ -55,89 +82,14 @@ export const paymentWorker = new Worker(
 );
 
 /**
- * Charge customer for rescue
+ * Capture the held charge for a completed rescue
  */
 async function processChargeCustomer(data) {
   const { rescueId, paymentRecordId } = data;
 
-  const rescue = await RescueRequest.findById(rescueId).populate('riderId');
-  const paymentRecord = await PaymentRecord.findById(paymentRecordId);
-
-  if (!rescue || !paymentRecord) {
-    throw new Error('Rescue or payment record not found');
-  }
-
-  try {
-    // Confirm payment intent with Stripe
-    const paymentIntent = await stripeService.stripe.paymentIntents.confirm(
-      paymentRecord.stripe.paymentIntentId
-    );
-
-    // Update payment record
-    await paymentRecord.markAsSucceeded({
-      chargeId: paymentIntent.latest_charge,
-      receiptUrl: paymentIntent.charges?.data[0]?.receipt_url,
-    });
-
-    logger.info('Customer charged successfully', {
-      rescueId,
-      amount: paymentRecord.amount,
-    });
-
-    // Queue driver payout
-    const { addPaymentJob } = await import('../queues/index.js');
-    await addPaymentJob('process-payout', {
-      paymentRecordId: paymentRecord._id,
-    });
-
-    return { success: true, paymentRecord };
-  } catch (error) {
-    await paymentRecord.markAsFailed(error.code, error.message);
-    throw error;
-  }
-}
-
-/**
- * Process driver payout
- */
-async function processDriverPayout(data) {
-  const { paymentRecordId } = data;
-
-  const paymentRecord = await PaymentRecord.findById(paymentRecordId).populate('driverId');
-
-  if (!paymentRecord || !paymentRecord.driverId) {
-    throw new Error('Payment record or driver not found');
-  }
-
-  const driver = paymentRecord.driverId;
-  if (!driver.stripeAccountId) {
-    throw new Error('Driver does not have Stripe account');
-  }
-
-  const payoutAmount = paymentRecord.breakdown.total - paymentRecord.breakdown.platformFee;
-
-  try {
-    const transfer = await stripeService.transferToDriver(
-      payoutAmount,
-      driver.stripeAccountId,
-      {
-        paymentRecordId: paymentRecord._id.toString(),
-        rescueRequestId: paymentRecord.rescueRequestId.toString(),
-      }
-    );
-
-    await paymentRecord.processPayout(payoutAmount, transfer.id);
-
-    logger.info('Driver payout processed', {
-      driverId: driver._id,
-      amount: payoutAmount,
-    });
+  const paymentRecord = await chargeService.capture(rescueId, paymentRecordId);
 
-    return { success: true, transfer };
-  } catch (error) {
-    logger.error('Driver payout failed:', error);
-    throw error;
-  }
+  return { success: true, paymentRecordId: paymentRecord._id };
 }
 
 /**
@@ -152,6 +104,19 @@ async function processRefund(data) {
     throw new Error('Payment record not found');
   }
 
+  // Balance payments go back to the rider's wallet instead of through Stripe
+  if (paymentRecord.paymentMethod === 'account_balance') {
+    await walletService.refundToBalance(paymentRecord, amount, reason);
+    await loyaltyService.reverseForRefund(paymentRecord);
+
+    logger.info('Refund credited to balance', {
+      paymentRecordId,
+      amount: paymentRecord.refund.amount,
+    });
+
+    return { success: true };
+  }
+
   try {
     const refund = await stripeService.createRefund(
       paymentRecord.stripe.paymentIntentId,
@@ -160,6 +125,7 @@ async function processRefund(data) {
     );
 
     await paymentRecord.processRefund(refund.amount / 100, reason);
+    await loyaltyService.reverseForRefund(paymentRecord);
 
     logger.info('Refund processed', {
       paymentRecordId,
@@ -173,36 +139,6 @@ async function processRefund(data) {
   }
 }
 
-/**
- * Process weekly payouts for all drivers
- */
-async function processWeeklyPayouts() {
-  const pendingPayouts = await PaymentRecord.findPendingPayouts();
-
-  logger.info('Processing weekly payouts', {
-    count: pendingPayouts.length,
-  });
-
-  const results = [];
-
-  for (const paymentRecord of pendingPayouts) {
-    try {
-      const result = await processDriverPayout({
-        paymentRecordId: paymentRecord._id,
-      });
-      results.push({ success: true, paymentRecordId: paymentRecord._id });
-    } catch (error) {
-      logger.error('Weekly payout failed for payment record', {
-        paymentRecordId: paymentRecord._id,
-        error: error.message,
-      });
-      results.push({ success: false, paymentRecordId: paymentRecord._id, error: error.message });
-    }
-  }
-
-  return { results };
-}
-
 /**
  * Retry failed payment
  */
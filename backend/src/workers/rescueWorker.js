@@ -0,0 +1,79 @@
+import { Worker } from 'bullmq';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import dispatchService from '../services/dispatchService.js';
+import schedulingService from '../services/schedulingService.js';
+import surgeService from '../services/surgeService.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+};
+
+/**
+ * Rescue Worker
+ */
+export const rescueWorker = new Worker(
+  'rescues',
+  async (job) => {
+    logger.info('Processing rescue job', {
+      jobId: job.id,
+      type: job.name,
+    });
+
+    try {
+      switch (job.name) {
+        case 'dispatch-rescue':
+          await dispatchService.startDispatch(job.data.rescueId);
+          break;
+
+        case 'offer-timeout':
+          await dispatchService.handleOfferTimeout(job.data.rescueId, job.data.driverId);
+          break;
+
+        case 'release-scheduled-rescue':
+          await schedulingService.release(job.data.rescueId, job.data.version);
+          break;
+
+        case 'scheduled-reminder':
+          await schedulingService.sendReminders(job.data.rescueId, job.data.version);
+          break;
+
+        case 'calculate-surge':
+          await surgeService.recalculate();
+          break;
+
+        default:
+          logger.warn('Unknown rescue job type', { type: job.name });
+      }
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Rescue job failed:', error);
+      throw error;
+    }
+  },
+  {
+    connection,
+    concurrency: 5,
+  }
+);
+
+// Worker event handlers
+rescueWorker.on('completed', (job) => {
+  logger.info('Rescue job completed', {
+    jobId: job.id,
+    name: job.name,
+  });
+});
+
+rescueWorker.on('failed', (job, err) => {
+  logger.error('Rescue job failed', {
+    jobId: job.id,
+    name: job.name,
+    error: err.message,
+  });
+});
+
+export default rescueWorker;
@@ -0,0 +1,21 @@
+import { jest } from '@jest/globals';
+
+// Unit tests run without Redis or log files: the logger is silenced and queueing a job
+// only records the call
+jest.unstable_mockModule('@/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('@/queues/index.js', () => ({
+  addNotificationJob: jest.fn(),
+  addPaymentJob: jest.fn(),
+  addAnalyticsJob: jest.fn(),
+  addRescueJob: jest.fn(),
+  addEmailJob: jest.fn(),
+  scheduleRecurringJobs: jest.fn(),
+}));
@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+
+const {
+  default: RescueRequest,
+  RESCUE_STATUSES,
+  TERMINAL_RESCUE_STATUSES,
+  canTransition,
+  canSetStatus,
+} = await import('@/models/RescueRequest.js');
+const { InvalidStatusTransitionError } = await import('@/middleware/errorHandler.js');
+
+describe('RescueRequest status transitions', () => {
+  it.each([
+    ['scheduled', 'pending'],
+    ['pending', 'accepted'],
+    ['accepted', 'driver_enroute'],
+    ['driver_enroute', 'driver_arrived'],
+    ['driver_arrived', 'in_progress'],
+    ['in_progress', 'completed'],
+    ['pending', 'cancelled_by_rider'],
+    ['accepted', 'cancelled_by_driver'],
+    ['driver_arrived', 'cancelled_by_system'],
+    ['in_progress', 'failed'],
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['pending', 'completed'],
+    ['scheduled', 'accepted'],
+    ['driver_arrived', 'cancelled_by_rider'],
+    ['driver_arrived', 'cancelled_by_driver'],
+    ['in_progress', 'cancelled_by_rider'],
+    ['completed', 'in_progress'],
+    ['pending', 'pending'],
+    ['pending', 'unknown'],
+    ['unknown', 'pending'],
+  ])('rejects %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it('treats statuses without outgoing transitions as terminal', () => {
+    expect(TERMINAL_RESCUE_STATUSES.sort()).toEqual(
+      [
+        'cancelled_by_driver',
+        'cancelled_by_rider',
+        'cancelled_by_system',
+        'completed',
+        'failed',
+      ].sort()
+    );
+    for (const terminal of TERMINAL_RESCUE_STATUSES) {
+      for (const status of RESCUE_STATUSES) {
+        expect(canTransition(terminal, status)).toBe(false);
+      }
+    }
+  });
+});
+
+describe('RescueRequest status actors', () => {
+  it.each([
+    'driver_enroute',
+    'driver_arrived',
+    'in_progress',
+    'completed',
+    'cancelled_by_driver',
+    'failed',
+  ])('lets drivers set %s', (status) => {
+    expect(canSetStatus(status, 'driver')).toBe(true);
+  });
+
+  it.each(['pending', 'accepted', 'cancelled_by_rider', 'cancelled_by_system', 'scheduled'])(
+    'keeps %s away from drivers',
+    (status) => {
+      expect(canSetStatus(status, 'driver')).toBe(false);
+    }
+  );
+
+  it('lets admins set any status reached through a transition', () => {
+    for (const status of RESCUE_STATUSES.filter((s) => s !== 'scheduled')) {
+      expect(canSetStatus(status, 'admin')).toBe(true);
+    }
+  });
+
+  it('never lets riders set a status directly', () => {
+    for (const status of RESCUE_STATUSES) {
+      expect(canSetStatus(status, 'rider')).toBe(false);
+    }
+  });
+});
+
+describe('RescueRequest#transitionTo', () => {
+  it('throws before saving when the transition is not allowed', () => {
+    const rescue = new RescueRequest({ status: 'pending' });
+
+    expect(() => rescue.transitionTo('completed')).toThrow(InvalidStatusTransitionError);
+    expect(rescue.status).toBe('pending');
+    expect(rescue.timeline).toHaveLength(0);
+  });
+
+  it('reports whether the rescue can still be cancelled', () => {
+    expect(new RescueRequest({ status: 'accepted' }).canBeCancelled()).toBe(true);
+    expect(new RescueRequest({ status: 'in_progress' }).canBeCancelled()).toBe(false);
+    expect(new RescueRequest({ status: 'completed' }).isTerminal()).toBe(true);
+  });
+});
@@ -0,0 +1,155 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const PaymentRecord = { findById: jest.fn(), findOne: jest.fn() };
+const RescueRequest = { findById: jest.fn() };
+const stripeService = {
+  retrievePaymentIntent: jest.fn(),
+  capturePaymentIntent: jest.fn(),
+  cancelPaymentIntent: jest.fn(),
+  isPermanentError: jest.fn(),
+};
+const notificationService = {
+  notifyPaymentReceived: jest.fn(),
+  notifyPaymentFailed: jest.fn(),
+};
+
+jest.unstable_mockModule('@/models/index.js', () => ({
+  PaymentRecord,
+  RescueRequest,
+  RiderProfile: {},
+  User: {},
+}));
+jest.unstable_mockModule('@/services/stripeService.js', () => ({ default: stripeService }));
+jest.unstable_mockModule('@/services/walletService.js', () => ({ default: {} }));
+jest.unstable_mockModule('@/services/notificationService.js', () => ({
+  default: notificationService,
+}));
+
+const { default: chargeService } = await import('@/services/chargeService.js');
+const { addPaymentJob } = await import('@/queues/index.js');
+
+const buildRecord = (overrides = {}) => ({
+  _id: 'pr1',
+  riderId: 'rider1',
+  status: 'authorized',
+  amount: 40,
+  authorization: { amount: 40 },
+  stripe: { paymentIntentId: 'pi_1' },
+  save: jest.fn(),
+  markAsAuthorized: jest.fn(),
+  markAsSucceeded: jest.fn(),
+  markAsFailed: jest.fn(),
+  markAsCancelled: jest.fn().mockResolvedValue('cancelled'),
+  ...overrides,
+});
+
+const buildRescue = (total, tip = 0) => ({
+  _id: 'rescue1',
+  pricing: { subtotal: total, platformFee: 0, tip, discount: 0, total },
+});
+
+describe('chargeService.capture', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PaymentRecord.findOne.mockResolvedValue(null);
+    stripeService.capturePaymentIntent.mockResolvedValue({ latest_charge: 'ch_1' });
+  });
+
+  it('captures the current fare when it has dropped below the hold', async () => {
+    const record = buildRecord();
+    PaymentRecord.findById.mockResolvedValue(record);
+    RescueRequest.findById.mockResolvedValue(buildRescue(30, 2.5));
+
+    await chargeService.capture('rescue1', 'pr1');
+
+    expect(stripeService.capturePaymentIntent).toHaveBeenCalledWith('pi_1', 32.5);
+    expect(record.amount).toBe(32.5);
+    expect(record.breakdown.total).toBe(32.5);
+    expect(record.save).toHaveBeenCalled();
+    expect(record.markAsSucceeded).toHaveBeenCalledWith({ chargeId: 'ch_1' });
+    expect(addPaymentJob).toHaveBeenCalledWith(
+      'process-payout',
+      { paymentRecordId: 'pr1' },
+      { jobId: 'payout-pr1' }
+    );
+  });
+
+  it('never captures more than was authorized', async () => {
+    PaymentRecord.findById.mockResolvedValue(buildRecord());
+    RescueRequest.findById.mockResolvedValue(buildRescue(55));
+
+    await chargeService.capture('rescue1', 'pr1');
+
+    expect(stripeService.capturePaymentIntent).toHaveBeenCalledWith('pi_1', 40);
+  });
+
+  it('leaves out what the rider already paid from their balance', async () => {
+    PaymentRecord.findById.mockResolvedValue(buildRecord());
+    RescueRequest.findById.mockResolvedValue(buildRescue(50));
+    PaymentRecord.findOne.mockResolvedValue({ amount: 15 });
+
+    await chargeService.capture('rescue1', 'pr1');
+
+    expect(stripeService.capturePaymentIntent).toHaveBeenCalledWith('pi_1', 35);
+  });
+
+  it('releases the hold when nothing is left to capture', async () => {
+    const record = buildRecord();
+    PaymentRecord.findById.mockResolvedValue(record);
+    RescueRequest.findById.mockResolvedValue(buildRescue(20));
+    PaymentRecord.findOne.mockResolvedValue({ amount: 20 });
+
+    await expect(chargeService.capture('rescue1', 'pr1')).resolves.toBe('cancelled');
+
+    expect(stripeService.cancelPaymentIntent).toHaveBeenCalledWith('pi_1');
+    expect(stripeService.capturePaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('returns a charge that was already captured untouched', async () => {
+    const record = buildRecord({ status: 'succeeded' });
+    PaymentRecord.findById.mockResolvedValue(record);
+
+    await expect(chargeService.capture('rescue1', 'pr1')).resolves.toBe(record);
+    expect(RescueRequest.findById).not.toHaveBeenCalled();
+    expect(stripeService.capturePaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('checks Stripe when the authorization webhook has not arrived yet', async () => {
+    const record = buildRecord({ status: 'processing', authorization: undefined });
+    PaymentRecord.findById.mockResolvedValue(record);
+    RescueRequest.findById.mockResolvedValue(buildRescue(30));
+    stripeService.retrievePaymentIntent.mockResolvedValue({
+      status: 'requires_capture',
+      amount_capturable: 4000,
+    });
+
+    await chargeService.capture('rescue1', 'pr1');
+
+    expect(record.markAsAuthorized).toHaveBeenCalledWith(40);
+    expect(stripeService.capturePaymentIntent).toHaveBeenCalledWith('pi_1', 30);
+  });
+
+  it('refuses to capture a payment Stripe has not authorized', async () => {
+    PaymentRecord.findById.mockResolvedValue(buildRecord({ status: 'processing' }));
+    stripeService.retrievePaymentIntent.mockResolvedValue({ status: 'requires_payment_method' });
+
+    await expect(chargeService.capture('rescue1', 'pr1')).rejects.toThrow(
+      'has not been authorized'
+    );
+    expect(stripeService.capturePaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('fails the payment when Stripe permanently declines the capture', async () => {
+    const record = buildRecord();
+    PaymentRecord.findById.mockResolvedValue(record);
+    RescueRequest.findById.mockResolvedValue(buildRescue(30));
+    const declined = Object.assign(new Error('Card declined'), { code: 'card_declined' });
+    stripeService.capturePaymentIntent.mockRejectedValue(declined);
+    stripeService.isPermanentError.mockReturnValue(true);
+
+    await expect(chargeService.capture('rescue1', 'pr1')).rejects.toBe(declined);
+    expect(record.markAsFailed).toHaveBeenCalledWith('card_declined', 'Card declined');
+    expect(notificationService.notifyPaymentFailed).toHaveBeenCalled();
+    expect(addPaymentJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const Dispute = {
+  find: jest.fn(),
+  findOutstandingClawbacks: jest.fn(),
+  updateOne: jest.fn(),
+};
+
+jest.unstable_mockModule('@/models/index.js', () => ({
+  Dispute,
+  PaymentRecord: {},
+  RescueRequest: {},
+  User: {},
+  ChatMessage: {},
+}));
+jest.unstable_mockModule('@/services/stripeService.js', () => ({ default: {} }));
+jest.unstable_mockModule('@/services/pricingService.js', () => ({ default: {} }));
+
+const { default: disputeService } = await import('@/services/disputeService.js');
+
+const batchId = new mongoose.Types.ObjectId();
+
+const outstanding = (id, amount, recovered = 0) => ({
+  _id: id,
+  clawbackOutstanding: amount - recovered,
+  clawback: { amount, recovered, deductions: [] },
+});
+
+describe('disputeService.applyClawbacks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Dispute.find.mockResolvedValue([]);
+    Dispute.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('deducts outstanding clawbacks oldest first up to the payout amount', async () => {
+    Dispute.findOutstandingClawbacks.mockResolvedValue([
+      outstanding('d1', 30, 10),
+      outstanding('d2', 50),
+    ]);
+
+    await expect(disputeService.applyClawbacks('driver1', 45, batchId)).resolves.toBe(45);
+
+    expect(Dispute.updateOne).toHaveBeenNthCalledWith(
+      1,
+      { _id: 'd1', 'clawback.recovered': 10 },
+      {
+        $set: { 'clawback.recovered': 30, 'clawback.status': 'recovered' },
+        $push: { 'clawback.deductions': { payoutBatchId: batchId, amount: 20 } },
+      }
+    );
+    expect(Dispute.updateOne).toHaveBeenNthCalledWith(
+      2,
+      { _id: 'd2', 'clawback.recovered': 0 },
+      {
+        $set: { 'clawback.recovered': 25, 'clawback.status': 'partial' },
+        $push: { 'clawback.deductions': { payoutBatchId: batchId, amount: 25 } },
+      }
+    );
+  });
+
+  it('stops once the payout is used up', async () => {
+    Dispute.findOutstandingClawbacks.mockResolvedValue([
+      outstanding('d1', 60),
+      outstanding('d2', 50),
+    ]);
+
+    await expect(disputeService.applyClawbacks('driver1', 40, batchId)).resolves.toBe(40);
+    expect(Dispute.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not count a deduction another payout took first', async () => {
+    Dispute.findOutstandingClawbacks.mockResolvedValue([
+      outstanding('d1', 30),
+      outstanding('d2', 50),
+    ]);
+    Dispute.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+
+    await expect(disputeService.applyClawbacks('driver1', 100, batchId)).resolves.toBe(50);
+  });
+
+  it('returns the deductions already made when a batch is retried', async () => {
+    const otherBatchId = new mongoose.Types.ObjectId();
+    Dispute.find.mockResolvedValue([
+      {
+        clawback: {
+          deductions: [
+            { payoutBatchId: batchId, amount: 12.5 },
+            { payoutBatchId: otherBatchId, amount: 40 },
+          ],
+        },
+      },
+      { clawback: { deductions: [{ payoutBatchId: batchId, amount: 7.25 }] } },
+    ]);
+
+    await expect(disputeService.applyClawbacks('driver1', 100, batchId)).resolves.toBe(19.75);
+    expect(Dispute.findOutstandingClawbacks).not.toHaveBeenCalled();
+    expect(Dispute.updateOne).not.toHaveBeenCalled();
+  });
+});
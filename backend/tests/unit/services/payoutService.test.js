@@ -0,0 +1,152 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const PaymentRecord = { find: jest.fn(), updateMany: jest.fn() };
+const PayoutBatch = {
+  create: jest.fn(),
+  deleteOne: jest.fn(),
+  updateOne: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+};
+const stripeService = { transferToDriver: jest.fn(), isPermanentError: jest.fn() };
+const disputeService = { applyClawbacks: jest.fn(), reverseClawbacks: jest.fn() };
+
+jest.unstable_mockModule('@/models/index.js', () => ({
+  Dispute: {},
+  PaymentRecord,
+  PayoutBatch,
+  User: {},
+}));
+jest.unstable_mockModule('@/services/stripeService.js', () => ({ default: stripeService }));
+jest.unstable_mockModule('@/services/disputeService.js', () => ({ default: disputeService }));
+
+const { default: payoutService } = await import('@/services/payoutService.js');
+
+const cutoff = new Date('2026-10-12T00:00:00Z');
+const share = (id, amount) => ({ _id: id, payout: { amount } });
+
+describe('payoutService.createBatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PayoutBatch.create.mockResolvedValue({ _id: 'batch1' });
+    PayoutBatch.findByIdAndUpdate.mockImplementation((id, update) =>
+      Promise.resolve({ _id: id, ...update.$set })
+    );
+  });
+
+  it('claims the payable records and totals the ones it got', async () => {
+    const payable = [share('pr1', 30), share('pr2', 12.5)];
+    PaymentRecord.find.mockResolvedValueOnce(payable).mockResolvedValueOnce(payable);
+
+    const batch = await payoutService.createBatch('driver1', cutoff);
+
+    expect(PaymentRecord.find.mock.calls[0][0]).toEqual(
+      expect.objectContaining({
+        driverId: 'driver1',
+        'payout.status': 'pending',
+        'payout.batchId': { $exists: false },
+        processedAt: { $lt: cutoff },
+      })
+    );
+    expect(PaymentRecord.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['pr1', 'pr2'] }, 'payout.batchId': { $exists: false } },
+      { $set: { 'payout.batchId': 'batch1', 'payout.status': 'processing' } }
+    );
+    expect(batch).toEqual({ _id: 'batch1', paymentRecordIds: ['pr1', 'pr2'], grossAmount: 42.5 });
+  });
+
+  it('only pays the records it claimed when a concurrent run took some', async () => {
+    PaymentRecord.find
+      .mockResolvedValueOnce([share('pr1', 30), share('pr2', 12.5)])
+      .mockResolvedValueOnce([share('pr2', 12.5)]);
+
+    const batch = await payoutService.createBatch('driver1', cutoff);
+
+    expect(batch).toEqual({ _id: 'batch1', paymentRecordIds: ['pr2'], grossAmount: 12.5 });
+  });
+
+  it('drops the batch when every record was claimed by another run', async () => {
+    PaymentRecord.find.mockResolvedValueOnce([share('pr1', 30)]).mockResolvedValueOnce([]);
+
+    await expect(payoutService.createBatch('driver1', cutoff)).resolves.toBeNull();
+    expect(PayoutBatch.deleteOne).toHaveBeenCalledWith({ _id: 'batch1' });
+    expect(PayoutBatch.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('carries negative totals over to the next batch', async () => {
+    PaymentRecord.find.mockResolvedValueOnce([share('pr1', 10), share('adj1', -25)]);
+
+    await expect(payoutService.createBatch('driver1', cutoff)).resolves.toBeNull();
+    expect(PayoutBatch.create).not.toHaveBeenCalled();
+  });
+
+  it('limits a cash-out to the records it asked for', async () => {
+    PaymentRecord.find.mockResolvedValue([]);
+
+    await payoutService.createBatch('driver1', cutoff, {
+      type: 'instant',
+      paymentRecordIds: ['pr1'],
+    });
+
+    expect(PaymentRecord.find.mock.calls[0][0]._id).toEqual({ $in: ['pr1'] });
+  });
+});
+
+describe('payoutService.transferBatch', () => {
+  const driver = { _id: 'driver1', stripeAccountId: 'acct_1' };
+  const batch = { _id: 'batch1', type: 'weekly', grossAmount: 80, paymentRecordIds: ['pr1'] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stripeService.transferToDriver.mockResolvedValue({ id: 'tr_1' });
+    PayoutBatch.findByIdAndUpdate.mockResolvedValue({ _id: 'batch1', status: 'paid' });
+  });
+
+  it('transfers what is left after clawbacks', async () => {
+    disputeService.applyClawbacks.mockResolvedValue(25);
+
+    await payoutService.transferBatch(batch, driver);
+
+    expect(disputeService.applyClawbacks).toHaveBeenCalledWith('driver1', 80, 'batch1');
+    expect(PayoutBatch.updateOne).toHaveBeenCalledWith(
+      { _id: 'batch1' },
+      { $set: { status: 'processing', clawbackAmount: 25, fee: 0, amount: 55 } }
+    );
+    expect(stripeService.transferToDriver).toHaveBeenCalledWith(
+      55,
+      'acct_1',
+      expect.any(Object),
+      'payout-batch-batch1'
+    );
+  });
+
+  it('skips the transfer when clawbacks take the whole batch', async () => {
+    disputeService.applyClawbacks.mockResolvedValue(80);
+
+    await payoutService.transferBatch(batch, driver);
+
+    expect(stripeService.transferToDriver).not.toHaveBeenCalled();
+    expect(PaymentRecord.updateMany).toHaveBeenCalledWith(
+      { 'payout.batchId': 'batch1' },
+      { $set: expect.objectContaining({ 'payout.status': 'paid' }) }
+    );
+  });
+
+  it('releases the records and reverses clawbacks when Stripe rejects the transfer', async () => {
+    disputeService.applyClawbacks.mockResolvedValue(10);
+    const rejected = new Error('Account closed');
+    stripeService.transferToDriver.mockRejectedValue(rejected);
+    stripeService.isPermanentError.mockReturnValue(true);
+
+    await expect(payoutService.transferBatch(batch, driver)).rejects.toBe(rejected);
+
+    expect(PaymentRecord.updateMany).toHaveBeenCalledWith(
+      { 'payout.batchId': 'batch1' },
+      { $set: { 'payout.status': 'pending' }, $unset: { 'payout.batchId': 1 } }
+    );
+    expect(disputeService.reverseClawbacks).toHaveBeenCalledWith('batch1');
+    expect(PayoutBatch.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'batch1' },
+      { $set: { status: 'failed', failureReason: 'Account closed' } }
+    );
+  });
+});
@@ -0,0 +1,194 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const User = {
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+  exists: jest.fn(),
+};
+const PaymentRecord = {
+  create: jest.fn(),
+  updateOne: jest.fn(),
+};
+const LedgerEntry = {
+  postTransaction: jest.fn(),
+  exists: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+};
+
+jest.unstable_mockModule('@/models/index.js', () => ({
+  User,
+  PaymentRecord,
+  LedgerEntry,
+}));
+jest.unstable_mockModule('@/services/stripeService.js', () => ({ default: {} }));
+jest.unstable_mockModule('@/services/notificationService.js', () => ({ default: {} }));
+
+const { default: walletService, PLATFORM_ACCOUNTS } = await import('@/services/walletService.js');
+const { ConflictError, ValidationError } = await import('@/middleware/errorHandler.js');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+const debit = {
+  transactionId: 'rescue-payment:pr1',
+  userId: 'user1',
+  amount: -12.5,
+  counterAccount: PLATFORM_ACCOUNTS.rescuePayments,
+  type: 'rescue_payment',
+};
+
+describe('walletService.post', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LedgerEntry.postTransaction.mockResolvedValue([]);
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('writes balanced entries and moves the balance once', async () => {
+    await expect(walletService.post(debit)).resolves.toBe(true);
+
+    const [transactionId, entries] = LedgerEntry.postTransaction.mock.calls[0];
+    expect(transactionId).toBe('rescue-payment:pr1');
+    expect(entries.map((e) => [e.account, e.direction, e.amount])).toEqual([
+      ['wallet:user1', 'debit', 12.5],
+      [PLATFORM_ACCOUNTS.rescuePayments, 'credit', 12.5],
+    ]);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      {
+        _id: 'user1',
+        appliedWalletTransactions: { $ne: 'rescue-payment:pr1' },
+        balance: { $gte: 12.5 },
+      },
+      expect.objectContaining({ $inc: { balance: -12.5 } })
+    );
+    expect(LedgerEntry.updateMany).toHaveBeenCalledWith(
+      { transactionId: 'rescue-payment:pr1' },
+      { $unset: { balancePending: 1 } }
+    );
+  });
+
+  it('does not require a covering balance for credits', async () => {
+    await walletService.post({ ...debit, amount: 5 });
+
+    const [query, update] = User.updateOne.mock.calls[0];
+    expect(query).not.toHaveProperty('balance');
+    expect(update.$inc).toEqual({ balance: 5 });
+  });
+
+  it('returns false for a transaction that was already fully applied', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(duplicateKeyError());
+    LedgerEntry.exists.mockResolvedValue(null);
+
+    await expect(walletService.post(debit)).resolves.toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('finishes applying a transaction whose entries were written by an earlier attempt', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(duplicateKeyError());
+    LedgerEntry.exists.mockResolvedValue({ _id: 'entry1' });
+
+    await expect(walletService.post(debit)).resolves.toBe(true);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+    expect(LedgerEntry.updateMany).toHaveBeenCalled();
+  });
+
+  it('only clears the pending flag when the balance was already moved', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(duplicateKeyError());
+    LedgerEntry.exists.mockResolvedValue({ _id: 'entry1' });
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    User.exists.mockResolvedValue({ _id: 'user1' });
+
+    await expect(walletService.post(debit)).resolves.toBe(false);
+    expect(LedgerEntry.updateMany).toHaveBeenCalled();
+    expect(LedgerEntry.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('removes the entries and rejects a debit the balance does not cover', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    User.exists.mockResolvedValue(null);
+
+    await expect(walletService.post(debit)).rejects.toThrow(ValidationError);
+    expect(LedgerEntry.deleteMany).toHaveBeenCalledWith({ transactionId: 'rescue-payment:pr1' });
+    expect(LedgerEntry.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rethrows errors other than a duplicate key', async () => {
+    LedgerEntry.postTransaction.mockRejectedValue(new Error('connection lost'));
+
+    await expect(walletService.post(debit)).rejects.toThrow('connection lost');
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('walletService.payFromBalance', () => {
+  const rescue = { _id: 'rescue1', riderId: 'user1', driverId: 'driver1' };
+  let paymentRecord;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paymentRecord = {
+      _id: 'pr1',
+      rescueRequestId: 'rescue1',
+      markAsFailed: jest.fn(),
+      markAsSucceeded: jest.fn().mockImplementation(function () {
+        return Promise.resolve(this);
+      }),
+    };
+    User.findById.mockResolvedValue({ balance: 20 });
+    PaymentRecord.create.mockResolvedValue(paymentRecord);
+    LedgerEntry.postTransaction.mockResolvedValue([]);
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('claims the balance for the rescue and pays what it covers', async () => {
+    await expect(walletService.payFromBalance(rescue, 35, { total: 35 })).resolves.toBe(
+      paymentRecord
+    );
+
+    expect(PaymentRecord.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rescueRequestId: 'rescue1',
+        amount: 20,
+        balanceClaim: true,
+        paymentMethod: 'account_balance',
+        breakdown: { total: 20 },
+      })
+    );
+    expect(LedgerEntry.postTransaction.mock.calls[0][0]).toBe('rescue-payment:pr1');
+    expect(paymentRecord.markAsSucceeded).toHaveBeenCalled();
+  });
+
+  it('returns null without claiming when there is no balance', async () => {
+    User.findById.mockResolvedValue({ balance: 0 });
+
+    await expect(walletService.payFromBalance(rescue, 35, { total: 35 })).resolves.toBeNull();
+    expect(PaymentRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a second concurrent claim on the same rescue', async () => {
+    PaymentRecord.create.mockRejectedValue(duplicateKeyError());
+
+    await expect(walletService.payFromBalance(rescue, 35, { total: 35 })).rejects.toThrow(
+      ConflictError
+    );
+    expect(LedgerEntry.postTransaction).not.toHaveBeenCalled();
+  });
+
+  it('fails the payment and releases the claim when the debit is rejected', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    User.exists.mockResolvedValue(null);
+
+    await expect(walletService.payFromBalance(rescue, 35, { total: 35 })).rejects.toThrow(
+      ValidationError
+    );
+    expect(paymentRecord.markAsFailed).toHaveBeenCalledWith(
+      'insufficient_balance',
+      expect.any(String)
+    );
+    expect(PaymentRecord.updateOne).toHaveBeenCalledWith(
+      { _id: 'pr1' },
+      { $unset: { balanceClaim: 1 } }
+    );
+    expect(paymentRecord.markAsSucceeded).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,191 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const WebhookEvent = {
+  record: jest.fn(),
+  exists: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+
+jest.unstable_mockModule('@/models/index.js', () => ({
+  PaymentRecord: {},
+  User: {},
+  WebhookEvent,
+}));
+for (const service of [
+  'loyaltyService',
+  'walletService',
+  'chargeService',
+  'disputeService',
+  'payoutService',
+]) {
+  jest.unstable_mockModule(`@/services/${service}.js`, () => ({ default: {} }));
+}
+
+const { default: webhookService } = await import('@/services/webhookService.js');
+const { addPaymentJob } = await import('@/queues/index.js');
+const { NotFoundError } = await import('@/middleware/errorHandler.js');
+
+const stripeEvent = { id: 'evt_1', type: 'payment_intent.succeeded', data: { object: {} } };
+
+describe('webhookService.receive', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores a new event and queues it under its event ID', async () => {
+    WebhookEvent.record.mockResolvedValue({ eventId: 'evt_1' });
+
+    await expect(webhookService.receive(stripeEvent)).resolves.toBe(true);
+    expect(addPaymentJob).toHaveBeenCalledWith(
+      'process-webhook-event',
+      { eventId: 'evt_1' },
+      { jobId: 'webhook-evt_1' }
+    );
+  });
+
+  it('skips a duplicate delivery of an event already queued or handled', async () => {
+    WebhookEvent.record.mockResolvedValue(null);
+    WebhookEvent.exists.mockResolvedValue(null);
+
+    await expect(webhookService.receive(stripeEvent)).resolves.toBe(false);
+    expect(WebhookEvent.exists).toHaveBeenCalledWith({ eventId: 'evt_1', status: 'received' });
+    expect(addPaymentJob).not.toHaveBeenCalled();
+  });
+
+  it('queues a duplicate again when the event never left the received state', async () => {
+    WebhookEvent.record.mockResolvedValue(null);
+    WebhookEvent.exists.mockResolvedValue({ _id: 'we1' });
+
+    await expect(webhookService.receive(stripeEvent)).resolves.toBe(false);
+    expect(addPaymentJob).toHaveBeenCalledWith(
+      'process-webhook-event',
+      { eventId: 'evt_1' },
+      { jobId: 'webhook-evt_1' }
+    );
+  });
+});
+
+describe('webhookService.process', () => {
+  const handler = jest.fn();
+
+  const storedEvent = (status) => ({
+    _id: 'we1',
+    eventId: 'evt_1',
+    type: 'payment_intent.succeeded',
+    status,
+    data: { object: { id: 'pi_1' } },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(webhookService, 'getHandler').mockReturnValue(handler);
+  });
+
+  it('runs the handler and marks the event processed', async () => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent('received'));
+
+    await expect(webhookService.process('evt_1')).resolves.toEqual({
+      eventId: 'evt_1',
+      status: 'processed',
+    });
+    expect(handler).toHaveBeenCalledWith({ id: 'pi_1' }, expect.objectContaining({ _id: 'we1' }));
+    expect(WebhookEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'we1' },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } }
+    );
+    expect(WebhookEvent.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'we1' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'processed' }) })
+    );
+  });
+
+  it.each(['processed', 'ignored'])('skips an event that is already %s', async (status) => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent(status));
+
+    await expect(webhookService.process('evt_1')).resolves.toEqual({
+      eventId: 'evt_1',
+      status,
+      skipped: true,
+    });
+    expect(handler).not.toHaveBeenCalled();
+    expect(WebhookEvent.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('runs a processed event again when it is replayed', async () => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent('processed'));
+
+    await expect(webhookService.process('evt_1', { replay: true })).resolves.toEqual({
+      eventId: 'evt_1',
+      status: 'processed',
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed event', async () => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent('failed'));
+
+    await webhookService.process('evt_1');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the error and rethrows so the job retries', async () => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent('received'));
+    handler.mockRejectedValueOnce(new Error('Stripe unavailable'));
+
+    await expect(webhookService.process('evt_1')).rejects.toThrow('Stripe unavailable');
+    expect(WebhookEvent.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'we1' },
+      { $set: { status: 'failed', lastError: 'Stripe unavailable' } }
+    );
+  });
+
+  it('marks events without a handler as ignored', async () => {
+    WebhookEvent.findOne.mockResolvedValue(storedEvent('received'));
+    webhookService.getHandler.mockReturnValue(null);
+
+    await expect(webhookService.process('evt_1')).resolves.toEqual({
+      eventId: 'evt_1',
+      status: 'ignored',
+    });
+    expect(WebhookEvent.updateOne).toHaveBeenCalledWith(
+      { _id: 'we1' },
+      { $set: { status: 'ignored' } }
+    );
+  });
+});
+
+describe('webhookService.replay', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('resets the event and queues it under a job ID for this replay', async () => {
+    WebhookEvent.findOneAndUpdate.mockResolvedValue({ eventId: 'evt_1', replayCount: 2 });
+
+    await webhookService.replay('evt_1', 'admin1');
+
+    expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { eventId: 'evt_1' },
+      expect.objectContaining({
+        $set: expect.objectContaining({ status: 'received', replayedBy: 'admin1' }),
+        $inc: { replayCount: 1 },
+      }),
+      { new: true }
+    );
+    expect(addPaymentJob).toHaveBeenCalledWith(
+      'process-webhook-event',
+      { eventId: 'evt_1', replay: true },
+      { jobId: 'webhook-evt_1-replay-2' }
+    );
+  });
+
+  it('throws for an unknown event', async () => {
+    WebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(webhookService.replay('evt_missing', 'admin1')).rejects.toThrow(NotFoundError);
+    expect(addPaymentJob).not.toHaveBeenCalled();
+  });
+});
@@ -200,6 +200,13 @@ export async function del<T>(url: string): Promise<T> {
   return response.data;
 }
 
+/**
+ * Helper function for file downloads
+ */
+export async function download(url: string, params?: Record<string, unknown>): Promise<Blob> {
+  return apiClient.get<unknown, Blob>(url, { params, responseType: 'blob' });
+}
+
 /**
  * Upload file with progress tracking
  */
@@ -0,0 +1,57 @@
+import { get, post, download } from './client';
+import type { CashOutQuote, EarningsPeriod, EarningsStatement, PayoutBatch } from '@/types';
+
+/**
+ * Driver Earnings API Service
+ */
+export const earningsApi = {
+  /**
+   * Get the earnings statement for the week or month containing `date`
+   */
+  async getStatement(params?: {
+    period?: EarningsPeriod;
+    date?: string;
+  }): Promise<EarningsStatement> {
+    const { statement } = await get<{ statement: EarningsStatement }>(
+      '/api/v1/earnings/statement',
+      params,
+    );
+    return statement;
+  },
+
+  /**
+   * Download a statement as CSV or PDF
+   */
+  async downloadStatement(
+    format: 'csv' | 'pdf',
+    params?: { period?: EarningsPeriod; date?: string },
+  ): Promise<Blob> {
+    return download('/api/v1/earnings/statement', { ...params, format });
+  },
+
+  /**
+   * Get what an instant cash-out would pay right now
+   */
+  async getCashOutQuote(): Promise<CashOutQuote> {
+    const { quote } = await get<{ quote: CashOutQuote }>('/api/v1/earnings/cash-out');
+    return quote;
+  },
+
+  /**
+   * Cash out available earnings to the driver's debit card
+   */
+  async cashOut(): Promise<PayoutBatch> {
+    const { payout } = await post<{ payout: PayoutBatch }>('/api/v1/earnings/cash-out');
+    return payout;
+  },
+
+  /**
+   * Get weekly payouts and instant cash-outs sent to the driver
+   */
+  async getPayouts(params?: {
+    page?: number;
+    limit?: number;
+  }): Promise<{ batches: PayoutBatch[]; total: number }> {
+    return get('/api/v1/earnings/payouts', params);
+  },
+};
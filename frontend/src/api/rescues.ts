@@ -1,10 +1,12 @@
-import { get, post, patch, del } from './client';
+import { get, post, del } from './client';
 import type {
   RescueRequest,
   CreateRescueFormData,
   PaginatedResponse,
   RescueAssignment,
   Rating,
+  CancellationFee,
+  Payment,
 } from '@/types';
 
 /**
@@ -44,10 +46,28 @@ export const rescueApi = {
   },
 
   /**
-   * Cancel rescue
+   * Get the fee for cancelling now
    */
-  async cancelRescue(rescueId: string, reason: string): Promise<RescueRequest> {
-    return patch(`/api/v1/rescues/${rescueId}/cancel`, { reason });
+  async getCancellationFee(rescueId: string): Promise<CancellationFee> {
+    const { cancellationFee } = await get<{ cancellationFee: CancellationFee }>(
+      `/api/v1/rescues/${rescueId}/cancellation-fee`,
+    );
+    return cancellationFee;
+  },
+
+  /**
+   * Cancel rescue, accepting the fee shown to the rider
+   */
+  async cancelRescue(
+    rescueId: string,
+    reason: string,
+    acceptedFee?: number,
+  ): Promise<RescueRequest> {
+    const { rescue } = await post<{ rescue: RescueRequest }>(`/api/v1/rescues/${rescueId}/cancel`, {
+      reason,
+      acceptedFee,
+    });
+    return rescue;
   },
 
   /**
@@ -67,6 +87,16 @@ export const rescueApi = {
     return post(`/api/v1/rescues/${rescueId}/rate`, data);
   },
 
+  /**
+   * Add or change the tip on a completed rescue
+   */
+  async tipRescue(
+    rescueId: string,
+    tip: number,
+  ): Promise<{ tip: number; charged: Payment | null; refunded: Payment[] }> {
+    return post(`/api/v1/rescues/${rescueId}/tip`, { tip });
+  },
+
   /**
    * Upload rescue photo
    */
@@ -0,0 +1,15 @@
+import { get } from './client';
+import type { SurgeZone } from '@/types';
+
+/**
+ * Surge Pricing API Service
+ */
+export const surgeApi = {
+  /**
+   * Get grid cells currently priced above normal
+   */
+  async getSurgeZones(): Promise<SurgeZone[]> {
+    const { zones } = await get<{ zones: SurgeZone[] }>('/api/v1/location/surge-zones');
+    return zones;
+  },
+};
@@ -2,11 +2,49 @@ import React, { useRef, useEffect, useState } from 'react';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import { useMapStore } from '@/store/mapStore';
+import { surgeApi } from '@/api/surge';
 import { Spinner } from '@/components/ui';
+import type { FeatureCollection } from 'geojson';
+import type { SurgeZone } from '@/types';
 
 // Set Mapbox access token
 mapboxgl.accessToken = import.meta.env.VITE_MAPBOX_ACCESS_TOKEN || '';
 
+const SURGE_SOURCE_ID = 'surge-zones';
+const SURGE_REFRESH_MS = 60 * 1000;
+
+/**
+ * Convert surge zones to GeoJSON polygons
+ */
+function toSurgeFeatureCollection(zones: SurgeZone[]): FeatureCollection {
+  return {
+    type: 'FeatureCollection',
+    features: zones.map((zone) => {
+      const { north, south, east, west } = zone.bounds;
+      return {
+        type: 'Feature',
+        properties: {
+          cellId: zone.cellId,
+          multiplier: zone.multiplier,
+          label: `${zone.multiplier.toFixed(1)}x`,
+        },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            [
+              [west, south],
+              [east, south],
+              [east, north],
+              [west, north],
+              [west, south],
+            ],
+          ],
+        },
+      };
+    }),
+  };
+}
+
 /**
  * Map Props
  */
@@ -31,6 +69,11 @@ export interface MapProps {
    */
   showControls?: boolean;
 
+  /**
+   * Whether to shade surge pricing zones
+   */
+  showSurgeZones?: boolean;
+
   /**
    * Custom className for styling
    */
@@ -47,6 +90,7 @@ export const Map: React.FC<MapProps> = ({
   initialZoom = 12,
   height = '500px',
   showControls = true,
+  showSurgeZones = false,
   className = '',
 }) => {
   const mapContainer = useRef<HTMLDivElement>(null);
@@ -56,7 +100,7 @@ export const Map: React.FC<MapProps> = ({
   const [isLoaded, setIsLoaded] = useState(false);
   const [hasError, setHasError] = useState(false);
 
-  const { viewState, markers, setMap } = useMapStore();
+  const { viewState, markers, setMap, surgeZones, setSurgeZones } = useMapStore();
 
   /**
    * Initialize map on mount
@@ -184,6 +228,75 @@ export const Map: React.FC<MapProps> = ({
     });
   }, [markers, isLoaded]);
 
+  /**
+   * Poll surge zones while they are shown
+   */
+  useEffect(() => {
+    if (!showSurgeZones) return;
+
+    const loadSurgeZones = () => {
+      surgeApi
+        .getSurgeZones()
+        .then(setSurgeZones)
+        .catch((error) => console.error('Failed to load surge zones:', error));
+    };
+
+    loadSurgeZones();
+    const interval = setInterval(loadSurgeZones, SURGE_REFRESH_MS);
+
+    return () => clearInterval(interval);
+  }, [showSurgeZones, setSurgeZones]);
+
+  /**
+   * Draw surge zones as shaded grid cells
+   */
+  useEffect(() => {
+    if (!map.current || !isLoaded) return;
+
+    const data = toSurgeFeatureCollection(showSurgeZones ? surgeZones : []);
+    const source = map.current.getSource(SURGE_SOURCE_ID) as mapboxgl.GeoJSONSource | undefined;
+
+    if (source) {
+      source.setData(data);
+      return;
+    }
+
+    map.current.addSource(SURGE_SOURCE_ID, { type: 'geojson', data });
+
+    map.current.addLayer({
+      id: `${SURGE_SOURCE_ID}-fill`,
+      type: 'fill',
+      source: SURGE_SOURCE_ID,
+      paint: {
+        'fill-color': [
+          'interpolate',
+          ['linear'],
+          ['get', 'multiplier'],
+          1,
+          '#fde68a',
+          2,
+          '#f97316',
+          3,
+          '#dc2626',
+        ],
+        'fill-opacity': 0.25,
+      },
+    });
+
+    map.current.addLayer({
+      id: `${SURGE_SOURCE_ID}-label`,
+      type: 'symbol',
+      source: SURGE_SOURCE_ID,
+      layout: {
+        'text-field': ['get', 'label'],
+        'text-size': 14,
+      },
+      paint: {
+        'text-color': '#7c2d12',
+      },
+    });
+  }, [surgeZones, showSurgeZones, isLoaded]);
+
   if (hasError) {
     return (
       <div
@@ -1,10 +1,11 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuthStore } from '@/store/authStore';
 import { useDriverStore } from '@/store/driverStore';
 import { useRequireAuth } from '@/hooks/useAuth';
 import { AppLayout, Container } from '@/components/layout';
 import { Card, CardHeader, CardContent, Button, Badge, Spinner } from '@/components/ui';
+import { Map } from '@/components/map';
 import { formatCurrency, formatRelativeTime } from '@/lib/utils';
 import { RescueStatus, UserRole } from '@/types';
 
@@ -19,6 +20,7 @@ export const DriverDashboard: React.FC = () => {
   const navigate = useNavigate();
   const profile = useAuthStore((state) => state.profile);
   const {
+    profile: driverProfile,
     activeRescue,
     availableRescues,
     isOnline,
@@ -28,6 +30,20 @@ export const DriverDashboard: React.FC = () => {
     fetchAvailableRescues,
   } = useDriverStore();
 
+  /**
+   * Center the surge map on the driver; a stable array keeps the map from re-initializing
+   */
+  const coordinates = driverProfile?.location?.coordinates.coordinates;
+  const longitude = coordinates?.[0];
+  const latitude = coordinates?.[1];
+  const mapCenter = useMemo<[number, number] | undefined>(
+    () =>
+      longitude !== undefined && latitude !== undefined
+        ? [longitude, latitude]
+        : undefined,
+    [longitude, latitude],
+  );
+
   /**
    * Load driver data on mount
    */
@@ -192,6 +208,22 @@ export const DriverDashboard: React.FC = () => {
           </Card>
         ) : isOnline ? (
           <>
+            {/* Surge Zones */}
+            <Card variant="elevated" padding="md" className="mb-8">
+              <CardHeader
+                title="Surge Zones"
+                subtitle="Shaded areas pay more right now"
+              />
+              <CardContent>
+                <Map
+                  initialCenter={mapCenter}
+                  height="320px"
+                  showSurgeZones
+                  className="mt-4 rounded-lg"
+                />
+              </CardContent>
+            </Card>
+
             {/* Available Rescues */}
             <div className="mb-8">
               <h2 className="mb-4 text-2xl font-bold text-gray-900">
@@ -1,235 +1,413 @@
-import React, { useEffect, useState } from 'react';
-import { useAuthStore } from '@/store/authStore';
-import { useDriverStore } from '@/store/driverStore';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useRequireAuth } from '@/hooks/useAuth';
 import { AppLayout, Container } from '@/components/layout';
-import { Card, CardHeader, CardContent, Badge, Spinner, Select } from '@/components/ui';
-import { formatCurrency, formatRelativeTime } from '@/lib/utils';
-import { UserRole, RescueStatus } from '@/types';
+import {
+  Card,
+  CardHeader,
+  CardContent,
+  Badge,
+  Button,
+  Spinner,
+  Select,
+  Modal,
+} from '@/components/ui';
+import { earningsApi } from '@/api/earnings';
+import { formatCurrency } from '@/lib/utils';
+import { UserRole } from '@/types';
+import type { CashOutQuote, EarningsPeriod, EarningsStatement, PayoutStatus } from '@/types';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Statement amounts are in dollars; formatCurrency takes cents
+ */
+const formatDollars = (amount: number) => formatCurrency(Math.round(amount * 100));
+
+const formatDay = (date: string | Date) =>
+  new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+const payoutBadge: Record<
+  PayoutStatus,
+  { variant: 'success' | 'warning' | 'info' | 'danger' | 'default'; label: string }
+> = {
+  pending: { variant: 'warning', label: 'Pending payout' },
+  processing: { variant: 'info', label: 'Processing' },
+  paid: { variant: 'success', label: 'Paid' },
+  failed: { variant: 'danger', label: 'Payout failed' },
+  cancelled: { variant: 'default', label: 'Not paid' },
+};
 
 /**
  * Driver Earnings Page
  *
- * View earnings history and statistics
+ * Weekly or monthly earnings statement with CSV/PDF download and instant cash-out
  */
 export const Earnings: React.FC = () => {
   useRequireAuth(UserRole.DRIVER);
 
-  const profile = useAuthStore((state) => state.profile);
-  const { completedRescues, isLoading, fetchCompletedRescues } = useDriverStore();
+  const [period, setPeriod] = useState<EarningsPeriod>('week');
+  const [date, setDate] = useState(() => new Date());
+  const [statement, setStatement] = useState<EarningsStatement | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [downloading, setDownloading] = useState<'csv' | 'pdf' | null>(null);
+  const [quote, setQuote] = useState<CashOutQuote | null>(null);
+  const [showCashOut, setShowCashOut] = useState(false);
+  const [isCashingOut, setIsCashingOut] = useState(false);
+  const [cashOutMessage, setCashOutMessage] = useState<string | null>(null);
 
-  const [timePeriod, setTimePeriod] = useState<'today' | 'week' | 'month' | 'all'>(
-    'all',
-  );
+  const params = { period, date: date.toISOString() };
 
   /**
-   * Load completed rescues on mount
+   * Load the statement for the selected period
    */
+  const loadStatement = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setStatement(await earningsApi.getStatement({ period, date: date.toISOString() }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load earnings');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [period, date]);
+
+  /**
+   * Load what an instant cash-out would pay right now
+   */
+  const loadQuote = useCallback(async () => {
+    setQuote(await earningsApi.getCashOutQuote().catch(() => null));
+  }, []);
+
   useEffect(() => {
-    fetchCompletedRescues();
-  }, [fetchCompletedRescues]);
+    loadStatement();
+  }, [loadStatement]);
+
+  useEffect(() => {
+    loadQuote();
+  }, [loadQuote]);
 
   /**
-   * Calculate earnings for time period
+   * Cash out available earnings to the driver's debit card
    */
-  const calculateEarnings = () => {
-    const now = new Date();
-    let filteredRescues = completedRescues;
-
-    if (timePeriod !== 'all') {
-      filteredRescues = completedRescues.filter((rescue) => {
-        const completedDate = new Date(rescue.completedAt!);
-        const diffDays = Math.floor(
-          (now.getTime() - completedDate.getTime()) / (1000 * 60 * 60 * 24),
-        );
-
-        switch (timePeriod) {
-          case 'today':
-            return diffDays === 0;
-          case 'week':
-            return diffDays <= 7;
-          case 'month':
-            return diffDays <= 30;
-          default:
-            return true;
-        }
-      });
+  const handleCashOut = async () => {
+    setIsCashingOut(true);
+    setError(null);
+    try {
+      const payout = await earningsApi.cashOut();
+      setCashOutMessage(
+        payout.status === 'paid'
+          ? `${formatDollars(payout.amount)} is on its way to your debit card`
+          : `Your ${formatDollars(payout.amount)} cash-out is being processed`,
+      );
+      setShowCashOut(false);
+      await Promise.all([loadStatement(), loadQuote()]);
+    } catch (err) {
+      setShowCashOut(false);
+      setError(err instanceof Error ? err.message : 'Failed to cash out');
+    } finally {
+      setIsCashingOut(false);
     }
-
-    const total = filteredRescues.reduce(
-      (sum, rescue) =>
-        sum + (rescue.finalPrice?.amountInCents || rescue.estimatedPrice.amountInCents),
-      0,
-    );
-
-    return {
-      total,
-      count: filteredRescues.length,
-      average: filteredRescues.length > 0 ? total / filteredRescues.length : 0,
-    };
   };
 
-  const earnings = calculateEarnings();
+  /**
+   * Step to the previous or next period
+   */
+  const shiftPeriod = (direction: -1 | 1) => {
+    if (!statement) return;
+
+    const anchor = new Date(direction < 0 ? statement.period.start : statement.period.end);
+    // A day before the start lands in the previous period; the end is the next period's start
+    setDate(direction < 0 ? new Date(anchor.getTime() - DAY) : anchor);
+  };
 
   /**
-   * Get time period label
+   * Save the statement as a file
    */
-  const getTimePeriodLabel = () => {
-    switch (timePeriod) {
-      case 'today':
-        return "Today's";
-      case 'week':
-        return "This Week's";
-      case 'month':
-        return "This Month's";
-      case 'all':
-        return 'Total';
-      default:
-        return '';
+  const handleDownload = async (format: 'csv' | 'pdf') => {
+    if (!statement) return;
+
+    setDownloading(format);
+    try {
+      const blob = await earningsApi.downloadStatement(format, params);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `earnings-${period}-${statement.period.start.slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to download statement');
+    } finally {
+      setDownloading(null);
     }
   };
 
-  if (isLoading && completedRescues.length === 0) {
-    return (
-      <AppLayout>
-        <Container className="py-12">
-          <div className="flex justify-center">
-            <Spinner size="lg" label="Loading earnings..." />
-          </div>
-        </Container>
-      </AppLayout>
-    );
-  }
-
-  const timePeriodOptions = [
-    { value: 'today', label: 'Today' },
-    { value: 'week', label: 'This Week' },
-    { value: 'month', label: 'This Month' },
-    { value: 'all', label: 'All Time' },
+  const periodOptions = [
+    { value: 'week', label: 'Weekly' },
+    { value: 'month', label: 'Monthly' },
   ];
 
+  const isCurrentPeriod = statement ? new Date(statement.period.end) > new Date() : true;
+  const summary = statement?.summary;
+
   return (
     <AppLayout>
       <Container className="py-8">
         {/* Header */}
-        <div className="mb-8 flex items-center justify-between">
+        <div className="mb-8 flex flex-wrap items-center justify-between gap-4">
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Earnings</h1>
             <p className="mt-2 text-gray-600">
-              Track your income and completed rescues
+              {statement
+                ? `${formatDay(statement.period.start)} – ${formatDay(
+                    new Date(new Date(statement.period.end).getTime() - DAY),
+                  )}`
+                : 'Your earnings statements and payouts'}
             </p>
           </div>
 
-          {/* Time Period Filter */}
-          <Select
-            value={timePeriod}
-            onChange={(e) =>
-              setTimePeriod(e.target.value as 'today' | 'week' | 'month' | 'all')
-            }
-            options={timePeriodOptions}
-            className="w-48"
-          />
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => shiftPeriod(-1)}
+              disabled={!statement}
+            >
+              ‹ Previous
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => shiftPeriod(1)}
+              disabled={!statement || isCurrentPeriod}
+            >
+              Next ›
+            </Button>
+            <Select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value as EarningsPeriod)}
+              options={periodOptions}
+              className="w-36"
+            />
+          </div>
         </div>
 
-        {/* Earnings Summary */}
-        <div className="mb-8 grid gap-4 md:grid-cols-3">
-          <Card variant="elevated" padding="lg">
-            <h3 className="text-sm font-medium text-gray-500">
-              {getTimePeriodLabel()} Earnings
-            </h3>
-            <p className="mt-2 text-3xl font-bold text-green-600">
-              {formatCurrency(earnings.total)}
-            </p>
-          </Card>
-
-          <Card variant="elevated" padding="lg">
-            <h3 className="text-sm font-medium text-gray-500">
-              Rescues Completed
-            </h3>
-            <p className="mt-2 text-3xl font-bold text-gray-900">{earnings.count}</p>
-          </Card>
-
-          <Card variant="elevated" padding="lg">
-            <h3 className="text-sm font-medium text-gray-500">Average Per Rescue</h3>
-            <p className="mt-2 text-3xl font-bold text-blue-600">
-              {formatCurrency(Math.round(earnings.average))}
-            </p>
-          </Card>
-        </div>
+        {error && <div className="mb-6 rounded-lg bg-red-50 p-3 text-sm text-red-800">{error}</div>}
 
-        {/* Earnings History */}
-        <div>
-          <h2 className="mb-4 text-2xl font-bold text-gray-900">
-            Earnings History
-          </h2>
-
-          {completedRescues.length === 0 ? (
-            <Card variant="outlined" padding="lg">
-              <div className="text-center py-8">
-                <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-gray-100 text-gray-400">
-                  <svg
-                    className="h-8 w-8"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                    stroke="currentColor"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                    />
-                  </svg>
-                </div>
-                <h3 className="text-lg font-semibold text-gray-900">
-                  No earnings yet
-                </h3>
-                <p className="mt-2 text-gray-600">
-                  Complete your first rescue to start earning
-                </p>
+        {isLoading && !statement ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" label="Loading earnings..." />
+          </div>
+        ) : (
+          statement &&
+          summary && (
+            <>
+              {/* Earnings Summary */}
+              <div className="mb-8 grid gap-4 md:grid-cols-3">
+                <Card variant="elevated" padding="lg">
+                  <h3 className="text-sm font-medium text-gray-500">Net Earnings</h3>
+                  <p className="mt-2 text-3xl font-bold text-green-600">
+                    {formatDollars(summary.netEarnings)}
+                  </p>
+                </Card>
+
+                <Card variant="elevated" padding="lg">
+                  <h3 className="text-sm font-medium text-gray-500">Rescues</h3>
+                  <p className="mt-2 text-3xl font-bold text-gray-900">{summary.rescues}</p>
+                </Card>
+
+                <Card variant="elevated" padding="lg">
+                  <h3 className="text-sm font-medium text-gray-500">Pending Payout</h3>
+                  <p className="mt-2 text-3xl font-bold text-blue-600">
+                    {formatDollars(summary.pendingPayout)}
+                  </p>
+                </Card>
               </div>
-            </Card>
-          ) : (
-            <div className="space-y-3">
-              {completedRescues.map((rescue) => (
-                <Card key={rescue._id} variant="outlined" padding="md">
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-3">
-                        <h3 className="font-medium text-gray-900 capitalize">
-                          {rescue.type.replace('_', ' ')}
-                        </h3>
-                        <Badge variant="success">Completed</Badge>
-                      </div>
+
+              {/* Instant Cash-Out */}
+              {quote && (
+                <Card variant="outlined" padding="lg" className="mb-8">
+                  <div className="flex flex-wrap items-center justify-between gap-4">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">
+                        {formatDollars(quote.available)} available to cash out
+                      </h3>
                       <p className="mt-1 text-sm text-gray-600">
-                        {formatRelativeTime(rescue.completedAt!)}
+                        {quote.eligible
+                          ? `Get ${formatDollars(quote.amount)} on your debit card in minutes for a ${formatDollars(quote.fee)} fee`
+                          : quote.blockedReason}
                       </p>
-                      {rescue.description && (
-                        <p className="mt-1 text-sm text-gray-500 line-clamp-1">
-                          {rescue.description}
+                      {quote.held > 0 && (
+                        <p className="mt-1 text-sm text-yellow-700">
+                          {formatDollars(quote.held)} is on hold while a dispute is reviewed
                         </p>
                       )}
+                      {cashOutMessage && (
+                        <p className="mt-1 text-sm text-green-700">{cashOutMessage}</p>
+                      )}
                     </div>
+                    <Button
+                      variant="primary"
+                      disabled={!quote.eligible}
+                      onClick={() => setShowCashOut(true)}
+                    >
+                      Cash Out Now
+                    </Button>
+                  </div>
+                </Card>
+              )}
 
-                    <div className="ml-6 text-right">
-                      <p className="text-xl font-bold text-green-600">
-                        +
-                        {formatCurrency(
-                          rescue.finalPrice?.amountInCents ||
-                            rescue.estimatedPrice.amountInCents,
-                          rescue.estimatedPrice.currency,
-                        )}
-                      </p>
-                      <p className="mt-1 text-xs text-gray-500">
-                        {new Date(rescue.completedAt!).toLocaleDateString()}
+              {/* Statement Breakdown */}
+              <Card variant="elevated" padding="lg" className="mb-8">
+                <CardHeader
+                  title="Statement"
+                  action={
+                    <div className="flex gap-2">
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        isLoading={downloading === 'csv'}
+                        onClick={() => handleDownload('csv')}
+                      >
+                        CSV
+                      </Button>
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        isLoading={downloading === 'pdf'}
+                        onClick={() => handleDownload('pdf')}
+                      >
+                        PDF
+                      </Button>
+                    </div>
+                  }
+                />
+                <CardContent>
+                  <dl className="mt-4 space-y-2 text-sm">
+                    {[
+                      { label: 'Fares', value: summary.fares },
+                      { label: 'Tips', value: summary.tips },
+                      { label: 'Bonuses', value: summary.bonuses },
+                      { label: 'Adjustments', value: summary.adjustments },
+                      { label: 'Platform fees', value: -summary.platformFees },
+                    ].map((row) => (
+                      <div key={row.label} className="flex justify-between text-gray-600">
+                        <dt>{row.label}</dt>
+                        <dd>{formatDollars(row.value)}</dd>
+                      </div>
+                    ))}
+                    <div className="flex justify-between border-t pt-2 font-semibold text-gray-900">
+                      <dt>Net earnings</dt>
+                      <dd>{formatDollars(summary.netEarnings)}</dd>
+                    </div>
+                    {summary.disputeClawbacks > 0 && (
+                      <div className="flex justify-between text-red-600">
+                        <dt>Dispute clawbacks</dt>
+                        <dd>{formatDollars(-summary.disputeClawbacks)}</dd>
+                      </div>
+                    )}
+                    {summary.cashOutFees > 0 && (
+                      <div className="flex justify-between text-gray-600">
+                        <dt>Instant cash-out fees</dt>
+                        <dd>{formatDollars(-summary.cashOutFees)}</dd>
+                      </div>
+                    )}
+                    <div className="flex justify-between text-gray-600">
+                      <dt>Paid out this period</dt>
+                      <dd>{formatDollars(summary.paidOut)}</dd>
+                    </div>
+                  </dl>
+                </CardContent>
+              </Card>
+
+              {/* Earnings History */}
+              <div>
+                <h2 className="mb-4 text-2xl font-bold text-gray-900">Earnings History</h2>
+
+                {statement.lines.length === 0 ? (
+                  <Card variant="outlined" padding="lg">
+                    <div className="text-center py-8">
+                      <h3 className="text-lg font-semibold text-gray-900">
+                        No earnings in this period
+                      </h3>
+                      <p className="mt-2 text-gray-600">
+                        Completed rescues show up here once the rider has paid
                       </p>
                     </div>
+                  </Card>
+                ) : (
+                  <div className="space-y-3">
+                    {statement.lines.map((line) => (
+                      <Card key={line.paymentRecordId} variant="outlined" padding="md">
+                        <div className="flex items-center justify-between">
+                          <div className="flex-1">
+                            <div className="flex items-center gap-3">
+                              <h3 className="font-medium text-gray-900">{line.description}</h3>
+                              <Badge variant={payoutBadge[line.payoutStatus].variant}>
+                                {payoutBadge[line.payoutStatus].label}
+                              </Badge>
+                            </div>
+                            <p className="mt-1 text-sm text-gray-600">
+                              {formatDay(line.date)}
+                              {line.tip > 0 && ` · includes ${formatDollars(line.tip)} tip`}
+                              {line.platformFee > 0 &&
+                                ` · ${formatDollars(line.platformFee)} platform fee`}
+                            </p>
+                          </div>
+
+                          <p
+                            className={`ml-6 text-xl font-bold ${
+                              line.amount < 0 ? 'text-red-600' : 'text-green-600'
+                            }`}
+                          >
+                            {line.amount >= 0 && '+'}
+                            {formatDollars(line.amount)}
+                          </p>
+                        </div>
+                      </Card>
+                    ))}
                   </div>
-                </Card>
-              ))}
-            </div>
-          )}
-        </div>
+                )}
+              </div>
+
+              {/* Payouts */}
+              {statement.payouts.length > 0 && (
+                <div className="mt-8">
+                  <h2 className="mb-4 text-2xl font-bold text-gray-900">Payouts</h2>
+                  <div className="space-y-3">
+                    {statement.payouts.map((payout) => (
+                      <Card key={payout._id} variant="outlined" padding="md">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="font-medium text-gray-900">
+                              {payout.type === 'instant' ? 'Instant cash-out' : 'Weekly payout'} ·{' '}
+                              {payout.paidAt && formatDay(payout.paidAt)}
+                            </p>
+                            {payout.fee > 0 && (
+                              <p className="mt-1 text-sm text-gray-600">
+                                {formatDollars(payout.fee)} instant cash-out fee
+                              </p>
+                            )}
+                            {payout.clawbackAmount > 0 && (
+                              <p className="mt-1 text-sm text-red-600">
+                                {formatDollars(payout.clawbackAmount)} held back for lost disputes
+                              </p>
+                            )}
+                          </div>
+                          <p className="text-xl font-bold text-gray-900">
+                            {formatDollars(payout.amount)}
+                          </p>
+                        </div>
+                      </Card>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )
+        )}
 
         {/* Payout Info */}
         <Card variant="elevated" padding="lg" className="mt-8">
@@ -237,28 +415,69 @@ export const Earnings: React.FC = () => {
           <CardContent>
             <div className="mt-4 space-y-3 text-sm text-gray-600">
               <p>
-                💳 <strong>Payment Method:</strong> Direct deposit to your linked
-                bank account
+                💳 <strong>Payment Method:</strong> Direct deposit to your linked bank account
               </p>
               <p>
-                📅 <strong>Payout Schedule:</strong> Weekly, every Monday
+                📅 <strong>Payout Schedule:</strong> Weekly, every Monday, as one transfer for the
+                previous week's earnings
               </p>
               <p>
                 🏦 <strong>Processing Time:</strong> 2-3 business days
               </p>
-              <p className="mt-4 rounded-lg bg-blue-50 p-3 text-blue-800">
-                💡 Your next payout is scheduled for{' '}
-                <strong>
-                  {new Date(
-                    new Date().setDate(
-                      new Date().getDate() + ((8 - new Date().getDay()) % 7),
-                    ),
-                  ).toLocaleDateString()}
-                </strong>
+              <p>
+                ⚡ <strong>Instant Cash-Out:</strong> Settled earnings can be sent to your debit
+                card any time for a small fee, up to a daily limit
               </p>
             </div>
           </CardContent>
         </Card>
+
+        {/* Cash-Out Confirmation */}
+        {quote && (
+          <Modal
+            isOpen={showCashOut}
+            onClose={() => setShowCashOut(false)}
+            title="Cash out now"
+            size="sm"
+            footer={
+              <>
+                <Button variant="ghost" onClick={() => setShowCashOut(false)}>
+                  Cancel
+                </Button>
+                <Button variant="primary" isLoading={isCashingOut} onClick={handleCashOut}>
+                  Cash Out {formatDollars(quote.amount)}
+                </Button>
+              </>
+            }
+          >
+            <dl className="space-y-2 text-sm">
+              <div className="flex justify-between text-gray-600">
+                <dt>Earnings</dt>
+                <dd>{formatDollars(quote.grossAmount)}</dd>
+              </div>
+              {quote.clawbackAmount > 0 && (
+                <div className="flex justify-between text-red-600">
+                  <dt>Dispute clawbacks</dt>
+                  <dd>{formatDollars(-quote.clawbackAmount)}</dd>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600">
+                <dt>Instant cash-out fee</dt>
+                <dd>{formatDollars(-quote.fee)}</dd>
+              </div>
+              <div className="flex justify-between border-t pt-2 font-semibold text-gray-900">
+                <dt>To your debit card</dt>
+                <dd>{formatDollars(quote.amount)}</dd>
+              </div>
+            </dl>
+            {quote.grossAmount < quote.available && (
+              <p className="mt-4 text-sm text-gray-600">
+                Cash-outs are limited to {formatDollars(quote.dailyLimit)} a day; the rest goes out
+                with your weekly payout.
+              </p>
+            )}
+          </Modal>
+        )}
       </Container>
     </AppLayout>
   );
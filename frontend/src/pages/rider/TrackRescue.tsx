@@ -1,13 +1,16 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '@/store/authStore';
 import { useRescueStore } from '@/store/rescueStore';
+import { useUIStore } from '@/store/uiStore';
 import { useRescueWebSocket } from '@/hooks/useWebSocket';
 import { useRequireAuth } from '@/hooks/useAuth';
 import { AppLayout, Container } from '@/components/layout';
-import { Card, CardHeader, CardContent, Button, Badge, Spinner } from '@/components/ui';
+import { Card, CardHeader, CardContent, Button, Badge, Spinner, Modal } from '@/components/ui';
+import { rescueApi } from '@/api/rescues';
 import { formatCurrency, formatRelativeTime } from '@/lib/utils';
 import { RescueStatus, UserRole } from '@/types';
+import type { CancellationFee } from '@/types';
 
 /**
  * Track Rescue Page
@@ -21,7 +24,10 @@ export const TrackRescue: React.FC = () => {
   const navigate = useNavigate();
 
   const profile = useAuthStore((state) => state.profile);
-  const { currentRescue, isLoading, fetchRescueById } = useRescueStore();
+  const { currentRescue, isLoading, fetchRescueById, cancelRescue } = useRescueStore();
+  const [cancellationFee, setCancellationFee] = useState<CancellationFee | null>(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const showToast = useUIStore((state) => state.showToast);
 
   // Subscribe to real-time updates
   useRescueWebSocket(rescueId);
@@ -35,6 +41,45 @@ export const TrackRescue: React.FC = () => {
     }
   }, [rescueId, fetchRescueById]);
 
+  /**
+   * Show the cancellation fee before the rider confirms
+   */
+  const handleCancelClick = async () => {
+    if (!rescueId) return;
+
+    try {
+      setCancellationFee(await rescueApi.getCancellationFee(rescueId));
+    } catch (err) {
+      const errorMessage =
+        err instanceof Error ? err.message : 'Failed to load the cancellation fee';
+      showToast({
+        type: 'error',
+        message: errorMessage,
+      });
+    }
+  };
+
+  /**
+   * Cancel, accepting the fee that was shown
+   */
+  const handleConfirmCancel = async () => {
+    if (!rescueId || !cancellationFee) return;
+
+    setIsCancelling(true);
+    try {
+      await cancelRescue(rescueId, 'Cancelled by rider', cancellationFee.fee);
+      setCancellationFee(null);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to cancel rescue';
+      showToast({
+        type: 'error',
+        message: errorMessage,
+      });
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   /**
    * Get status badge variant
    */
@@ -136,6 +181,13 @@ export const TrackRescue: React.FC = () => {
     RescueStatus.CANCELLED,
   ].includes(currentRescue.status);
 
+  const cancellableStatuses = [
+    RescueStatus.REQUESTED,
+    RescueStatus.MATCHED,
+    RescueStatus.ACCEPTED,
+    RescueStatus.EN_ROUTE,
+  ];
+
   return (
     <AppLayout>
       <Container className="py-8">
@@ -285,8 +337,8 @@ export const TrackRescue: React.FC = () => {
             )}
 
             {/* Actions */}
-            {isActive && currentRescue.status === RescueStatus.REQUESTED && (
-              <Button variant="danger" isFullWidth>
+            {isActive && cancellableStatuses.includes(currentRescue.status) && (
+              <Button variant="danger" onClick={handleCancelClick} isFullWidth>
                 Cancel Request
               </Button>
             )}
@@ -302,6 +354,52 @@ export const TrackRescue: React.FC = () => {
             )}
           </div>
         </div>
+
+        <Modal
+          isOpen={cancellationFee !== null}
+          onClose={() => setCancellationFee(null)}
+          title="Cancel rescue?"
+          size="sm"
+          footer={
+            <>
+              <Button variant="outline" onClick={() => setCancellationFee(null)}>
+                Keep Rescue
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleConfirmCancel}
+                isLoading={isCancelling}
+                disabled={!cancellationFee?.cancellable}
+              >
+                {cancellationFee && cancellationFee.fee > 0
+                  ? `Cancel and pay ${formatCurrency(cancellationFee.fee * 100)}`
+                  : 'Cancel Rescue'}
+              </Button>
+            </>
+          }
+        >
+          {cancellationFee && !cancellationFee.cancellable && (
+            <p className="text-gray-600">This rescue can no longer be cancelled.</p>
+          )}
+          {cancellationFee?.cancellable && cancellationFee.fee > 0 && (
+            <p className="text-gray-600">
+              A driver is already assigned, so a cancellation fee of{' '}
+              <span className="font-semibold text-gray-900">
+                {formatCurrency(cancellationFee.fee * 100)}
+              </span>{' '}
+              applies. {formatCurrency(cancellationFee.driverCompensation * 100)} of it goes to
+              your driver.
+            </p>
+          )}
+          {cancellationFee?.cancellable && cancellationFee.fee === 0 && (
+            <p className="text-gray-600">
+              You can cancel for free
+              {cancellationFee.freeUntil &&
+                ` until ${new Date(cancellationFee.freeUntil).toLocaleTimeString()}`}
+              .
+            </p>
+          )}
+        </Modal>
       </Container>
     </AppLayout>
   );
@@ -1,5 +1,5 @@
 import { create } from 'zustand';
-import type { GeoPoint } from '@/types';
+import type { GeoPoint, SurgeZone } from '@/types';
 
 /**
  * Map View State
@@ -30,6 +30,7 @@ interface MapState {
   route: GeoPoint[] | null;
   center: GeoPoint | null;
   isFollowingDriver: boolean;
+  surgeZones: SurgeZone[];
 
   // Actions
   setViewState: (viewState: Partial<MapViewState>) => void;
@@ -40,6 +41,7 @@ interface MapState {
   clearMarkers: () => void;
   setRoute: (route: GeoPoint[] | null) => void;
   setFollowDriver: (follow: boolean) => void;
+  setSurgeZones: (zones: SurgeZone[]) => void;
   fitBounds: (points: GeoPoint[]) => void;
 }
 
@@ -112,6 +114,7 @@ export const useMapStore = create<MapState>((set, get) => ({
   route: null,
   center: null,
   isFollowingDriver: false,
+  surgeZones: [],
 
   /**
    * Set map view state
@@ -209,6 +212,13 @@ export const useMapStore = create<MapState>((set, get) => ({
     }
   },
 
+  /**
+   * Set surge pricing zones
+   */
+  setSurgeZones: (zones) => {
+    set({ surgeZones: zones });
+  },
+
   /**
    * Fit map bounds to include all points
    */
@@ -253,3 +263,4 @@ export const useMapStore = create<MapState>((set, get) => ({
 export const useMapViewState = () => useMapStore((state) => state.viewState);
 export const useMapMarkers = () => useMapStore((state) => state.markers);
 export const useMapRoute = () => useMapStore((state) => state.route);
+export const useSurgeZones = () => useMapStore((state) => state.surgeZones);
@@ -18,7 +18,7 @@ interface RescueState {
   fetchActiveRescue: () => Promise<void>;
   fetchRescueHistory: (page?: number) => Promise<void>;
   fetchAssignment: (rescueId: string) => Promise<void>;
-  cancelRescue: (rescueId: string, reason: string) => Promise<void>;
+  cancelRescue: (rescueId: string, reason: string, acceptedFee?: number) => Promise<void>;
   updateRescueStatus: (rescue: RescueRequest) => void;
   updateDriverLocation: (location: { latitude: number; longitude: number }) => void;
   clearCurrentRescue: () => void;
@@ -125,11 +125,11 @@ export const useRescueStore = create<RescueState>((set, get) => ({
   /**
    * Cancel rescue
    */
-  cancelRescue: async (rescueId, reason) => {
+  cancelRescue: async (rescueId, reason, acceptedFee) => {
     set({ isLoading: true, error: null });
 
     try {
-      const rescue = await rescueApi.cancelRescue(rescueId, reason);
+      const rescue = await rescueApi.cancelRescue(rescueId, reason, acceptedFee);
 
       set({
         currentRescue: rescue,
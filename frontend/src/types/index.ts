@@ -96,6 +96,7 @@ export interface User {
   phoneNumber: string;
   role: UserRole;
   phoneVerified: boolean;
+  locale?: 'en' | 'es';
   createdAt: string;
   updatedAt: string;
 }
@@ -180,6 +181,15 @@ export interface RescueRequest {
   updatedAt: string;
 }
 
+export interface CancellationFee {
+  cancellable: boolean;
+  fee: number; // dollars
+  driverCompensation: number;
+  currency: string;
+  policy: string;
+  freeUntil: string | null;
+}
+
 export interface RescueAssignment {
   _id: string;
   rescueId: string;
@@ -227,6 +237,78 @@ export interface PaymentBreakdown {
   tax: number;
 }
 
+export type EarningsPeriod = 'week' | 'month';
+
+export type PayoutStatus = 'pending' | 'processing' | 'paid' | 'failed' | 'cancelled';
+
+export interface EarningsLine {
+  date: string;
+  type: 'fare' | 'cancellation_fee' | 'tip' | 'bonus' | 'adjustment';
+  description: string;
+  paymentRecordId: string;
+  rescueRequestId?: string;
+  fare: number; // dollars
+  tip: number;
+  platformFee: number;
+  amount: number; // driver's share
+  payoutStatus: PayoutStatus;
+  payoutBatchId?: string;
+}
+
+export interface PayoutBatch {
+  _id: string;
+  type: 'weekly' | 'instant';
+  status: 'pending' | 'processing' | 'paid' | 'failed';
+  grossAmount: number; // dollars
+  clawbackAmount: number;
+  fee: number; // instant cash-out fee
+  amount: number;
+  currency: string;
+  stripeTransferId?: string;
+  stripePayoutId?: string;
+  paidAt?: string;
+  failureReason?: string;
+  createdAt: string;
+}
+
+export interface CashOutQuote {
+  available: number; // dollars
+  held: number; // earnings under an open dispute
+  dailyLimit: number;
+  remainingToday: number;
+  grossAmount: number;
+  clawbackAmount: number;
+  fee: number;
+  amount: number; // what reaches the driver's card
+  disputeHold: boolean;
+  eligible: boolean;
+  blockedReason: string | null;
+}
+
+export interface EarningsStatement {
+  period: {
+    type: EarningsPeriod;
+    start: string;
+    end: string;
+  };
+  currency: string;
+  summary: {
+    rescues: number;
+    fares: number; // dollars
+    tips: number;
+    bonuses: number;
+    adjustments: number;
+    platformFees: number;
+    netEarnings: number;
+    pendingPayout: number;
+    paidOut: number;
+    disputeClawbacks: number;
+    cashOutFees: number;
+  };
+  lines: EarningsLine[];
+  payouts: PayoutBatch[];
+}
+
 export interface PaymentMethod {
   _id: string;
   riderId: string;
@@ -356,6 +438,7 @@ export interface RescueStatusUpdateEvent {
   rescueId: string;
   status: RescueStatus;
   timestamp: string;
+  rescue?: RescueRequest;
 }
 
 export interface DriverLocationUpdateEvent {
@@ -404,6 +487,13 @@ export interface MapViewState {
   zoom: number;
 }
 
+export interface SurgeZone {
+  cellId: string;
+  bounds: MapBounds;
+  multiplier: number;
+  isOverride: boolean;
+}
+
 // ============================================================================
 // Utility Types
 // ============================================================================